@@ -1,12 +1,53 @@
 #!/usr/bin/env node
+import fs from 'node:fs/promises';
 import path from 'node:path';
 import process from 'node:process';
+import readline from 'node:readline/promises';
 
+import { DEFAULT_RETRIES, withRetries } from './lib/apiRetry.js';
+import { createApiClient } from './lib/backend.js';
+import { LINT_SEVERITIES, countFailures, lintEmailTemplates } from './lib/emailLint.js';
+import { checkConnection } from './lib/connectionCheck.js';
+import { COVERAGE_FORMATS, buildCoverageMatrix, formatCoverageMatrix, hasCoverageGaps } from './lib/coverage.js';
 import { loadDotenv } from './lib/dotenv.js';
-import { loadConfigFromEnv } from './lib/env.js';
-import { createLogtoApiClient } from './lib/logtoAuth.js';
-import { exportEmailTemplates, listEmailTemplatesSummary, syncEmailTemplates } from './lib/emailTemplatesApi.js';
-import { loadLocalEmailTemplates } from './lib/templatesFs.js';
+import { loadConfigFromEnv, loadSmtpConfigFromEnv } from './lib/env.js';
+import { AbortedError, ConfigError, EmailTemplatesError, ValidationError } from './lib/errors.js';
+import {
+  diffEmailTemplates,
+  exportEmailTemplates,
+  listEmailTemplatesSummary,
+  promoteEmailTemplates,
+  syncEmailTemplates,
+} from './lib/emailTemplatesApi.js';
+import { formatPlanEntryDiff, hasDrift, summarizePlan } from './lib/templatesPlan.js';
+import { TEMPLATE_TYPES } from './lib/templateVariables.js';
+import { bundleFormatOf, readBundle, writeBundle } from './lib/bundle.js';
+import { htmlToText } from './lib/htmlToText.js';
+import { parseLanguageFallbacks } from './lib/languages.js';
+import { startMockLogtoServer } from './lib/mockLogtoServer.js';
+import { OUTPUT_FORMATS, createOutput, serializeError } from './lib/output.js';
+import { startPreviewServer } from './lib/previewServer.js';
+import { CONFIG_FILES, loadProjectConfig } from './lib/projectConfig.js';
+import { addLanguage, createTemplateType } from './lib/scaffold.js';
+import { DEFAULT_SNAPSHOTS_DIR, findSnapshot, listSnapshots } from './lib/snapshots.js';
+import { loadLocalEmailTemplates, writeLocalEmailTemplates } from './lib/templatesFs.js';
+import { loadTemplateSource } from './lib/templateSource.js';
+import { watchSyncEmailTemplates } from './lib/syncWatch.js';
+import { sendTestEmails } from './lib/testEmails.js';
+import { validateLocalEmailTemplates } from './lib/templatesValidate.js';
+import {
+  TRANSLATION_FORMATS,
+  applyTranslations,
+  extractTranslations,
+  translationStatus,
+} from './lib/translations.js';
+
+// Exit code used by `diff` (and `sync --dry-run --exit-code`) when local and remote differ
+const EXIT_DRIFT = 2;
+
+// Set in main() before the arguments are parsed, so that their errors use the requested format too
+let output = createOutput();
+let command = '';
 
 function printHelp() {
   // eslint-disable-next-line no-console
@@ -14,31 +55,151 @@ function printHelp() {
 logto-email-templates-as-code
 
 Usage:
-  node src/cli.js <command> [options]
+  node src/cli.js <command> [arguments] [options]
 
 Commands:
   sync       Push local templates to Logto via Management API
+  diff       Compare local templates with Logto and print unified diffs
+  status     Grid of template types × languages: identical, differs, local only,
+             remote only or missing (--format markdown/html for PR comments)
+  validate   Check local templates (placeholders, subject, meta.json, HTML)
+  lint-email Report email-client compatibility and deliverability problems
+             (CSS support, images, links, Gmail clipping, lang/dir, subject)
+  preview    Serve local templates with sample data (live reload)
+  build      Inline CSS and minify templates, write the result to --out
+  generate-text  Write content.txt (plain-text version) next to every content.html
+  send-test  Render local templates with sample data and send them via SMTP
+             (or write .eml files when no SMTP host is set)
+  add-language <tag>  Copy every template type's --from language (default: en) to <tag>,
+             with lang/dir set and the copied strings marked [untranslated]
+  new-type <Type>  Create <Type>/<lang>/ starter templates with the type's required placeholders
+             for every language in use (or --languages)
+  i18n extract  Write the translatable strings (subject, title, headings, paragraphs) of the
+             --from language (default: en) to one XLIFF 2.0 or PO file per language (--i18n-dir)
+  i18n apply [file]  Merge translated strings from those files back into the templates,
+             keeping markup and {{placeholders}} as they are
+  i18n status  Count translated, untranslated and stale strings per language
+  pack       Write local templates into one JSON/YAML bundle file (--out)
+  unpack <bundle>  Write a bundle back into <Type>/<lang>/ folders (--out)
+  promote    Copy remote templates from one tenant (profile) to another
   export     Download templates from Logto into local folders
   list       List all email templates from Logto (summary view)
+  snapshots  List the remote snapshots taken before each sync
+  rollback [snapshot]  Restore a snapshot to Logto (default: the latest one for the tenant)
+  whoami     Check the endpoint, credentials and scopes without changing anything (alias: ping)
+  mock-server  Serve a mock Management API (token endpoint + email templates) for
+               end-to-end tests; point LOGTO_ENDPOINT at it
 
 Options:
-  --env-file <path>     Load env vars from a .env file (default: .env)
-  --dir <path>          Templates directory for sync (default: templates)
-  --out <path>          Output directory for export (default: exported-templates)
-  --only <types>        Comma-separated template types (e.g. SignIn,Register)
-  --languages <langs>   Comma-separated language tags (e.g. en,zh-CN)
-  --dry-run             Print plan but do not call write APIs (sync only)
+  --config <path>       Project config file (default: ${CONFIG_FILES.join(' or ')}
+                        in the working directory, if present); flags override it
+  --env-file <path>     Load env vars from a .env file (default: .env), then <path>.<profile>
+                        and <path>.local on top; real env vars win over all of them
+  --profile <name>      Use LOGTO_<NAME>_* env vars (e.g. dev, staging, prod; env: LOGTO_PROFILE)
+  --dir <path>          Templates directory (default: templates), or a bundle file
+                        (.json/.yaml/.yml) as the source for sync, diff and pack
+  --out <path>          Output directory for export (default: exported-templates),
+                        build (default: dist/templates), unpack (default: unpacked-templates)
+                        or send-test .eml files (default: test-emails);
+                        bundle file for pack (default: templates.bundle.json) and export (.json/.yaml/.yml);
+                        file for the status grid (default: print it)
+  --build               Run the build step (CSS inlining, minify) before sync/diff/send-test
+  --no-build            Skip the build step even when the config enables it
+  --no-inline-css       Build without CSS inlining
+  --no-minify           Build without minification
+  --content-type <type> text/plain: sync/diff plain-text versions (content.txt, or
+                        generated from content.html)
+  --only <types>        Comma-separated template types (e.g. SignIn,Register), or "all" to
+                        ignore onlyTypes in the config
+  --languages <langs>   Comma-separated language tags (e.g. en,zh-CN), or "all" to ignore
+                        onlyLanguages in the config
+  --fallback <chain>    Fill a missing language from others, in order (repeatable;
+                        e.g. zh-HK:zh-TW,en); adds to languageFallbacks in the config
+  --dry-run             Print plan but do not call write APIs (sync, promote)
+  --watch               sync: keep running and push the affected templates after each change
+                        in --dir (never prunes; only the first sync is snapshotted)
+  --prune               Delete remote templates that no longer exist locally (sync),
+                        or in the source tenant (promote)
+  -y, --yes             Do not ask for confirmation before deleting (with --prune)
+  --no-validate         Skip the automatic validation before sync
+  --snapshots-dir <path>  Where sync/promote/rollback save remote snapshots (default: ${DEFAULT_SNAPSHOTS_DIR})
+  --no-snapshot         Do not snapshot the remote templates before writing
+  --batch-size <n>      Templates per PUT request (default: all in one request)
+  --retries <n>         Retries on 429/5xx/network errors, with backoff (default: ${DEFAULT_RETRIES}; 0 disables)
+  --fail-on <severity>  lint-email: exit with 1 on problems of this severity or worse
+                        (${LINT_SEVERITIES.join(', ')}; default: error)
+  --exit-code           Exit with code ${EXIT_DRIFT} when drift is found (sync/promote --dry-run, status),
+                        or when i18n status finds strings that are not translated
+  --format <format>     i18n: exchange file format (${TRANSLATION_FORMATS.join(', ')}; default: xliff);
+                        status: grid format (${COVERAGE_FORMATS.join(', ')}; default: text)
+  --i18n-dir <path>     i18n: where the exchange files live (default: i18n)
+  --port <number>       Port for preview and mock-server (default: 4000)
+  --host <host>         Host for preview and mock-server (default: 127.0.0.1)
+  --store <path>        mock-server: keep templates in <path>/email-templates.json (default: memory)
+  --from <value>        promote: source profile; send-test: sender address (env: SMTP_FROM);
+                        add-language: language to copy; i18n: source language (default: en)
+  --to <value>          promote: target profile; send-test: comma-separated recipients (env: SMTP_TO)
+  --smtp-host <host>    SMTP host for send-test (env: SMTP_HOST)
+  --smtp-port <number>  SMTP port for send-test (env: SMTP_PORT)
+  --json                Print the result as one JSON document (same as --output json)
+  --output <format>     ${OUTPUT_FORMATS.join(', ')} (default: text); ndjson prints one JSON object
+                        per template/problem, then a summary. Human-readable lines go to stderr
   --verbose             Print verbose responses
   -h, --help            Show help
 
+Exit codes:
+  0  Success (diff: no drift)
+  1  Error, or validate found errors, or lint-email found problems at --fail-on, or a template failed to sync/send, or a whoami check failed
+  ${EXIT_DRIFT}  Drift found (diff, or sync/promote/rollback --dry-run --exit-code, status --exit-code),
+     or i18n status --exit-code found strings that are not translated
+
 Examples:
   node src/cli.js sync --dry-run
+  node src/cli.js diff --only SignIn
+  node src/cli.js validate
+  node src/cli.js lint-email --build --fail-on warning
+  node src/cli.js preview --port 4000
+  node src/cli.js build --out dist/templates
+  node src/cli.js sync --build
+  node src/cli.js generate-text --only SignIn
+  node src/cli.js add-language pt-BR --from pt
+  node src/cli.js new-type OrganizationInvitation
+  node src/cli.js status --format markdown --out coverage.md
+  node src/cli.js i18n extract --format po
+  node src/cli.js i18n apply i18n/fr.po --dry-run
+  node src/cli.js sync --content-type text/plain
+  node src/cli.js send-test --only SignIn --languages en,ar --to qa@example.com --smtp-host localhost --smtp-port 1025
   node src/cli.js sync --only SignIn,Register --languages en,zh-CN
+  node src/cli.js sync --fallback zh-HK:zh-TW,en --fallback pt-BR:pt,en --dry-run
+  node src/cli.js sync --prune --dry-run
+  node src/cli.js sync --watch --profile dev
+  node src/cli.js sync --profile staging
+  node src/cli.js sync --batch-size 20 --retries 5
+  node src/cli.js promote --from staging --to prod --dry-run --verbose
   node src/cli.js export --out exported-templates
+  node src/cli.js pack --out templates.bundle.yaml
+  node src/cli.js unpack templates.bundle.yaml --out templates-from-bundle
+  node src/cli.js sync --dir templates.bundle.yaml --dry-run
+  node src/cli.js export --out backup.bundle.json
+  node src/cli.js whoami --profile prod
   node src/cli.js list
+  node src/cli.js list --json
+  node src/cli.js sync --dry-run --output ndjson
+  node src/cli.js snapshots
+  node src/cli.js rollback --dry-run
+  node src/cli.js rollback 2024-01-31T12-00-00Z
+  LOGTO_BACKEND=local node src/cli.js sync
+  node src/cli.js mock-server --port 3001 --store .logto-mock
 `);
 }
 
+// `--only all` / `--languages all`: every type or language, whatever the config narrows it to
+const ALL = 'all';
+
+function parseScope(value) {
+  return value === ALL ? ALL : parseCsvSet(value);
+}
+
 function parseCsvSet(value) {
   if (!value) return null;
   const items = value
@@ -48,16 +209,99 @@ function parseCsvSet(value) {
   return items.length ? new Set(items) : null;
 }
 
+function parsePort(value) {
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new ConfigError(`Invalid port: ${value}`);
+  }
+  return port;
+}
+
+function parseCount(flag, value) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new ConfigError(`Invalid ${flag}: ${value} (expected a whole number)`);
+  }
+  return count;
+}
+
+function parseSeverity(value) {
+  if (!LINT_SEVERITIES.includes(value)) {
+    throw new ConfigError(`Invalid severity: ${value} (use ${LINT_SEVERITIES.join(', ')})`);
+  }
+  return value;
+}
+
+// --format means something else per command, so it is checked where it is used
+function parseFormat(value, formats) {
+  if (!formats.includes(value)) {
+    throw new ConfigError(`Invalid format for ${command}: ${value} (use ${formats.join(', ')})`);
+  }
+  return value;
+}
+
+function parseOutputFormat(value) {
+  if (!OUTPUT_FORMATS.includes(value)) {
+    throw new ConfigError(`Invalid output format: ${value} (use ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  return value;
+}
+
+function parseContentType(value) {
+  if (value !== 'text/html' && value !== 'text/plain') {
+    throw new ConfigError(`Invalid content type: ${value} (use text/html or text/plain)`);
+  }
+  return value;
+}
+
+// The output format asked for with --json / --output (the last one wins), ahead of parseArgs
+function requestedOutputFormat(argv) {
+  let format = 'text';
+  argv.forEach((a, index) => {
+    if (a === '--json') format = 'json';
+    else if (a === '--output' && OUTPUT_FORMATS.includes(argv[index + 1])) format = argv[index + 1];
+  });
+  return format;
+}
+
 function parseArgs(argv) {
   const args = [...argv];
   const out = {
     command: args.shift() || '',
+    args: [],
+    config: null,
     envFile: '.env',
-    dir: 'templates',
-    outDir: 'exported-templates',
+    profile: null,
+    // null = not given; filled from the project config or the defaults (see applyProjectConfig)
+    dir: null,
+    outDir: null,
     only: null,
     languages: null,
+    fallbacks: [],
     dryRun: false,
+    prune: false,
+    yes: false,
+    validate: true,
+    snapshot: true,
+    snapshotsDir: DEFAULT_SNAPSHOTS_DIR,
+    batchSize: null,
+    retries: null,
+    build: null,
+    inlineCss: null,
+    minify: null,
+    contentType: null,
+    exitCode: false,
+    failOn: null,
+    format: null,
+    i18nDir: null,
+    watch: false,
+    port: 4000,
+    host: '127.0.0.1',
+    store: null,
+    to: null,
+    from: null,
+    smtpHost: null,
+    smtpPort: null,
     verbose: false,
   };
 
@@ -74,105 +318,962 @@ function parseArgs(argv) {
       out.dryRun = true;
       continue;
     }
+    if (a === '--prune') {
+      out.prune = true;
+      continue;
+    }
+    if (a === '-y' || a === '--yes') {
+      out.yes = true;
+      continue;
+    }
+    if (a === '--no-validate') {
+      out.validate = false;
+      continue;
+    }
+    if (a === '--no-snapshot') {
+      out.snapshot = false;
+      continue;
+    }
+    if (a === '--build') {
+      out.build = true;
+      continue;
+    }
+    if (a === '--no-build') {
+      out.build = false;
+      continue;
+    }
+    if (a === '--no-inline-css') {
+      out.inlineCss = false;
+      continue;
+    }
+    if (a === '--no-minify') {
+      out.minify = false;
+      continue;
+    }
+    if (a === '--exit-code') {
+      out.exitCode = true;
+      continue;
+    }
+    if (a === '--watch') {
+      out.watch = true;
+      continue;
+    }
     if (a === '--verbose') {
       out.verbose = true;
       continue;
     }
+    // --json / --output were read before parsing (see requestedOutputFormat)
+    if (a === '--json') continue;
 
     const next = () => {
       const v = args.shift();
-      if (!v) throw new Error(`Missing value after ${a}`);
+      if (!v) throw new ConfigError(`Missing value after ${a}`);
       return v;
     };
 
-    if (a === '--env-file') out.envFile = next();
+    if (a === '--config') out.config = next();
+    else if (a === '--env-file') out.envFile = next();
+    else if (a === '--profile') out.profile = next();
     else if (a === '--dir') out.dir = next();
     else if (a === '--out') out.outDir = next();
-    else if (a === '--only') out.only = parseCsvSet(next());
-    else if (a === '--languages') out.languages = parseCsvSet(next());
-    else throw new Error(`Unknown argument: ${a}`);
+    else if (a === '--only') out.only = parseScope(next());
+    else if (a === '--languages') out.languages = parseScope(next());
+    else if (a === '--fallback') out.fallbacks.push(next());
+    else if (a === '--port') out.port = parsePort(next());
+    else if (a === '--host') out.host = next();
+    else if (a === '--store') out.store = next();
+    else if (a === '--content-type') out.contentType = parseContentType(next());
+    else if (a === '--to') out.to = next();
+    else if (a === '--from') out.from = next();
+    else if (a === '--smtp-host') out.smtpHost = next();
+    else if (a === '--smtp-port') out.smtpPort = parsePort(next());
+    else if (a === '--snapshots-dir') out.snapshotsDir = next();
+    else if (a === '--batch-size') out.batchSize = parseCount(a, next());
+    else if (a === '--retries') out.retries = parseCount(a, next());
+    else if (a === '--output') parseOutputFormat(next());
+    else if (a === '--fail-on') out.failOn = parseSeverity(next());
+    else if (a === '--format') out.format = next();
+    else if (a === '--i18n-dir') out.i18nDir = next();
+    else if (!a.startsWith('-')) out.args.push(a);
+    else throw new ConfigError(`Unknown argument: ${a}`);
   }
 
   return out;
 }
 
+// A --only / --languages value, else the config's list; null means everything
+function scopeOf(value, configured) {
+  if (value === ALL) return null;
+  return value || (configured?.length ? new Set(configured) : null);
+}
+
+function applyProjectConfig(parsed, config) {
+  const build = config.build || {};
+  const outDirs = { export: config.exportDir, build: build.outDir };
+
+  return {
+    ...parsed,
+    dir: parsed.dir || config.templatesDir || 'templates',
+    outDir: parsed.outDir || outDirs[parsed.command] || null,
+    only: scopeOf(parsed.only, config.onlyTypes),
+    languages: scopeOf(parsed.languages, config.onlyLanguages),
+    // Per language, --fallback replaces the config's chain
+    fallbacks: { ...config.languageFallbacks, ...parseLanguageFallbacks(parsed.fallbacks) },
+    build: parsed.build ?? build.enabled ?? false,
+    inlineCss: parsed.inlineCss ?? build.inlineCss ?? true,
+    minify: parsed.minify ?? build.minify ?? true,
+    batchSize: parsed.batchSize ?? config.batchSize ?? null,
+    retries: parsed.retries ?? config.retries ?? DEFAULT_RETRIES,
+    emailTemplatesPath: config.emailTemplatesPath,
+    failOn: parsed.failOn ?? config.lintEmail?.failOn ?? 'error',
+    lintRules: config.lintEmail?.rules || {},
+    i18nFormat: config.i18n?.format || 'xliff',
+    i18nDir: parsed.i18nDir || config.i18n?.dir || 'i18n',
+    sourceLanguage: config.i18n?.sourceLanguage || 'en',
+  };
+}
+
+function loadEnvConfig(parsed, profile = parsed.profile) {
+  return loadConfigFromEnv({
+    profile: profile || undefined,
+    emailTemplatesPath: parsed.emailTemplatesPath,
+  });
+}
+
+async function connectApi(config, parsed) {
+  if (config.backend !== 'logto') {
+    output.text(`Using the ${config.backend} backend (${config.endpoint}); no tenant is contacted`);
+  }
+  const { apiClient } = await createApiClient(config);
+  return withRetries(apiClient, {
+    retries: parsed.retries,
+    onRetry: ({ method, path: requestPath, attempt, retries, delayMs, status, error }) => {
+      output.text(
+        `retry ${attempt}/${retries} ${method} ${requestPath} in ${(delayMs / 1000).toFixed(1)}s (${status || error?.message || error})`
+      );
+    },
+  });
+}
+
+function printPlan(plan, { diffs = false } = {}) {
+  for (const entry of plan) {
+    const fallbackFrom = entry.local?._source?.fallbackFrom;
+    output.text(`${entry.action.padEnd(11)} ${entry.key}${fallbackFrom ? ` (from ${fallbackFrom})` : ''}`);
+    if (diffs && entry.changes?.length) {
+      output.text(formatPlanEntryDiff(entry));
+      output.text('');
+    }
+  }
+}
+
+async function confirmDeletion(entries, { yes }) {
+  output.text(`The following ${entries.length} remote template(s) will be deleted:`);
+  for (const entry of entries) {
+    output.text(`  - ${entry.key}`);
+  }
+
+  if (yes) return true;
+  if (!process.stdin.isTTY) {
+    throw new AbortedError('Refusing to delete remote templates without confirmation. Re-run with --yes.');
+  }
+
+  // Keep stdout for the JSON result
+  const rl = readline.createInterface({ input: process.stdin, output: output.machine ? process.stderr : process.stdout });
+  try {
+    const answer = await rl.question('Delete these templates? Type "yes" to confirm: ');
+    return answer.trim().toLowerCase() === 'yes';
+  } finally {
+    rl.close();
+  }
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`;
+}
+
+async function loadTemplates(parsed, { build = parsed.build } = {}) {
+  const templates = await loadTemplateSource(parsed.dir, {
+    onlyTypes: parsed.only,
+    onlyLanguages: parsed.languages,
+    fallbacks: parsed.fallbacks,
+    contentType: parsed.contentType,
+    build,
+    inlineCss: parsed.inlineCss,
+    minify: parsed.minify,
+  });
+  if (!build) return templates;
+
+  if (parsed.verbose || parsed.command === 'build') {
+    for (const t of templates) {
+      output.text(
+        `${`${t.templateType}/${t.languageTag}`.padEnd(36)} ${formatBytes(t._build.originalBytes).padStart(9)} -> ${formatBytes(t._build.bytes)}`
+      );
+    }
+  }
+  return templates;
+}
+
+async function runValidation(parsed) {
+  const { templates, problems } = await validateLocalEmailTemplates(parsed.dir, {
+    onlyTypes: parsed.only,
+    onlyLanguages: parsed.languages,
+    fallbacks: parsed.fallbacks,
+  });
+
+  for (const problem of problems) {
+    const location = path.relative(process.cwd(), problem.file) + (problem.line ? `:${problem.line}` : '');
+    output.text(`${problem.severity.padEnd(7)} ${location}  ${problem.message}`);
+  }
+
+  const errors = problems.filter((p) => p.severity === 'error').length;
+  const warnings = problems.length - errors;
+  output.text(`Validated ${templates} template(s): ${errors} error(s), ${warnings} warning(s)`);
+  return { ok: errors === 0, templates, errors, warnings, problems };
+}
+
+function formatCounts(counts) {
+  return Object.entries(counts)
+    .map(([action, count]) => `${action}=${count}`)
+    .join(', ');
+}
+
+// `taken.snapshot` is set once the snapshot is written (for the JSON result)
+function snapshotOptions(parsed, config, reason, taken = {}) {
+  if (!parsed.snapshot) return {};
+  return {
+    snapshotsDir: parsed.snapshotsDir,
+    snapshotInfo: {
+      reason,
+      profile: config.profile,
+      endpoint: config.endpoint,
+      tenantId: config.tenantId,
+      emailTemplatesPath: config.emailTemplatesPath,
+    },
+    onSnapshot: (snapshot) => {
+      taken.snapshot = snapshot;
+      output.text(`Snapshot of ${snapshot.count} remote template(s): ${path.relative(process.cwd(), snapshot.dir)}`);
+    },
+  };
+}
+
+// Print the result of a command (json/ndjson) and exit once stdout is flushed.
+// `ok` is false only for exit code 1: drift (2) is a result, not a failure.
+function finish(exitCode, payload = {}, options = {}) {
+  output.done({ command, ok: exitCode !== 1, exitCode, ...payload }, options);
+  output.exit(exitCode);
+}
+
+function toResultRecord(entry, { dryRun = false, verbose = false } = {}) {
+  let status = 'skipped';
+  if (entry.error) status = 'failed';
+  else if (entry.request) status = 'ok';
+  else if (dryRun && !['unchanged', 'remote-only'].includes(entry.action)) status = 'planned';
+
+  const fallbackFrom = entry.local?._source?.fallbackFrom;
+  const id = entry.remote?.id;
+  return {
+    key: entry.key,
+    templateType: entry.templateType,
+    languageTag: entry.languageTag,
+    action: entry.action,
+    status,
+    changes: (entry.changes || []).map((c) => c.field),
+    ...(id ? { id } : {}),
+    ...(fallbackFrom ? { fallbackFrom } : {}),
+    ...(entry.error ? { error: entry.error } : {}),
+    ...(verbose && entry.changes?.length ? { diff: formatPlanEntryDiff(entry) } : {}),
+  };
+}
+
+// Shared by sync, promote and rollback; prints the results and exits
+function finishSync(results, parsed, { snapshot = null, ...extra } = {}) {
+  if (parsed.dryRun) {
+    printPlan(results, { diffs: parsed.verbose });
+  }
+
+  const failed = results.filter((r) => r.error);
+  for (const r of failed) {
+    output.text(`failed      ${r.key}  ${r.error.message}`);
+  }
+  if (failed.some((r) => !r.error.status)) {
+    output.text('Some requests got no response: check your network and that the Logto endpoint is reachable.');
+  }
+
+  const counts = summarizePlan(results);
+  const upserts = results.filter((r) => r.action === 'upsert').length;
+  if (upserts) counts.upsert = upserts;
+  if (failed.length) counts.failed = failed.length;
+
+  output.text(
+    parsed.dryRun
+      ? `[dry-run] Done. planned=${results.length} (${formatCounts(counts)})`
+      : `Done. processed=${results.length} (${formatCounts(counts)})`
+  );
+  let exitCode = 0;
+  if (failed.length) exitCode = 1;
+  else if (parsed.dryRun && parsed.exitCode && hasDrift(results)) exitCode = EXIT_DRIFT;
+
+  finish(
+    exitCode,
+    {
+      dryRun: parsed.dryRun,
+      drift: hasDrift(results),
+      summary: counts,
+      snapshot,
+      ...extra,
+      results: results.map((entry) => toResultRecord(entry, parsed)),
+    },
+    { list: 'results', item: 'result' }
+  );
+}
+
+function timestamp() {
+  return new Date().toTimeString().slice(0, 8);
+}
+
+// `sync --watch`: one compact line per change and per pushed template; runs until Ctrl+C
+async function watchSync(parsed, config, apiClient) {
+  const relative = (file) => path.relative(path.resolve(parsed.dir), file) || '.';
+  const taken = {};
+  let watching = false;
+
+  const onEvent = (event) => {
+    if (event.stage === 'change') {
+      const targets = event.all ? ['all templates'] : [...event.types.map((t) => `${t}::*`), ...event.keys];
+      output.text(`${timestamp()}  ${event.files.map(relative).join(', ')} -> ${targets.join(', ')}`);
+      output.event('change', { files: event.files, all: event.all, types: event.types, keys: event.keys });
+    } else if (event.stage === 'result') {
+      const record = toResultRecord(event.entry, parsed);
+      let detail = record.changes.length ? ` (${record.changes.join(', ')})` : '';
+      if (record.error) detail = `  ${record.error.message}`;
+      output.text(`${timestamp()}  ${record.status.padEnd(7)} ${record.action.padEnd(11)} ${record.key}${detail}`);
+      if (parsed.verbose && event.entry.changes?.length) output.text(formatPlanEntryDiff(event.entry));
+      output.event('result', record);
+    } else if (event.stage === 'invalid') {
+      for (const problem of event.problems) {
+        const location = path.relative(process.cwd(), problem.file) + (problem.line ? `:${problem.line}` : '');
+        output.text(`${timestamp()}  ${problem.severity.padEnd(7)} ${location}  ${problem.message}`);
+        output.event('problem', problem);
+      }
+      output.text(`${timestamp()}  not pushed: fix the error(s) above and save again`);
+    } else if (event.stage === 'removed') {
+      output.text(`${timestamp()}  removed ${event.key} (the remote template is kept; run sync --prune to delete it)`);
+      output.event('removed', { key: event.key });
+    } else if (event.stage === 'error') {
+      output.text(`${timestamp()}  error   ${event.error?.message || event.error}`);
+      output.event('error', { error: serializeError(event.error) });
+    } else if (event.stage === 'idle' && !watching) {
+      watching = true;
+      output.text(`Watching ${path.resolve(parsed.dir)} for changes (Ctrl+C to stop)`);
+      output.event('watching', { dir: path.resolve(parsed.dir), snapshot: taken.snapshot || null });
+    }
+  };
+
+  const watcher = await watchSyncEmailTemplates({
+    templatesDir: parsed.dir,
+    apiClient,
+    emailTemplatesPath: config.emailTemplatesPath,
+    load: {
+      onlyTypes: parsed.only,
+      onlyLanguages: parsed.languages,
+      fallbacks: parsed.fallbacks,
+      contentType: parsed.contentType,
+      build: parsed.build,
+      inlineCss: parsed.inlineCss,
+      minify: parsed.minify,
+    },
+    validate: parsed.validate,
+    snapshot: snapshotOptions(parsed, config, 'sync', taken),
+    batchSize: parsed.batchSize,
+    dryRun: parsed.dryRun,
+    onEvent,
+  });
+  process.once('SIGINT', () => {
+    watcher.close();
+    process.exit(0);
+  });
+}
+
 async function main() {
-  const parsed = parseArgs(process.argv.slice(2));
+  const argv = process.argv.slice(2);
+  output = createOutput(requestedOutputFormat(argv));
+  command = argv[0] || '';
+  const args = parseArgs(argv);
 
-  if (parsed.help || !parsed.command) {
+  if (args.help || !args.command) {
     printHelp();
     process.exit(0);
   }
 
-  await loadDotenv({ envFile: parsed.envFile });
+  const { config: projectConfig } = await loadProjectConfig({ configFile: args.config });
+  const parsed = applyProjectConfig(args, projectConfig);
 
-  const config = loadConfigFromEnv();
-  const { apiClient } = await createLogtoApiClient(config);
+  const maxArgs = parsed.command === 'i18n' ? 2 : ['rollback', 'unpack', 'add-language', 'new-type'].includes(parsed.command) ? 1 : 0;
+  if (parsed.args.length > maxArgs) {
+    throw new ConfigError(`Unexpected argument for ${parsed.command}: ${parsed.args.join(' ')}`);
+  }
 
-  if (parsed.command === 'sync') {
+  // Profile files (.env.<profile>) for the profiles this command uses
+  await loadDotenv({
+    envFile: parsed.envFile,
+    profiles: parsed.command === 'promote' ? [parsed.from, parsed.to] : [parsed.profile],
+  });
+
+  if (parsed.command === 'validate') {
+    const { ok, templates, errors, warnings, problems } = await runValidation(parsed);
+    return finish(
+      ok ? 0 : 1,
+      { templates, errors, warnings, problems },
+      { list: 'problems', item: 'problem' }
+    );
+  }
+
+  if (parsed.command === 'lint-email') {
+    const templates = await loadTemplates(parsed);
+    const { problems } = lintEmailTemplates(templates, { rules: parsed.lintRules });
+
+    // Shared layouts repeat the same finding in every template: print it once with the templates it affects
+    const grouped = new Map();
+    for (const problem of problems) {
+      const id = `${problem.severity}\0${problem.rule}\0${problem.message}`;
+      if (!grouped.has(id)) grouped.set(id, { ...problem, keys: [] });
+      grouped.get(id).keys.push(problem.key);
+    }
+    const bySeverity = [...grouped.values()].sort(
+      (a, b) => LINT_SEVERITIES.indexOf(a.severity) - LINT_SEVERITIES.indexOf(b.severity)
+    );
+    for (const { severity, rule, message, keys } of bySeverity) {
+      const where = keys.length > 3 ? `${keys.slice(0, 3).join(', ')} and ${keys.length - 3} more` : keys.join(', ');
+      output.text(`${severity.padEnd(7)} ${rule.padEnd(16)} ${message}`);
+      output.text(`${''.padEnd(24)} in ${where}`);
+    }
+    const counts = Object.fromEntries(LINT_SEVERITIES.map((s) => [s, problems.filter((p) => p.severity === s).length]));
+    const failures = countFailures(problems, parsed.failOn);
+    output.text(
+      `Linted ${templates.length} template(s): ${counts.error} error(s), ${counts.warning} warning(s), ${counts.info} info` +
+        (failures ? ` (failing on ${parsed.failOn})` : '')
+    );
+    return finish(
+      failures ? 1 : 0,
+      { templates: templates.length, failOn: parsed.failOn, ...counts, problems },
+      { list: 'problems', item: 'problem' }
+    );
+  }
+
+  if (parsed.command === 'preview') {
+    const preview = await startPreviewServer({
+      templatesDir: parsed.dir,
+      port: parsed.port,
+      host: parsed.host,
+      onChange: (files) => {
+        const changed = files.map((f) => path.relative(process.cwd(), f));
+        output.text(`Changed: ${changed.join(', ')}`);
+        output.event('change', { files: changed });
+      },
+    });
+
+    output.text(`Previewing ${path.resolve(parsed.dir)} at ${preview.url} (Ctrl+C to stop)`);
+    // Long-running: json/ndjson print one line per event instead of a final result
+    output.event('listening', { url: preview.url, dir: path.resolve(parsed.dir) });
+    process.once('SIGINT', () => preview.close().then(() => process.exit(0)));
+    return;
+  }
+
+  if (parsed.command === 'mock-server') {
+    // With LOGTO_M2M_CLIENT_ID/SECRET set only that app gets tokens; otherwise any does
+    const clientId = process.env.LOGTO_M2M_CLIENT_ID || null;
+    const clientSecret = process.env.LOGTO_M2M_CLIENT_SECRET || null;
+    const store = parsed.store ? path.resolve(parsed.store) : null;
+    const mock = await startMockLogtoServer({
+      port: parsed.port,
+      host: parsed.host,
+      dir: store,
+      clientId: clientId && clientSecret ? clientId : null,
+      clientSecret,
+      emailTemplatesPath: parsed.emailTemplatesPath,
+      onRequest: (entry) => {
+        output.text(`${entry.method.padEnd(6)} ${entry.path} ${entry.status}`);
+        output.event('request', entry);
+      },
+    });
+
+    output.text(`Mock Logto Management API at ${mock.url} (templates: ${store || 'in memory'}; Ctrl+C to stop)`);
+    output.text('Point the CLI at it with:');
+    output.text(`  LOGTO_ENDPOINT=${mock.url}`);
+    output.text('  LOGTO_TENANT_ID=mock');
+    if (!clientId || !clientSecret) output.text('  LOGTO_M2M_CLIENT_ID=<any> LOGTO_M2M_CLIENT_SECRET=<any>');
+    output.event('listening', { url: mock.url, store });
+    process.once('SIGINT', () => mock.close().then(() => process.exit(0)));
+    return;
+  }
+
+  if (parsed.command === 'build') {
+    const templates = await loadTemplates(parsed, { build: true });
+    const outDir = path.resolve(parsed.outDir || 'dist/templates');
+    await writeLocalEmailTemplates(outDir, templates);
+
+    const total = templates.reduce((sum, t) => sum + t._build.bytes, 0);
+    output.text(`Built ${templates.length} templates (${formatBytes(total)} total) to: ${outDir}`);
+    return finish(
+      0,
+      {
+        outDir,
+        count: templates.length,
+        bytes: total,
+        templates: templates.map((t) => ({
+          key: `${t.templateType}::${t.languageTag}`,
+          dir: path.join(outDir, t.templateType, t.languageTag),
+          originalBytes: t._build.originalBytes,
+          bytes: t._build.bytes,
+        })),
+      },
+      { list: 'templates', item: 'template' }
+    );
+  }
+
+  if (parsed.command === 'pack') {
+    const templates = await loadTemplates(parsed);
+    const { file, count } = await writeBundle(parsed.outDir || 'templates.bundle.json', templates);
+    output.text(`Packed ${count} templates to: ${file}`);
+    return finish(0, { file, count });
+  }
+
+  if (parsed.command === 'unpack') {
+    if (!parsed.args[0]) throw new ConfigError('unpack needs a bundle file: unpack <bundle> [--out <dir>]');
+    const templates = await readBundle(parsed.args[0], {
+      onlyTypes: parsed.only,
+      onlyLanguages: parsed.languages,
+    });
+    const outDir = path.resolve(parsed.outDir || 'unpacked-templates');
+    await writeLocalEmailTemplates(outDir, templates);
+
+    output.text(`Unpacked ${templates.length} templates to: ${outDir}`);
+    return finish(
+      0,
+      {
+        outDir,
+        count: templates.length,
+        templates: templates.map((t) => ({
+          key: `${t.templateType}::${t.languageTag}`,
+          dir: path.join(outDir, t.templateType, t.languageTag),
+        })),
+      },
+      { list: 'templates', item: 'template' }
+    );
+  }
+
+  if (parsed.command === 'add-language') {
+    if (!parsed.args[0]) throw new ConfigError('add-language needs a language tag: add-language <tag> [--from <lang>]');
+    const result = await addLanguage(parsed.dir, parsed.args[0], { from: parsed.from || 'en' });
+    if (result.warning) output.text(`warning: ${result.warning}`);
+    for (const dir of [...result.templates.map((t) => t.dir), result.partialsDir].filter(Boolean)) {
+      output.text(`created ${path.relative(process.cwd(), dir)}`);
+    }
+    if (result.skippedTypes.length) {
+      output.text(`No ${result.from} folder (not copied): ${result.skippedTypes.join(', ')}`);
+    }
+    output.text(
+      `Added ${result.languageTag} from ${result.from}: translate the strings marked [untranslated], then run validate`
+    );
+    return finish(0, result, { list: 'templates', item: 'template' });
+  }
+
+  if (parsed.command === 'new-type') {
+    if (!parsed.args[0]) throw new ConfigError('new-type needs a template type: new-type <Type> [--languages <langs>]');
+    const result = await createTemplateType(parsed.dir, parsed.args[0], {
+      languages: parsed.languages && [...parsed.languages],
+    });
+    for (const t of result.templates) output.text(`created ${path.relative(process.cwd(), t.dir)}`);
+    output.text(`Created ${result.templateType} for ${result.languages.length} language(s): ${result.languages.join(', ')}`);
+    return finish(0, result, { list: 'templates', item: 'template' });
+  }
+
+  if (parsed.command === 'i18n') {
+    const [action, file] = parsed.args;
+    if (!['extract', 'apply', 'status'].includes(action)) {
+      throw new ConfigError('i18n needs an action: i18n extract | i18n apply [file] | i18n status');
+    }
+    if (file && action !== 'apply') throw new ConfigError(`Unexpected argument for i18n ${action}: ${file}`);
+    const options = {
+      from: parsed.from || parsed.sourceLanguage,
+      i18nDir: parsed.i18nDir,
+      format: parsed.format ? parseFormat(parsed.format, TRANSLATION_FORMATS) : parsed.i18nFormat,
+      onlyTypes: parsed.only,
+      onlyLanguages: parsed.languages,
+    };
+    const relative = (f) => path.relative(process.cwd(), f);
+
+    if (action === 'extract') {
+      const result = await extractTranslations(parsed.dir, options);
+      for (const f of result.files) {
+        const gaps = [f.untranslated && `${f.untranslated} untranslated`, f.stale && `${f.stale} stale`].filter(Boolean);
+        output.text(`wrote ${relative(f.file)}: ${f.units} string(s)${gaps.length ? `, ${gaps.join(', ')}` : ''}`);
+      }
+      output.text(
+        `Extracted the ${result.sourceLanguage} strings for ${result.files.length} language(s) to: ${relative(result.dir) || '.'}`
+      );
+      return finish(0, result, { list: 'files', item: 'file' });
+    }
+
+    if (action === 'apply') {
+      const result = await applyTranslations(parsed.dir, { ...options, files: file ? [file] : null, dryRun: parsed.dryRun });
+      for (const p of result.problems) {
+        output.text(`${p.severity.padEnd(7)} ${relative(p.file)}${p.id ? ` ${p.id}` : ''}: ${p.message}`);
+      }
+      for (const f of result.files) {
+        output.text(`${result.dryRun ? 'would update' : 'updated'} ${relative(f.file)} (${f.units} string(s))`);
+      }
+      const errors = result.problems.filter((p) => p.severity === 'error').length;
+      output.text(
+        `${result.dryRun ? 'Would apply' : 'Applied'} ${result.applied} translation(s) to ${result.files.length} file(s); ` +
+          `${result.unchanged} unchanged, ${result.untranslated} empty, ${result.review} flagged for review` +
+          (errors ? `, ${errors} rejected` : '')
+      );
+      return finish(errors ? 1 : 0, result, { list: 'problems', item: 'problem' });
+    }
+
+    const result = await translationStatus(parsed.dir, options);
+    output.text('Language   Strings  Translated  Untranslated  Stale  Unapplied');
+    for (const l of result.languages) {
+      output.text(
+        `${l.languageTag.padEnd(10)} ${String(l.units).padStart(7)}  ${String(l.translated).padStart(10)}  ` +
+          `${String(l.untranslated).padStart(12)}  ${String(l.stale).padStart(5)}  ${String(l.unapplied).padStart(9)}` +
+          (l.file ? '' : '  (no exchange file yet)')
+      );
+    }
+    // Without --verbose only the first few per language
+    const shown = new Map();
+    for (const u of result.units) {
+      const count = (shown.get(u.languageTag) || 0) + 1;
+      shown.set(u.languageTag, count);
+      if (count <= 5 || parsed.verbose) output.text(`  ${u.languageTag.padEnd(8)} ${u.state.padEnd(12)} ${u.id}`);
+      else if (count === 6) output.text(`  ${u.languageTag.padEnd(8)} … (--verbose lists all)`);
+    }
+    const pending = result.units.length;
+    output.text(
+      pending
+        ? `${pending} string(s) need translation work (untranslated, stale or not applied yet)`
+        : `All strings are translated in ${result.languages.length} language(s)`
+    );
+    return finish(parsed.exitCode && pending ? EXIT_DRIFT : 0, result, { list: 'units', item: 'unit' });
+  }
+
+  if (parsed.command === 'generate-text') {
     const templates = await loadLocalEmailTemplates(parsed.dir, {
       onlyTypes: parsed.only,
       onlyLanguages: parsed.languages,
     });
 
+    const files = [];
+    for (const t of templates) {
+      if (t.details.contentType !== 'text/html') continue;
+      const file = path.join(t._source.dir, 'content.txt');
+      await fs.writeFile(file, `${htmlToText(t.details.content)}\n`, 'utf8');
+      files.push({ key: `${t.templateType}::${t.languageTag}`, file });
+      if (parsed.verbose) {
+        output.text(`wrote ${path.relative(process.cwd(), file)}`);
+      }
+    }
+
+    output.text(`Generated ${files.length} content.txt file(s) under: ${path.resolve(parsed.dir)}`);
+    return finish(0, { dir: path.resolve(parsed.dir), count: files.length, files }, { list: 'files', item: 'file' });
+  }
+
+  if (parsed.command === 'send-test') {
+    const templates = await loadTemplates(parsed);
+
+    const smtpConfig = loadSmtpConfigFromEnv();
+    const smtp = parsed.smtpHost
+      ? { ...smtpConfig.smtp, host: parsed.smtpHost }
+      : smtpConfig.smtp;
+    if (smtp && parsed.smtpPort) smtp.port = parsed.smtpPort;
+
+    const results = await sendTestEmails({
+      templatesDir: parsed.dir,
+      templates,
+      to: parsed.to ? [...parseCsvSet(parsed.to)] : smtpConfig.to,
+      from: parsed.from || smtpConfig.from,
+      smtp,
+      outDir: parsed.outDir || 'test-emails',
+    });
+
+    for (const r of results) {
+      output.text(
+        r.error
+          ? `failed ${r.key}: ${r.error}`
+          : `${smtp ? 'sent' : 'wrote'}  ${r.key}${r.file ? ` -> ${path.relative(process.cwd(), r.file)}` : ''}`
+      );
+    }
+
+    const failed = results.filter((r) => r.error).length;
+    output.text(
+      `Done. ${smtp ? `sent via ${smtp.host}` : 'wrote .eml files'}: ${results.length - failed}, failed: ${failed}`
+    );
+    return finish(
+      failed ? 1 : 0,
+      {
+        transport: smtp ? 'smtp' : 'eml',
+        ...(smtp ? { smtpHost: smtp.host } : {}),
+        sent: results.length - failed,
+        failed,
+        results: results.map((r) => ({
+          key: r.key,
+          status: r.error ? 'failed' : 'ok',
+          ...(r.file ? { file: r.file } : {}),
+          ...(r.error ? { error: { message: String(r.error) } } : {}),
+        })),
+      },
+      { list: 'results', item: 'result' }
+    );
+  }
+
+  if (parsed.command === 'snapshots') {
+    const snapshots = await listSnapshots(parsed.snapshotsDir);
+    const snapshotsPayload = { snapshotsDir: path.resolve(parsed.snapshotsDir), count: snapshots.length, snapshots };
+    if (!snapshots.length) {
+      output.text(`No snapshots found in: ${path.resolve(parsed.snapshotsDir)}`);
+      return finish(0, snapshotsPayload, { list: 'snapshots', item: 'snapshot' });
+    }
+
+    for (const s of snapshots) {
+      output.text(
+        `${s.id.padEnd(24)} ${String(s.count).padStart(4)} template(s)  ${(s.reason || '').padEnd(8)} ${s.profile ? `[${s.profile}] ` : ''}${s.endpoint || ''}`
+      );
+    }
+    return finish(0, snapshotsPayload, { list: 'snapshots', item: 'snapshot' });
+  }
+
+  // Validate before connecting so a broken template never reaches the tenant
+  // (bundles hold rendered templates and are checked against their hashes instead)
+  if (parsed.command === 'sync' && parsed.watch) {
+    if (bundleFormatOf(parsed.dir)) throw new ConfigError('sync --watch needs a templates directory, not a bundle file');
+    if (parsed.prune) throw new ConfigError('sync --watch never deletes remote templates; run sync --prune on its own');
+  }
+  // (--watch validates each change itself and keeps running)
+  if (parsed.command === 'sync' && parsed.validate && !parsed.watch && !bundleFormatOf(parsed.dir)) {
+    const { ok, problems } = await runValidation(parsed);
+    if (!ok) {
+      throw new ValidationError('Validation failed; nothing was synced. Fix the errors above or pass --no-validate.', {
+        problems,
+      });
+    }
+  }
+
+  if (parsed.command === 'promote') {
+    if (!parsed.from || !parsed.to) {
+      throw new ConfigError('promote needs a source and a target profile: --from <profile> --to <profile>');
+    }
+    const sourceConfig = loadEnvConfig(parsed, parsed.from);
+    const targetConfig = loadEnvConfig(parsed, parsed.to);
+    if (sourceConfig.endpoint === targetConfig.endpoint && sourceConfig.tenantId === targetConfig.tenantId) {
+      throw new ConfigError(`Profiles "${parsed.from}" and "${parsed.to}" point to the same tenant (${targetConfig.endpoint})`);
+    }
+
+    const sourceApiClient = await connectApi(sourceConfig, parsed);
+    const targetApiClient = await connectApi(targetConfig, parsed);
+
+    output.text(`Promoting ${parsed.from} (${sourceConfig.endpoint}) -> ${parsed.to} (${targetConfig.endpoint})`);
+
+    const taken = {};
+    const results = await promoteEmailTemplates({
+      sourceApiClient,
+      sourceEmailTemplatesPath: sourceConfig.emailTemplatesPath,
+      apiClient: targetApiClient,
+      emailTemplatesPath: targetConfig.emailTemplatesPath,
+      onlyTypes: parsed.only,
+      onlyLanguages: parsed.languages,
+      prune: parsed.prune,
+      confirmPrune: (entries) => confirmDeletion(entries, { yes: parsed.yes }),
+      ...snapshotOptions(parsed, targetConfig, 'promote', taken),
+      batchSize: parsed.batchSize,
+      dryRun: parsed.dryRun,
+      verbose: parsed.verbose && !output.machine,
+    });
+
+    return finishSync(results, parsed, taken);
+  }
+
+  const config = loadEnvConfig(parsed);
+
+  if (parsed.command === 'whoami' || parsed.command === 'ping') {
+    if (config.backend !== 'logto') {
+      output.text(`Using the ${config.backend} backend (${config.endpoint}); there is no tenant to check.`);
+      return finish(
+        0,
+        { endpoint: config.endpoint, backend: config.backend, checks: [] },
+        { list: 'checks', item: 'check' }
+      );
+    }
+
+    output.text(`Checking ${config.endpoint} (tenant ${config.tenantId}, app ${config.clientId})`);
+    const { ok, tokenEndpoint, apiResource, checks } = await checkConnection(config);
+    for (const c of checks) {
+      const took = c.durationMs === undefined ? '' : ` (${c.durationMs} ms)`;
+      output.text(`  ${c.status.padEnd(7)} ${c.name.padEnd(15)} ${c.message}${took}`);
+    }
+    output.text(ok ? 'Ready to sync.' : 'Not ready: fix the failed check(s) above.');
+    return finish(
+      ok ? 0 : 1,
+      { endpoint: config.endpoint, tenantId: config.tenantId, tokenEndpoint, apiResource, checks },
+      { list: 'checks', item: 'check' }
+    );
+  }
+
+  const apiClient = await connectApi(config, parsed);
+
+  if (parsed.command === 'sync' && parsed.watch) {
+    return watchSync(parsed, config, apiClient);
+  }
+
+  if (parsed.command === 'sync') {
+    const templates = await loadTemplates(parsed);
+
     if (!templates.length) {
-      // eslint-disable-next-line no-console
-      console.log(`No templates found under: ${path.resolve(parsed.dir)}`);
-      process.exit(0);
+      output.text(`No templates found under: ${path.resolve(parsed.dir)}`);
+      return finishSync([], parsed);
     }
 
+    const taken = {};
     const results = await syncEmailTemplates({
       apiClient,
       emailTemplatesPath: config.emailTemplatesPath,
       localTemplates: templates,
+      onlyTypes: parsed.only,
+      onlyLanguages: parsed.languages,
+      prune: parsed.prune,
+      confirmPrune: (entries) => confirmDeletion(entries, { yes: parsed.yes }),
+      ...snapshotOptions(parsed, config, 'sync', taken),
+      batchSize: parsed.batchSize,
+      dryRun: parsed.dryRun,
+      verbose: parsed.verbose && !output.machine,
+    });
+
+    return finishSync(results, parsed, taken);
+  }
+
+  if (parsed.command === 'rollback') {
+    const snapshot = await findSnapshot(parsed.snapshotsDir, parsed.args[0] || null, {
+      endpoint: config.endpoint,
+    });
+    output.text(`Rolling back ${config.endpoint} to snapshot ${snapshot.id} (${snapshot.count} template(s), taken ${snapshot.createdAt})`);
+
+    // Restore the exact remote state: templates added after the snapshot are deleted
+    const taken = {};
+    const results = await syncEmailTemplates({
+      apiClient,
+      emailTemplatesPath: config.emailTemplatesPath,
+      localTemplates: await loadLocalEmailTemplates(snapshot.dir, {
+        onlyTypes: parsed.only,
+        onlyLanguages: parsed.languages,
+      }),
+      onlyTypes: parsed.only,
+      onlyLanguages: parsed.languages,
+      prune: true,
+      confirmPrune: (entries) => confirmDeletion(entries, { yes: parsed.yes }),
+      ...snapshotOptions(parsed, config, 'rollback', taken),
+      batchSize: parsed.batchSize,
       dryRun: parsed.dryRun,
-      verbose: parsed.verbose,
+      verbose: parsed.verbose && !output.machine,
+    });
+
+    return finishSync(results, parsed, { snapshot: taken.snapshot, rolledBackTo: snapshot.id });
+  }
+
+  if (parsed.command === 'diff') {
+    const templates = await loadTemplates(parsed);
+
+    const plan = await diffEmailTemplates({
+      apiClient,
+      emailTemplatesPath: config.emailTemplatesPath,
+      localTemplates: templates,
+      onlyTypes: parsed.only,
+      onlyLanguages: parsed.languages,
     });
 
-    const created = results.filter((r) => r.action === 'create').length;
-    const updated = results.filter((r) => r.action === 'update').length;
-    const upserts = results.filter((r) => r.action === 'upsert').length;
+    printPlan(plan, { diffs: true });
 
-    // eslint-disable-next-line no-console
-    console.log(
-      parsed.dryRun
-        ? `[dry-run] Done. planned=${results.length} (create=${created}, update=${updated}, upsert=${upserts})`
-        : `Done. processed=${results.length} (create=${created}, update=${updated}, upsert=${upserts})`
+    const drift = hasDrift(plan);
+    output.text(`${drift ? 'Drift found' : 'No drift'}. (${formatCounts(summarizePlan(plan))})`);
+    return finish(
+      drift ? EXIT_DRIFT : 0,
+      {
+        drift,
+        summary: summarizePlan(plan),
+        results: plan.map((entry) => toResultRecord(entry, { dryRun: true, verbose: true })),
+      },
+      { list: 'results', item: 'result' }
     );
-    process.exit(0);
+  }
+
+  if (parsed.command === 'status') {
+    const format = parseFormat(parsed.format || 'text', COVERAGE_FORMATS);
+    const plan = await diffEmailTemplates({
+      apiClient,
+      emailTemplatesPath: config.emailTemplatesPath,
+      localTemplates: await loadTemplates(parsed),
+      onlyTypes: parsed.only,
+      onlyLanguages: parsed.languages,
+    });
+
+    const matrix = buildCoverageMatrix(plan, {
+      templateTypes: parsed.only ? [...parsed.only] : Object.keys(TEMPLATE_TYPES),
+      languages: parsed.languages ? [...parsed.languages] : [],
+    });
+    const grid = formatCoverageMatrix(matrix, format);
+    if (parsed.outDir) {
+      const file = path.resolve(parsed.outDir);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, `${grid}\n`);
+      output.text(`Wrote the ${format} grid (${matrix.templateTypes.length} types × ${matrix.languages.length} languages) to: ${file}`);
+    } else {
+      output.text(grid);
+    }
+
+    const gaps = hasCoverageGaps(matrix);
+    return finish(parsed.exitCode && gaps ? EXIT_DRIFT : 0, { gaps, ...matrix }, { list: 'rows', item: 'row' });
   }
 
   if (parsed.command === 'export') {
     const result = await exportEmailTemplates({
       apiClient,
       emailTemplatesPath: config.emailTemplatesPath,
-      outDir: parsed.outDir,
+      outDir: parsed.outDir || 'exported-templates',
     });
 
-    // eslint-disable-next-line no-console
-    console.log(`Exported ${result.count} templates to: ${result.outDir}`);
+    output.text(`Exported ${result.count} templates to: ${result.outDir}`);
     
     if (parsed.verbose) {
-      // eslint-disable-next-line no-console
-      console.log('\nExported templates:');
+      output.text('\nExported templates:');
       for (const t of result.templates || []) {
-        // eslint-disable-next-line no-console
-        console.log(`  - ${t.templateType}/${t.languageTag} (ID: ${t.id || 'N/A'})`);
-        // eslint-disable-next-line no-console
-        console.log(`    Subject: ${t.details?.subject || 'DeepAcquire'}`);
-        // eslint-disable-next-line no-console
-        console.log(`    Content type: ${t.details?.contentType || 'text/html'}`);
+        output.text(`  - ${t.templateType}/${t.languageTag} (ID: ${t.id || 'N/A'})`);
+        output.text(`    Subject: ${t.details?.subject || 'DeepAcquire'}`);
+        output.text(`    Content type: ${t.details?.contentType || 'text/html'}`);
         if (t.details?.replyTo) {
-          // eslint-disable-next-line no-console
-          console.log(`    Reply to: ${t.details.replyTo}`);
+          output.text(`    Reply to: ${t.details.replyTo}`);
         }
         if (t.details?.sendFrom) {
-          // eslint-disable-next-line no-console
-          console.log(`    Send from: ${t.details.sendFrom}`);
+          output.text(`    Send from: ${t.details.sendFrom}`);
         }
       }
     }
-    process.exit(0);
+
+    // A bundle is one file; folders are <outDir>/<Type>/<lang>
+    const bundle = Boolean(bundleFormatOf(result.outDir));
+    return finish(
+      0,
+      {
+        outDir: result.outDir,
+        count: result.count,
+        templates: (result.templates || []).map((t) => ({
+          key: `${t.templateType}::${t.languageTag}`,
+          templateType: t.templateType,
+          languageTag: t.languageTag,
+          ...(t.id ? { id: t.id } : {}),
+          path: bundle ? result.outDir : path.join(result.outDir, t.templateType, t.languageTag),
+        })),
+      },
+      { list: 'templates', item: 'template' }
+    );
   }
 
   if (parsed.command === 'list') {
@@ -182,9 +1283,8 @@ async function main() {
     });
 
     if (!templates.length) {
-      // eslint-disable-next-line no-console
-      console.log('No email templates found in Logto.');
-      process.exit(0);
+      output.text('No email templates found in Logto.');
+      return finish(0, { count: 0, templates }, { list: 'templates', item: 'template' });
     }
 
     // Group by template type
@@ -196,43 +1296,38 @@ async function main() {
       byType.get(t.templateType).push(t);
     }
 
-    // eslint-disable-next-line no-console
-    console.log(`Found ${templates.length} email template(s) in Logto:\n`);
+    output.text(`Found ${templates.length} email template(s) in Logto:\n`);
 
     for (const [templateType, items] of Array.from(byType.entries()).sort()) {
-      // eslint-disable-next-line no-console
-      console.log(`${templateType}:`);
+      output.text(`${templateType}:`);
       for (const t of items.sort((a, b) => a.languageTag.localeCompare(b.languageTag))) {
-        // eslint-disable-next-line no-console
-        console.log(`  ${t.languageTag.padEnd(8)} | Subject: ${t.subject || '(empty)'}`);
-        // eslint-disable-next-line no-console
-        console.log(`           | Content: ${t.contentType} (${t.contentLength} chars)`);
+        output.text(`  ${t.languageTag.padEnd(8)} | Subject: ${t.subject || '(empty)'}`);
+        output.text(`           | Content: ${t.contentType} (${t.contentLength} chars)`);
         if (t.id) {
-          // eslint-disable-next-line no-console
-          console.log(`           | ID: ${t.id}`);
+          output.text(`           | ID: ${t.id}`);
         }
         if (t.replyTo || t.sendFrom) {
           const extras = [];
           if (t.replyTo) extras.push(`ReplyTo: ${t.replyTo}`);
           if (t.sendFrom) extras.push(`SendFrom: ${t.sendFrom}`);
-          // eslint-disable-next-line no-console
-          console.log(`           | ${extras.join(', ')}`);
+          output.text(`           | ${extras.join(', ')}`);
         }
-        // eslint-disable-next-line no-console
-        console.log('');
+        output.text('');
       }
     }
 
-    process.exit(0);
+    return finish(0, { count: templates.length, templates }, { list: 'templates', item: 'template' });
   }
 
-  throw new Error(`Unknown command: ${parsed.command}`);
+  throw new ConfigError(`Unknown command: ${parsed.command}`);
 }
 
 main().catch((error) => {
+  // Expected failures (config, API, validation) do not need a stack trace
   // eslint-disable-next-line no-console
-  console.error(error?.stack || String(error));
-  process.exit(1);
+  console.error(error instanceof EmailTemplatesError ? error.message : error?.stack || String(error));
+  output.fail({ command, ok: false, exitCode: 1, error: serializeError(error) });
+  output.exit(1);
 });
 
 
@@ -0,0 +1,466 @@
+import { EventEmitter } from 'node:events';
+
+export type ContentType = 'text/html' | 'text/plain';
+
+export interface TemplateDetails {
+  subject: string;
+  content: string;
+  contentType?: ContentType;
+  replyTo?: string;
+  sendFrom?: string;
+}
+
+export interface EmailTemplate {
+  templateType: string;
+  languageTag: string;
+  details: TemplateDetails;
+}
+
+export interface RemoteEmailTemplate extends EmailTemplate {
+  id?: string;
+  [key: string]: unknown;
+}
+
+export type PlanAction = 'create' | 'update' | 'unchanged' | 'remote-only' | 'upsert' | 'delete';
+
+export interface PlanChange {
+  field: keyof TemplateDetails;
+  local: string | undefined;
+  remote: string | undefined;
+}
+
+export interface PlanEntry {
+  action: PlanAction;
+  /** `templateType::languageTag` */
+  key: string;
+  templateType: string;
+  languageTag: string;
+  local: EmailTemplate | null;
+  remote: RemoteEmailTemplate | null;
+  changes: PlanChange[];
+}
+
+export interface TemplateFailure {
+  status?: number;
+  /** Logto error code, e.g. `guard.invalid_input` */
+  code?: string;
+  message: string;
+}
+
+export interface SyncResult extends PlanEntry {
+  dryRun?: true;
+  request?: { method: 'PUT' | 'DELETE' };
+  /** Set when this template's write or delete failed; the others still went through. */
+  error?: TemplateFailure;
+}
+
+export interface ValidationProblem {
+  severity: 'error' | 'warning';
+  key: string | null;
+  file: string;
+  line: number | null;
+  message: string;
+}
+
+export interface Snapshot {
+  id: string;
+  dir: string;
+  createdAt: string;
+  count: number;
+  [key: string]: unknown;
+}
+
+export interface TemplateSummary {
+  id?: string;
+  templateType: string;
+  languageTag: string;
+  subject: string;
+  contentType: string;
+  hasContent: boolean;
+  contentLength: number;
+  replyTo?: string;
+  sendFrom?: string;
+}
+
+export type ProgressEvent =
+  | { stage: 'connected'; tenantId: string }
+  | { stage: 'loaded'; source: string; count: number }
+  | { stage: 'validated'; templates: number; problems: number }
+  | { stage: 'plan'; plan: PlanEntry[] }
+  | { stage: 'snapshot'; snapshot: Snapshot }
+  | { stage: 'write'; count: number }
+  | { stage: 'batch'; count: number }
+  | { stage: 'written'; count: number }
+  | { stage: 'deleted'; key: string }
+  | { stage: 'failed'; key: string; error: TemplateFailure }
+  | { stage: 'exported'; key: string };
+
+export interface LogtoConfig {
+  profile?: string | null;
+  endpoint?: string;
+  tenantId?: string;
+  clientId?: string;
+  clientSecret?: string;
+  /** Default: `<endpoint>/oidc/token` */
+  tokenEndpoint?: string;
+  /** Management API resource indicator (default: `https://<tenantId>.logto.app/api`; OSS: `https://default.logto.app/api`). */
+  apiResource?: string;
+  emailTemplatesPath?: string;
+  /** `local`/`memory`: the offline fake instead of the tenant (default: `logto`). */
+  backend?: 'logto' | 'local' | 'memory';
+  /** Store directory for the `local` backend. */
+  localDir?: string | null;
+}
+
+export interface ClientOptions extends LogtoConfig {
+  /** Ready Management API client; skips authentication. */
+  apiClient?: unknown;
+  /** Retries per request on 429/5xx/network errors (default: 3; 0 disables). */
+  retries?: number;
+}
+
+export interface RetryEvent {
+  method: string;
+  path: string;
+  attempt: number;
+  retries: number;
+  delayMs: number;
+  status?: number;
+  error?: unknown;
+}
+
+export interface ConnectionCheck {
+  name: 'endpoint' | 'credentials' | 'scopes' | 'email-templates';
+  status: 'ok' | 'failed' | 'skipped';
+  message: string;
+  durationMs?: number;
+  [key: string]: unknown;
+}
+
+export interface FilterOptions {
+  onlyTypes?: Iterable<string> | null;
+  onlyLanguages?: Iterable<string> | null;
+}
+
+export interface LoadOptions extends FilterOptions {
+  /** Fill missing languages from others, e.g. `{ 'zh-HK': ['zh-TW', 'en'] }`. */
+  fallbacks?: Record<string, string[]> | null;
+  contentType?: ContentType | null;
+  build?: boolean;
+  inlineCss?: boolean;
+  minify?: boolean;
+}
+
+export interface DiffOptions extends LoadOptions {
+  /** Templates directory or `.json`/`.yaml`/`.yml` bundle (default: `templates`). */
+  source?: string;
+  templates?: EmailTemplate[];
+}
+
+export interface SyncOptions extends DiffOptions {
+  validate?: boolean;
+  dryRun?: boolean;
+  prune?: boolean;
+  confirmPrune?: (entries: PlanEntry[]) => boolean | Promise<boolean>;
+  snapshotsDir?: string | null;
+  /** Templates per PUT request (default: all in one request). */
+  batchSize?: number | null;
+}
+
+export class LogtoEmailTemplatesClient extends EventEmitter {
+  constructor(options?: ClientOptions);
+  static fromEnv(options?: { profile?: string }): LogtoEmailTemplatesClient;
+
+  readonly config: Required<Pick<LogtoConfig, 'emailTemplatesPath'>> & LogtoConfig;
+  apiClient: unknown;
+  retries: number;
+
+  connect(): Promise<unknown>;
+  ping(): Promise<{ ok: boolean; tokenEndpoint: string | null; apiResource: string | null; checks: ConnectionCheck[] }>;
+  loadTemplates(source?: string, options?: LoadOptions): Promise<EmailTemplate[]>;
+  validate(
+    dir?: string,
+    options?: FilterOptions & Pick<LoadOptions, 'fallbacks'>
+  ): Promise<{ ok: boolean; templates: number; problems: ValidationProblem[] }>;
+  diff(options?: DiffOptions): Promise<{ plan: PlanEntry[]; summary: Record<string, number>; drift: boolean }>;
+  sync(options?: SyncOptions): Promise<{
+    dryRun: boolean;
+    results: SyncResult[];
+    summary: Record<string, number>;
+    drift: boolean;
+    snapshot: Snapshot | null;
+  }>;
+  export(options?: { outDir?: string }): Promise<{ count: number; outDir: string; templates: RemoteEmailTemplate[] }>;
+  list(): Promise<TemplateSummary[]>;
+
+  on(event: 'progress', listener: (event: ProgressEvent) => void): this;
+  on(event: 'retry', listener: (event: RetryEvent) => void): this;
+  once(event: 'progress', listener: (event: ProgressEvent) => void): this;
+  once(event: 'retry', listener: (event: RetryEvent) => void): this;
+  off(event: 'progress', listener: (event: ProgressEvent) => void): this;
+  off(event: 'retry', listener: (event: RetryEvent) => void): this;
+}
+
+export class EmailTemplatesError extends Error {
+  constructor(message: string, options?: { code?: string; cause?: unknown });
+  code: string;
+}
+
+export class ConfigError extends EmailTemplatesError {
+  code: 'CONFIG_ERROR';
+}
+
+export class ApiError extends EmailTemplatesError {
+  constructor(message: string, options?: { status?: number; data?: unknown; cause?: unknown });
+  code: 'API_ERROR';
+  status?: number;
+  data?: unknown;
+}
+
+export class ValidationError extends EmailTemplatesError {
+  constructor(message: string, options?: { problems?: ValidationProblem[] });
+  code: 'VALIDATION_ERROR';
+  problems: ValidationProblem[];
+}
+
+export class AbortedError extends EmailTemplatesError {
+  constructor(message: string);
+  code: 'ABORTED';
+}
+
+export interface TemplateStore {
+  /** `memory` or the path of `email-templates.json` */
+  location: string;
+  read(): Promise<RemoteEmailTemplate[]>;
+  write(rows: RemoteEmailTemplate[]): Promise<void>;
+}
+
+export interface LocalBackendOptions {
+  /** Keep templates in `<dir>/email-templates.json` (default: memory). */
+  dir?: string | null;
+  store?: TemplateStore;
+  emailTemplatesPath?: string;
+  tenantId?: string;
+}
+
+/** Management API client backed by the offline fake (same `GET`/`PUT`/`DELETE` interface as the SDK's). */
+export function createLocalApiClient(options?: LocalBackendOptions): {
+  store: TemplateStore;
+  GET(path: string, init?: { params?: { query?: Record<string, string>; path?: Record<string, string> } }): Promise<unknown>;
+  PUT(path: string, init?: { body?: unknown; params?: { path?: Record<string, string> } }): Promise<unknown>;
+  DELETE(path: string, init?: { params?: { query?: Record<string, string>; path?: Record<string, string> } }): Promise<unknown>;
+};
+
+export interface MockRequest {
+  method: string;
+  path: string;
+  status: number;
+}
+
+export interface MockLogtoServer {
+  url: string;
+  store: TemplateStore;
+  /** Every request served so far. */
+  requests: MockRequest[];
+  /** Answer the next `count` API requests (of `method`, if given) with `status`. */
+  failNext(options: { status: number; count?: number; method?: string; retryAfter?: number }): void;
+  close(): Promise<void>;
+}
+
+/** Mock Management API (`/oidc/token` + email templates) for end-to-end tests; point `endpoint` at `url`. */
+export function startMockLogtoServer(
+  options?: LocalBackendOptions & {
+    port?: number;
+    host?: string;
+    /** Only issue tokens to this M2M app (default: any). */
+    clientId?: string | null;
+    clientSecret?: string | null;
+    tokenTtlSeconds?: number;
+    onRequest?: (request: MockRequest) => void;
+  }
+): Promise<MockLogtoServer>;
+
+export type LintSeverity = 'error' | 'warning' | 'info';
+
+export type LintRule =
+  | 'css-support'
+  | 'body-style'
+  | 'html-elements'
+  | 'img-alt'
+  | 'img-size'
+  | 'img-remote'
+  | 'links'
+  | 'size'
+  | 'lang-dir'
+  | 'subject-length'
+  | 'subject-encoding'
+  | 'encoding';
+
+export interface LintProblem {
+  severity: LintSeverity;
+  rule: LintRule;
+  key: string;
+  /** Subject or content file of the template (null for bundles). */
+  file: string | null;
+  message: string;
+}
+
+export const LINT_RULES: Record<LintRule, { severity: LintSeverity; description: string }>;
+
+/** Email-client compatibility and deliverability checks on loaded templates (no API calls). */
+export function lintEmailTemplates(
+  templates: EmailTemplate[],
+  options?: { rules?: Partial<Record<LintRule, LintSeverity | 'off'>> }
+): { templates: number; problems: LintProblem[] };
+
+/** Prefix that `addLanguage` / `createTemplateType` put on copy that still needs a translation. */
+export const UNTRANSLATED_MARKER: '[untranslated]';
+
+export interface ScaffoldedTemplate {
+  key: string;
+  dir: string;
+}
+
+/**
+ * Copy every template type's `from` language folder (default: `en`) to a new language, with
+ * `lang`/`dir` set and the copied strings marked. Throws `AbortedError` when a target folder exists.
+ */
+export function addLanguage(
+  templatesDir: string,
+  languageTag: string,
+  options?: { from?: string }
+): Promise<{
+  languageTag: string;
+  from: string;
+  templates: ScaffoldedTemplate[];
+  partialsDir: string | null;
+  files: string[];
+  /** Types without a `from` folder. */
+  skippedTypes: string[];
+  /** A language tag warning (non-canonical, or unknown to Logto). */
+  warning: string | null;
+}>;
+
+/**
+ * Starter templates for a Logto template type in every language in use (or `languages`).
+ * Throws `AbortedError` when the type folder exists.
+ */
+export function createTemplateType(
+  templatesDir: string,
+  templateType: string,
+  options?: { languages?: string[] | null }
+): Promise<{ templateType: string; languages: string[]; templates: ScaffoldedTemplate[]; files: string[] }>;
+
+export const TRANSLATION_FORMATS: readonly ['xliff', 'po'];
+export type TranslationFormat = (typeof TRANSLATION_FORMATS)[number];
+
+/**
+ * `unapplied`: the exchange file has a translation the templates do not have yet;
+ * `stale`: the source changed since it was translated, or the translation is flagged for review.
+ */
+export const TRANSLATION_STATES: readonly ['translated', 'untranslated', 'stale', 'unapplied'];
+export type TranslationState = (typeof TRANSLATION_STATES)[number];
+
+export interface TranslationOptions {
+  /** Source language (default: `en`). */
+  from?: string;
+  /** Where the exchange files live (default: `i18n`). */
+  i18nDir?: string;
+  onlyTypes?: Set<string> | null;
+  /** Target languages (default: every language folder). */
+  onlyLanguages?: Set<string> | null;
+}
+
+export interface TranslationCounts {
+  units: number;
+  translated: number;
+  untranslated: number;
+  stale: number;
+  unapplied: number;
+}
+
+/**
+ * Write one XLIFF 2.0 or PO file per target language with every translatable string of the
+ * source templates. Throws `AbortedError` when an existing file has translations that were not applied.
+ */
+export function extractTranslations(
+  templatesDir: string,
+  options?: TranslationOptions & { format?: TranslationFormat }
+): Promise<{
+  format: TranslationFormat;
+  sourceLanguage: string;
+  dir: string;
+  files: Array<TranslationCounts & { languageTag: string; file: string }>;
+}>;
+
+/** Merge translations from exchange files into the language folders, keeping markup and placeholders. */
+export function applyTranslations(
+  templatesDir: string,
+  options?: TranslationOptions & { files?: string[] | null; dryRun?: boolean }
+): Promise<{
+  dryRun: boolean;
+  applied: number;
+  unchanged: number;
+  untranslated: number;
+  /** Translations flagged `fuzzy` (PO) or `state="initial"` (XLIFF). */
+  review: number;
+  files: Array<{ languageTag: string; file: string; units: number }>;
+  problems: Array<{ severity: 'error' | 'warning'; file: string; id: string | null; message: string }>;
+}>;
+
+export function translationStatus(
+  templatesDir: string,
+  options?: TranslationOptions & { format?: TranslationFormat }
+): Promise<{
+  sourceLanguage: string;
+  languages: Array<TranslationCounts & { languageTag: string; file: string | null }>;
+  /** Every string that is not `translated`. */
+  units: Array<{ languageTag: string; id: string; state: TranslationState; file: string; source: string }>;
+}>;
+
+export interface TranslationPart {
+  text?: string;
+  /** Markup or a placeholder that must come back unchanged. */
+  code?: string;
+}
+
+export function readTranslationFile(file: string): Promise<{
+  format: TranslationFormat;
+  sourceLanguage: string | null;
+  targetLanguage: string | null;
+  units: Map<
+    string,
+    {
+      source: string;
+      target: string | null;
+      targetParts: TranslationPart[] | null;
+      needsReview: boolean;
+      previousSource: string | null;
+    }
+  >;
+}>;
+
+export const COVERAGE_STATES: readonly ['identical', 'differs', 'local-only', 'remote-only', 'missing'];
+export type CoverageState = (typeof COVERAGE_STATES)[number];
+export const COVERAGE_FORMATS: readonly ['text', 'markdown', 'html'];
+
+export interface CoverageMatrix {
+  templateTypes: string[];
+  languages: string[];
+  rows: Array<{ templateType: string; cells: Record<string, { state: CoverageState; fallbackFrom?: string }> }>;
+  counts: Record<CoverageState, number>;
+}
+
+/** Template type × language grid from a plan (`client.diff()`); every Logto type is a row by default. */
+export function buildCoverageMatrix(
+  plan: PlanEntry[],
+  options?: { templateTypes?: string[]; languages?: string[] }
+): CoverageMatrix;
+
+export function formatCoverageMatrix(matrix: CoverageMatrix, format?: (typeof COVERAGE_FORMATS)[number]): string;
+
+export function checkLanguageTag(tag: string): { severity: 'error' | 'warning'; message: string } | null;
+
+export function loadConfigFromEnv(options?: { profile?: string | null }): Required<
+  Omit<LogtoConfig, 'profile'>
+> & { profile: string | null };
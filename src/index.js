@@ -0,0 +1,316 @@
+import { EventEmitter } from 'node:events';
+
+import { DEFAULT_RETRIES, withRetries } from './lib/apiRetry.js';
+import { createApiClient } from './lib/backend.js';
+import { checkConnection } from './lib/connectionCheck.js';
+import {
+  diffEmailTemplates,
+  exportEmailTemplates,
+  listEmailTemplatesSummary,
+  syncEmailTemplates,
+} from './lib/emailTemplatesApi.js';
+import { bundleFormatOf } from './lib/bundle.js';
+import { loadConfigFromEnv } from './lib/env.js';
+import { ApiError, ConfigError, EmailTemplatesError, ValidationError } from './lib/errors.js';
+import { loadTemplateSource } from './lib/templateSource.js';
+import { hasDrift, summarizePlan } from './lib/templatesPlan.js';
+import { validateLocalEmailTemplates } from './lib/templatesValidate.js';
+
+export {
+  AbortedError,
+  ApiError,
+  ConfigError,
+  EmailTemplatesError,
+  ValidationError,
+} from './lib/errors.js';
+export { loadConfigFromEnv } from './lib/env.js';
+export { LINT_RULES, lintEmailTemplates } from './lib/emailLint.js';
+export { COVERAGE_FORMATS, COVERAGE_STATES, buildCoverageMatrix, formatCoverageMatrix } from './lib/coverage.js';
+export { checkLanguageTag } from './lib/languages.js';
+export { createLocalApiClient } from './lib/localBackend.js';
+export { UNTRANSLATED_MARKER, addLanguage, createTemplateType } from './lib/scaffold.js';
+export {
+  TRANSLATION_FORMATS,
+  TRANSLATION_STATES,
+  applyTranslations,
+  extractTranslations,
+  readTranslationFile,
+  translationStatus,
+} from './lib/translations.js';
+export { startMockLogtoServer } from './lib/mockLogtoServer.js';
+
+function toSet(value) {
+  if (!value) return null;
+  const set = new Set(value);
+  return set.size ? set : null;
+}
+
+function summarizeResults(results) {
+  const summary = summarizePlan(results);
+  const upserts = results.filter((r) => r.action === 'upsert').length;
+  if (upserts) summary.upsert = upserts;
+  const failed = results.filter((r) => r.error).length;
+  if (failed) summary.failed = failed;
+  return summary;
+}
+
+/**
+ * Programmatic counterpart of the CLI. Methods return plain result objects, report
+ * progress through `progress` events (`{ stage, ... }`) and never print or exit.
+ * Errors are instances of `EmailTemplatesError` (`ConfigError`, `ApiError`,
+ * `ValidationError`, `AbortedError`). Requests are retried on 429/5xx/network errors
+ * (`retry` events); templates that still fail are listed on the sync result.
+ *
+ * @example
+ * const client = LogtoEmailTemplatesClient.fromEnv({ profile: 'staging' });
+ * client.on('progress', (event) => log.debug(event.stage));
+ * const { summary } = await client.sync({ source: 'templates', dryRun: true });
+ */
+export class LogtoEmailTemplatesClient extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} [options.endpoint] - Logto endpoint (default: `https://<tenantId>.logto.app`;
+   *   informational when `apiClient` is given)
+   * @param {string} [options.tenantId] - Logto tenant ID (`default` for Logto OSS)
+   * @param {string} [options.clientId] - M2M client ID
+   * @param {string} [options.clientSecret] - M2M client secret
+   * @param {string} [options.tokenEndpoint] - Default: `<endpoint>/oidc/token`
+   * @param {string} [options.apiResource] - Management API resource indicator
+   *   (default: `https://<tenantId>.logto.app/api`)
+   * @param {string} [options.emailTemplatesPath] - Email templates path under `/api` (default: email-templates)
+   * @param {'logto'|'local'|'memory'} [options.backend] - Offline fake instead of the tenant (default: logto)
+   * @param {string} [options.localDir] - Store directory for the local backend (default: .logto-local)
+   * @param {any} [options.apiClient] - Ready Management API client; skips authentication
+   * @param {number} [options.retries] - Retries per request on 429/5xx/network errors (default: 3)
+   */
+  constructor({
+    endpoint,
+    tenantId,
+    clientId,
+    clientSecret,
+    tokenEndpoint,
+    apiResource,
+    emailTemplatesPath = 'email-templates',
+    backend = 'logto',
+    localDir = '.logto-local',
+    apiClient = null,
+    retries = DEFAULT_RETRIES,
+  } = {}) {
+    super();
+    this.retries = retries;
+    this.config = {
+      endpoint: endpoint ? String(endpoint).replace(/\/+$/, '') : tenantId && `https://${tenantId}.logto.app`,
+      tenantId,
+      clientId,
+      clientSecret,
+      tokenEndpoint,
+      apiResource,
+      emailTemplatesPath: String(emailTemplatesPath).replace(/^\/+|\/+$/g, ''),
+      backend,
+      localDir,
+    };
+    this.apiClient = this.#withRetries(apiClient);
+  }
+
+  /**
+   * Create a client from `LOGTO_*` env vars (see `loadConfigFromEnv`).
+   * @param {Object} [options]
+   * @param {string} [options.profile] - Read `LOGTO_<PROFILE>_*` instead
+   * @returns {LogtoEmailTemplatesClient}
+   */
+  static fromEnv({ profile } = {}) {
+    return new LogtoEmailTemplatesClient(loadConfigFromEnv({ profile }));
+  }
+
+  #progress(event) {
+    this.emit('progress', event);
+  }
+
+  #withRetries(apiClient) {
+    return withRetries(apiClient, {
+      retries: this.retries,
+      onRetry: (info) => this.emit('retry', info),
+    });
+  }
+
+  /**
+   * Authenticate (once) and return the Management API client.
+   * @returns {Promise<any>}
+   */
+  async connect() {
+    if (this.apiClient) return this.apiClient;
+
+    const { tenantId, clientId, clientSecret, backend } = this.config;
+    if (backend === 'logto' && (!tenantId || !clientId || !clientSecret)) {
+      throw new ConfigError('tenantId, clientId and clientSecret are required to connect');
+    }
+    try {
+      const { apiClient } = await createApiClient(this.config);
+      this.apiClient = this.#withRetries(apiClient);
+    } catch (error) {
+      // Typed errors (a bad config, a rejected token request) keep their class
+      if (error instanceof EmailTemplatesError) throw error;
+      throw new ApiError(`Failed to authenticate with Logto: ${error?.message || String(error)}`, {
+        status: error?.status,
+        cause: error,
+      });
+    }
+    this.#progress({ stage: 'connected', tenantId });
+    return this.apiClient;
+  }
+
+  /**
+   * Check the endpoint, credentials, token scopes and the email templates endpoint without
+   * changing anything (see `whoami` in the CLI). Failed checks are reported, not thrown.
+   * @returns {Promise<{ok: boolean, tokenEndpoint: string, apiResource: string, checks: Array}>}
+   */
+  async ping() {
+    if (this.config.backend !== 'logto') {
+      return { ok: true, tokenEndpoint: null, apiResource: null, checks: [] };
+    }
+    const { tenantId, clientId, clientSecret } = this.config;
+    if (!tenantId || !clientId || !clientSecret) {
+      throw new ConfigError('tenantId, clientId and clientSecret are required to connect');
+    }
+    return checkConnection(this.config);
+  }
+
+  /**
+   * Load templates from a templates directory or a bundle file.
+   * @param {string} [source] - Default: `templates`
+   * @param {Object} [options] - `onlyTypes`, `onlyLanguages`, `fallbacks`, `contentType`, `build`, `inlineCss`, `minify`
+   * @returns {Promise<Array>}
+   */
+  async loadTemplates(source = 'templates', options = {}) {
+    const templates = await loadTemplateSource(source, {
+      ...options,
+      onlyTypes: toSet(options.onlyTypes),
+      onlyLanguages: toSet(options.onlyLanguages),
+    });
+    this.#progress({ stage: 'loaded', source, count: templates.length });
+    return templates;
+  }
+
+  /**
+   * Validate a templates directory (no API calls).
+   * @param {string} [dir] - Default: `templates`
+   * @param {Object} [options] - `onlyTypes`, `onlyLanguages`, `fallbacks`
+   * @returns {Promise<{ok: boolean, templates: number, problems: Array}>}
+   */
+  async validate(dir = 'templates', { onlyTypes, onlyLanguages, fallbacks } = {}) {
+    const { templates, problems } = await validateLocalEmailTemplates(dir, {
+      onlyTypes: toSet(onlyTypes),
+      onlyLanguages: toSet(onlyLanguages),
+      fallbacks,
+    });
+    this.#progress({ stage: 'validated', templates, problems: problems.length });
+    return { ok: !problems.some((p) => p.severity === 'error'), templates, problems };
+  }
+
+  /**
+   * Compare local templates with the tenant.
+   * @param {Object} [options] - `source` or `templates`, plus the `loadTemplates` options
+   * @returns {Promise<{plan: Array, summary: Record<string, number>, drift: boolean}>}
+   */
+  async diff({ source = 'templates', templates, ...options } = {}) {
+    const localTemplates = templates || (await this.loadTemplates(source, options));
+    const plan = await diffEmailTemplates({
+      apiClient: await this.connect(),
+      emailTemplatesPath: this.config.emailTemplatesPath,
+      localTemplates,
+      onlyTypes: toSet(options.onlyTypes),
+      onlyLanguages: toSet(options.onlyLanguages),
+    });
+    return { plan, summary: summarizePlan(plan), drift: hasDrift(plan) };
+  }
+
+  /**
+   * Push local templates to the tenant. A templates directory is validated first
+   * (`validate: false` to skip); errors throw `ValidationError` before any API call.
+   * @param {Object} [options]
+   * @param {string} [options.source] - Templates directory or bundle file (default: `templates`)
+   * @param {Array} [options.templates] - Already loaded templates (instead of `source`)
+   * @param {boolean} [options.validate] - Default: true
+   * @param {boolean} [options.dryRun] - Only plan
+   * @param {boolean} [options.prune] - Delete remote templates that are not in the source
+   * @param {(entries: Array) => Promise<boolean>} [options.confirmPrune] - Approve deletions
+   * @param {string|null} [options.snapshotsDir] - Snapshot the remote templates here first
+   * @param {number|null} [options.batchSize] - Templates per PUT request (default: all)
+   * @returns {Promise<{dryRun: boolean, results: Array, summary: Record<string, number>, drift: boolean, snapshot: Object|null}>}
+   */
+  async sync({
+    source = 'templates',
+    templates,
+    validate = true,
+    dryRun = false,
+    prune = false,
+    confirmPrune,
+    snapshotsDir = null,
+    batchSize = null,
+    ...options
+  } = {}) {
+    if (!templates && validate && !bundleFormatOf(source)) {
+      const { ok, problems } = await this.validate(source, options);
+      if (!ok) {
+        const errors = problems.filter((p) => p.severity === 'error');
+        throw new ValidationError(`Validation failed with ${errors.length} error(s); nothing was synced`, {
+          problems,
+        });
+      }
+    }
+
+    const localTemplates = templates || (await this.loadTemplates(source, options));
+    let snapshot = null;
+    const results = await syncEmailTemplates({
+      apiClient: await this.connect(),
+      emailTemplatesPath: this.config.emailTemplatesPath,
+      localTemplates,
+      onlyTypes: toSet(options.onlyTypes),
+      onlyLanguages: toSet(options.onlyLanguages),
+      prune,
+      confirmPrune,
+      snapshotsDir,
+      snapshotInfo: {
+        reason: 'sync',
+        endpoint: this.config.endpoint,
+        tenantId: this.config.tenantId,
+        emailTemplatesPath: this.config.emailTemplatesPath,
+      },
+      onSnapshot: (written) => {
+        snapshot = written;
+      },
+      batchSize,
+      onProgress: (event) => this.#progress(event),
+      dryRun,
+    });
+
+    return { dryRun, results, summary: summarizeResults(results), drift: hasDrift(results), snapshot };
+  }
+
+  /**
+   * Download the tenant's templates into folders, or a bundle file when `outDir`
+   * ends in `.json`/`.yaml`/`.yml`.
+   * @param {Object} [options]
+   * @param {string} [options.outDir] - Default: `exported-templates`
+   * @returns {Promise<{count: number, outDir: string, templates: Array}>}
+   */
+  async export({ outDir = 'exported-templates' } = {}) {
+    return exportEmailTemplates({
+      apiClient: await this.connect(),
+      emailTemplatesPath: this.config.emailTemplatesPath,
+      outDir,
+      onProgress: (event) => this.#progress(event),
+    });
+  }
+
+  /**
+   * Summaries of the tenant's templates.
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    return listEmailTemplatesSummary({
+      apiClient: await this.connect(),
+      emailTemplatesPath: this.config.emailTemplatesPath,
+    });
+  }
+}
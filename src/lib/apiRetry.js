@@ -0,0 +1,120 @@
+/**
+ * Retries for Management API calls.
+ *
+ * `withRetries` wraps a client so every GET/PUT/DELETE is retried on 429, 5xx and network
+ * errors, with exponential backoff (full jitter) or the server's `Retry-After`. PUT and
+ * DELETE on email templates are idempotent, so repeating them is safe; POST and PATCH are
+ * not, and pass through without retries.
+ */
+
+export const DEFAULT_RETRIES = 3;
+
+const METHODS = ['GET', 'PUT', 'DELETE'];
+const WRAPPED = Symbol('withRetries');
+
+/**
+ * HTTP status of a client response (`{ data, error, response }`) or a thrown error.
+ * @param {any} value
+ * @returns {number|undefined}
+ */
+export function responseStatus(value) {
+  return value?.status || value?.response?.status || undefined;
+}
+
+// Thrown without an HTTP status: connection reset, DNS, timeout, `fetch failed`, …
+function isNetworkError(error) {
+  if (responseStatus(error)) return false;
+  const code = error?.code || error?.cause?.code;
+  return Boolean(code) || /fetch failed|network|socket|timed? ?out/i.test(String(error?.message || ''));
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Delay requested by a `Retry-After` header (seconds or HTTP date), if any.
+ * @param {any} value - Response or thrown error
+ * @param {number} [now]
+ * @returns {number|null} Milliseconds
+ */
+export function retryAfterMs(value, now = Date.now()) {
+  const headers = value?.response?.headers || value?.headers;
+  const header = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay up to `minDelayMs * 2^attempt`.
+ * @param {number} attempt - 0 for the first retry
+ * @param {Object} [options]
+ * @param {number} [options.minDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @returns {number}
+ */
+export function backoffDelay(attempt, { minDelayMs = 500, maxDelayMs = 30_000 } = {}) {
+  const ceiling = Math.min(maxDelayMs, minDelayMs * 2 ** attempt);
+  return Math.round(minDelayMs / 2 + Math.random() * (ceiling - minDelayMs / 2));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Wrap a Management API client so its requests are retried.
+ * The last response is returned as it is (error statuses included) and the last
+ * network error is rethrown, so callers handle failures the same way as without retries.
+ * @param {any} apiClient
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Retries after the first attempt (default: 3; 0 disables)
+ * @param {number} [options.minDelayMs] - First backoff step (default: 500)
+ * @param {number} [options.maxDelayMs] - Backoff cap (default: 30000)
+ * @param {(info: {method: string, path: string, attempt: number, retries: number, delayMs: number, status?: number, error?: unknown}) => void} [options.onRetry]
+ * @param {(ms: number) => Promise<void>} [options.sleep] - For tests
+ * @returns {any} Client with the same interface
+ */
+export function withRetries(
+  apiClient,
+  { retries = DEFAULT_RETRIES, minDelayMs = 500, maxDelayMs = 30_000, onRetry, sleep: wait = sleep } = {}
+) {
+  if (!apiClient || apiClient[WRAPPED] || !retries) return apiClient;
+
+  const wrapped = Object.create(apiClient);
+  wrapped[WRAPPED] = true;
+
+  for (const method of METHODS) {
+    if (typeof apiClient[method] !== 'function') continue;
+
+    wrapped[method] = async (requestPath, ...rest) => {
+      for (let attempt = 0; ; attempt += 1) {
+        let response;
+        let error;
+        try {
+          response = await apiClient[method](requestPath, ...rest);
+        } catch (thrown) {
+          error = thrown;
+        }
+
+        const status = responseStatus(error || response);
+        const retryable = error ? isNetworkError(error) || isRetryableStatus(status) : isRetryableStatus(status);
+        if (!retryable || attempt >= retries) {
+          if (error) throw error;
+          return response;
+        }
+
+        const delayMs = retryAfterMs(error || response) ?? backoffDelay(attempt, { minDelayMs, maxDelayMs });
+        if (onRetry) onRetry({ method, path: requestPath, attempt: attempt + 1, retries, delayMs, status, error });
+        await wait(delayMs);
+      }
+    };
+  }
+  return wrapped;
+}
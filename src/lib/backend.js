@@ -0,0 +1,41 @@
+import { ConfigError } from './errors.js';
+import { createLocalApiClient, createTemplateStore } from './localBackend.js';
+
+/**
+ * Where Management API calls go (`LOGTO_BACKEND`):
+ * - `logto`  the tenant's Management API, authenticated with the M2M app (default)
+ * - `local`  the offline fake (see `localBackend.js`), stored in `LOGTO_LOCAL_DIR`
+ * - `memory` the offline fake, kept in memory until the process exits
+ */
+export const BACKENDS = ['logto', 'local', 'memory'];
+
+// One in-memory store per profile, so `promote` between two memory profiles has two tenants
+const memoryStores = new Map();
+
+function memoryStore(key) {
+  if (!memoryStores.has(key)) memoryStores.set(key, createTemplateStore());
+  return memoryStores.get(key);
+}
+
+/**
+ * Create the Management API client for a config from `loadConfigFromEnv`.
+ * @param {Object} config
+ * @param {string} [config.backend] - logto (default), local or memory
+ * @param {string} [config.localDir] - Store directory for the local backend
+ * @returns {Promise<{apiClient: any, accessToken: string|null}>}
+ * @throws {ConfigError} On an unknown backend
+ */
+export async function createApiClient(config) {
+  const { backend = 'logto', emailTemplatesPath, tenantId } = config;
+  if (!BACKENDS.includes(backend)) {
+    throw new ConfigError(`Invalid backend: "${backend}" (use ${BACKENDS.join(', ')})`);
+  }
+  if (backend === 'local' || backend === 'memory') {
+    const store = backend === 'local' ? createTemplateStore(config.localDir) : memoryStore(config.profile || '');
+    return { apiClient: createLocalApiClient({ store, emailTemplatesPath, tenantId }), accessToken: null };
+  }
+
+  // Loaded on demand so offline runs do not need the Logto SDK installed
+  const { createLogtoApiClient } = await import('./logtoAuth.js');
+  return createLogtoApiClient(config);
+}
@@ -0,0 +1,109 @@
+import { inlineCss } from './cssInline.js';
+import { tokenizeHtml } from './html.js';
+
+// Whitespace next to these tags never renders, so it can be dropped
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'br', 'center', 'div', 'dl', 'dd', 'dt',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'header', 'hr', 'html', 'li',
+  'link', 'main', 'meta', 'nav', 'ol', 'p', 'section', 'style', 'table', 'tbody', 'td', 'tfoot',
+  'th', 'thead', 'title', 'tr', 'ul',
+]);
+
+const PRESERVE_WHITESPACE = new Set(['pre', 'textarea']);
+
+function minifyCss(css) {
+  return css
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([{};,>])\s*/g, '$1')
+    .replace(/:\s+/g, ':')
+    .replace(/;}/g, '}')
+    .trim();
+}
+
+function isBlockBoundary(token) {
+  if (!token) return true;
+  if (token.type === 'comment' || token.type === 'doctype') return true;
+  return (token.type === 'open' || token.type === 'close') && BLOCK_ELEMENTS.has(token.name);
+}
+
+/**
+ * Collapse insignificant whitespace and drop comments (conditional comments are kept).
+ * @param {string} html
+ * @returns {string}
+ */
+export function minifyHtml(html) {
+  const tokens = tokenizeHtml(html);
+  const out = [];
+  let preserveDepth = 0;
+  let inStyle = false;
+
+  tokens.forEach((token, index) => {
+    if (token.type === 'comment') {
+      if (/^<!--\[if/i.test(token.raw)) out.push(token.raw);
+      return;
+    }
+
+    if (token.type === 'open') {
+      if (PRESERVE_WHITESPACE.has(token.name) && !token.selfClosing) preserveDepth += 1;
+      if (token.name === 'style') inStyle = true;
+      out.push(token.raw.replace(/\s+/g, ' ').replace(/\s+(\/?>)$/, '$1'));
+      return;
+    }
+
+    if (token.type === 'close') {
+      if (PRESERVE_WHITESPACE.has(token.name)) preserveDepth = Math.max(0, preserveDepth - 1);
+      if (token.name === 'style') inStyle = false;
+      out.push(token.raw);
+      return;
+    }
+
+    if (token.type !== 'text' || preserveDepth) {
+      out.push(token.raw);
+      return;
+    }
+
+    if (inStyle) {
+      out.push(minifyCss(token.raw));
+      return;
+    }
+
+    let text = token.raw.replace(/\s+/g, ' ');
+    if (isBlockBoundary(tokens[index - 1])) text = text.replace(/^ /, '');
+    if (isBlockBoundary(tokens[index + 1])) text = text.replace(/ $/, '');
+    if (text) out.push(text);
+  });
+
+  return out.join('');
+}
+
+/**
+ * Optional build step between `loadLocalEmailTemplates` and `syncEmailTemplates`.
+ * Only `text/html` templates are processed; others pass through.
+ * @param {Array} templates - Output of `loadLocalEmailTemplates`
+ * @param {Object} [options]
+ * @param {boolean} [options.inlineCss] - Inline `<style>` rules into `style` attributes (default: true)
+ * @param {boolean} [options.minify] - Collapse whitespace and drop comments (default: true)
+ * @returns {Array} Templates with processed `details.content` and
+ *   `_build: { originalBytes, bytes }`
+ */
+export function buildEmailTemplates(templates, { inlineCss: inline = true, minify = true } = {}) {
+  return templates.map((template) => {
+    const original = template.details.content;
+    let content = original;
+
+    if ((template.details.contentType || 'text/html') === 'text/html') {
+      if (inline) content = inlineCss(content);
+      if (minify) content = minifyHtml(content);
+    }
+
+    return {
+      ...template,
+      details: { ...template.details, content },
+      _build: {
+        originalBytes: Buffer.byteLength(original, 'utf8'),
+        bytes: Buffer.byteLength(content, 'utf8'),
+      },
+    };
+  });
+}
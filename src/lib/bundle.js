@@ -0,0 +1,169 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { ConfigError } from './errors.js';
+import { COMPARED_FIELDS, makeTemplateKey } from './templatesPlan.js';
+import { parseYaml, stringifyYaml } from './yaml.js';
+
+/**
+ * Single-file bundle of email templates (JSON or YAML, chosen by file extension):
+ *
+ * format: logto-email-templates-bundle
+ * version: 1
+ * templates:
+ *   - templateType: SignIn
+ *     languageTag: en
+ *     hash: sha256:…        (of `details`, see `hashTemplateDetails`)
+ *     details: { subject, content, contentType, replyTo?, sendFrom? }
+ *
+ * Templates are sorted by `templateType::languageTag` so bundles diff cleanly.
+ */
+
+export const BUNDLE_FORMAT = 'logto-email-templates-bundle';
+export const BUNDLE_VERSION = 1;
+
+const BUNDLE_EXTENSIONS = new Map([
+  ['.json', 'json'],
+  ['.yaml', 'yaml'],
+  ['.yml', 'yaml'],
+]);
+
+/**
+ * Bundle format for a path (`json`/`yaml`), or null when it is not a bundle file name.
+ * @param {string} filePath
+ * @returns {'json'|'yaml'|null}
+ */
+export function bundleFormatOf(filePath) {
+  return BUNDLE_EXTENSIONS.get(path.extname(String(filePath || '')).toLowerCase()) || null;
+}
+
+function pickDetails(details) {
+  const out = {};
+  for (const field of COMPARED_FIELDS) {
+    if (details?.[field] != null) out[field] = details[field];
+  }
+  return out;
+}
+
+/**
+ * Content hash of a template's details (field order and absent fields do not matter).
+ * @param {Object} details
+ * @returns {string} `sha256:<hex>`
+ */
+export function hashTemplateDetails(details) {
+  const canonical = JSON.stringify(COMPARED_FIELDS.map((field) => [field, details?.[field] ?? null]));
+  return `sha256:${crypto.createHash('sha256').update(canonical, 'utf8').digest('hex')}`;
+}
+
+/**
+ * Build a bundle object from loaded (or remote) templates.
+ * @param {Array<{templateType: string, languageTag: string, details: Object}>} templates
+ * @returns {{format: string, version: number, templates: Array}}
+ */
+export function createBundle(templates) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    templates: templates
+      .filter((t) => t?.templateType && t?.languageTag && t?.details)
+      .map((t) => {
+        const details = pickDetails(t.details);
+        return {
+          templateType: t.templateType,
+          languageTag: t.languageTag,
+          hash: hashTemplateDetails(details),
+          details,
+        };
+      })
+      .sort((a, b) =>
+        makeTemplateKey(a.templateType, a.languageTag).localeCompare(makeTemplateKey(b.templateType, b.languageTag))
+      ),
+  };
+}
+
+/**
+ * Check a parsed bundle and return its templates in the `loadLocalEmailTemplates` shape.
+ * A template whose hash does not match its details is rejected (edited without re-packing).
+ * @param {any} bundle
+ * @param {string} [source] - File name for error messages
+ * @returns {Array<{templateType: string, languageTag: string, details: Object, hash: string}>}
+ */
+export function readBundleTemplates(bundle, source = 'bundle') {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    throw new ConfigError(`${source}: not a template bundle (expected format: ${BUNDLE_FORMAT})`);
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    throw new ConfigError(`${source}: unsupported bundle version ${bundle.version} (supported: ${BUNDLE_VERSION})`);
+  }
+  if (!Array.isArray(bundle.templates)) {
+    throw new ConfigError(`${source}: "templates" must be a list`);
+  }
+
+  const seen = new Set();
+  return bundle.templates.map((t, index) => {
+    if (!t || typeof t.templateType !== 'string' || typeof t.languageTag !== 'string') {
+      throw new ConfigError(`${source}: templates[${index}] needs templateType and languageTag`);
+    }
+    const key = makeTemplateKey(t.templateType, t.languageTag);
+    if (seen.has(key)) throw new ConfigError(`${source}: duplicate template ${key}`);
+    seen.add(key);
+
+    if (!t.details || typeof t.details !== 'object' || typeof t.details.subject !== 'string' || typeof t.details.content !== 'string') {
+      throw new ConfigError(`${source}: ${key} needs details.subject and details.content`);
+    }
+    const details = pickDetails(t.details);
+    const hash = hashTemplateDetails(details);
+    if (t.hash && t.hash !== hash) {
+      throw new ConfigError(`${source}: hash mismatch for ${key} (was the bundle edited without re-packing?)`);
+    }
+
+    return { templateType: t.templateType, languageTag: t.languageTag, details, hash };
+  });
+}
+
+/**
+ * Write templates to a bundle file; the format follows the extension (`.json`, `.yaml`, `.yml`).
+ * @param {string} filePath
+ * @param {Array} templates - Output of `loadLocalEmailTemplates` or `listEmailTemplates`
+ * @returns {Promise<{file: string, count: number}>}
+ */
+export async function writeBundle(filePath, templates) {
+  const format = bundleFormatOf(filePath);
+  if (!format) throw new ConfigError(`Bundle file must end in .json, .yaml or .yml: ${filePath}`);
+
+  const bundle = createBundle(templates);
+  const text = format === 'yaml' ? stringifyYaml(bundle) : `${JSON.stringify(bundle, null, 2)}\n`;
+
+  const file = path.resolve(filePath);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, text, 'utf8');
+  return { file, count: bundle.templates.length };
+}
+
+/**
+ * Read a bundle file written by `writeBundle`.
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {Set<string>|null} [options.onlyTypes]
+ * @param {Set<string>|null} [options.onlyLanguages]
+ * @returns {Promise<Array<{templateType: string, languageTag: string, details: Object, hash: string, _source: {bundle: string}}>>}
+ */
+export async function readBundle(filePath, { onlyTypes = null, onlyLanguages = null } = {}) {
+  const format = bundleFormatOf(filePath);
+  if (!format) throw new ConfigError(`Bundle file must end in .json, .yaml or .yml: ${filePath}`);
+
+  const file = path.resolve(filePath);
+  const text = await fs.readFile(file, 'utf8');
+  let bundle;
+  try {
+    bundle = format === 'yaml' ? parseYaml(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError(`${filePath}: ${error.message}`, { cause: error });
+  }
+
+  return readBundleTemplates(bundle, filePath)
+    .filter((t) => !onlyTypes || onlyTypes.has(t.templateType))
+    .filter((t) => !onlyLanguages || onlyLanguages.has(t.languageTag))
+    .map((t) => ({ ...t, _source: { bundle: file } }));
+}
@@ -0,0 +1,154 @@
+import { ApiError } from './errors.js';
+
+/**
+ * Client credentials grant against a Logto endpoint, and a plain `fetch` Management API client
+ * for deployments whose token endpoint is not `<endpoint>/oidc/token` (the only one the SDK
+ * uses). Both Logto Cloud and OSS identify the Management API by the resource indicator
+ * `https://<tenant-id>.logto.app/api`; OSS has a single tenant, `default`.
+ */
+
+// Refresh tokens a little before they expire
+const EXPIRY_MARGIN_MS = 30_000;
+
+/**
+ * Token endpoint and Management API resource indicator for a config.
+ * @param {Object} config
+ * @param {string} config.endpoint
+ * @param {string} config.tenantId
+ * @param {string} [config.tokenEndpoint] - Default: `<endpoint>/oidc/token`
+ * @param {string} [config.apiResource] - Default: `https://<tenantId>.logto.app/api`
+ * @returns {{tokenEndpoint: string, apiResource: string, customTokenEndpoint: boolean}}
+ */
+export function resolveAuthTarget(config) {
+  const defaultTokenEndpoint = `${config.endpoint}/oidc/token`;
+  const tokenEndpoint = config.tokenEndpoint || defaultTokenEndpoint;
+  return {
+    tokenEndpoint,
+    apiResource: config.apiResource || `https://${config.tenantId}.logto.app/api`,
+    customTokenEndpoint: tokenEndpoint !== defaultTokenEndpoint,
+  };
+}
+
+function basicAuthorization(clientId, clientSecret) {
+  // RFC 6749 §2.3.1: form-encode both parts before base64
+  const encode = (value) => encodeURIComponent(value).replace(/%20/g, '+');
+  return `Basic ${Buffer.from(`${encode(clientId)}:${encode(clientSecret)}`).toString('base64')}`;
+}
+
+/**
+ * Request a Management API access token (client credentials grant, `scope=all`).
+ * @param {Object} config - `endpoint`, `tenantId`, `clientId`, `clientSecret`, optional
+ *   `tokenEndpoint` and `apiResource`
+ * @param {Object} [options]
+ * @param {typeof fetch} [options.fetch]
+ * @returns {Promise<{accessToken: string, expiresIn: number|null, scope: string|null, tokenEndpoint: string}>}
+ * @throws {ApiError} When the endpoint rejects the request (`data` holds the OAuth error)
+ */
+export async function requestAccessToken(config, { fetch: fetchImpl = globalThis.fetch } = {}) {
+  const { tokenEndpoint, apiResource } = resolveAuthTarget(config);
+  const response = await fetchImpl(tokenEndpoint, {
+    method: 'POST',
+    headers: {
+      Authorization: basicAuthorization(config.clientId, config.clientSecret),
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json',
+    },
+    body: new URLSearchParams({ grant_type: 'client_credentials', resource: apiResource, scope: 'all' }).toString(),
+  });
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    // not JSON (e.g. an HTML error page from a proxy)
+  }
+
+  if (!response.ok || !data?.access_token) {
+    const reason = data?.error
+      ? `${data.error}${data.error_description ? `: ${data.error_description}` : ''}`
+      : text.slice(0, 200) || 'no access_token in the response';
+    throw new ApiError(`Token request to ${tokenEndpoint} failed (${response.status}): ${reason}`, {
+      status: response.status,
+      data: data ?? text,
+    });
+  }
+
+  return {
+    accessToken: data.access_token,
+    expiresIn: Number.isFinite(data.expires_in) ? data.expires_in : null,
+    scope: typeof data.scope === 'string' ? data.scope : null,
+    tokenEndpoint,
+  };
+}
+
+/**
+ * Claims of a JWT access token, without verifying it (for diagnostics only).
+ * @param {string} token
+ * @returns {Record<string, any>|null} null for opaque tokens
+ */
+export function decodeJwtClaims(token) {
+  const [, payload] = String(token).split('.');
+  if (!payload) return null;
+  try {
+    return JSON.parse(Buffer.from(payload.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function withQuery(url, query) {
+  const entries = Object.entries(query || {}).filter(([, value]) => value !== undefined && value !== null);
+  return entries.length ? `${url}?${new URLSearchParams(entries)}` : url;
+}
+
+/**
+ * Management API client on plain `fetch`, with the same `GET`/`PUT`/`DELETE` interface and
+ * `{ data, error, response }` results as the SDK's. Tokens come from `requestAccessToken` and
+ * are reused until shortly before they expire.
+ * @param {Object} config - See `requestAccessToken`
+ * @param {Object} [options]
+ * @param {typeof fetch} [options.fetch]
+ * @returns {any} Client, plus `getAccessToken()`
+ */
+export function createHttpApiClient(config, { fetch: fetchImpl = globalThis.fetch } = {}) {
+  let cached = null;
+
+  async function getAccessToken() {
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+    const { accessToken, expiresIn } = await requestAccessToken(config, { fetch: fetchImpl });
+    cached = { value: accessToken, expiresAt: Date.now() + (expiresIn ?? 3600) * 1000 - EXPIRY_MARGIN_MS };
+    return accessToken;
+  }
+
+  const request =
+    (method) =>
+    async (requestPath, { params = {}, body } = {}) => {
+      const resolvedPath = requestPath.replace(/\{([^}]+)\}/g, (_, name) => encodeURIComponent(params.path?.[name]));
+      const response = await fetchImpl(withQuery(`${config.endpoint}${resolvedPath}`, params.query), {
+        method,
+        headers: {
+          Authorization: `Bearer ${await getAccessToken()}`,
+          Accept: 'application/json',
+          ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+
+      const text = await response.text();
+      let payload;
+      try {
+        payload = text ? JSON.parse(text) : undefined;
+      } catch {
+        payload = text;
+      }
+      return response.ok ? { data: payload, response } : { error: payload, response };
+    };
+
+  return {
+    getAccessToken,
+    GET: request('GET'),
+    PUT: request('PUT'),
+    DELETE: request('DELETE'),
+  };
+}
@@ -0,0 +1,163 @@
+import { decodeJwtClaims, requestAccessToken, resolveAuthTarget } from './clientCredentials.js';
+
+/**
+ * Pre-flight checks for `whoami` / `ping`, in order:
+ * - `endpoint`        the endpoint answers with its OpenID configuration
+ * - `credentials`     the token endpoint issues a Management API token to the M2M app
+ * - `scopes`          the token is for the Management API resource and has the `all` scope
+ * - `email-templates` the Management API accepts the token on the email templates endpoint
+ *
+ * Requests go out with plain `fetch` (not the SDK), so the answers are the server's own.
+ */
+
+function describeNetworkError(error) {
+  if (error?.name === 'TimeoutError' || error?.name === 'AbortError') return 'timed out';
+  return error?.cause?.code || error?.cause?.message || error?.message || String(error);
+}
+
+async function readJson(response) {
+  try {
+    return await response.json();
+  } catch {
+    return null;
+  }
+}
+
+function check(name, status, message, extra = {}) {
+  return { name, status, message, ...extra };
+}
+
+async function checkEndpoint(config, { fetch, tokenEndpoint, customTokenEndpoint }) {
+  const url = `${config.endpoint}/oidc/.well-known/openid-configuration`;
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await fetch(url, { headers: { Accept: 'application/json' } });
+  } catch (error) {
+    return check('endpoint', 'failed', `Cannot reach ${config.endpoint}: ${describeNetworkError(error)}`);
+  }
+  const durationMs = Date.now() - startedAt;
+  const discovery = response.ok ? await readJson(response) : null;
+  if (!discovery?.issuer) {
+    return check(
+      'endpoint',
+      'failed',
+      `${config.endpoint} answered ${response.status} without an OpenID configuration; is it the Logto endpoint?`,
+      { durationMs }
+    );
+  }
+
+  const hint =
+    !customTokenEndpoint && discovery.token_endpoint && discovery.token_endpoint !== tokenEndpoint
+      ? ` (its token endpoint is ${discovery.token_endpoint}; set the token endpoint if token requests fail)`
+      : '';
+  return check('endpoint', 'ok', `issuer ${discovery.issuer}${hint}`, {
+    durationMs,
+    issuer: discovery.issuer,
+    discoveredTokenEndpoint: discovery.token_endpoint || null,
+  });
+}
+
+const OAUTH_HINTS = {
+  invalid_client: 'the client ID or secret is wrong, or the app is not a machine-to-machine app',
+  invalid_target:
+    'the Management API resource is unknown here; Logto OSS uses https://default.logto.app/api, ' +
+    'Logto Cloud https://<tenant-id>.logto.app/api (set the tenant ID or API resource)',
+  invalid_scope: 'the app may not request the `all` scope; assign it the Logto Management API access role',
+};
+
+async function checkCredentials(config, { fetch }) {
+  const startedAt = Date.now();
+  try {
+    const token = await requestAccessToken(config, { fetch });
+    const expires = token.expiresIn ? `, expires in ${token.expiresIn}s` : '';
+    return [
+      check('credentials', 'ok', `token issued by ${token.tokenEndpoint} to ${config.clientId}${expires}`, {
+        durationMs: Date.now() - startedAt,
+      }),
+      token,
+    ];
+  } catch (error) {
+    const hint = OAUTH_HINTS[error?.data?.error];
+    const message = error?.status ? error.message : `Token request failed: ${describeNetworkError(error)}`;
+    return [check('credentials', 'failed', hint ? `${message} (${hint})` : message), null];
+  }
+}
+
+function checkScopes(token, apiResource) {
+  const claims = decodeJwtClaims(token.accessToken);
+  const scopes = (token.scope ?? claims?.scope ?? '').split(/\s+/).filter(Boolean);
+  const audiences = [claims?.aud].flat().filter(Boolean);
+
+  if (audiences.length && !audiences.includes(apiResource)) {
+    return check('scopes', 'failed', `token is for ${audiences.join(', ')}, not the Management API (${apiResource})`, {
+      scopes,
+    });
+  }
+  if (!scopes.length) {
+    return check('scopes', 'skipped', 'the token does not list its scopes; the API call below decides', { scopes });
+  }
+  if (!scopes.includes('all')) {
+    return check(
+      'scopes',
+      'failed',
+      `token scopes: ${scopes.join(' ')}; the Management API needs \`all\` ` +
+        '(assign the Logto Management API access role to the M2M app)',
+      { scopes }
+    );
+  }
+  return check('scopes', 'ok', scopes.join(' '), { scopes });
+}
+
+async function checkEmailTemplates(config, token, { fetch }) {
+  const requestPath = `/api/${config.emailTemplatesPath}`;
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await fetch(`${config.endpoint}${requestPath}`, {
+      headers: { Authorization: `Bearer ${token.accessToken}`, Accept: 'application/json' },
+    });
+  } catch (error) {
+    return check('email-templates', 'failed', `GET ${requestPath}: ${describeNetworkError(error)}`);
+  }
+  const durationMs = Date.now() - startedAt;
+  const data = await readJson(response);
+
+  if (response.ok) {
+    const count = Array.isArray(data) ? `${data.length} template(s)` : 'ok';
+    return check('email-templates', 'ok', `GET ${requestPath}: ${count}`, { durationMs });
+  }
+  let reason = data?.message || response.statusText;
+  if (response.status === 404) reason = 'not found; check the email templates path';
+  if (response.status === 401 || response.status === 403) reason = 'the Management API rejected the token';
+  return check('email-templates', 'failed', `GET ${requestPath}: ${response.status} ${reason}`, { durationMs });
+}
+
+/**
+ * Run the connection checks. Later checks are skipped when they cannot run
+ * (no token, no scopes to check).
+ * @param {Object} config - From `loadConfigFromEnv`
+ * @param {Object} [options]
+ * @param {typeof fetch} [options.fetch]
+ * @param {number} [options.timeoutMs] - Per request (default: 10000)
+ * @returns {Promise<{ok: boolean, tokenEndpoint: string, apiResource: string,
+ *   checks: Array<{name: string, status: 'ok'|'failed'|'skipped', message: string, durationMs?: number}>}>}
+ */
+export async function checkConnection(config, { fetch: fetchImpl = globalThis.fetch, timeoutMs = 10_000 } = {}) {
+  const fetch = (url, init = {}) => fetchImpl(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+  const { tokenEndpoint, apiResource, customTokenEndpoint } = resolveAuthTarget(config);
+
+  const checks = [await checkEndpoint(config, { fetch, tokenEndpoint, customTokenEndpoint })];
+  const [credentials, token] = await checkCredentials(config, { fetch });
+  checks.push(credentials);
+
+  if (token) {
+    checks.push(checkScopes(token, apiResource));
+    checks.push(await checkEmailTemplates(config, token, { fetch }));
+  } else {
+    checks.push(check('scopes', 'skipped', 'no token'));
+    checks.push(check('email-templates', 'skipped', 'no token'));
+  }
+
+  return { ok: !checks.some((c) => c.status === 'failed'), tokenEndpoint, apiResource, checks };
+}
@@ -0,0 +1,141 @@
+import { escapeHtml } from './html.js';
+import { TEMPLATE_TYPES } from './templateVariables.js';
+
+/**
+ * Template type × language coverage, from a sync plan (`planEmailTemplateSync`).
+ *
+ * Cell states:
+ * - `identical`    local and remote, details equal
+ * - `differs`      local and remote, details differ
+ * - `local-only`   only local (not synced yet)
+ * - `remote-only`  only remote (not in git)
+ * - `missing`      neither
+ */
+
+export const COVERAGE_STATES = ['identical', 'differs', 'local-only', 'remote-only', 'missing'];
+export const COVERAGE_FORMATS = ['text', 'markdown', 'html'];
+
+const STATE_OF_ACTION = { unchanged: 'identical', update: 'differs', create: 'local-only', 'remote-only': 'remote-only' };
+const SYMBOLS = { identical: '✓', differs: '≠', 'local-only': 'L', 'remote-only': 'R', missing: '·' };
+const LABELS = {
+  identical: 'identical',
+  differs: 'differs',
+  'local-only': 'local only (not synced)',
+  'remote-only': 'remote only (not in git)',
+  missing: 'missing',
+};
+const FALLBACK_MARK = '*';
+
+/**
+ * Build the grid. Rows are Logto's template types (in Logto's order) plus any other type in
+ * the plan; columns are the plan's languages plus `languages`.
+ * @param {Array} plan - Output of `planEmailTemplateSync` / `diffEmailTemplates`
+ * @param {Object} [options]
+ * @param {string[]} [options.templateTypes] - Rows shown even when no template has them (default: every Logto type)
+ * @param {string[]} [options.languages] - Columns shown even when no template has them
+ * @returns {{templateTypes: string[], languages: string[],
+ *   rows: Array<{templateType: string, cells: Record<string, {state: string, fallbackFrom?: string}>}>,
+ *   counts: Record<string, number>}}
+ */
+export function buildCoverageMatrix(plan, { templateTypes = Object.keys(TEMPLATE_TYPES), languages = [] } = {}) {
+  const planTypes = [...new Set(plan.map((entry) => entry.templateType))].filter((t) => !templateTypes.includes(t));
+  const types = [...templateTypes, ...planTypes.sort()];
+  const tags = [...new Set([...plan.map((entry) => entry.languageTag), ...languages])].sort();
+
+  const byKey = new Map(plan.map((entry) => [`${entry.templateType}::${entry.languageTag}`, entry]));
+  const counts = Object.fromEntries(COVERAGE_STATES.map((state) => [state, 0]));
+  const rows = types.map((templateType) => {
+    const cells = {};
+    for (const languageTag of tags) {
+      const entry = byKey.get(`${templateType}::${languageTag}`);
+      const fallbackFrom = entry?.local?._source?.fallbackFrom;
+      cells[languageTag] = { state: entry ? STATE_OF_ACTION[entry.action] : 'missing', ...(fallbackFrom ? { fallbackFrom } : {}) };
+      counts[cells[languageTag].state] += 1;
+    }
+    return { templateType, cells };
+  });
+
+  return { templateTypes: types, languages: tags, rows, counts };
+}
+
+/**
+ * Whether any cell is not `identical`.
+ * @param {ReturnType<typeof buildCoverageMatrix>} matrix
+ * @returns {boolean}
+ */
+export function hasCoverageGaps(matrix) {
+  return COVERAGE_STATES.some((state) => state !== 'identical' && matrix.counts[state]);
+}
+
+function symbolOf(cell) {
+  return SYMBOLS[cell.state] + (cell.fallbackFrom ? FALLBACK_MARK : '');
+}
+
+function legendItems(matrix) {
+  const items = COVERAGE_STATES.map((state) => `${SYMBOLS[state]} ${LABELS[state]} (${matrix.counts[state]})`);
+  const fallbacks = matrix.rows.some((row) => Object.values(row.cells).some((cell) => cell.fallbackFrom));
+  if (fallbacks) items.push(`${FALLBACK_MARK} filled from a fallback language`);
+  return items;
+}
+
+function toText(matrix) {
+  const typeWidth = Math.max(4, ...matrix.templateTypes.map((t) => t.length));
+  const widths = matrix.languages.map((tag) => Math.max(2, tag.length));
+  const lines = [
+    ['Type'.padEnd(typeWidth), ...matrix.languages.map((tag, i) => tag.padEnd(widths[i]))].join('  ').trimEnd(),
+    ...matrix.rows.map((row) =>
+      [row.templateType.padEnd(typeWidth), ...matrix.languages.map((tag, i) => symbolOf(row.cells[tag]).padEnd(widths[i]))]
+        .join('  ')
+        .trimEnd()
+    ),
+    '',
+    legendItems(matrix).join('   '),
+  ];
+  return lines.join('\n');
+}
+
+function toMarkdown(matrix) {
+  const row = (cells) => `| ${cells.join(' | ')} |`;
+  return [
+    row(['Type', ...matrix.languages]),
+    row(['---', ...matrix.languages.map(() => ':-:')]),
+    ...matrix.rows.map((r) => row([r.templateType, ...matrix.languages.map((tag) => symbolOf(r.cells[tag]))])),
+    '',
+    legendItems(matrix).join(', '),
+  ].join('\n');
+}
+
+function toHtml(matrix) {
+  const cell = (templateType, tag) => {
+    const { state, fallbackFrom } = matrix.rows.find((r) => r.templateType === templateType).cells[tag];
+    const title = `${templateType}::${tag}: ${LABELS[state]}${fallbackFrom ? ` (from ${fallbackFrom})` : ''}`;
+    return `<td class="${state}" title="${escapeHtml(title)}">${escapeHtml(symbolOf({ state, fallbackFrom }))}</td>`;
+  };
+  return [
+    '<table>',
+    '  <thead>',
+    `    <tr><th>Type</th>${matrix.languages.map((tag) => `<th>${escapeHtml(tag)}</th>`).join('')}</tr>`,
+    '  </thead>',
+    '  <tbody>',
+    ...matrix.rows.map(
+      (r) =>
+        `    <tr><th>${escapeHtml(r.templateType)}</th>${matrix.languages.map((tag) => cell(r.templateType, tag)).join('')}</tr>`
+    ),
+    '  </tbody>',
+    '</table>',
+    `<p>${legendItems(matrix).map(escapeHtml).join(', ')}</p>`,
+  ].join('\n');
+}
+
+/**
+ * Render the grid as aligned text, a Markdown table or an HTML table (e.g. for PR comments),
+ * with a legend and the count per state.
+ * @param {ReturnType<typeof buildCoverageMatrix>} matrix
+ * @param {'text'|'markdown'|'html'} [format]
+ * @returns {string}
+ */
+export function formatCoverageMatrix(matrix, format = 'text') {
+  if (format === 'markdown') return toMarkdown(matrix);
+  if (format === 'html') return toHtml(matrix);
+  return toText(matrix);
+}
@@ -0,0 +1,306 @@
+import { tokenizeHtml } from './html.js';
+
+/**
+ * Minimal CSS inliner for email HTML (dependency-free).
+ * - Rules from `<style>` blocks are copied into matching elements' `style` attributes
+ * - Selectors: type, `*`, `.class`, `#id`, `[attr]`, `[attr=value]`, descendant and `>` combinators
+ * - Rules with pseudo-classes/elements (`:hover`, …), at-rules (`@media`, …) and
+ *   selectors the matcher does not understand stay in the `<style>` block
+ * - Existing inline styles win over stylesheet rules unless the rule is `!important`
+ */
+
+function skipString(css, index) {
+  const quote = css[index];
+  let i = index + 1;
+  while (i < css.length && css[i] !== quote) {
+    if (css[i] === '\\') i += 1;
+    i += 1;
+  }
+  return i + 1;
+}
+
+function findBlockEnd(css, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < css.length; i += 1) {
+    const char = css[i];
+    if (char === '"' || char === "'") {
+      i = skipString(css, i) - 1;
+    } else if (char === '{') {
+      depth += 1;
+    } else if (char === '}') {
+      depth -= 1;
+      if (depth === 0) return i;
+    }
+  }
+  return css.length - 1;
+}
+
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (char === '"' || char === "'") i = skipString(text, i) - 1;
+    else if (char === '(' || char === '[') depth += 1;
+    else if (char === ')' || char === ']') depth -= 1;
+    else if (char === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parse `prop: value` declarations.
+ * @param {string} text
+ * @returns {Array<{property: string, value: string, important: boolean}>}
+ */
+export function parseDeclarations(text) {
+  return splitTopLevel(text, ';')
+    .map((declaration) => {
+      const colon = declaration.indexOf(':');
+      if (colon <= 0) return null;
+      let value = declaration.slice(colon + 1).trim().replace(/\s+/g, ' ');
+      const important = /!\s*important$/i.test(value);
+      if (important) value = value.replace(/\s*!\s*important$/i, '');
+      return { property: declaration.slice(0, colon).trim().toLowerCase(), value, important };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Parse a stylesheet into top-level rules and at-rules.
+ * @param {string} css
+ * @returns {Array<{type: 'rule', selectors: string[], declarations: Array, raw: string}|{type: 'at', raw: string}>}
+ */
+export function parseCss(css) {
+  const text = String(css || '').replace(/\/\*[\s\S]*?\*\//g, '');
+  const rules = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const open = text.indexOf('{', index);
+    const semicolon = text.indexOf(';', index);
+    const prelude = text.slice(index, open === -1 ? text.length : open).trim();
+
+    // `@import …;` / `@charset …;`
+    if (prelude.startsWith('@') && semicolon !== -1 && (open === -1 || semicolon < open)) {
+      rules.push({ type: 'at', raw: text.slice(index, semicolon + 1).trim() });
+      index = semicolon + 1;
+      continue;
+    }
+    if (open === -1) break;
+
+    const close = findBlockEnd(text, open);
+    const raw = text.slice(index, close + 1).trim();
+    if (prelude.startsWith('@')) {
+      rules.push({ type: 'at', raw });
+    } else if (prelude) {
+      rules.push({
+        type: 'rule',
+        selectors: splitTopLevel(prelude, ','),
+        declarations: parseDeclarations(text.slice(open + 1, close)),
+        raw,
+      });
+    }
+    index = close + 1;
+  }
+
+  return rules;
+}
+
+const COMPOUND_PART_RE =
+  /(\*|[a-zA-Z][\w-]*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([\w-]+))\s*)?\]/y;
+
+/**
+ * Parse a selector into compounds joined by combinators, or null when unsupported.
+ * @param {string} selector
+ * @returns {Array<{combinator: ' '|'>'|null, tag: string|null, ids: string[], classes: string[], attrs: Array}>|null}
+ */
+function parseSelector(selector) {
+  const compounds = [];
+  const text = selector.trim().replace(/\s*>\s*/g, ' > ').replace(/\s+/g, ' ');
+  let combinator = null;
+
+  for (const chunk of text.split(' ')) {
+    if (chunk === '>') {
+      if (!compounds.length || combinator === '>') return null;
+      combinator = '>';
+      continue;
+    }
+
+    const compound = { combinator: compounds.length ? combinator || ' ' : null, tag: null, ids: [], classes: [], attrs: [] };
+    COMPOUND_PART_RE.lastIndex = 0;
+    while (COMPOUND_PART_RE.lastIndex < chunk.length) {
+      const start = COMPOUND_PART_RE.lastIndex;
+      const match = COMPOUND_PART_RE.exec(chunk);
+      if (!match || match.index !== start) return null;
+      const [, tag, id, className, attrName, v1, v2, v3] = match;
+      if (tag) {
+        if (start !== 0) return null;
+        compound.tag = tag === '*' ? null : tag.toLowerCase();
+      } else if (id) compound.ids.push(id);
+      else if (className) compound.classes.push(className);
+      else compound.attrs.push({ name: attrName.toLowerCase(), value: v1 ?? v2 ?? v3 ?? null });
+    }
+    compounds.push(compound);
+    combinator = null;
+  }
+
+  return compounds.length && combinator === null ? compounds : null;
+}
+
+function specificity(compounds) {
+  let ids = 0;
+  let classes = 0;
+  let types = 0;
+  for (const c of compounds) {
+    ids += c.ids.length;
+    classes += c.classes.length + c.attrs.length;
+    if (c.tag) types += 1;
+  }
+  return ids * 10000 + classes * 100 + types;
+}
+
+function matchesCompound(element, compound) {
+  if (compound.tag && element.name !== compound.tag) return false;
+  if (compound.ids.some((id) => element.attrs.id !== id)) return false;
+  if (compound.classes.length) {
+    const classList = (element.attrs.class || '').split(/\s+/);
+    if (compound.classes.some((c) => !classList.includes(c))) return false;
+  }
+  return compound.attrs.every(({ name, value }) =>
+    value === null ? name in element.attrs : element.attrs[name] === value
+  );
+}
+
+function matchesSelector(element, compounds, index = compounds.length - 1) {
+  if (!matchesCompound(element, compounds[index])) return false;
+  if (index === 0) return true;
+
+  const { combinator } = compounds[index];
+  if (combinator === '>') {
+    return Boolean(element.parent) && matchesSelector(element.parent, compounds, index - 1);
+  }
+  for (let ancestor = element.parent; ancestor; ancestor = ancestor.parent) {
+    if (matchesSelector(ancestor, compounds, index - 1)) return true;
+  }
+  return false;
+}
+
+function buildElements(tokens) {
+  const elements = [];
+  const stack = [];
+  for (const token of tokens) {
+    if (token.type === 'open') {
+      const element = { name: token.name, attrs: token.attrs, parent: stack[stack.length - 1] || null, token };
+      elements.push(element);
+      if (!token.selfClosing) stack.push(element);
+    } else if (token.type === 'close') {
+      const index = stack.map((e) => e.name).lastIndexOf(token.name);
+      if (index !== -1) stack.length = index;
+    }
+  }
+  return elements;
+}
+
+function serializeDeclarations(declarations) {
+  return declarations.map((d) => `${d.property}: ${d.value}${d.important ? ' !important' : ''}`).join('; ');
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function withStyleAttribute(rawTag, style) {
+  const styleAttr = /(\sstyle\s*=\s*)("[^"]*"|'[^']*'|[^\s>]+)/i;
+  const value = `"${escapeAttribute(style)}"`;
+  if (styleAttr.test(rawTag)) return rawTag.replace(styleAttr, (_, prefix) => `${prefix}${value}`);
+  return rawTag.replace(/\s*(\/?)>$/, (_, slash) => ` style=${value}${slash ? ' /' : ''}>`);
+}
+
+/**
+ * Inline `<style>` rules into `style` attributes.
+ * @param {string} html
+ * @returns {string}
+ */
+export function inlineCss(html) {
+  const tokens = tokenizeHtml(html);
+
+  // Collect stylesheets and what stays in the head
+  const styleBlocks = [];
+  const inlineRules = [];
+  let order = 0;
+  tokens.forEach((token, index) => {
+    if (token.type !== 'open' || token.name !== 'style') return;
+    const textToken = tokens[index + 1]?.type === 'text' ? tokens[index + 1] : null;
+    const kept = [];
+    for (const rule of parseCss(textToken?.raw || '')) {
+      if (rule.type === 'at') {
+        kept.push(rule.raw);
+        continue;
+      }
+      const leftover = [];
+      for (const selector of rule.selectors) {
+        const compounds = parseSelector(selector);
+        if (compounds) inlineRules.push({ compounds, specificity: specificity(compounds), order: order++, declarations: rule.declarations });
+        else leftover.push(selector);
+      }
+      if (leftover.length) kept.push(`${leftover.join(', ')} { ${serializeDeclarations(rule.declarations)} }`);
+    }
+    styleBlocks.push({ open: token, text: textToken, kept });
+  });
+
+  if (!inlineRules.length) return html;
+  inlineRules.sort((a, b) => a.specificity - b.specificity || a.order - b.order);
+
+  // Compute the new style attribute per element
+  const replacements = [];
+  for (const element of buildElements(tokens)) {
+    if (['style', 'head', 'meta', 'title', 'script', 'link'].includes(element.name)) continue;
+    const computed = new Map();
+    for (const rule of inlineRules) {
+      if (!matchesSelector(element, rule.compounds)) continue;
+      for (const d of rule.declarations) {
+        const previous = computed.get(d.property);
+        if (previous?.important && !d.important) continue;
+        computed.delete(d.property);
+        computed.set(d.property, d);
+      }
+    }
+    if (!computed.size) continue;
+
+    for (const d of parseDeclarations(element.attrs.style || '')) {
+      const previous = computed.get(d.property);
+      if (previous?.important && !d.important) continue;
+      computed.delete(d.property);
+      computed.set(d.property, d);
+    }
+    replacements.push({
+      start: element.token.index,
+      end: element.token.end,
+      value: withStyleAttribute(element.token.raw, serializeDeclarations([...computed.values()])),
+    });
+  }
+
+  // Keep only non-inlinable rules in the head; drop empty style blocks
+  for (const block of styleBlocks) {
+    if (block.kept.length) {
+      if (block.text) {
+        replacements.push({ start: block.text.index, end: block.text.end, value: `\n${block.kept.join('\n')}\n` });
+      }
+    } else {
+      const closeToken = tokens.find((t) => t.type === 'close' && t.name === 'style' && t.index >= block.open.end);
+      replacements.push({ start: block.open.index, end: closeToken ? closeToken.end : block.open.end, value: '' });
+    }
+  }
+
+  let out = html;
+  for (const r of replacements.sort((a, b) => b.start - a.start)) {
+    out = out.slice(0, r.start) + r.value + out.slice(r.end);
+  }
+  return out;
+}
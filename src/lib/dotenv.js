@@ -1,55 +1,220 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 
+import { ConfigError } from './errors.js';
+
+/**
+ * `.env` loader (dependency-free), compatible with `dotenv` + `dotenv-expand`:
+ * - `KEY=value` and `export KEY=value`; blank lines and `# comments`
+ * - Unquoted values are trimmed; ` #` starts a trailing comment
+ * - `'single'` and `` `backtick` `` quotes are literal (no escapes, no expansion)
+ * - `"double"` quotes understand `\n`, `\r`, `\t`, `\"` and `\\`
+ * - Any quoted value may span several lines
+ * - `$VAR`, `${VAR}`, `${VAR:-default}` and `${VAR-default}` expand in unquoted and
+ *   double-quoted values (`\$` for a literal `$`), from the real environment first, then
+ *   from the loaded files
+ *
+ * Files are layered; the first one that sets a variable wins:
+ *   real environment > `.env.local` > `.env.<profile>` > `.env`
+ */
+
+const ASSIGNMENT_RE = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/;
+const DOUBLE_QUOTE_ESCAPES = { n: '\n', r: '\r', t: '\t' };
+
+// Index of the closing quote in `text`, or -1. Only double quotes have escapes.
+function findClosingQuote(text, quote) {
+  for (let i = 0; i < text.length; i += 1) {
+    if (quote === '"' && text[i] === '\\') i += 1;
+    else if (text[i] === quote) return i;
+  }
+  return -1;
+}
+
+/**
+ * Parse `.env` content into entries (values are not expanded yet).
+ * @param {string} content
+ * @param {string} [file] - For error messages
+ * @returns {Array<{key: string, value: string, expand: boolean, quote: string|null, line: number}>}
+ */
+export function parseDotenv(content, file = '.env') {
+  const lines = String(content).replace(/^\uFEFF/, '').split(/\r\n?|\n/);
+  const entries = [];
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const match = lines[i].match(ASSIGNMENT_RE);
+    if (!match) continue;
+    const [, key, rest] = match;
+    const line = i + 1;
+    const quote = ['"', "'", '`'].includes(rest[0]) ? rest[0] : null;
+
+    if (!quote) {
+      entries.push({ key, value: rest.replace(/(^|\s)#.*$/, '').trim(), expand: true, quote, line });
+      continue;
+    }
+
+    // Quoted values run to the closing quote, across lines if needed
+    let text = rest.slice(1);
+    let end = findClosingQuote(text, quote);
+    while (end === -1 && i + 1 < lines.length) {
+      i += 1;
+      text += `\n${lines[i]}`;
+      end = findClosingQuote(text, quote);
+    }
+    if (end === -1) {
+      throw new ConfigError(`${file}:${line}: ${key} has an opening ${quote} but no closing one`);
+    }
+    entries.push({ key, value: text.slice(0, end), expand: quote === '"', quote, line });
+  }
+  return entries;
+}
+
+// Index of the `}` that closes the `${` whose body starts at `start`
+function findClosingBrace(text, start) {
+  let depth = 1;
+  for (let i = start; i < text.length; i += 1) {
+    if (text[i] === '{') depth += 1;
+    if (text[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Expand `$VAR` / `${VAR}` / `${VAR:-default}` / `${VAR-default}` in a value.
+ * `\$` is a literal `$`; other backslashes are kept, or with `unescape` (double-quoted
+ * values) turned into the characters they stand for. Substituted values are never unescaped.
+ * @param {string} value
+ * @param {(name: string) => string|undefined} lookup
+ * @param {Object} [options]
+ * @param {boolean} [options.unescape]
+ * @returns {string}
+ */
+export function expandDotenvValue(value, lookup, { unescape = false } = {}) {
+  let out = '';
+  for (let i = 0; i < value.length; i += 1) {
+    const char = value[i];
+    if (char === '\\' && i + 1 < value.length) {
+      const next = value[i + 1];
+      if (unescape) out += DOUBLE_QUOTE_ESCAPES[next] ?? next;
+      else out += next === '$' ? '$' : `\\${next}`;
+      i += 1;
+      continue;
+    }
+    if (char !== '$') {
+      out += char;
+      continue;
+    }
+
+    if (value[i + 1] === '{') {
+      const close = findClosingBrace(value, i + 2);
+      if (close === -1) {
+        out += value.slice(i);
+        break;
+      }
+      const body = value.slice(i + 2, close);
+      const [, name, operator, fallback = ''] = body.match(/^([A-Za-z_][A-Za-z0-9_]*)(?:(:?-)(.*))?$/s) || [];
+      if (!name) {
+        out += value.slice(i, close + 1);
+      } else {
+        const current = lookup(name);
+        const useFallback = operator === ':-' ? !current : operator === '-' && current === undefined;
+        out += useFallback ? expandDotenvValue(fallback, lookup, { unescape }) : (current ?? '');
+      }
+      i = close;
+      continue;
+    }
+
+    const name = value.slice(i + 1).match(/^[A-Za-z_][A-Za-z0-9_]*/)?.[0];
+    if (!name) {
+      out += char;
+      continue;
+    }
+    out += lookup(name) ?? '';
+    i += name.length;
+  }
+  return out;
+}
+
+async function readEnvFile(filePath) {
+  try {
+    return parseDotenv(await fs.readFile(filePath, 'utf8'), filePath);
+  } catch (error) {
+    if (error && typeof error === 'object' && error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
 /**
- * Minimal `.env` loader (dependency-free).
- * - Supports comments (#...), blank lines
- * - Supports KEY=VALUE, optional single/double quotes
- * - Does not expand variables
+ * Load `.env` files into `process.env`.
+ *
+ * `envFile` is the base file; `<envFile>.<profile>` (per profile) and `<envFile>.local` are
+ * layered on top. Variables that are already set in the environment are kept unless
+ * `override` is set. Without `profiles`, `LOGTO_PROFILE` (environment, `.env.local` or
+ * `.env`) picks the profile file.
+ * @param {Object} [options]
+ * @param {string} [options.envFile] - Base file (default: .env)
+ * @param {Array<string|null>} [options.profiles] - Profile files to load, lowest precedence first
+ * @param {string} [options.cwd]
+ * @param {boolean} [options.override] - Files win over the real environment
+ * @returns {Promise<{loaded: boolean, files: string[], filePath: string}>}
  */
 export async function loadDotenv({
   envFile = '.env',
+  profiles = [],
   cwd = process.cwd(),
   override = false,
 } = {}) {
   const filePath = path.isAbsolute(envFile) ? envFile : path.join(cwd, envFile);
+  const environment = { ...process.env };
 
-  let content = '';
-  try {
-    content = await fs.readFile(filePath, 'utf8');
-  } catch (error) {
-    if (error && typeof error === 'object' && error.code === 'ENOENT') {
-      return { loaded: false, filePath };
-    }
-    throw error;
+  const base = await readEnvFile(filePath);
+  const local = await readEnvFile(`${filePath}.local`);
+  const lastValue = (entries, key) => entries?.filter((e) => e.key === key).pop()?.value;
+
+  let names = profiles.filter(Boolean).map((p) => String(p).trim());
+  if (!names.length) {
+    const profile = environment.LOGTO_PROFILE || lastValue(local, 'LOGTO_PROFILE') || lastValue(base, 'LOGTO_PROFILE');
+    if (profile) names = [profile];
   }
 
-  for (const rawLine of content.split(/\r?\n/)) {
-    const line = rawLine.trim();
-    if (!line || line.startsWith('#')) continue;
+  // Lowest precedence first
+  const layers = [[filePath, base]];
+  for (const name of new Set(names)) {
+    if (!/^[\w.-]+$/.test(name)) throw new ConfigError(`Invalid profile name for an env file: "${name}"`);
+    layers.push([`${filePath}.${name}`, await readEnvFile(`${filePath}.${name}`)]);
+  }
+  layers.push([`${filePath}.local`, local]);
 
-    const eqIndex = line.indexOf('=');
-    if (eqIndex <= 0) continue;
+  const entries = new Map();
+  const files = [];
+  for (const [file, fileEntries] of layers) {
+    if (!fileEntries) continue;
+    files.push(file);
+    for (const entry of fileEntries) entries.set(entry.key, entry);
+  }
 
-    const key = line.slice(0, eqIndex).trim();
-    let value = line.slice(eqIndex + 1).trim();
+  const resolved = new Map();
+  const resolving = new Set();
 
-    if (
-      (value.startsWith('"') && value.endsWith('"')) ||
-      (value.startsWith("'") && value.endsWith("'"))
-    ) {
-      value = value.slice(1, -1);
-    }
+  function resolve(name) {
+    const fromEnvironment = environment[name];
+    const entry = entries.get(name);
+    if (!entry || (!override && fromEnvironment !== undefined)) return fromEnvironment;
+    if (resolved.has(name)) return resolved.get(name);
+    // A variable that refers to itself (directly or not) sees the environment's value
+    if (resolving.has(name)) return fromEnvironment;
 
-    // Common escape for multiline content in double-quoted env values
-    value = value.replace(/\\n/g, '\n');
+    resolving.add(name);
+    const value = entry.expand ? expandDotenvValue(entry.value, resolve, { unescape: entry.quote === '"' }) : entry.value;
+    resolving.delete(name);
+    resolved.set(name, value);
+    return value;
+  }
 
-    if (override || process.env[key] === undefined) {
-      process.env[key] = value;
+  for (const key of entries.keys()) {
+    if (override || environment[key] === undefined) {
+      process.env[key] = resolve(key);
     }
   }
 
-  return { loaded: true, filePath };
+  return { loaded: files.length > 0, files, filePath };
 }
-
-
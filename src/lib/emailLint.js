@@ -0,0 +1,358 @@
+import { parseCss, parseDeclarations } from './cssInline.js';
+import { tokenizeHtml } from './html.js';
+import { makeTemplateKey } from './templatesPlan.js';
+import { textDirection } from './templateLayouts.js';
+
+/**
+ * Email-client compatibility and deliverability checks on loaded templates (what would be
+ * sent: layouts resolved, and built when the build step ran). Each check is a rule with a
+ * default severity; `rules` overrides it per rule (`error`, `warning`, `info` or `off`).
+ *
+ * Client support notes follow caniemail.com; they are hints, not a rendering test.
+ */
+
+export const LINT_SEVERITIES = ['error', 'warning', 'info'];
+
+/** Rules and their default severity. */
+export const LINT_RULES = {
+  'css-support': { severity: 'warning', description: 'CSS properties, selectors and at-rules major clients ignore' },
+  'body-style': { severity: 'warning', description: 'Styles on <html>/<body>, which Gmail and Outlook.com drop' },
+  'html-elements': { severity: 'warning', description: 'Elements email clients strip or do not render' },
+  'img-alt': { severity: 'warning', description: 'Images without an alt attribute' },
+  'img-size': { severity: 'warning', description: 'Images without numeric width/height attributes' },
+  'img-remote': { severity: 'info', description: 'Remote images, blocked until the reader allows them' },
+  links: { severity: 'warning', description: 'Non-HTTPS, empty or javascript: links and image sources' },
+  size: { severity: 'error', description: "Payloads over Gmail's 102 KB clipping limit" },
+  'lang-dir': { severity: 'warning', description: 'Missing or wrong lang/dir attributes (dir="rtl" for ar, he, ...)' },
+  'subject-length': { severity: 'warning', description: 'Subjects long enough to be cut off' },
+  'subject-encoding': { severity: 'error', description: 'Line breaks, control characters or mojibake in subjects' },
+  encoding: { severity: 'warning', description: 'Mojibake or a missing charset in the content' },
+};
+
+// Gmail clips messages whose HTML is larger than this
+export const GMAIL_CLIP_BYTES = 102 * 1024;
+const SIZE_WARNING_BYTES = 90 * 1024;
+// Beyond this, desktop clients cut the subject off (mobile ones much earlier)
+const SUBJECT_MAX_LENGTH = 78;
+
+// Property -> where it does not work; `info` for what only degrades the look
+const CSS_PROPERTIES = {
+  'max-width': { clients: 'Outlook for Windows' },
+  'min-width': { clients: 'Outlook for Windows' },
+  'max-height': { clients: 'Outlook for Windows' },
+  'min-height': { clients: 'Outlook for Windows' },
+  position: { clients: 'Gmail and Outlook' },
+  float: { clients: 'Outlook for Windows' },
+  'background-image': { clients: 'Outlook for Windows' },
+  'object-fit': { clients: 'Gmail and Outlook' },
+  gap: { clients: 'Gmail and Outlook' },
+  'border-radius': { clients: 'Outlook for Windows', severity: 'info' },
+  'box-shadow': { clients: 'Gmail apps and Outlook', severity: 'info' },
+  'text-shadow': { clients: 'Outlook for Windows', severity: 'info' },
+  opacity: { clients: 'Outlook for Windows', severity: 'info' },
+  transform: { clients: 'Gmail and Outlook', severity: 'info' },
+  transition: { clients: 'Gmail and Outlook', severity: 'info' },
+  animation: { clients: 'Gmail and Outlook', severity: 'info' },
+};
+
+const CSS_VALUES = [
+  { pattern: /^(inline-)?(flex|grid)$/i, property: 'display', clients: 'Outlook for Windows and some Gmail apps' },
+  { pattern: /url\(/i, property: 'background', clients: 'Outlook for Windows' },
+  { pattern: /var\(/i, label: 'CSS variables (var())', clients: 'Gmail and Outlook' },
+  { pattern: /calc\(/i, label: 'calc()', clients: 'Outlook for Windows' },
+];
+
+const CSS_SELECTORS = [
+  { pattern: /:(hover|focus|active)\b/i, label: ':$1', clients: 'the Gmail apps and Outlook', severity: 'warning' },
+  { pattern: /::?(before|after)\b/i, label: '::$1', clients: 'Gmail and Outlook', severity: 'warning' },
+];
+
+const CSS_AT_RULES = {
+  import: 'Gmail and Outlook',
+  'font-face': 'Gmail and Outlook for Windows',
+};
+
+// Element -> why it is a problem
+const HTML_ELEMENTS = {
+  script: { message: 'is removed by every email client', severity: 'error' },
+  iframe: { message: 'is removed by every email client', severity: 'error' },
+  object: { message: 'is removed by every email client', severity: 'error' },
+  embed: { message: 'is removed by every email client', severity: 'error' },
+  form: { message: 'is disabled or removed by Gmail and Outlook' },
+  input: { message: 'is disabled or removed by Gmail and Outlook' },
+  button: { message: 'is unstyled or removed by Outlook; use a styled <a>' },
+  select: { message: 'is disabled or removed by Gmail and Outlook' },
+  textarea: { message: 'is disabled or removed by Gmail and Outlook' },
+  video: { message: 'plays only in Apple Mail; use a linked image' },
+  audio: { message: 'plays only in Apple Mail' },
+  svg: { message: 'is not shown by Gmail and Outlook; use PNG' },
+  center: { message: 'is obsolete HTML, but email clients (Outlook included) still honor it', severity: 'info' },
+};
+
+const URL_ATTRIBUTES = ['href', 'src', 'background'];
+const PLACEHOLDER_RE = /\{\{[^}]*\}\}/;
+// UTF-8 read as Latin-1/Windows-1252, e.g. "Ã©" for "é" or "â€™" for "’"
+const MOJIBAKE_RE = /Ã[\u0080-\u00bf]|â€[\u0080-\u00bf\u0153\u02dc\u2018-\u201e\u2122]|Â[\u00a0-\u00bf]/;
+
+const primaryLanguage = (tag) => tag.split('-')[0].toLowerCase();
+
+function formatBytes(bytes) {
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+// `<img src="…">`, shortened, to point at the element in messages
+function describeTag(token) {
+  const attribute = ['src', 'href', 'class'].find((name) => token.attrs[name]);
+  if (!attribute) return `<${token.name}>`;
+  const value = token.attrs[attribute];
+  return `<${token.name} ${attribute}="${value.length > 60 ? `${value.slice(0, 57)}...` : value}">`;
+}
+
+function checkDeclarations(declarations, where, report) {
+  for (const { property, value } of declarations) {
+    const spec = CSS_PROPERTIES[property];
+    if (spec) {
+      report('css-support', `${property} (${where}) is not supported by ${spec.clients}`, spec.severity);
+    }
+    for (const check of CSS_VALUES) {
+      if (!check.pattern.test(value)) continue;
+      if (check.property && property !== check.property) continue;
+      const label = check.label || `${property}: ${value}`;
+      report('css-support', `${label} (${where}) is not supported by ${check.clients}`);
+    }
+  }
+}
+
+function checkStylesheet(css, report) {
+  for (const rule of parseCss(css)) {
+    if (rule.type === 'at') {
+      const name = rule.raw.match(/^@([\w-]+)/)?.[1]?.toLowerCase();
+      if (CSS_AT_RULES[name]) {
+        report('css-support', `@${name} in <style> is not supported by ${CSS_AT_RULES[name]}`);
+      } else if (['media', 'supports'].includes(name)) {
+        // Rules inside @media apply in the clients that understand it; check them too
+        const open = rule.raw.indexOf('{');
+        if (open !== -1) checkStylesheet(rule.raw.slice(open + 1, rule.raw.lastIndexOf('}')), report);
+      }
+      continue;
+    }
+
+    for (const selector of rule.selectors) {
+      for (const check of CSS_SELECTORS) {
+        const match = selector.match(check.pattern);
+        if (!match) continue;
+        const label = check.label.replace('$1', match[1].toLowerCase());
+        report('css-support', `${label} selectors (${selector}) are ignored by ${check.clients}`, check.severity);
+      }
+      if (/^(html|body)$/i.test(selector.trim())) {
+        report(
+          'body-style',
+          `Styles for ${selector.trim()} in <style> are dropped by Gmail and Outlook.com; put them on a wrapper element`
+        );
+      }
+    }
+    checkDeclarations(rule.declarations, `in <style>`, report);
+  }
+}
+
+function checkUrl(token, attribute, report) {
+  const url = token.attrs[attribute].trim();
+  // Filled in by Logto (e.g. {{link}}, {{application.branding.logoUrl}})
+  if (url.startsWith('{{')) return;
+  if (!url || url === '#') {
+    if (attribute === 'href') report('links', `${describeTag(token)} has an empty link`);
+    return;
+  }
+  if (/^javascript:/i.test(url)) {
+    report('links', `${describeTag(token)} uses a javascript: URL, which email clients block`, 'error');
+  } else if (/^http:\/\//i.test(url)) {
+    const effect = token.name === 'img' ? 'clients may block the image' : 'clients warn about or rewrite insecure links';
+    report('links', `${describeTag(token)} is not HTTPS; ${effect}`);
+  }
+}
+
+function checkHtmlContent(template, report) {
+  const { content } = template.details;
+  const tokens = tokenizeHtml(content);
+  const { languageTag } = template;
+  const expectedDir = textDirection(languageTag);
+  let root = null;
+  let styleBlocks = 0;
+  let hasCharset = false;
+
+  for (const [i, token] of tokens.entries()) {
+    if (token.type !== 'open') continue;
+    const { name, attrs } = token;
+    if (name === 'html') root = token;
+
+    if (name === 'style') {
+      styleBlocks += 1;
+      const body = tokens[i + 1]?.type === 'text' ? tokens[i + 1].raw : '';
+      checkStylesheet(body, report);
+    }
+    if (name === 'meta' && (attrs.charset || /charset=/i.test(attrs.content || ''))) hasCharset = true;
+
+    if (attrs.style !== undefined) {
+      const declarations = parseDeclarations(attrs.style);
+      if (['html', 'body'].includes(name) && declarations.length) {
+        report('body-style', `style on <${name}> is dropped by Gmail and Outlook.com; put it on a wrapper element`);
+      }
+      checkDeclarations(declarations, `style on <${name}>`, report);
+    }
+
+    const element = HTML_ELEMENTS[name];
+    if (element) report('html-elements', `<${name}> ${element.message}`, element.severity);
+
+    if (name === 'img') {
+      if (attrs.alt === undefined) {
+        report('img-alt', `${describeTag(token)} has no alt text (shown while images are blocked; alt="" if decorative)`);
+      }
+      const numeric = (value) => /^\d+$/.test(String(value ?? '').trim());
+      if (!numeric(attrs.width) || !numeric(attrs.height)) {
+        report(
+          'img-size',
+          `${describeTag(token)} needs numeric width and height attributes ` +
+            '(Outlook for Windows shows images at their file size otherwise)'
+        );
+      }
+      if (!/^(data|cid):/i.test(attrs.src || '')) {
+        report('img-remote', `${describeTag(token)} is remote; many clients block it until the reader allows images`);
+      }
+    }
+
+    for (const attribute of URL_ATTRIBUTES) {
+      if (attrs[attribute] !== undefined && (attribute !== 'src' || name === 'img')) checkUrl(token, attribute, report);
+    }
+  }
+
+  // lang/dir belong on <html>; a fragment without it gets them from nothing
+  const target = root ? '<html>' : 'the content (no <html> element)';
+  const lang = root?.attrs.lang;
+  if (!lang) {
+    report('lang-dir', `${target} has no lang attribute (expected lang="${languageTag}"); screen readers have to guess`);
+  } else if (!PLACEHOLDER_RE.test(lang) && primaryLanguage(lang) !== primaryLanguage(languageTag)) {
+    report('lang-dir', `<html lang="${lang}"> does not match the template language ${languageTag}`);
+  }
+  const dir = root?.attrs.dir?.toLowerCase();
+  if (expectedDir === 'rtl' && dir !== 'rtl') {
+    report('lang-dir', `${target} needs dir="rtl" for ${languageTag}${dir ? ` (has dir="${dir}")` : ''}`, 'error');
+  } else if (expectedDir === 'ltr' && dir === 'rtl') {
+    report('lang-dir', `<html dir="rtl"> on a left-to-right language (${languageTag})`, 'error');
+  }
+
+  if (styleBlocks && !template._build) {
+    report(
+      'css-support',
+      'Styles in <style> are not inlined; Gmail (for non-Google accounts) and older Outlook.com drop them ' +
+        '(run with --build to inline CSS)',
+      'info'
+    );
+  }
+  // eslint-disable-next-line no-control-regex
+  if (!hasCharset && /[^\x00-\x7f]/.test(content)) {
+    report('encoding', 'Non-ASCII content without <meta charset="utf-8">', 'info');
+  }
+}
+
+function checkSubject(subject, report) {
+  const text = String(subject ?? '');
+  const length = [...text].length;
+  if (length > SUBJECT_MAX_LENGTH) {
+    report(
+      'subject-length',
+      `Subject is ${length} characters; clients cut it off after about ${SUBJECT_MAX_LENGTH} (mobile: 40)`
+    );
+  }
+  if (text !== text.trim()) report('subject-length', 'Subject has leading or trailing whitespace', 'info');
+
+  if (/[\r\n]/.test(text)) report('subject-encoding', 'Subject contains a line break');
+  // eslint-disable-next-line no-control-regex
+  else if (/[\u0000-\u001f\u007f]/.test(text)) report('subject-encoding', 'Subject contains control characters');
+  if (text.includes('\uFFFD')) {
+    report('subject-encoding', 'Subject contains U+FFFD (a character lost to a wrong encoding)');
+  } else if (MOJIBAKE_RE.test(text)) {
+    report('subject-encoding', 'Subject looks double-encoded (UTF-8 read as Latin-1, e.g. "Ã©")');
+  }
+  if (/&(#\d+|#x[\da-f]+|[a-z]+);/i.test(text)) {
+    report('subject-encoding', 'Subject contains HTML entities; subjects are plain text and show them as is', 'warning');
+  }
+  if (text.normalize('NFC') !== text) {
+    report('subject-encoding', 'Subject is not in Unicode NFC form (some clients show decomposed accents)', 'info');
+  }
+}
+
+/**
+ * Lint loaded templates for email-client compatibility and deliverability.
+ * @param {Array} templates - Output of `loadTemplateSource` (or `loadLocalEmailTemplates`)
+ * @param {Object} [options]
+ * @param {Record<string, 'error'|'warning'|'info'|'off'>} [options.rules] - Severity per rule
+ *   (see `LINT_RULES`); `off` disables a rule
+ * @returns {{templates: number, problems: Array<{severity: 'error'|'warning'|'info', rule: string,
+ *   key: string, file: string|null, message: string}>}} Problems per template, most severe first
+ */
+export function lintEmailTemplates(templates, { rules = {} } = {}) {
+  const problems = [];
+
+  for (const template of templates) {
+    const key = makeTemplateKey(template.templateType, template.languageTag);
+    const { details = {}, _source: source = {} } = template;
+    const found = [];
+    const seen = new Map();
+
+    const reporter =
+      (file) =>
+      (rule, message, severity = LINT_RULES[rule].severity) => {
+        const id = `${rule}:${message}`;
+        if (seen.has(id)) {
+          seen.get(id).count += 1;
+          return;
+        }
+        const problem = { severity: rules[rule] || severity, rule, key, file: file || null, message, count: 1 };
+        seen.set(id, problem);
+        if (problem.severity !== 'off') found.push(problem);
+      };
+
+    checkSubject(details.subject, reporter(source.subjectPath));
+
+    const report = reporter(source.contentPath);
+    const content = String(details.content ?? '');
+    const bytes = Buffer.byteLength(content, 'utf8');
+    const hint = template._build ? '' : ' (run with --build to minify)';
+    if (bytes > GMAIL_CLIP_BYTES) {
+      report('size', `Content is ${formatBytes(bytes)}; Gmail clips messages over 102 KB${hint}`);
+    } else if (bytes > SIZE_WARNING_BYTES) {
+      report('size', `Content is ${formatBytes(bytes)}, close to Gmail's 102 KB clipping limit${hint}`, 'warning');
+    }
+    if (content.includes('\uFFFD')) {
+      report('encoding', 'Content contains U+FFFD (a character lost to a wrong encoding)');
+    } else if (MOJIBAKE_RE.test(content)) {
+      report('encoding', 'Content looks double-encoded (UTF-8 read as Latin-1, e.g. "Ã©")');
+    }
+
+    if ((details.contentType || 'text/html') === 'text/html') {
+      checkHtmlContent(template, report);
+    } else {
+      for (const match of content.matchAll(/\bhttp:\/\/[^\s<>"')]+/g)) {
+        report('links', `${match[0]} is not HTTPS; clients warn about or rewrite insecure links`);
+      }
+    }
+
+    const order = (problem) => LINT_SEVERITIES.indexOf(problem.severity);
+    for (const { count, ...problem } of found.sort((a, b) => order(a) - order(b))) {
+      problems.push(count > 1 ? { ...problem, message: `${problem.message} (${count}×)` } : problem);
+    }
+  }
+
+  return { templates: templates.length, problems };
+}
+
+/**
+ * Problems at or above a severity.
+ * @param {Array<{severity: string}>} problems
+ * @param {'error'|'warning'|'info'} failOn
+ * @returns {number}
+ */
+export function countFailures(problems, failOn = 'error') {
+  const threshold = LINT_SEVERITIES.indexOf(failOn);
+  return problems.filter((p) => LINT_SEVERITIES.indexOf(p.severity) <= threshold).length;
+}
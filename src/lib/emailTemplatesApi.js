@@ -1,42 +1,236 @@
-import fs from "node:fs/promises";
 import path from "node:path";
 
-function makeKey(templateType, languageTag) {
-  return `${templateType}::${languageTag}`;
-}
+import { responseStatus } from "./apiRetry.js";
+import { bundleFormatOf, writeBundle } from "./bundle.js";
+import { AbortedError, ApiError } from "./errors.js";
+import { writeSnapshot } from "./snapshots.js";
+import { writeLocalEmailTemplates } from "./templatesFs.js";
+import {
+  COMPARED_FIELDS,
+  makeTemplateKey as makeKey,
+  planEmailTemplateSync,
+} from "./templatesPlan.js";
 
 /**
  * List all email templates from Logto Management API
  * @param {any} apiClient - Logto Management API client
  * @param {string} emailTemplatesPath - Path to email templates endpoint
- * @returns {Promise<Array|null>} Array of templates or null if endpoint not available
+ * @returns {Promise<Array|null>} Array of templates, or null if the endpoint
+ * answers 404/405 (not available)
+ * @throws {ApiError} On any other error status or an unexpected response body
  */
 export async function listEmailTemplates(apiClient, emailTemplatesPath) {
+  let response;
   try {
-    const response = await apiClient.GET(`/api/${emailTemplatesPath}`);
-    if (response.data && Array.isArray(response.data)) {
-      return response.data;
-    }
-    return null;
+    response = await apiClient.GET(`/api/${emailTemplatesPath}`);
   } catch (error) {
     // Some deployments may not expose list endpoint; allow callers to fallback
     if (error?.status === 404 || error?.status === 405) {
       return null;
     }
-    throw new Error(
-      `Failed to list email templates: ${error?.message || String(error)}`
+    throw new ApiError(
+      `Failed to list email templates: ${error?.message || String(error)}`,
+      { status: error?.status, data: error?.data, cause: error }
+    );
+  }
+
+  // openapi-fetch resolves HTTP errors instead of throwing them
+  const status = responseStatus(response);
+  if (status === 404 || status === 405) {
+    return null;
+  }
+  if (status && status >= 400) {
+    const message = response?.error?.message;
+    throw new ApiError(
+      `Failed to list email templates: ${status}` +
+        (message ? ` ${message}` : ""),
+      { status, data: response?.error }
+    );
+  }
+  if (!Array.isArray(response?.data)) {
+    throw new ApiError(
+      "Failed to list email templates: the response is not a list",
+      { status, data: response?.data }
     );
   }
+  return response.data;
+}
+
+/**
+ * Compare local templates with what Logto currently has
+ * @param {Object} params
+ * @param {any} params.apiClient - Logto Management API client
+ * @param {string} params.emailTemplatesPath - Path to email templates endpoint
+ * @param {Array} params.localTemplates - Local templates to compare
+ * @param {Set<string>|null} params.onlyTypes - Restrict remote templates to these types
+ * @param {Set<string>|null} params.onlyLanguages - Restrict remote templates to these languages
+ * @returns {Promise<Array>} Plan entries (see `planEmailTemplateSync`)
+ */
+export async function diffEmailTemplates({
+  apiClient,
+  emailTemplatesPath,
+  localTemplates,
+  onlyTypes = null,
+  onlyLanguages = null,
+}) {
+  const remoteTemplates = await listEmailTemplates(
+    apiClient,
+    emailTemplatesPath
+  );
+  if (!Array.isArray(remoteTemplates)) {
+    throw new ApiError(
+      "Email template list endpoint is not available (got 404/405). " +
+        "Set LOGTO_EMAIL_TEMPLATES_PATH to the correct path for your tenant."
+    );
+  }
+
+  return planEmailTemplateSync({
+    localTemplates,
+    remoteTemplates,
+    onlyTypes,
+    onlyLanguages,
+  });
+}
+
+function assertOk(response) {
+  const status = responseStatus(response);
+  if (status && status >= 400) {
+    throw new ApiError(`API returned error status: ${status}`, {
+      status,
+      data: response?.error,
+    });
+  }
+}
+
+// Short per-template reason, e.g. `400 Invalid request body (guard.invalid_input)`
+function describeFailure(error) {
+  const status = responseStatus(error);
+  const data = error?.response?.data || error?.data || error?.body;
+  const message = data?.message || error?.message || String(error);
+  return {
+    ...(status ? { status } : {}),
+    ...(data?.code ? { code: data.code } : {}),
+    message:
+      (status ? `${status} ` : "") +
+      message +
+      (data?.code ? ` (${data.code})` : ""),
+  };
+}
+
+// A rejected batch is split to find the template(s) at fault; auth, routing and
+// exhausted retries fail the same way for every template, so they are not split
+function isBisectable(error) {
+  const status = responseStatus(error);
+  return (
+    Boolean(status) &&
+    status >= 400 &&
+    status < 500 &&
+    ![401, 403, 404, 405, 429].includes(status)
+  );
+}
+
+async function putTemplates(apiClient, basePath, entries, onBatch) {
+  try {
+    if (onBatch) onBatch(entries.length);
+    const response = await apiClient.PUT(basePath, {
+      body: {
+        templates: entries.map(({ local }) => ({
+          languageTag: local.languageTag,
+          templateType: local.templateType,
+          details: local.details,
+        })),
+      },
+    });
+    assertOk(response);
+    const result = response.data || response;
+    return { updated: Array.isArray(result) ? result : [], failed: [] };
+  } catch (error) {
+    if (entries.length > 1 && isBisectable(error)) {
+      const middle = Math.ceil(entries.length / 2);
+      const first = await putTemplates(
+        apiClient,
+        basePath,
+        entries.slice(0, middle),
+        onBatch
+      );
+      const second = await putTemplates(
+        apiClient,
+        basePath,
+        entries.slice(middle),
+        onBatch
+      );
+      return {
+        updated: [...first.updated, ...second.updated],
+        failed: [...first.failed, ...second.failed],
+      };
+    }
+    const failure = describeFailure(error);
+    return {
+      updated: [],
+      failed: entries.map((entry) => ({ entry, error: failure })),
+    };
+  }
+}
+
+/**
+ * Delete one email template from Logto
+ * Uses DELETE /api/email-templates/{id}, or the type/language filter when the id is unknown
+ * @param {any} apiClient - Logto Management API client
+ * @param {string} emailTemplatesPath - Path to email templates endpoint
+ * @param {Object} template - Remote template ({ id?, templateType, languageTag })
+ * @returns {Promise<void>}
+ */
+export async function deleteEmailTemplate(
+  apiClient,
+  emailTemplatesPath,
+  template
+) {
+  const basePath = `/api/${emailTemplatesPath}`;
+  const response = template.id
+    ? await apiClient.DELETE(
+        `${basePath}/${encodeURIComponent(template.id)}`
+      )
+    : await apiClient.DELETE(basePath, {
+        params: {
+          query: {
+            templateType: template.templateType,
+            languageTag: template.languageTag,
+          },
+        },
+      });
+  assertOk(response);
 }
 
 /**
  * Sync local email templates to Logto Management API using bulk update
  * According to Logto API docs: https://openapi.logto.io/operation/operation-replaceemailtemplates
  * PUT /api/email-templates accepts an array of templates and will create or update them
+ *
+ * When the list endpoint is available, only `create`/`update` entries are sent;
+ * otherwise every local template is sent and reported as `upsert`.
+ * With `prune`, `remote-only` entries become `delete` and are removed after the PUT.
+ * With `snapshotsDir`, the remote templates are saved (see snapshots.js) before anything is written.
+ *
+ * Templates are sent `batchSize` at a time. A batch the API rejects (4xx) is split in half
+ * until the failing templates are isolated; failed writes and deletes do not stop the
+ * others and are reported on their result entry as `error: { status?, code?, message }`.
+ * Retries for 429/5xx/network errors belong to the client (see `withRetries`).
  * @param {Object} params
  * @param {any} params.apiClient - Logto Management API client
  * @param {string} params.emailTemplatesPath - Path to email templates endpoint
  * @param {Array} params.localTemplates - Local templates to sync
+ * @param {Set<string>|null} params.onlyTypes - Restrict remote templates to these types
+ * @param {Set<string>|null} params.onlyLanguages - Restrict remote templates to these languages
+ * @param {boolean} params.prune - If true, delete remote templates that do not exist locally
+ * @param {(entries: Array) => Promise<boolean>} [params.confirmPrune] - Called with the
+ *   `delete` entries before any write; returning false aborts the sync
+ * @param {string|null} [params.snapshotsDir] - Snapshot the remote templates here before writing
+ * @param {Object} [params.snapshotInfo] - Extra snapshot manifest fields (e.g. `endpoint`, `profile`)
+ * @param {(snapshot: Object) => void} [params.onSnapshot] - Called after the snapshot is written
+ * @param {number|null} [params.batchSize] - Templates per PUT (default: all in one request)
+ * @param {(event: Object) => void} [params.onProgress] - Called with `{ stage, ... }`:
+ *   `plan` ({ plan }), `snapshot` ({ snapshot }), `write` ({ count }), `batch` ({ count }) per PUT,
+ *   `written` ({ count }), `deleted` ({ key }), `failed` ({ key, error })
  * @param {boolean} params.dryRun - If true, don't actually make API calls
  * @param {boolean} params.verbose - If true, print verbose output
  * @returns {Promise<Array>} Results array
@@ -45,169 +239,296 @@ export async function syncEmailTemplates({
   apiClient,
   emailTemplatesPath,
   localTemplates,
+  onlyTypes = null,
+  onlyLanguages = null,
+  prune = false,
+  confirmPrune,
+  snapshotsDir = null,
+  snapshotInfo = {},
+  onSnapshot,
+  batchSize = null,
+  onProgress,
   dryRun = false,
   verbose = false,
 }) {
-  // Prepare templates array for bulk update
-  const templatesToSync = localTemplates.map((local) => ({
-    languageTag: local.languageTag,
-    templateType: local.templateType,
-    details: local.details,
-  }));
+  const remoteTemplates = await listEmailTemplates(
+    apiClient,
+    emailTemplatesPath
+  );
+
+  if (prune && !Array.isArray(remoteTemplates)) {
+    throw new ApiError(
+      "Cannot prune: email template list endpoint is not available (got 404/405)."
+    );
+  }
+
+  // Without a remote list (404/405) we cannot tell create from update; any other
+  // list error has already thrown, after the client's retries
+  const plan = Array.isArray(remoteTemplates)
+    ? planEmailTemplateSync({
+        localTemplates,
+        remoteTemplates,
+        onlyTypes,
+        onlyLanguages,
+      }).map((entry) =>
+        prune && entry.action === "remote-only"
+          ? { ...entry, action: "delete" }
+          : entry
+      )
+    : localTemplates.map((local) => ({
+        action: "upsert",
+        key: makeKey(local.templateType, local.languageTag),
+        templateType: local.templateType,
+        languageTag: local.languageTag,
+        local,
+        remote: null,
+        changes: [],
+      }));
+
+  if (onProgress) onProgress({ stage: "plan", plan });
 
   // For dry-run, just return planned actions
   if (dryRun) {
-    return localTemplates.map((local) => ({
-      action: "upsert", // API handles both create and update
-      key: makeKey(local.templateType, local.languageTag),
-      local,
-      remote: null,
-      dryRun: true,
-    }));
+    return plan.map((entry) => ({ ...entry, dryRun: true }));
   }
 
-  // Perform bulk update via PUT /api/email-templates
-  const basePath = `/api/${emailTemplatesPath}`;
-  try {
-    const response = await apiClient.PUT(basePath, {
-      body: { templates: templatesToSync },
-    });
+  const toWrite = plan.filter((entry) =>
+    ["create", "update", "upsert"].includes(entry.action)
+  );
+  const toDelete = plan.filter((entry) => entry.action === "delete");
+
+  if (toDelete.length && confirmPrune && !(await confirmPrune(toDelete))) {
+    throw new AbortedError("Sync aborted: deletion of remote templates was not confirmed.");
+  }
 
-    const status = response.status || response.response?.status;
-    if (status && status >= 400) {
-      throw new Error(`API returned error status: ${status}`);
+  if (snapshotsDir && (toWrite.length || toDelete.length)) {
+    if (!Array.isArray(remoteTemplates)) {
+      throw new ApiError(
+        "Cannot snapshot: email template list endpoint is not available (got 404/405). " +
+          "Disable snapshots to sync anyway."
+      );
     }
+    const snapshot = await writeSnapshot(snapshotsDir, remoteTemplates, snapshotInfo);
+    if (onSnapshot) onSnapshot(snapshot);
+    if (onProgress) onProgress({ stage: "snapshot", snapshot });
+  }
 
-    const result = response.data || response;
-    const updatedTemplates = Array.isArray(result) ? result : [];
-
-    // Create index for quick lookup
-    const updatedIndex = new Map();
-    for (const template of updatedTemplates) {
-      if (template?.templateType && template?.languageTag) {
-        updatedIndex.set(
-          makeKey(template.templateType, template.languageTag),
-          template
-        );
+  const updatedIndex = new Map();
+  const failures = new Map();
+  const basePath = `/api/${emailTemplatesPath}`;
+
+  if (toWrite.length) {
+    // PUT /api/email-templates in batches; rejected batches are bisected
+    if (onProgress) onProgress({ stage: "write", count: toWrite.length });
+    const size = batchSize > 0 ? batchSize : toWrite.length;
+    for (let start = 0; start < toWrite.length; start += size) {
+      const { updated, failed } = await putTemplates(
+        apiClient,
+        basePath,
+        toWrite.slice(start, start + size),
+        (count) => {
+          if (onProgress) onProgress({ stage: "batch", count });
+        }
+      );
+
+      for (const template of updated) {
+        if (template?.templateType && template?.languageTag) {
+          updatedIndex.set(
+            makeKey(template.templateType, template.languageTag),
+            template
+          );
+        }
+      }
+      for (const { entry, error } of failed) {
+        failures.set(entry.key, error);
+        if (onProgress) onProgress({ stage: "failed", key: entry.key, error });
       }
     }
+    if (onProgress) {
+      onProgress({ stage: "written", count: toWrite.length - failures.size });
+    }
+  }
 
-    // Build results array
-    const results = localTemplates.map((local) => {
-      const key = makeKey(local.templateType, local.languageTag);
-      const updatedTemplate = updatedIndex.get(key);
-
-      if (verbose && updatedTemplate) {
-        // eslint-disable-next-line no-console
-        console.log(`upsert ${key}:`, JSON.stringify(updatedTemplate, null, 2));
+  for (const entry of toDelete) {
+    try {
+      await deleteEmailTemplate(apiClient, emailTemplatesPath, entry.remote);
+    } catch (error) {
+      // Already gone (e.g. a retried DELETE that had gone through)
+      if (responseStatus(error) !== 404) {
+        const failure = describeFailure(error);
+        failures.set(entry.key, failure);
+        if (onProgress) {
+          onProgress({ stage: "failed", key: entry.key, error: failure });
+        }
+        continue;
       }
+    }
 
+    if (onProgress) onProgress({ stage: "deleted", key: entry.key });
+    if (verbose) {
+      // eslint-disable-next-line no-console
+      console.log(`delete ${entry.key}`);
+    }
+  }
+
+  // Build results array
+  return plan.map((entry) => {
+    const error = failures.get(entry.key);
+    if (entry.action === "delete") {
       return {
-        action: "upsert",
-        key,
-        local,
-        remote: updatedTemplate || null,
-        request: { method: "PUT" },
+        ...entry,
+        request: { method: "DELETE" },
+        ...(error ? { error } : {}),
       };
-    });
-
-    return results;
-  } catch (error) {
-    const errorStatus = error?.status || error?.response?.status;
-    const errorMsg = error?.message || String(error);
-    let detailedError = `Failed to sync email templates via bulk update.\n`;
-    detailedError += `Error: ${errorMsg}\n`;
-
-    if (errorStatus) {
-      detailedError += `Status: ${errorStatus}\n`;
     }
+    if (!toWrite.includes(entry)) return entry;
+    if (error) return { ...entry, request: { method: "PUT" }, error };
 
-    if (error?.response?.data || error?.data || error?.body) {
-      detailedError += `Response: ${JSON.stringify(
-        error?.response?.data || error?.data || error?.body,
-        null,
-        2
-      )}\n`;
-    }
+    const updatedTemplate = updatedIndex.get(entry.key);
 
-    // Add helpful context for common errors
-    if (errorMsg.includes("fetch failed") || errorMsg.includes("network")) {
-      detailedError += `\nNote: This appears to be a network error. Please check:\n`;
-      detailedError += `  - Your network connection\n`;
-      detailedError += `  - The Logto API endpoint is accessible\n`;
-      detailedError += `  - Your API credentials are valid\n`;
+    if (verbose && updatedTemplate) {
+      // eslint-disable-next-line no-console
+      console.log(
+        `${entry.action} ${entry.key}:`,
+        JSON.stringify(updatedTemplate, null, 2)
+      );
     }
 
-    throw new Error(detailedError);
+    return {
+      ...entry,
+      remote: updatedTemplate || entry.remote,
+      request: { method: "PUT" },
+    };
+  });
+}
+
+/**
+ * Copy the remote templates of one tenant to another (e.g. staging -> prod)
+ * The source templates take the place of local templates in `syncEmailTemplates`,
+ * so the plan, dry-run and prune behave exactly like a sync.
+ * @param {Object} params
+ * @param {any} params.sourceApiClient - Management API client of the source tenant
+ * @param {string} params.sourceEmailTemplatesPath - Email templates path of the source tenant
+ * @param {any} params.apiClient - Management API client of the target tenant
+ * @param {string} params.emailTemplatesPath - Email templates path of the target tenant
+ * @param {Set<string>|null} params.onlyTypes - Only promote these template types
+ * @param {Set<string>|null} params.onlyLanguages - Only promote these languages
+ * @param {boolean} params.prune - If true, delete target templates that do not exist in the source
+ * @param {(entries: Array) => Promise<boolean>} [params.confirmPrune] - See `syncEmailTemplates`
+ * @param {string|null} [params.snapshotsDir] - See `syncEmailTemplates` (snapshots the target)
+ * @param {Object} [params.snapshotInfo] - See `syncEmailTemplates`
+ * @param {(snapshot: Object) => void} [params.onSnapshot] - See `syncEmailTemplates`
+ * @param {number|null} [params.batchSize] - See `syncEmailTemplates`
+ * @param {(event: Object) => void} [params.onProgress] - See `syncEmailTemplates`
+ * @param {boolean} params.dryRun - If true, don't actually make API calls
+ * @param {boolean} params.verbose - If true, print verbose output
+ * @returns {Promise<Array>} Results array (see `syncEmailTemplates`)
+ */
+export async function promoteEmailTemplates({
+  sourceApiClient,
+  sourceEmailTemplatesPath,
+  apiClient,
+  emailTemplatesPath,
+  onlyTypes = null,
+  onlyLanguages = null,
+  prune = false,
+  confirmPrune,
+  snapshotsDir = null,
+  snapshotInfo = {},
+  onSnapshot,
+  batchSize = null,
+  onProgress,
+  dryRun = false,
+  verbose = false,
+}) {
+  const sourceTemplates = await listEmailTemplates(
+    sourceApiClient,
+    sourceEmailTemplatesPath
+  );
+  if (!Array.isArray(sourceTemplates)) {
+    throw new ApiError(
+      "Email template list endpoint of the source tenant is not available (got 404/405)."
+    );
   }
+
+  const localTemplates = sourceTemplates
+    .filter((t) => t?.templateType && t?.languageTag && t?.details)
+    .filter((t) => !onlyTypes || onlyTypes.has(t.templateType))
+    .filter((t) => !onlyLanguages || onlyLanguages.has(t.languageTag))
+    .map((t) => ({
+      templateType: t.templateType,
+      languageTag: t.languageTag,
+      // Only the fields Logto accepts on PUT; ids and timestamps belong to the source tenant
+      details: Object.fromEntries(
+        COMPARED_FIELDS.filter((field) => t.details[field] != null).map(
+          (field) => [field, t.details[field]]
+        )
+      ),
+    }));
+
+  return syncEmailTemplates({
+    apiClient,
+    emailTemplatesPath,
+    localTemplates,
+    onlyTypes,
+    onlyLanguages,
+    prune,
+    confirmPrune,
+    snapshotsDir,
+    snapshotInfo,
+    onSnapshot,
+    batchSize,
+    onProgress,
+    dryRun,
+    verbose,
+  });
 }
 
 /**
  * Export email templates from Logto to local files
+ * When `outDir` ends in `.json`, `.yaml` or `.yml`, a single bundle file is written instead.
  * @param {Object} params
  * @param {any} params.apiClient - Logto Management API client
  * @param {string} params.emailTemplatesPath - Path to email templates endpoint
- * @param {string} params.outDir - Output directory
+ * @param {string} params.outDir - Output directory (or bundle file)
+ * @param {(event: Object) => void} [params.onProgress] - Called with `{ stage: "exported", key }` per template
  * @returns {Promise<{count: number, outDir: string}>}
  */
 export async function exportEmailTemplates({
   apiClient,
   emailTemplatesPath,
   outDir,
+  onProgress,
 }) {
   const remoteTemplates = await listEmailTemplates(
     apiClient,
     emailTemplatesPath
   );
   if (!Array.isArray(remoteTemplates)) {
-    throw new Error(
+    throw new ApiError(
       "Email template list endpoint is not available (got 404/405). " +
         "Set LOGTO_EMAIL_TEMPLATES_PATH to the correct path for your tenant."
     );
   }
-  const outputRoot = path.resolve(outDir);
-  await fs.mkdir(outputRoot, { recursive: true });
-
-  for (const t of remoteTemplates) {
-    const templateType = t?.templateType;
-    const languageTag = t?.languageTag;
-    const details = t?.details;
-    if (!templateType || !languageTag || !details) continue;
-
-    const dir = path.join(outputRoot, templateType, languageTag);
-    await fs.mkdir(dir, { recursive: true });
-
-    const subject = typeof details.subject === "string" ? details.subject : "";
-    const content = typeof details.content === "string" ? details.content : "";
-    const contentType = details.contentType || undefined;
-
-    await fs.writeFile(
-      path.join(dir, "subject.txt"),
-      `${subject.trimEnd()}\n`,
-      "utf8"
-    );
-
-    const contentFile =
-      contentType === "text/plain" ? "content.txt" : "content.html";
-    await fs.writeFile(
-      path.join(dir, contentFile),
-      `${content.trimEnd()}\n`,
-      "utf8"
-    );
+  if (bundleFormatOf(outDir)) {
+    const { file } = await writeBundle(outDir, remoteTemplates);
+    return {
+      count: remoteTemplates.length,
+      outDir: file,
+      templates: remoteTemplates,
+    };
+  }
 
-    const meta = {};
-    if (details.replyTo) meta.replyTo = details.replyTo;
-    if (details.sendFrom) meta.sendFrom = details.sendFrom;
-    if (details.contentType) meta.contentType = details.contentType;
+  const outputRoot = path.resolve(outDir);
 
-    if (Object.keys(meta).length > 0) {
-      await fs.writeFile(
-        path.join(dir, "meta.json"),
-        JSON.stringify(meta, null, 2) + "\n",
-        "utf8"
-      );
-    }
-  }
+  // Shared replyTo/sendFrom go to root/type meta.json instead of every folder
+  await writeLocalEmailTemplates(outputRoot, remoteTemplates, {
+    onWritten: (t) => {
+      if (onProgress) {
+        onProgress({ stage: "exported", key: makeKey(t.templateType, t.languageTag) });
+      }
+    },
+  });
 
   return {
     count: remoteTemplates.length,
@@ -232,7 +553,7 @@ export async function listEmailTemplatesSummary({
     emailTemplatesPath
   );
   if (!Array.isArray(remoteTemplates)) {
-    throw new Error(
+    throw new ApiError(
       "Email template list endpoint is not available (got 404/405). " +
         "Set LOGTO_EMAIL_TEMPLATES_PATH to the correct path for your tenant."
     );
@@ -1,8 +1,42 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { BACKENDS } from './backend.js';
+import { ConfigError } from './errors.js';
+
+// Tenant of a self-hosted Logto OSS instance (it has only one)
+const OSS_TENANT_ID = 'default';
+
 function requiredEnv(name) {
   const value = process.env[name];
   if (!value) {
-    throw new Error(`Missing required env var: ${name}`);
+    throw new ConfigError(`Missing required env var: ${name}`);
+  }
+  return value;
+}
+
+// `<name>` or the contents of the file named by `<name>_FILE` (Docker / Kubernetes secrets)
+function requiredSecretEnv(name) {
+  const fileVar = `${name}_FILE`;
+  const filePath = process.env[fileVar];
+  if (!filePath) {
+    if (!process.env[name]) throw new ConfigError(`Missing required env var: ${name} (or ${fileVar})`);
+    return process.env[name];
+  }
+  if (process.env[name]) {
+    throw new ConfigError(`Set either ${name} or ${fileVar}, not both`);
   }
+
+  let value;
+  try {
+    value = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`Cannot read ${fileVar} (${filePath}): ${error.code || error.message}`);
+  }
+  // Secret files usually end with a newline
+  value = value.replace(/[\r\n]+$/, '');
+  if (!value) throw new ConfigError(`${fileVar} (${filePath}) is empty`);
   return value;
 }
 
@@ -12,6 +46,20 @@ function normalizeBaseUrl(input) {
   return value.replace(/\/+$/, '');
 }
 
+function parseUrl(name, input) {
+  const value = normalizeBaseUrl(input);
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw new ConfigError(`${name} must be an http(s) URL, e.g. https://logto.your-company.com (got "${input}")`);
+  }
+  return value;
+}
+
 function normalizePath(input) {
   const value = String(input || '').trim();
   // Remove leading/trailing slashes so we can join safely
@@ -22,40 +70,138 @@ function extractTenantId(endpoint) {
   // Extract tenant-id from endpoint URL
   // Examples:
   //   https://<tenant-id>.logto.app -> <tenant-id>
-  //   https://logto.your-company.com -> use as-is or require LOGTO_TENANT_ID
+  //   https://logto.your-company.com -> `default` (Logto OSS); Logto Cloud custom
+  //   domains need LOGTO_TENANT_ID
   const match = endpoint.match(/https?:\/\/([^.]+)\.logto\.app/);
   if (match) {
     return match[1];
   }
-  // For custom domains, require explicit tenant-id
-  return null;
+  return OSS_TENANT_ID;
 }
 
-export function loadConfigFromEnv() {
-  const endpoint = normalizeBaseUrl(requiredEnv('LOGTO_ENDPOINT'));
-  const tenantId = process.env.LOGTO_TENANT_ID || extractTenantId(endpoint);
-  
-  if (!tenantId) {
-    throw new Error(
-      'Cannot extract tenant-id from LOGTO_ENDPOINT. ' +
-      'Please set LOGTO_TENANT_ID explicitly (e.g., for custom domains).'
-    );
+function profileEnvPrefix(profile) {
+  if (!profile) return 'LOGTO_';
+  const name = String(profile).trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+  if (!name) {
+    throw new ConfigError(`Invalid profile name: "${profile}"`);
   }
+  return `LOGTO_${name}_`;
+}
 
-  const clientId = requiredEnv('LOGTO_M2M_CLIENT_ID');
-  const clientSecret = requiredEnv('LOGTO_M2M_CLIENT_SECRET');
-
+/**
+ * Logto connection settings from env vars.
+ *
+ * Without a profile the plain `LOGTO_*` vars are used. With a profile (e.g. `staging`)
+ * every var is read with the profile name inserted: `LOGTO_STAGING_ENDPOINT`,
+ * `LOGTO_STAGING_M2M_CLIENT_ID`, ... Only `LOGTO_<PROFILE>_EMAIL_TEMPLATES_PATH`
+ * and `LOGTO_<PROFILE>_BACKEND` fall back to the shared `LOGTO_EMAIL_TEMPLATES_PATH` and
+ * `LOGTO_BACKEND`; credentials never do.
+ *
+ * `LOGTO_ENDPOINT` is where token and API requests go. Off `*.logto.app` the tenant defaults
+ * to `default` (Logto OSS), the Management API resource to `https://<tenant-id>.logto.app/api`
+ * and the token endpoint to `<endpoint>/oidc/token`; `LOGTO_TENANT_ID`, `LOGTO_API_RESOURCE`
+ * and `LOGTO_TOKEN_ENDPOINT` override them.
+ *
+ * The client secret can also be read from a file: `LOGTO_M2M_CLIENT_SECRET_FILE` (e.g. a
+ * mounted Docker or Kubernetes secret) instead of `LOGTO_M2M_CLIENT_SECRET`.
+ *
+ * With `LOGTO_BACKEND=local` (or `memory`) no tenant is contacted and no credentials are
+ * needed: templates are kept in `LOGTO_LOCAL_DIR` (default: `.logto-local`, or
+ * `.logto-local/<profile>` with a profile).
+ * @param {Object} [options]
+ * @param {string|null} [options.profile] - Profile name (default: `LOGTO_PROFILE`)
+ * @param {string} [options.emailTemplatesPath] - Used when no `*_EMAIL_TEMPLATES_PATH` var is set
+ *   (e.g. from the project config file)
+ */
+export function loadConfigFromEnv({
+  profile = process.env.LOGTO_PROFILE || null,
+  emailTemplatesPath: defaultEmailTemplatesPath = 'email-templates',
+} = {}) {
+  const prefix = profileEnvPrefix(profile);
   const emailTemplatesPath = normalizePath(
-    process.env.LOGTO_EMAIL_TEMPLATES_PATH || 'email-templates'
+    process.env[`${prefix}EMAIL_TEMPLATES_PATH`] ||
+      process.env.LOGTO_EMAIL_TEMPLATES_PATH ||
+      defaultEmailTemplatesPath
   );
 
+  const backendVar = process.env[`${prefix}BACKEND`] ? `${prefix}BACKEND` : 'LOGTO_BACKEND';
+  const backend = String(process.env[backendVar] || 'logto').trim().toLowerCase();
+  if (!BACKENDS.includes(backend)) {
+    throw new ConfigError(`Invalid ${backendVar}: "${process.env[backendVar]}" (use ${BACKENDS.join(', ')})`);
+  }
+  if (backend !== 'logto') {
+    const localDir = path.resolve(
+      process.env[`${prefix}LOCAL_DIR`] || (profile ? path.join('.logto-local', String(profile)) : '.logto-local')
+    );
+    return {
+      profile: profile || null,
+      backend,
+      tenantId: process.env[`${prefix}TENANT_ID`] || 'local',
+      // Identifies the store in snapshots and promote's same-tenant check
+      endpoint: backend === 'local' ? pathToFileURL(localDir).href : `memory:${profile || 'default'}`,
+      emailTemplatesPath,
+      localDir,
+      clientId: null,
+      clientSecret: null,
+    };
+  }
+
+  const endpointVar = `${prefix}ENDPOINT`;
+  // The Management API lives under `/api`; accept the endpoint with or without it
+  const endpoint = parseUrl(endpointVar, requiredEnv(endpointVar)).replace(/\/api$/, '');
+  const tenantId = process.env[`${prefix}TENANT_ID`] || extractTenantId(endpoint);
+  const tokenEndpoint = process.env[`${prefix}TOKEN_ENDPOINT`]
+    ? parseUrl(`${prefix}TOKEN_ENDPOINT`, process.env[`${prefix}TOKEN_ENDPOINT`])
+    : `${endpoint}/oidc/token`;
+  const apiResource = normalizeBaseUrl(process.env[`${prefix}API_RESOURCE`]) || `https://${tenantId}.logto.app/api`;
+
+  const clientId = requiredEnv(`${prefix}M2M_CLIENT_ID`);
+  const clientSecret = requiredSecretEnv(`${prefix}M2M_CLIENT_SECRET`);
+
   return {
+    profile: profile || null,
+    backend,
     tenantId,
     endpoint,
+    tokenEndpoint,
+    apiResource,
     emailTemplatesPath,
     clientId,
     clientSecret,
   };
 }
 
+/**
+ * SMTP settings for `send-test`. Returns null when `SMTP_HOST` is not set
+ * (test emails are then written as `.eml` files).
+ */
+export function loadSmtpConfigFromEnv() {
+  const host = String(process.env.SMTP_HOST || '').trim();
+  const from = process.env.SMTP_FROM || 'no-reply@localhost';
+  const to = String(process.env.SMTP_TO || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
 
+  if (!host) {
+    return { smtp: null, from, to };
+  }
+
+  const secure = ['1', 'true', 'yes'].includes(String(process.env.SMTP_SECURE || '').toLowerCase());
+  const port = process.env.SMTP_PORT ? Number(process.env.SMTP_PORT) : undefined;
+  if (port !== undefined && !Number.isInteger(port)) {
+    throw new ConfigError(`Invalid SMTP_PORT: ${process.env.SMTP_PORT}`);
+  }
+
+  return {
+    smtp: {
+      host,
+      port,
+      secure,
+      user: process.env.SMTP_USER || undefined,
+      pass: process.env.SMTP_PASS || undefined,
+    },
+    from,
+    to,
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Error classes thrown by the library. All of them extend `EmailTemplatesError`
+ * and carry a stable `code`, so callers can branch without matching messages.
+ */
+
+export class EmailTemplatesError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.code]
+   * @param {unknown} [options.cause]
+   */
+  constructor(message, { code = 'EMAIL_TEMPLATES_ERROR', cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/** Missing or invalid settings (env vars, profiles, options). */
+export class ConfigError extends EmailTemplatesError {
+  constructor(message, options = {}) {
+    super(message, { code: 'CONFIG_ERROR', ...options });
+  }
+}
+
+/** The Management API rejected a request or could not be reached. */
+export class ApiError extends EmailTemplatesError {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {number} [options.status] - HTTP status, when there was a response
+   * @param {unknown} [options.data] - Response body
+   * @param {unknown} [options.cause]
+   */
+  constructor(message, { status, data, cause } = {}) {
+    super(message, { code: 'API_ERROR', cause });
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/** Local templates failed validation; `problems` as returned by `validateLocalEmailTemplates`. */
+export class ValidationError extends EmailTemplatesError {
+  constructor(message, { problems = [] } = {}) {
+    super(message, { code: 'VALIDATION_ERROR' });
+    this.problems = problems;
+  }
+}
+
+/** A write was cancelled, e.g. the deletions of a prune were not confirmed. */
+export class AbortedError extends EmailTemplatesError {
+  constructor(message) {
+    super(message, { code: 'ABORTED' });
+  }
+}
@@ -0,0 +1,69 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * File-system helpers shared by the modules that read the templates folder.
+ * A missing file or folder is an expected case here, not an error.
+ */
+
+const isNotFound = (error) => Boolean(error && typeof error === 'object' && error.code === 'ENOENT');
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+export async function pathExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * A UTF-8 file's text, or null when it does not exist.
+ * @param {string} filePath
+ * @returns {Promise<string|null>}
+ */
+export async function readOptional(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (isNotFound(error)) return null;
+    throw error;
+  }
+}
+
+/**
+ * Names of the sub-folders of `dir`, sorted (none when `dir` does not exist).
+ * @param {string} dir
+ * @returns {Promise<string[]>}
+ */
+export async function listDirs(dir) {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries
+      .filter((e) => e.isDirectory())
+      .map((e) => e.name)
+      .sort();
+  } catch (error) {
+    if (isNotFound(error)) return [];
+    throw error;
+  }
+}
+
+/**
+ * File names of the partials some language localizes (`_partials/<lang>/*.html`), sorted.
+ * @param {string} partialsRoot - The `_partials` folder
+ * @returns {Promise<string[]>}
+ */
+export async function localizedPartialNames(partialsRoot) {
+  const names = new Set();
+  for (const lang of await listDirs(partialsRoot)) {
+    for (const entry of await fs.readdir(path.join(partialsRoot, lang))) {
+      if (entry.endsWith('.html')) names.add(entry);
+    }
+  }
+  return [...names].sort();
+}
@@ -0,0 +1,187 @@
+/**
+ * Minimal HTML tokenizer (dependency-free).
+ * Good enough for email templates: tags, attributes, text, comments, doctype.
+ * `<script>`/`<style>` bodies are kept as raw text.
+ */
+
+export const VOID_ELEMENTS = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'source',
+  'track',
+  'wbr',
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+const TAG_RE = /<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y;
+const ATTR_RE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode the common named and numeric character references.
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeEntities(text) {
+  return String(text).replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (raw, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : raw;
+    }
+    return ENTITIES[ref.toLowerCase()] ?? raw;
+  });
+}
+
+/**
+ * Escape text for use in HTML text or attribute values.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  for (const match of source.matchAll(ATTR_RE)) {
+    const value = match[2] ?? match[3] ?? match[4];
+    attrs[match[1].toLowerCase()] = value === undefined ? '' : decodeEntities(value);
+  }
+  return attrs;
+}
+
+/**
+ * Tokenize HTML.
+ * @param {string} html
+ * @returns {Array<{type: 'open'|'close'|'text'|'comment'|'doctype', index: number, end: number, raw: string, name?: string, attrs?: Record<string, string>, selfClosing?: boolean}>}
+ */
+export function tokenizeHtml(html) {
+  const text = String(html || '');
+  const tokens = [];
+  let index = 0;
+  let textStart = 0;
+
+  const flushText = (end) => {
+    if (end > textStart) {
+      tokens.push({ type: 'text', index: textStart, end, raw: text.slice(textStart, end) });
+    }
+  };
+
+  while (index < text.length) {
+    const lt = text.indexOf('<', index);
+    if (lt === -1) break;
+
+    if (text.startsWith('<!--', lt)) {
+      const close = text.indexOf('-->', lt + 4);
+      const end = close === -1 ? text.length : close + 3;
+      flushText(lt);
+      tokens.push({ type: 'comment', index: lt, end, raw: text.slice(lt, end) });
+      index = textStart = end;
+      continue;
+    }
+
+    if (text[lt + 1] === '!' || text[lt + 1] === '?') {
+      const close = text.indexOf('>', lt);
+      const end = close === -1 ? text.length : close + 1;
+      flushText(lt);
+      tokens.push({ type: 'doctype', index: lt, end, raw: text.slice(lt, end) });
+      index = textStart = end;
+      continue;
+    }
+
+    TAG_RE.lastIndex = lt;
+    const match = TAG_RE.exec(text);
+    if (!match) {
+      index = lt + 1;
+      continue;
+    }
+
+    flushText(lt);
+    const [raw, slash, rawName, attrSource, selfClose] = match;
+    const name = rawName.toLowerCase();
+    const end = lt + raw.length;
+    tokens.push({
+      type: slash ? 'close' : 'open',
+      index: lt,
+      end,
+      raw,
+      name,
+      attrs: slash ? {} : parseAttributes(attrSource),
+      selfClosing: Boolean(selfClose) || VOID_ELEMENTS.has(name),
+    });
+    index = textStart = end;
+
+    if (!slash && RAW_TEXT_ELEMENTS.has(name)) {
+      const closeIndex = text.toLowerCase().indexOf(`</${name}`, index);
+      const rawEnd = closeIndex === -1 ? text.length : closeIndex;
+      flushText(rawEnd);
+      index = textStart = rawEnd;
+    }
+  }
+
+  flushText(text.length);
+  return tokens;
+}
+
+/**
+ * 1-based line number of a character index.
+ * @param {string} text
+ * @param {number} index
+ * @returns {number}
+ */
+export function lineAt(text, index) {
+  let line = 1;
+  for (let i = 0; i < index && i < text.length; i += 1) {
+    if (text.charCodeAt(i) === 10) line += 1;
+  }
+  return line;
+}
+
+/**
+ * Find unclosed and unexpected closing tags.
+ * @param {string} html
+ * @returns {Array<{index: number, message: string}>}
+ */
+export function findUnbalancedTags(html) {
+  const problems = [];
+  const stack = [];
+
+  for (const token of tokenizeHtml(html)) {
+    if (token.type === 'open' && !token.selfClosing) {
+      stack.push(token);
+    } else if (token.type === 'close') {
+      if (VOID_ELEMENTS.has(token.name)) continue;
+      const openIndex = stack.map((t) => t.name).lastIndexOf(token.name);
+      if (openIndex === -1) {
+        problems.push({ index: token.index, message: `Unexpected closing tag </${token.name}>` });
+        continue;
+      }
+      for (const unclosed of stack.splice(openIndex).slice(1)) {
+        problems.push({
+          index: unclosed.index,
+          message: `<${unclosed.name}> is not closed before </${token.name}>`,
+        });
+      }
+    }
+  }
+
+  for (const unclosed of stack) {
+    problems.push({ index: unclosed.index, message: `<${unclosed.name}> is never closed` });
+  }
+
+  return problems.sort((a, b) => a.index - b.index);
+}
@@ -0,0 +1,168 @@
+import { decodeEntities, tokenizeHtml } from './html.js';
+
+/**
+ * Readable plain-text version of an email HTML body (dependency-free).
+ * - `<head>`, `<style>`, `<script>` and images are dropped
+ * - headings are underlined (`=` for h1, `-` for h2), block elements become paragraphs
+ * - links render as "text (url)", or just the url when both are the same
+ * - "boxes" (e.g. the verification code) are set apart and indented
+ * - `{{…}}` placeholders are kept as-is
+ */
+
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'center', 'div', 'dl', 'dd', 'dt', 'footer',
+  'form', 'header', 'main', 'nav', 'ol', 'p', 'section', 'table', 'tbody', 'tfoot', 'thead',
+  'tr', 'ul',
+]);
+const HEADINGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const SKIPPED_ELEMENTS = new Set(['head', 'style', 'script', 'title']);
+
+export const DEFAULT_BOX_CLASSES = ['verification-code', 'invitation-link'];
+
+function normalizeInline(text) {
+  return text.replace(/[ \t\r\n\f]+/g, ' ').trim();
+}
+
+function wrapLine(line, width) {
+  if (!width || line.length <= width) return line;
+  const out = [];
+  let current = '';
+  for (const word of line.split(' ')) {
+    if (current && current.length + 1 + word.length > width) {
+      out.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) out.push(current);
+  return out.join('\n');
+}
+
+/**
+ * Convert HTML to plain text.
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {string[]} [options.boxClasses] - Classes rendered as an indented box
+ * @param {number} [options.wrap] - Wrap paragraphs at this many characters (default: 76, 0 to disable)
+ * @returns {string}
+ */
+export function htmlToText(html, { boxClasses = DEFAULT_BOX_CLASSES, wrap = 76 } = {}) {
+  const blocks = [];
+  let inline = '';
+  let skipDepth = 0;
+  const links = [];
+  const open = [];
+  let boxDepth = 0;
+
+  const flush = () => {
+    const text = inline
+      .split('\n')
+      .map((line) => wrapLine(normalizeInline(line), boxDepth ? 0 : wrap))
+      .join('\n')
+      .trim();
+    inline = '';
+    if (!text) return;
+    if (boxDepth) blocks.push(text.split('\n').map((line) => `    ${line}`).join('\n'));
+    else blocks.push(text);
+  };
+
+  for (const token of tokenizeHtml(html)) {
+    if (token.type === 'comment' || token.type === 'doctype') continue;
+
+    if (token.type === 'open' && SKIPPED_ELEMENTS.has(token.name) && !token.selfClosing) {
+      skipDepth += 1;
+      continue;
+    }
+    if (token.type === 'close' && SKIPPED_ELEMENTS.has(token.name)) {
+      skipDepth = Math.max(0, skipDepth - 1);
+      continue;
+    }
+    if (skipDepth) continue;
+
+    if (token.type === 'text') {
+      // Source line breaks are formatting; only <br> starts a new line
+      inline += decodeEntities(token.raw.replace(/\s+/g, ' '));
+      continue;
+    }
+
+    const { name } = token;
+
+    if (token.type === 'open') {
+      const classList = (token.attrs.class || '').split(/\s+/);
+      const isBox = classList.some((c) => boxClasses.includes(c));
+
+      if (name === 'br') inline += '\n';
+      else if (name === 'hr') {
+        flush();
+        blocks.push('----');
+      } else if (name === 'li') {
+        flush();
+        inline = '- ';
+      } else if (name === 'a') {
+        links.push({ href: token.attrs.href || '', start: inline.length });
+      } else if (name === 'td' || name === 'th') {
+        inline += ' ';
+      } else if (HEADINGS.has(name) || BLOCK_ELEMENTS.has(name) || isBox) {
+        flush();
+      }
+
+      if (!token.selfClosing) open.push({ name, isBox });
+      if (isBox && !token.selfClosing) boxDepth += 1;
+      continue;
+    }
+
+    // Closing tags
+    if (name === 'a') {
+      const link = links.pop();
+      if (!link) continue;
+      const text = normalizeInline(inline.slice(link.start));
+      const href = link.href.replace(/^mailto:/i, '');
+      if (!text) {
+        inline = inline.slice(0, link.start);
+      } else if (href && href !== text && !href.startsWith('#')) {
+        inline = `${inline.slice(0, link.start)}${text} (${href})`;
+      }
+    } else if (HEADINGS.has(name)) {
+      const text = normalizeInline(inline);
+      inline = '';
+      if (text) {
+        const underline = name === 'h1' ? '=' : name === 'h2' ? '-' : '';
+        blocks.push(underline ? `${text}\n${underline.repeat(Math.min([...text].length, 72))}` : text);
+      }
+    } else if (BLOCK_ELEMENTS.has(name) || name === 'li') {
+      flush();
+    }
+
+    const openIndex = open.map((element) => element.name).lastIndexOf(name);
+    if (openIndex !== -1) {
+      for (const element of open.splice(openIndex)) {
+        if (!element.isBox) continue;
+        flush();
+        boxDepth -= 1;
+      }
+    }
+  }
+
+  flush();
+  return blocks.join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Turn `text/html` templates into `text/plain` ones (others pass through).
+ * @param {Array} templates - Output of `loadLocalEmailTemplates`
+ * @returns {Array}
+ */
+export function toPlainTextTemplates(templates) {
+  return templates.map((template) => {
+    if ((template.details.contentType || 'text/html') !== 'text/html') return template;
+    return {
+      ...template,
+      details: {
+        ...template.details,
+        content: htmlToText(template.details.content),
+        contentType: 'text/plain',
+      },
+    };
+  });
+}
@@ -0,0 +1,164 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { ConfigError } from './errors.js';
+import { renderTemplateContent } from './templateLayouts.js';
+import { makeTemplateKey } from './templatesPlan.js';
+
+/**
+ * Language tags: BCP 47 checks, the languages Logto knows, and fallback chains that
+ * fill missing `templateType × languageTag` pairs from another language, e.g.
+ *
+ *   { "zh-HK": ["zh-TW", "en"], "pt-BR": ["pt", "en"] }
+ *
+ * A chain is tried in order; the first language that has the template type wins.
+ */
+
+// Language tags known to Logto (`@logto/language-kit`)
+export const LOGTO_LANGUAGE_TAGS = [
+  'af-ZA', 'am-ET', 'ar', 'ar-AR', 'as-IN', 'az-AZ', 'be-BY', 'bg-BG', 'bn-IN', 'br-FR',
+  'bs-BA', 'ca-ES', 'cb-IQ', 'co-FR', 'cs', 'cs-CZ', 'cx-PH', 'cy-GB', 'da-DK', 'de',
+  'de-AT', 'de-CH', 'de-DE', 'el-GR', 'en', 'en-GB', 'en-US', 'eo-EO', 'es', 'es-419',
+  'es-ES', 'et-EE', 'eu-ES', 'fa-IR', 'ff-NG', 'fi', 'fi-FI', 'fo-FO', 'fr', 'fr-CA',
+  'fr-FR', 'fy-NL', 'ga-IE', 'gl-ES', 'gn-PY', 'gu-IN', 'ha-NG', 'he-IL', 'hi-IN', 'hr-HR',
+  'ht-HT', 'hu-HU', 'hy-AM', 'id-ID', 'is-IS', 'it', 'it-IT', 'ja', 'ja-JP', 'jv-ID',
+  'ka-GE', 'kk-KZ', 'km-KH', 'kn-IN', 'ko', 'ko-KR', 'ku-TR', 'ky-KG', 'lo-LA', 'lt-LT',
+  'lv-LV', 'mg-MG', 'mk-MK', 'ml-IN', 'mn-MN', 'mr-IN', 'ms-MY', 'mt-MT', 'my-MM', 'nb-NO',
+  'ne-NP', 'nl-BE', 'nl-NL', 'nn-NO', 'or-IN', 'pa-IN', 'pl-PL', 'ps-AF', 'pt-BR', 'pt-PT',
+  'ro-RO', 'ru', 'ru-RU', 'rw-RW', 'sc-IT', 'si-LK', 'sk-SK', 'sl-SI', 'sn-ZW', 'sq-AL',
+  'sr-RS', 'sv-SE', 'sw-KE', 'ta-IN', 'te-IN', 'tg-TJ', 'th', 'th-TH', 'tl-PH', 'tr-TR',
+  'tt-RU', 'uk-UA', 'ur-PK', 'uz-UZ', 'vi-VN', 'zh-CN', 'zh-HK', 'zh-MO', 'zh-TW',
+];
+
+const LOGTO_TAGS = new Set(LOGTO_LANGUAGE_TAGS);
+const LOGTO_PRIMARY_LANGUAGES = new Set(LOGTO_LANGUAGE_TAGS.map((tag) => tag.split('-')[0]));
+
+function canonicalize(tag) {
+  try {
+    return Intl.getCanonicalLocales(tag)[0];
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a language tag.
+ * - `error`: not a well-formed BCP 47 tag (with a suggestion when one is obvious, e.g. `zh_CN`)
+ * - `warning`: not in canonical form (`zh-cn` → `zh-CN`), or a language Logto does not know
+ * @param {string} tag
+ * @returns {{severity: 'error'|'warning', message: string}|null} null when the tag is fine
+ */
+export function checkLanguageTag(tag) {
+  const value = String(tag ?? '');
+  const canonical = canonicalize(value);
+  if (!canonical) {
+    const suggestion = canonicalize(value.replace(/_/g, '-').trim());
+    return {
+      severity: 'error',
+      message: `Invalid language tag "${value}" (not BCP 47` + (suggestion ? `; did you mean "${suggestion}"?)` : ')'),
+    };
+  }
+  if (canonical !== value) {
+    return { severity: 'warning', message: `Language tag "${value}" is not in canonical form (use "${canonical}")` };
+  }
+  if (!LOGTO_TAGS.has(value) && !LOGTO_PRIMARY_LANGUAGES.has(value.split('-')[0].toLowerCase())) {
+    return { severity: 'warning', message: `Language "${value}" is not one of the languages Logto supports` };
+  }
+  return null;
+}
+
+/**
+ * Problems with a fallback chains object (`{ "<tag>": ["<tag>", ...] }`).
+ * @param {any} fallbacks
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateLanguageFallbacks(fallbacks) {
+  if (!fallbacks || typeof fallbacks !== 'object' || Array.isArray(fallbacks)) {
+    return ['fallbacks must be an object of language tag -> array of language tags'];
+  }
+  const errors = [];
+  for (const [tag, chain] of Object.entries(fallbacks)) {
+    for (const value of [tag, ...(Array.isArray(chain) ? chain : [])]) {
+      if (checkLanguageTag(value)?.severity === 'error') errors.push(`invalid language tag "${value}"`);
+    }
+    if (!Array.isArray(chain) || !chain.length || !chain.every((v) => typeof v === 'string')) {
+      errors.push(`fallback chain for "${tag}" must be a non-empty array of language tags`);
+    } else if (chain.includes(tag)) {
+      errors.push(`fallback chain for "${tag}" must not contain "${tag}" itself`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Parse `--fallback` values (`zh-HK:zh-TW,en`) into a fallbacks object.
+ * @param {string[]} values
+ * @returns {Record<string, string[]>}
+ */
+export function parseLanguageFallbacks(values) {
+  const fallbacks = {};
+  for (const value of values) {
+    const [tag, chain = ''] = value.split(':');
+    fallbacks[tag.trim()] = chain
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean);
+  }
+  const errors = validateLanguageFallbacks(fallbacks);
+  if (errors.length) throw new ConfigError(`Invalid --fallback: ${errors.join('; ')}`);
+  return fallbacks;
+}
+
+/**
+ * Every language a set of chains can read from (to load them even when `onlyLanguages`
+ * leaves them out).
+ * @param {Record<string, string[]>|null} fallbacks
+ * @returns {Set<string>}
+ */
+export function fallbackSourceLanguages(fallbacks) {
+  return new Set(Object.values(fallbacks || {}).flat());
+}
+
+/**
+ * Fill missing `templateType × languageTag` pairs from their fallback chain. Only template
+ * types that exist in `templates` are filled, and the copy records `_source.fallbackFrom`.
+ * A copy of a template loaded from a templates directory re-renders the source's content
+ * file as the filled language, so `{% languageTag %}`, `{% dir %}` and localized partials
+ * follow the language it is stored under; a bundle's content is copied as it is.
+ * @param {Array} templates - Output of `loadLocalEmailTemplates` or `readBundle`
+ * @param {Record<string, string[]>|null} fallbacks
+ * @returns {Promise<Array>} `templates` plus the filled ones
+ */
+export async function applyLanguageFallbacks(templates, fallbacks) {
+  if (!fallbacks || !Object.keys(fallbacks).length) return templates;
+
+  const index = new Map(templates.map((t) => [makeTemplateKey(t.templateType, t.languageTag), t]));
+  const templateTypes = [...new Set(templates.map((t) => t.templateType))];
+  const filled = [];
+
+  for (const templateType of templateTypes) {
+    for (const [languageTag, chain] of Object.entries(fallbacks)) {
+      if (index.has(makeTemplateKey(templateType, languageTag))) continue;
+      const from = chain.find((tag) => index.has(makeTemplateKey(templateType, tag)));
+      if (!from) continue;
+
+      const source = index.get(makeTemplateKey(templateType, from));
+      const details = { ...source.details };
+      const _source = { ...source._source, fallbackFrom: from };
+      const { contentPath, dir } = source._source || {};
+      if (contentPath) {
+        // `dir` is <templatesRoot>/<templateType>/<languageTag>
+        const rendered = await renderTemplateContent((await fs.readFile(contentPath, 'utf8')).trimEnd(), {
+          templatesRoot: path.dirname(path.dirname(dir)),
+          templateType,
+          languageTag,
+          sourcePath: contentPath,
+        });
+        details.content = rendered.content;
+        _source.dependencies = rendered.dependencies;
+      }
+      filled.push({ templateType, languageTag, details, _source });
+    }
+  }
+  return [...templates, ...filled];
+}
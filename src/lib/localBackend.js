@@ -0,0 +1,263 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+
+import { TEMPLATE_TYPES } from './templateVariables.js';
+
+/**
+ * Offline stand-in for Logto's email-templates Management API. The templates live in memory
+ * or in `<dir>/email-templates.json`, and requests follow Logto's semantics:
+ *
+ * - `GET    /api/email-templates`            list (`?languageTag=` / `?templateType=` filter)
+ * - `GET    /api/email-templates/:id`        one template, 404 when unknown
+ * - `PUT    /api/email-templates`            `{ templates: [...] }`, upserted by templateType ×
+ *                                            languageTag (details are replaced); returns the rows
+ * - `DELETE /api/email-templates/:id`        204, 404 when unknown
+ * - `DELETE /api/email-templates?languageTag=&templateType=`  200 `{ rowCount }`
+ *
+ * Invalid input is rejected with 400 `guard.invalid_input`, like the real guard, so batching
+ * and per-template failures behave the same offline.
+ */
+
+export const LOCAL_STORE_FILE = 'email-templates.json';
+
+const CONTENT_TYPES = ['text/html', 'text/plain'];
+const DETAIL_FIELDS = ['subject', 'content', 'contentType', 'replyTo', 'sendFrom'];
+
+/**
+ * Where the fake keeps its templates.
+ * @param {string|null} [dir] - Directory for `email-templates.json`; null keeps them in memory
+ * @returns {{location: string, read: () => Promise<Array>, write: (rows: Array) => Promise<void>}}
+ */
+export function createTemplateStore(dir = null) {
+  if (!dir) {
+    let rows = [];
+    return {
+      location: 'memory',
+      async read() {
+        return structuredClone(rows);
+      },
+      async write(next) {
+        rows = structuredClone(next);
+      },
+    };
+  }
+
+  const file = path.resolve(dir, LOCAL_STORE_FILE);
+  return {
+    location: file,
+    async read() {
+      try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (error) {
+        if (error?.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+    async write(rows) {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      // Write then rename so a crash never leaves half a file behind
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, `${JSON.stringify(rows, null, 2)}\n`, 'utf8');
+      await fs.rename(tmp, file);
+    },
+  };
+}
+
+function reply(status, body) {
+  return { status, body };
+}
+
+function invalidInput(issues) {
+  return reply(400, { code: 'guard.invalid_input', message: 'The request body is invalid.', data: { issues } });
+}
+
+function notFound(id) {
+  return reply(404, {
+    code: 'entity.not_exists_with_id',
+    message: `The email template with ID \`${id}\` does not exist.`,
+  });
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && Boolean(value.trim());
+}
+
+function checkTemplate(template, index, issues) {
+  const at = (field) => ['templates', index, field].join('.');
+  if (!template || typeof template !== 'object') {
+    issues.push({ path: `templates.${index}`, message: 'Expected an object' });
+    return;
+  }
+  if (!isNonEmptyString(template.languageTag)) {
+    issues.push({ path: at('languageTag'), message: 'Expected a non-empty string' });
+  }
+  if (!Object.prototype.hasOwnProperty.call(TEMPLATE_TYPES, template.templateType)) {
+    issues.push({ path: at('templateType'), message: `Invalid enum value "${template.templateType}"` });
+  }
+  const details = template.details;
+  if (!details || typeof details !== 'object') {
+    issues.push({ path: at('details'), message: 'Expected an object' });
+    return;
+  }
+  for (const field of ['subject', 'content']) {
+    if (typeof details[field] !== 'string') issues.push({ path: at(`details.${field}`), message: 'Expected a string' });
+  }
+  if (details.contentType !== undefined && !CONTENT_TYPES.includes(details.contentType)) {
+    issues.push({ path: at('details.contentType'), message: `Expected ${CONTENT_TYPES.join(' or ')}` });
+  }
+  for (const field of ['replyTo', 'sendFrom']) {
+    if (details[field] !== undefined && typeof details[field] !== 'string') {
+      issues.push({ path: at(`details.${field}`), message: 'Expected a string' });
+    }
+  }
+}
+
+// Unknown detail keys are dropped, as the Management API's guard does
+function pickDetails(details) {
+  return Object.fromEntries(DETAIL_FIELDS.filter((f) => details[f] !== undefined).map((f) => [f, details[f]]));
+}
+
+function matchesQuery(row, query) {
+  return (
+    (!query.languageTag || row.languageTag === query.languageTag) &&
+    (!query.templateType || row.templateType === query.templateType)
+  );
+}
+
+function generateId() {
+  // Logto ids: 21 lowercase alphanumerics
+  const alphabet = '0123456789abcdefghijklmnopqrstuvwxyz';
+  return Array.from(crypto.randomBytes(21), (byte) => alphabet[byte % alphabet.length]).join('');
+}
+
+/**
+ * Request handler shared by the in-process client and the mock HTTP server.
+ * @param {ReturnType<typeof createTemplateStore>} store
+ * @param {Object} [options]
+ * @param {string} [options.emailTemplatesPath] - Collection name under `/api` (default: email-templates)
+ * @param {string} [options.tenantId] - Written into every row (default: local)
+ * @returns {(request: {method: string, pathname: string, query?: Record<string, string>, body?: any}) => Promise<{status: number, body?: any}>}
+ */
+export function createEmailTemplatesHandler(store, { emailTemplatesPath = 'email-templates', tenantId = 'local' } = {}) {
+  const basePath = `/api/${emailTemplatesPath}`;
+  // One request at a time, so concurrent writes never lose each other's rows
+  let queue = Promise.resolve();
+
+  async function handle({ method, pathname, query = {}, body }) {
+    const route = pathname.replace(/\/+$/, '');
+    if (route !== basePath && !route.startsWith(`${basePath}/`)) return reply(404, { message: 'Not Found' });
+    const segments = route.slice(basePath.length).split('/').filter(Boolean).map(decodeURIComponent);
+    if (segments.length > 1) return reply(404, { message: 'Not Found' });
+    const [id] = segments;
+    const rows = await store.read();
+
+    if (method === 'GET') {
+      if (!id) return reply(200, rows.filter((row) => matchesQuery(row, query)));
+      const row = rows.find((r) => r.id === id);
+      return row ? reply(200, row) : notFound(id);
+    }
+
+    if (method === 'PUT' && !id) {
+      const templates = body?.templates;
+      if (!Array.isArray(templates) || !templates.length) {
+        return invalidInput([{ path: 'templates', message: 'Expected a non-empty array' }]);
+      }
+      const issues = [];
+      templates.forEach((template, index) => checkTemplate(template, index, issues));
+      if (issues.length) return invalidInput(issues);
+
+      const saved = [];
+      for (const { languageTag, templateType, details } of templates) {
+        let row = rows.find((r) => r.languageTag === languageTag && r.templateType === templateType);
+        if (row) {
+          row.details = pickDetails(details);
+        } else {
+          row = {
+            tenantId,
+            id: generateId(),
+            languageTag,
+            templateType,
+            details: pickDetails(details),
+            createdAt: Date.now(),
+          };
+          rows.push(row);
+        }
+        saved.push(row);
+      }
+      await store.write(rows);
+      return reply(200, saved);
+    }
+
+    if (method === 'DELETE') {
+      if (id) {
+        const index = rows.findIndex((r) => r.id === id);
+        if (index === -1) return notFound(id);
+        rows.splice(index, 1);
+        await store.write(rows);
+        return reply(204);
+      }
+      if (!query.languageTag && !query.templateType) {
+        return reply(400, {
+          code: 'guard.invalid_input',
+          message: 'At least one of languageTag or templateType is required.',
+        });
+      }
+      const kept = rows.filter((row) => !matchesQuery(row, query));
+      await store.write(kept);
+      return reply(200, { rowCount: rows.length - kept.length });
+    }
+
+    return reply(405, { message: 'Method Not Allowed' });
+  }
+
+  return (request) => {
+    const result = queue.then(() => handle(request));
+    queue = result.catch(() => {});
+    return result;
+  };
+}
+
+function fillPathParams(requestPath, params = {}) {
+  return requestPath.replace(/\{([^}]+)\}/g, (_, name) => encodeURIComponent(params[name]));
+}
+
+/**
+ * Management API client (same `GET`/`PUT`/`DELETE` interface and `{ data, error, response }`
+ * results as the SDK's) backed by the offline fake instead of a tenant.
+ * @param {Object} [options]
+ * @param {string|null} [options.dir] - Keep templates in `<dir>/email-templates.json` (default: memory)
+ * @param {ReturnType<typeof createTemplateStore>} [options.store] - Share a store (e.g. with the mock server)
+ * @param {string} [options.emailTemplatesPath]
+ * @param {string} [options.tenantId]
+ * @returns {any}
+ */
+export function createLocalApiClient({ dir = null, store = createTemplateStore(dir), emailTemplatesPath, tenantId } = {}) {
+  const handle = createEmailTemplatesHandler(store, { emailTemplatesPath, tenantId });
+
+  const request =
+    (method) =>
+    async (requestPath, { params = {}, body } = {}) => {
+      const { status, body: payload } = await handle({
+        method,
+        pathname: fillPathParams(requestPath, params.path),
+        query: params.query || {},
+        // Round-trip through JSON like a real request, so callers never share objects with the store
+        body: body === undefined ? undefined : JSON.parse(JSON.stringify(body)),
+      });
+      const ok = status < 400;
+      return {
+        data: ok ? payload : undefined,
+        error: ok ? undefined : payload,
+        response: { status, ok, headers: new Headers() },
+      };
+    };
+
+  return {
+    store,
+    GET: request('GET'),
+    PUT: request('PUT'),
+    DELETE: request('DELETE'),
+  };
+}
@@ -1,17 +1,34 @@
 import { createManagementApi } from '@logto/api/management';
 
+import { createHttpApiClient, resolveAuthTarget } from './clientCredentials.js';
+
 /**
  * Creates and returns Logto Management API client with authenticated access.
  * @param {Object} config - Configuration object
- * @param {string} config.tenantId - Logto tenant ID
+ * @param {string} config.tenantId - Logto tenant ID (`default` for Logto OSS)
+ * @param {string} config.endpoint - Logto endpoint; token and API requests go here
+ *   (e.g. a self-hosted instance or a mock server, see `mockLogtoServer.js`)
  * @param {string} config.clientId - M2M client ID
  * @param {string} config.clientSecret - M2M client secret
+ * @param {string} [config.tokenEndpoint] - Default: `<endpoint>/oidc/token`
+ * @param {string} [config.apiResource] - Management API resource indicator
+ *   (default: `https://<tenantId>.logto.app/api`)
  * @returns {Promise<{apiClient: any, accessToken: string}>}
  */
 export async function createLogtoApiClient(config) {
+  const { apiResource, customTokenEndpoint } = resolveAuthTarget(config);
+
+  // The SDK always asks `<baseUrl>/oidc/token` for tokens
+  if (customTokenEndpoint) {
+    const apiClient = createHttpApiClient(config);
+    return { apiClient, accessToken: await apiClient.getAccessToken() };
+  }
+
   const { apiClient, clientCredentials } = createManagementApi(config.tenantId, {
     clientId: config.clientId,
     clientSecret: config.clientSecret,
+    baseUrl: config.endpoint,
+    apiIndicator: apiResource,
   });
 
   // Get access token (SDK handles auth internally, but we can also get it explicitly)
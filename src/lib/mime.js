@@ -0,0 +1,117 @@
+import crypto from 'node:crypto';
+
+/**
+ * Minimal MIME message builder (dependency-free).
+ * - UTF-8 everywhere, base64 bodies, RFC 2047 encoded headers
+ * - `text/html`, `text/plain` or `multipart/alternative` when both are given
+ */
+
+// eslint-disable-next-line no-control-regex
+const NON_ASCII_RE = /[^\x20-\x7e]/;
+
+function wrapBase64(value) {
+  return Buffer.from(value, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+/**
+ * Encode a header value as RFC 2047 encoded-words when it is not plain ASCII.
+ * @param {string} value
+ * @returns {string}
+ */
+export function encodeHeaderValue(value) {
+  const text = String(value ?? '');
+  if (!NON_ASCII_RE.test(text)) return text;
+
+  // Split into chunks whose encoded-words stay below the 75 char limit, on character boundaries
+  const words = [];
+  let chunk = '';
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char, 'utf8') > 45) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  if (chunk) words.push(chunk);
+  return words.map((word) => `=?UTF-8?B?${Buffer.from(word, 'utf8').toString('base64')}?=`).join('\r\n ');
+}
+
+/**
+ * Split `Name <user@host>` into its parts; a bare address has no name.
+ * @param {string} value
+ * @returns {{name: string, address: string}}
+ */
+export function parseAddress(value) {
+  const text = String(value || '').trim();
+  const match = text.match(/^(.*?)\s*<([^<>]+)>$/);
+  if (match) return { name: match[1].replace(/^"|"$/g, '').trim(), address: match[2].trim() };
+  return { name: '', address: text };
+}
+
+/**
+ * Format an address header value, encoding the display name when needed.
+ * @param {string} value - `user@host` or `Name <user@host>`
+ * @returns {string}
+ */
+export function formatAddress(value) {
+  const { name, address } = parseAddress(value);
+  if (!name) return address;
+  if (NON_ASCII_RE.test(name)) return `${encodeHeaderValue(name)} <${address}>`;
+  return `"${name.replace(/["\\]/g, '\\$&')}" <${address}>`;
+}
+
+function part(contentType, body) {
+  return [
+    `Content-Type: ${contentType}; charset=UTF-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    wrapBase64(body),
+  ].join('\r\n');
+}
+
+/**
+ * Build a complete RFC 5322 message.
+ * @param {Object} params
+ * @param {string} params.from - Sender, `user@host` or `Name <user@host>`
+ * @param {string[]} params.to - Recipients
+ * @param {string} [params.replyTo]
+ * @param {string} params.subject
+ * @param {string} [params.html] - HTML body
+ * @param {string} [params.text] - Plain-text body
+ * @param {Record<string, string>} [params.headers] - Extra headers (ASCII values)
+ * @param {Date} [params.date]
+ * @returns {string} Message with CRLF line endings
+ */
+export function buildMimeMessage({ from, to, replyTo, subject, html, text, headers = {}, date = new Date() }) {
+  if (!html && !text) throw new Error('A message needs an html or text body');
+
+  const domain = parseAddress(from).address.split('@')[1] || 'localhost';
+  const lines = [
+    `From: ${formatAddress(from)}`,
+    `To: ${to.map(formatAddress).join(', ')}`,
+    ...(replyTo ? [`Reply-To: ${formatAddress(replyTo)}`] : []),
+    `Subject: ${encodeHeaderValue(subject)}`,
+    `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+  ];
+
+  if (html && text) {
+    const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+    lines.push(
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      '',
+      `--${boundary}`,
+      part('text/plain', text),
+      `--${boundary}`,
+      part('text/html', html),
+      `--${boundary}--`,
+      ''
+    );
+  } else {
+    lines.push(part(html ? 'text/html' : 'text/plain', html || text), '');
+  }
+
+  return lines.join('\r\n');
+}
@@ -0,0 +1,201 @@
+import crypto from 'node:crypto';
+import http from 'node:http';
+
+import { createEmailTemplatesHandler, createTemplateStore } from './localBackend.js';
+
+/**
+ * A small mock of the Logto Management API, for end-to-end runs of the real client path
+ * (SDK → token request → bearer-authenticated API calls) without a tenant. Point
+ * `LOGTO_ENDPOINT` at its URL.
+ *
+ * Routes:
+ * - `GET  /oidc/.well-known/openid-configuration`  issuer and token endpoint
+ * - `POST /oidc/token`           client credentials grant; the client id/secret come from
+ *                                HTTP Basic auth or the form body
+ * - `/api/email-templates[/:id]` see `localBackend.js`; needs `Authorization: Bearer <token>`
+ */
+
+function sendJson(res, status, body, headers = {}) {
+  if (body === undefined) {
+    res.writeHead(status, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+function parseForm(text, contentType = '') {
+  if (contentType.includes('application/json')) return JSON.parse(text || '{}');
+  return Object.fromEntries(new URLSearchParams(text));
+}
+
+function basicCredentials(header = '') {
+  const match = header.match(/^Basic\s+(.+)$/i);
+  if (!match) return {};
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const index = decoded.indexOf(':');
+  if (index === -1) return {};
+  // Both parts are form-encoded (RFC 6749 §2.3.1)
+  const decode = (value) => decodeURIComponent(value.replace(/\+/g, ' '));
+  return { clientId: decode(decoded.slice(0, index)), clientSecret: decode(decoded.slice(index + 1)) };
+}
+
+/**
+ * Start the mock server.
+ * @param {Object} [params]
+ * @param {number} [params.port] - Port to listen on (default: 0, a random port)
+ * @param {string} [params.host] - Host to bind (default: 127.0.0.1)
+ * @param {string|null} [params.dir] - Keep templates in `<dir>/email-templates.json` (default: memory)
+ * @param {ReturnType<typeof createTemplateStore>} [params.store] - Use an existing store instead
+ * @param {string|null} [params.clientId] - Only accept this M2M app (default: any)
+ * @param {string|null} [params.clientSecret]
+ * @param {string|null} [params.apiResource] - Only issue tokens for this resource indicator (default: any)
+ * @param {string} [params.emailTemplatesPath] - Default: email-templates
+ * @param {string} [params.tenantId] - Default: mock
+ * @param {number} [params.tokenTtlSeconds] - Access token lifetime (default: 3600)
+ * @param {(entry: {method: string, path: string, status: number}) => void} [params.onRequest]
+ * @returns {Promise<{
+ *   url: string,
+ *   store: ReturnType<typeof createTemplateStore>,
+ *   requests: Array<{method: string, path: string, status: number}>,
+ *   failNext: (options: {status: number, count?: number, method?: string, retryAfter?: number}) => void,
+ *   close: () => Promise<void>,
+ * }>}
+ */
+export async function startMockLogtoServer({
+  port = 0,
+  host = '127.0.0.1',
+  dir = null,
+  store = createTemplateStore(dir),
+  clientId = null,
+  clientSecret = null,
+  apiResource = null,
+  emailTemplatesPath = 'email-templates',
+  tenantId = 'mock',
+  tokenTtlSeconds = 3600,
+  onRequest,
+} = {}) {
+  const handle = createEmailTemplatesHandler(store, { emailTemplatesPath, tenantId });
+  const tokens = new Map();
+  const requests = [];
+  // Injected API failures (e.g. 429 or 503), consumed in order
+  const failures = [];
+
+  function issueToken(form, authorization) {
+    if (form.grant_type !== 'client_credentials') {
+      return [400, { error: 'unsupported_grant_type', error_description: 'Only client_credentials is supported' }];
+    }
+    const basic = basicCredentials(authorization);
+    const id = basic.clientId ?? form.client_id;
+    const secret = basic.clientSecret ?? form.client_secret;
+    if (!id || !secret || (clientId && (id !== clientId || secret !== clientSecret))) {
+      return [401, { error: 'invalid_client', error_description: 'client authentication failed' }];
+    }
+    if (apiResource && form.resource !== apiResource) {
+      return [400, { error: 'invalid_target', error_description: 'resource indicator is missing, or unknown' }];
+    }
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    tokens.set(accessToken, Date.now() + tokenTtlSeconds * 1000);
+    return [
+      200,
+      { access_token: accessToken, token_type: 'Bearer', expires_in: tokenTtlSeconds, scope: form.scope || 'all' },
+    ];
+  }
+
+  function isAuthorized(authorization = '') {
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    const expiresAt = match && tokens.get(match[1]);
+    return Boolean(expiresAt) && expiresAt > Date.now();
+  }
+
+  function takeFailure(method) {
+    const index = failures.findIndex((f) => !f.method || f.method === method);
+    if (index === -1) return null;
+    const failure = failures[index];
+    failure.count -= 1;
+    if (failure.count <= 0) failures.splice(index, 1);
+    return failure;
+  }
+
+  async function respond(req, url) {
+    const text = await readBody(req);
+
+    if (url.pathname === '/oidc/.well-known/openid-configuration') {
+      const origin = `http://${req.headers.host}`;
+      return [200, { issuer: `${origin}/oidc`, token_endpoint: `${origin}/oidc/token` }];
+    }
+    if (url.pathname === '/oidc/token') {
+      if (req.method !== 'POST') return [405, { message: 'Method Not Allowed' }];
+      return issueToken(parseForm(text, req.headers['content-type']), req.headers.authorization);
+    }
+    if (!url.pathname.startsWith('/api/')) return [404, { message: 'Not Found' }];
+    if (!isAuthorized(req.headers.authorization)) {
+      return [401, { code: 'auth.unauthorized', message: 'Unauthorized. Please check credentials and its scope.' }];
+    }
+
+    const failure = takeFailure(req.method);
+    if (failure) {
+      return [
+        failure.status,
+        { code: 'mock.injected_failure', message: `Injected ${failure.status}` },
+        failure.retryAfter === undefined ? {} : { 'Retry-After': String(failure.retryAfter) },
+      ];
+    }
+
+    const { status, body } = await handle({
+      method: req.method,
+      pathname: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      body: text ? JSON.parse(text) : undefined,
+    });
+    return [status, body];
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let result;
+    try {
+      result = await respond(req, url);
+    } catch (error) {
+      result =
+        error instanceof SyntaxError
+          ? [400, { code: 'guard.invalid_input', message: `Invalid JSON: ${error.message}` }]
+          : [500, { code: 'unknown', message: error?.message || String(error) }];
+    }
+    const [status, body, headers] = result;
+    sendJson(res, status, body, headers);
+
+    const entry = { method: req.method, path: url.pathname + url.search, status };
+    requests.push(entry);
+    if (onRequest) onRequest(entry);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  const url = `http://${host.includes(':') ? `[${host}]` : host}:${address.port}`;
+
+  return {
+    url,
+    store,
+    requests,
+    failNext({ status, count = 1, method, retryAfter }) {
+      failures.push({ status, count, method, retryAfter });
+    },
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+      }),
+  };
+}
@@ -0,0 +1,92 @@
+import process from 'node:process';
+
+import { ConfigError, EmailTemplatesError } from './errors.js';
+
+/**
+ * CLI output formats:
+ * - `text`   human-readable lines (default)
+ * - `json`   one JSON document on stdout when the command ends
+ * - `ndjson` one JSON object per line: `{ "type": "<item>", ... }` per result, then
+ *            `{ "type": "summary", ... }` (or `{ "type": "error", ... }`)
+ *
+ * With json/ndjson, human-readable lines go to stderr so stdout stays parseable.
+ */
+
+export const OUTPUT_FORMATS = ['text', 'json', 'ndjson'];
+
+/**
+ * Plain-object form of an error for JSON output.
+ * @param {unknown} error
+ * @returns {{name: string, code: string, message: string, status?: number, problems?: Array, data?: unknown}}
+ */
+export function serializeError(error) {
+  if (!(error instanceof Error)) return { name: 'Error', code: 'ERROR', message: String(error) };
+  return {
+    name: error.name,
+    code: error instanceof EmailTemplatesError ? error.code : 'ERROR',
+    message: error.message,
+    ...(error.status ? { status: error.status } : {}),
+    ...(error.problems ? { problems: error.problems } : {}),
+    ...(error.data !== undefined ? { data: error.data } : {}),
+  };
+}
+
+/**
+ * @param {'text'|'json'|'ndjson'} [format]
+ * @param {Object} [streams]
+ * @param {NodeJS.WritableStream} [streams.stdout]
+ * @param {NodeJS.WritableStream} [streams.stderr]
+ */
+export function createOutput(format = 'text', { stdout = process.stdout, stderr = process.stderr } = {}) {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new ConfigError(`Invalid output format: ${format} (use ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  const machine = format !== 'text';
+  const writeJson = (value) => stdout.write(`${JSON.stringify(value, null, format === 'json' ? 2 : 0)}\n`);
+
+  return {
+    format,
+    machine,
+
+    /** A human-readable line (stderr in json/ndjson mode). */
+    text(line = '') {
+      (machine ? stderr : stdout).write(`${line}\n`);
+    },
+
+    /** A line that only makes sense mid-command (e.g. preview reloads); ndjson-style in both machine formats. */
+    event(type, data = {}) {
+      if (machine) stdout.write(`${JSON.stringify({ type, ...data })}\n`);
+    },
+
+    /**
+     * Final result of a command. `list` names the array that ndjson streams item by item
+     * (as `{ type: item, ... }`); the rest becomes the summary line.
+     * @param {Object} payload
+     * @param {Object} [options]
+     * @param {string} [options.list]
+     * @param {string} [options.item]
+     */
+    done(payload, { list, item = 'item' } = {}) {
+      if (!machine) return;
+      if (format === 'json') {
+        writeJson(payload);
+        return;
+      }
+      const { [list]: items = [], ...summary } = list ? payload : { ...payload };
+      for (const value of items) writeJson({ type: item, ...value });
+      writeJson({ type: 'summary', ...summary });
+    },
+
+    /** A failed command (error object instead of results). */
+    fail(payload) {
+      if (!machine) return;
+      writeJson(format === 'json' ? payload : { type: 'error', ...payload });
+    },
+
+    /** Exit once everything written to stdout is flushed (pipes may be asynchronous). */
+    exit(code) {
+      process.exitCode = code;
+      stdout.write('', () => process.exit(code));
+    },
+  };
+}
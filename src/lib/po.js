@@ -0,0 +1,134 @@
+/**
+ * Minimal gettext PO files for translation exchange (dependency-free).
+ *
+ * Supported: the header entry, `msgctxt`, `msgid`, `msgstr`, multi-line strings,
+ * `#:` references, `#.` comments, `#,` flags (`fuzzy`) and `#|` previous msgids.
+ * Not supported: plural forms (`msgid_plural` entries are read without their plurals).
+ */
+
+function escapePo(text) {
+  return text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\t/g, '\\t').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+}
+
+const PO_ESCAPES = { n: '\n', t: '\t', r: '\r' };
+
+function unescapePo(text) {
+  return text.replace(/\\(.)/g, (_, char) => PO_ESCAPES[char] ?? char);
+}
+
+// `keyword "…"`, split after each `\n` so multi-line strings stay readable
+function formatString(keyword, text) {
+  if (!text.includes('\n') || text.indexOf('\n') === text.length - 1) return `${keyword} "${escapePo(text)}"`;
+  const lines = text.split(/(?<=\n)/).map((line) => `"${escapePo(line)}"`);
+  return [`${keyword} ""`, ...lines].join('\n');
+}
+
+/**
+ * Write a PO file.
+ * @param {Object} params
+ * @param {Record<string, string>} params.headers - e.g. `{ Language: 'fr' }`
+ * @param {Array<{context?: string, id: string, str: string, references?: string[], comments?: string[],
+ *   fuzzy?: boolean, previousId?: string|null}>} params.entries
+ * @param {string[]} [params.headerComments] - `#` lines above the header entry
+ * @returns {string}
+ */
+export function stringifyPo({ headers, entries, headerComments = [] }) {
+  const blocks = [
+    [
+      ...headerComments.map((line) => `# ${line}`),
+      'msgid ""',
+      'msgstr ""',
+      ...Object.entries(headers).map(([key, value]) => `"${escapePo(`${key}: ${value}\n`)}"`),
+    ].join('\n'),
+  ];
+
+  for (const entry of entries) {
+    const lines = [];
+    for (const comment of entry.comments || []) lines.push(`#. ${comment}`);
+    if (entry.references?.length) lines.push(`#: ${entry.references.join(' ')}`);
+    if (entry.fuzzy) lines.push('#, fuzzy');
+    if (entry.previousId) {
+      for (const line of formatString('msgid', entry.previousId).split('\n')) lines.push(`#| ${line}`);
+    }
+    if (entry.context) lines.push(formatString('msgctxt', entry.context));
+    lines.push(formatString('msgid', entry.id), formatString('msgstr', entry.str || ''));
+    blocks.push(lines.join('\n'));
+  }
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Parse a PO file.
+ * @param {string} text
+ * @param {string} [file] - For error messages
+ * @returns {{headers: Record<string, string>, entries: Array<{context: string|null, id: string, str: string,
+ *   references: string[], fuzzy: boolean, previousId: string|null, line: number}>}}
+ */
+export function parsePo(text, file = 'messages.po') {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+  const entries = [];
+  const blank = (line) => ({ context: null, id: null, str: null, references: [], fuzzy: false, previousId: null, line });
+  let entry = blank(1);
+  // The string that continuation lines (`"…"`) append to
+  let field = null;
+
+  // Comments, `msgctxt` or `msgid` after a `msgstr` start the next entry
+  const next = (line) => {
+    if (entry.str === null) return;
+    entries.push(entry);
+    entry = blank(line);
+  };
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i].trim();
+    const lineNumber = i + 1;
+    if (!line) {
+      field = null;
+      continue;
+    }
+
+    if (line.startsWith('#')) {
+      field = null;
+      next(lineNumber);
+      if (line.startsWith('#:')) entry.references.push(...line.slice(2).trim().split(/\s+/).filter(Boolean));
+      else if (line.startsWith('#,')) entry.fuzzy ||= line.slice(2).split(',').some((f) => f.trim() === 'fuzzy');
+      else if (line.startsWith('#|')) {
+        const previous = line.slice(2).trim().match(/^(?:msgid\s+)?"(.*)"$/);
+        if (previous) entry.previousId = (entry.previousId || '') + unescapePo(previous[1]);
+      }
+      continue;
+    }
+
+    const match = line.match(/^(msgctxt|msgid|msgid_plural|msgstr(?:\[(\d+)\])?)\s+"(.*)"$/);
+    if (match) {
+      const [, keyword, pluralIndex, value] = match;
+      if (keyword === 'msgctxt' || keyword === 'msgid') next(lineNumber);
+      if (keyword === 'msgctxt') field = 'context';
+      else if (keyword === 'msgid') field = 'id';
+      // Plural forms: only the first one is kept
+      else if (keyword === 'msgid_plural' || (pluralIndex !== undefined && pluralIndex !== '0')) field = null;
+      else field = 'str';
+      if (field) entry[field] = unescapePo(value);
+      continue;
+    }
+
+    const continuation = line.match(/^"(.*)"$/);
+    if (!continuation) throw new Error(`${file}:${lineNumber}: unexpected line: ${line}`);
+    if (field) entry[field] += unescapePo(continuation[1]);
+  }
+  if (entry.id !== null) entries.push(entry);
+
+  const headers = {};
+  const headerEntry = entries.find((e) => e.id === '' && !e.context);
+  for (const headerLine of (headerEntry?.str || '').split('\n')) {
+    const separator = headerLine.indexOf(':');
+    if (separator > 0) headers[headerLine.slice(0, separator).trim()] = headerLine.slice(separator + 1).trim();
+  }
+
+  return {
+    headers,
+    entries: entries
+      .filter((e) => e !== headerEntry)
+      .map((e) => ({ ...e, str: e.str ?? '' })),
+  };
+}
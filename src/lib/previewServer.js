@@ -0,0 +1,237 @@
+import http from 'node:http';
+import path from 'node:path';
+
+import { escapeHtml } from './html.js';
+import { textDirection } from './templateLayouts.js';
+import { renderTemplateSample } from './templateFixtures.js';
+import { loadLocalEmailTemplates } from './templatesFs.js';
+import { watchTree } from './watchTree.js';
+
+const PAGE_STYLE = `
+  body { font-family: system-ui, sans-serif; margin: 0; color: #191c1d; background: #f6f7f7; }
+  header { padding: 12px 20px; background: #fff; border-bottom: 1px solid #e0e3e3; }
+  header a { color: inherit; }
+  main { padding: 20px; }
+  table { border-collapse: collapse; background: #fff; }
+  th, td { border: 1px solid #e0e3e3; padding: 6px 10px; text-align: center; }
+  th:first-child { text-align: left; }
+  .langs a { display: inline-block; margin: 0 6px 6px 0; padding: 2px 8px; border: 1px solid #e0e3e3; border-radius: 4px; text-decoration: none; color: inherit; background: #fff; }
+  .langs a.active { background: #191c1d; color: #fff; }
+  .panes { display: grid; gap: 16px; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); }
+  .pane { background: #fff; border: 1px solid #e0e3e3; border-radius: 8px; overflow: hidden; }
+  .subject { padding: 10px 14px; border-bottom: 1px solid #e0e3e3; }
+  .subject small { color: #747778; }
+  iframe { width: 100%; height: 900px; border: 0; }
+  pre.error { background: #fff0f0; border: 1px solid #f3c0c0; padding: 12px; white-space: pre-wrap; }
+`;
+
+// Reload the page whenever the server reports a file change
+const LIVE_RELOAD_SCRIPT = `
+  new EventSource('/__events').addEventListener('change', () => location.reload());
+`;
+
+function page(title, body) {
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeHtml(title)}</title>
+  <style>${PAGE_STYLE}</style>
+</head>
+<body>
+  <header><a href="/">Email templates</a> · ${escapeHtml(title)}</header>
+  <main>${body}</main>
+  <script>${LIVE_RELOAD_SCRIPT}</script>
+</body>
+</html>`;
+}
+
+function send(res, status, html, contentType = 'text/html; charset=utf-8') {
+  res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+  res.end(html);
+}
+
+function groupByType(templates) {
+  const byType = new Map();
+  for (const t of templates) {
+    if (!byType.has(t.templateType)) byType.set(t.templateType, new Map());
+    byType.get(t.templateType).set(t.languageTag, t);
+  }
+  return byType;
+}
+
+async function renderIndex(templatesDir) {
+  const templates = await loadLocalEmailTemplates(templatesDir);
+  const byType = groupByType(templates);
+  const languages = [...new Set(templates.map((t) => t.languageTag))].sort();
+
+  const header = languages.map((lang) => `<th>${escapeHtml(lang)}</th>`).join('');
+  const rows = [...byType.keys()].sort().map((type) => {
+    const cells = languages
+      .map((lang) => {
+        const t = byType.get(type).get(lang);
+        if (!t) return '<td>—</td>';
+        const href = `/view/${encodeURIComponent(type)}/${encodeURIComponent(lang)}`;
+        return `<td><a href="${href}" title="${escapeHtml(t.details.subject)}">view</a></td>`;
+      })
+      .join('');
+    return `<tr><th>${escapeHtml(type)}</th>${cells}</tr>`;
+  });
+
+  return page(
+    `${templates.length} templates`,
+    `<table><tr><th></th>${header}</tr>${rows.join('')}</table>`
+  );
+}
+
+async function loadOne(templatesDir, templateType, languageTag) {
+  const [template] = await loadLocalEmailTemplates(templatesDir, {
+    onlyTypes: new Set([templateType]),
+    onlyLanguages: new Set([languageTag]),
+  });
+  return template || null;
+}
+
+async function renderTemplate(templatesDir, template) {
+  const { subject, content, contentType } = await renderTemplateSample(templatesDir, template);
+  return {
+    subject,
+    content:
+      contentType === 'text/html'
+        ? content
+        : `<pre style="white-space: pre-wrap; font: 14px/1.5 monospace; padding: 16px;">${escapeHtml(content)}</pre>`,
+  };
+}
+
+async function renderView(templatesDir, templateType, languageTag, compareTag) {
+  const templates = await loadLocalEmailTemplates(templatesDir, { onlyTypes: new Set([templateType]) });
+  const languages = templates.map((t) => t.languageTag).sort();
+  const shown = [languageTag, compareTag].filter(Boolean);
+  const missing = shown.filter((lang) => !languages.includes(lang));
+  if (!templates.length || missing.length) return null;
+
+  const base = `/view/${encodeURIComponent(templateType)}`;
+  const switcher = languages
+    .map((lang) => {
+      const href = `${base}/${encodeURIComponent(lang)}${compareTag ? `?compare=${encodeURIComponent(compareTag)}` : ''}`;
+      return `<a class="${lang === languageTag ? 'active' : ''}" href="${href}">${escapeHtml(lang)}</a>`;
+    })
+    .join('');
+  const compareSwitcher = languages
+    .filter((lang) => lang !== languageTag)
+    .map((lang) => {
+      const href = `${base}/${encodeURIComponent(languageTag)}?compare=${encodeURIComponent(lang)}`;
+      return `<a class="${lang === compareTag ? 'active' : ''}" href="${href}">${escapeHtml(lang)}</a>`;
+    })
+    .join('');
+
+  const panes = [];
+  for (const lang of shown) {
+    const template = templates.find((t) => t.languageTag === lang);
+    const { subject } = await renderTemplate(templatesDir, template);
+    const dir = textDirection(lang);
+    const src = `/render/${encodeURIComponent(templateType)}/${encodeURIComponent(lang)}`;
+    panes.push(`<div class="pane">
+      <div class="subject" dir="${dir}" lang="${escapeHtml(lang)}"><small>${escapeHtml(lang)} · Subject:</small> <strong>${escapeHtml(subject)}</strong></div>
+      <iframe src="${src}" title="${escapeHtml(`${templateType} ${lang}`)}"></iframe>
+    </div>`);
+  }
+
+  const compareLinks = compareTag
+    ? `<a href="${base}/${encodeURIComponent(languageTag)}">✕ close</a>${compareSwitcher}`
+    : compareSwitcher;
+
+  return page(
+    `${templateType} / ${shown.join(' ↔ ')}`,
+    `<div class="langs">Language: ${switcher}</div>
+     <div class="langs">Side by side with: ${compareLinks}</div>
+     <div class="panes">${panes.join('')}</div>`
+  );
+}
+
+/**
+ * Start a local HTTP server that previews templates with sample data.
+ *
+ * Routes:
+ * - `/`                          type × language grid
+ * - `/view/<type>/<lang>`        subject + rendered content, language switcher,
+ *                                `?compare=<lang>` for side by side
+ * - `/render/<type>/<lang>`      rendered content only (used in iframes)
+ * - `/__events`                  server-sent events, one `change` per file change
+ * @param {Object} params
+ * @param {string} params.templatesDir - Templates root directory
+ * @param {number} [params.port] - Port to listen on (default: 4000, 0 for a random port)
+ * @param {string} [params.host] - Host to bind (default: 127.0.0.1)
+ * @param {(files: string[]) => void} [params.onChange] - Called after file changes
+ * @returns {Promise<{url: string, close: () => Promise<void>}>}
+ */
+export async function startPreviewServer({ templatesDir, port = 4000, host = '127.0.0.1', onChange }) {
+  const root = path.resolve(templatesDir);
+  const clients = new Set();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    try {
+      if (url.pathname === '/') {
+        send(res, 200, await renderIndex(root));
+        return;
+      }
+
+      if (url.pathname === '/__events') {
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-store',
+          Connection: 'keep-alive',
+        });
+        res.write(': connected\n\n');
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+        return;
+      }
+
+      if (parts[0] === 'view' && parts.length === 3) {
+        const html = await renderView(root, parts[1], parts[2], url.searchParams.get('compare'));
+        if (html) send(res, 200, html);
+        else send(res, 404, page('Not found', `<p>No template ${escapeHtml(parts[1])}/${escapeHtml(parts[2])}</p>`));
+        return;
+      }
+
+      if (parts[0] === 'render' && parts.length === 3) {
+        const template = await loadOne(root, parts[1], parts[2]);
+        if (!template) {
+          send(res, 404, 'Not found', 'text/plain; charset=utf-8');
+          return;
+        }
+        send(res, 200, (await renderTemplate(root, template)).content);
+        return;
+      }
+
+      send(res, 404, page('Not found', '<p>Not found</p>'));
+    } catch (error) {
+      send(res, 500, page('Error', `<pre class="error">${escapeHtml(error?.message || String(error))}</pre>`));
+    }
+  });
+
+  const watcher = await watchTree(root, (files) => {
+    for (const client of clients) client.write(`event: change\ndata: ${JSON.stringify(files)}\n\n`);
+    onChange?.(files);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  return {
+    url: `http://${host.includes(':') ? `[${host}]` : host}:${address.port}/`,
+    close: () =>
+      new Promise((resolve) => {
+        watcher.close();
+        for (const client of clients) client.end();
+        server.close(() => resolve());
+      }),
+  };
+}
@@ -0,0 +1,215 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { LINT_RULES, LINT_SEVERITIES } from './emailLint.js';
+import { ConfigError } from './errors.js';
+import { validateLanguageFallbacks } from './languages.js';
+import { closestMatch } from './templateVariables.js';
+import { TRANSLATION_FORMATS } from './translations.js';
+
+/**
+ * Project config file, looked up in the working directory (or given with `--config`):
+ *
+ * {
+ *   "templatesDir": "templates",
+ *   "exportDir": "exported-templates",
+ *   "onlyTypes": ["SignIn", "Register"],
+ *   "onlyLanguages": ["en", "zh-CN"],
+ *   "languageFallbacks": { "zh-HK": ["zh-TW", "en"], "pt-BR": ["pt", "en"] },
+ *   "emailTemplatesPath": "email-templates",
+ *   "batchSize": 20,
+ *   "retries": 3,
+ *   "build": { "enabled": true, "inlineCss": true, "minify": true, "outDir": "dist/templates" },
+ *   "lintEmail": { "failOn": "warning", "rules": { "img-remote": "off", "css-support": "info" } },
+ *   "i18n": { "dir": "i18n", "format": "po", "sourceLanguage": "en" }
+ * }
+ *
+ * `.js` configs `export default` the same object. Every key is optional; paths are
+ * relative to the config file.
+ */
+
+export const CONFIG_FILES = ['logto-templates.config.json', 'logto-templates.config.js'];
+
+const STRING_LIST = 'string[]';
+const FALLBACKS = 'fallbacks';
+const COUNT = 'count';
+const SEVERITY = 'severity';
+const LINT_RULE_SEVERITIES = 'lintRules';
+const TRANSLATION_FORMAT = 'translationFormat';
+
+const SCHEMA = {
+  $schema: 'string',
+  templatesDir: 'path',
+  exportDir: 'path',
+  onlyTypes: STRING_LIST,
+  onlyLanguages: STRING_LIST,
+  languageFallbacks: FALLBACKS,
+  emailTemplatesPath: 'string',
+  batchSize: COUNT,
+  retries: COUNT,
+  build: {
+    enabled: 'boolean',
+    inlineCss: 'boolean',
+    minify: 'boolean',
+    outDir: 'path',
+  },
+  lintEmail: {
+    failOn: SEVERITY,
+    rules: LINT_RULE_SEVERITIES,
+  },
+  i18n: {
+    dir: 'path',
+    format: TRANSLATION_FORMAT,
+    sourceLanguage: 'string',
+  },
+};
+
+function describeType(type) {
+  if (type === STRING_LIST) return 'an array of strings';
+  if (type === 'path') return 'a non-empty string (path)';
+  if (type === COUNT) return 'a whole number (0 or more)';
+  if (type === SEVERITY) return `one of ${LINT_SEVERITIES.join(', ')}`;
+  if (type === TRANSLATION_FORMAT) return `one of ${TRANSLATION_FORMATS.join(', ')}`;
+  if (type === FALLBACKS || type === LINT_RULE_SEVERITIES || typeof type === 'object') return 'an object';
+  return `a ${type}`;
+}
+
+function checkValue(type, value) {
+  if (type === FALLBACKS || type === LINT_RULE_SEVERITIES || typeof type === 'object') {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+  if (type === STRING_LIST) return Array.isArray(value) && value.every((v) => typeof v === 'string' && v.trim());
+  if (type === 'path') return typeof value === 'string' && Boolean(value.trim());
+  if (type === COUNT) return Number.isInteger(value) && value >= 0;
+  if (type === SEVERITY) return LINT_SEVERITIES.includes(value);
+  if (type === TRANSLATION_FORMAT) return TRANSLATION_FORMATS.includes(value);
+  return typeof value === type;
+}
+
+function validateLintRules(rules, name) {
+  const errors = [];
+  const severities = [...LINT_SEVERITIES, 'off'];
+  for (const [rule, severity] of Object.entries(rules)) {
+    if (!LINT_RULES[rule]) {
+      const suggestion = closestMatch(rule, Object.keys(LINT_RULES));
+      errors.push(
+        `unknown rule "${name}.${rule}"` +
+          (suggestion ? ` (did you mean "${suggestion}"?)` : '') +
+          `; rules: ${Object.keys(LINT_RULES).join(', ')}`
+      );
+    } else if (!severities.includes(severity)) {
+      errors.push(`"${name}.${rule}" must be one of ${severities.join(', ')}`);
+    }
+  }
+  return errors;
+}
+
+function validateObject(schema, value, prefix, errors) {
+  for (const [key, child] of Object.entries(value)) {
+    const name = `${prefix}${key}`;
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+      const suggestion = closestMatch(key, Object.keys(schema));
+      errors.push(
+        `unknown key "${name}"` +
+          (suggestion ? ` (did you mean "${prefix}${suggestion}"?)` : '') +
+          `; allowed: ${Object.keys(schema).map((k) => `${prefix}${k}`).join(', ')}`
+      );
+    } else if (!checkValue(schema[key], child)) {
+      errors.push(`"${name}" must be ${describeType(schema[key])}`);
+    } else if (typeof schema[key] === 'object') {
+      validateObject(schema[key], child, `${name}.`, errors);
+    } else if (schema[key] === FALLBACKS) {
+      errors.push(...validateLanguageFallbacks(child).map((message) => `"${name}": ${message}`));
+    } else if (schema[key] === LINT_RULE_SEVERITIES) {
+      errors.push(...validateLintRules(child, name));
+    }
+  }
+}
+
+/**
+ * Check a config object against the schema.
+ * @param {any} config
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateProjectConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['config must be an object'];
+  }
+  const errors = [];
+  validateObject(SCHEMA, config, '', errors);
+  return errors;
+}
+
+async function findConfigFile(cwd) {
+  for (const name of CONFIG_FILES) {
+    const file = path.join(cwd, name);
+    try {
+      await fs.access(file);
+      return file;
+    } catch {
+      // try the next name
+    }
+  }
+  return null;
+}
+
+async function readConfigFile(file) {
+  if (file.endsWith('.json')) {
+    const text = await fs.readFile(file, 'utf8');
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new ConfigError(`${file}: invalid JSON: ${error.message}`);
+    }
+  }
+  if (/\.[cm]?js$/.test(file)) {
+    const mod = await import(pathToFileURL(file).href);
+    return mod.default ?? mod;
+  }
+  throw new ConfigError(`${file}: config file must be .json or .js`);
+}
+
+/**
+ * Load and validate the project config.
+ * @param {Object} [options]
+ * @param {string|null} [options.configFile] - Explicit file (must exist)
+ * @param {string} [options.cwd] - Where to look for `logto-templates.config.{json,js}`
+ * @returns {Promise<{file: string|null, config: Object}>} `config` has paths resolved
+ *   against the config file's directory; `{}` when no file was found
+ */
+export async function loadProjectConfig({ configFile = null, cwd = process.cwd() } = {}) {
+  let file = null;
+  if (configFile) {
+    file = path.resolve(cwd, configFile);
+    try {
+      await fs.access(file);
+    } catch {
+      throw new ConfigError(`Config file not found: ${file}`);
+    }
+  } else {
+    file = await findConfigFile(cwd);
+    if (!file) return { file: null, config: {} };
+  }
+
+  const raw = await readConfigFile(file);
+  const errors = validateProjectConfig(raw);
+  if (errors.length) {
+    throw new ConfigError(`Invalid config ${path.relative(cwd, file) || file}:\n${errors.map((e) => `  - ${e}`).join('\n')}`);
+  }
+
+  const baseDir = path.dirname(file);
+  const resolvePath = (value) => (value === undefined ? undefined : path.resolve(baseDir, value));
+  const config = { ...raw };
+  delete config.$schema;
+  return {
+    file,
+    config: {
+      ...config,
+      templatesDir: resolvePath(config.templatesDir),
+      exportDir: resolvePath(config.exportDir),
+      ...(config.build ? { build: { ...config.build, outDir: resolvePath(config.build.outDir) } } : {}),
+      ...(config.i18n ? { i18n: { ...config.i18n, dir: resolvePath(config.i18n.dir) } } : {}),
+    },
+  };
+}
@@ -0,0 +1,287 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { AbortedError, ConfigError } from './errors.js';
+import { listDirs, localizedPartialNames, pathExists } from './fsUtils.js';
+import { tokenizeHtml } from './html.js';
+import { checkLanguageTag } from './languages.js';
+import { LAYOUTS_DIR, PARTIALS_DIR, textDirection } from './templateLayouts.js';
+import { TEMPLATE_TYPES, closestMatch } from './templateVariables.js';
+import { makeTemplateKey } from './templatesPlan.js';
+
+/**
+ * Scaffolding for new languages and template types. Nothing existing is ever overwritten:
+ * when a target folder already exists, nothing is written at all.
+ *
+ * - `add-language <tag> --from en`  copies `<Type>/en/` to `<Type>/<tag>/` for every type
+ *   (and the localized partials to `_partials/<tag>/`), sets `lang`/`dir` on a literal
+ *   `<html>` tag and marks every copied string with UNTRANSLATED_MARKER
+ * - `new-type <Type>`               writes a starter `<Type>/<lang>/` for every language in use,
+ *   with the placeholders the type requires
+ */
+
+// Visible on purpose: `validate` warns about it, so untranslated copy is not synced unnoticed
+export const UNTRANSLATED_MARKER = '[untranslated]';
+
+// Files in a language folder whose text is copy; anything else is copied as-is
+const TEXT_FILES = { 'subject.txt': 'text', 'content.txt': 'text', 'content.html': 'html' };
+
+// Starter subjects (the default Logto wording) for `new-type`
+const STARTER_SUBJECTS = {
+  SignIn: 'Verify your email to sign in',
+  Register: 'Verify your email to register',
+  ForgotPassword: 'Reset your password',
+  OrganizationInvitation: 'Organization invitation',
+  Generic: 'Verification code',
+  UserPermissionValidation: 'Permission validation code',
+  BindNewIdentifier: 'Bind new email address',
+  MfaVerification: 'MFA verification code',
+  BindMfa: 'Set up 2-step verification',
+};
+
+const hasWords = (text) => /\p{L}/u.test(text.replace(/\{\{[^{}]*?\}\}/g, '').replace(/&[#\w]+;/g, ''));
+
+// Put the marker in front of a piece of copy, after its leading whitespace
+function markSegment(segment) {
+  if (!hasWords(segment) || segment.trimStart().startsWith(UNTRANSLATED_MARKER)) return segment;
+  const indent = segment.match(/^\s*/)[0];
+  return `${indent}${UNTRANSLATED_MARKER} ${segment.slice(indent.length)}`;
+}
+
+/**
+ * Mark the copy in a template file as untranslated: every HTML text node (outside
+ * `<style>`/`<script>` and `{% … %}` directives), or every paragraph of plain text.
+ * Placeholders and markup are left alone; marked copy is not marked twice.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.html]
+ * @returns {string}
+ */
+export function markUntranslated(text, { html = false } = {}) {
+  if (!html) {
+    // One marker per paragraph (blank-line separated)
+    return text
+      .split(/(\n[^\S\n]*\n)/)
+      .map(markSegment)
+      .join('');
+  }
+
+  let out = '';
+  let rawText = null;
+  for (const token of tokenizeHtml(text)) {
+    if (token.type === 'open' && ['style', 'script'].includes(token.name)) rawText = token.name;
+    if (token.type === 'close' && token.name === rawText) rawText = null;
+    out +=
+      token.type === 'text' && !rawText
+        ? token.raw
+            .split(/(\{%[\s\S]*?%\})/)
+            .map((part) => (part.startsWith('{%') ? part : markSegment(part)))
+            .join('')
+        : token.raw;
+  }
+  return out;
+}
+
+function setAttribute(tag, name, value) {
+  const re = new RegExp(`(\\s${name}\\s*=\\s*)("[^"]*"|'[^']*'|[^\\s"'=<>\`]+)`, 'i');
+  const match = tag.match(re);
+  // Leave build-time values (`{% languageTag %}`, `{% dir %}`) alone
+  if (match) return match[2].includes('{%') ? tag : tag.replace(re, `$1"${value}"`);
+  return tag.replace(/\s*\/?>$/, (end) => ` ${name}="${value}"${end}`);
+}
+
+/**
+ * Set `lang` and `dir` on a literal `<html>` tag (templates that use a layout get them from it).
+ * @param {string} html
+ * @param {string} languageTag
+ * @returns {string}
+ */
+export function setDocumentLanguage(html, languageTag) {
+  const tag = tokenizeHtml(html).find((t) => t.type === 'open' && t.name === 'html');
+  if (!tag) return html;
+  const updated = setAttribute(setAttribute(tag.raw, 'lang', languageTag), 'dir', textDirection(languageTag));
+  return html.slice(0, tag.index) + updated + html.slice(tag.end);
+}
+
+async function refuseExisting(dirs, root) {
+  const existing = [];
+  for (const dir of dirs) {
+    if (await pathExists(dir)) existing.push(path.relative(root, dir) || dir);
+  }
+  if (existing.length) {
+    throw new AbortedError(`Refusing to overwrite existing folder(s): ${existing.join(', ')}; nothing was written`);
+  }
+}
+
+async function writeFiles(files) {
+  for (const { file, content } of files) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, content);
+  }
+}
+
+/**
+ * Add a language: copy every template type's `<from>` folder to `<languageTag>`, and
+ * `_partials/<from>/` (or the shared partials that other languages localize) to
+ * `_partials/<languageTag>/`.
+ * @param {string} templatesDir
+ * @param {string} languageTag - New language (BCP 47)
+ * @param {Object} [options]
+ * @param {string} [options.from] - Source language (default: en)
+ * @returns {Promise<{languageTag: string, from: string, templates: Array<{key: string, dir: string}>,
+ *   partialsDir: string|null, files: string[], skippedTypes: string[], warning: string|null}>}
+ *   `skippedTypes` have no `<from>` folder; `warning` is about the language tag
+ */
+export async function addLanguage(templatesDir, languageTag, { from = 'en' } = {}) {
+  const root = path.resolve(templatesDir);
+  const tagProblem = checkLanguageTag(languageTag);
+  if (tagProblem?.severity === 'error') throw new ConfigError(tagProblem.message);
+  if (languageTag === from) throw new ConfigError(`The new language and --from are the same: ${from}`);
+
+  const types = (await listDirs(root)).filter((name) => !/^[_.]/.test(name));
+  const sourceTypes = [];
+  const skippedTypes = [];
+  for (const type of types) {
+    if (await pathExists(path.join(root, type, from))) sourceTypes.push(type);
+    else skippedTypes.push(type);
+  }
+  if (!sourceTypes.length) throw new ConfigError(`No template has a "${from}" folder in: ${root}`);
+
+  // Partials that some language localizes: copy the source language's version (or the shared one)
+  const partialsRoot = path.join(root, PARTIALS_DIR);
+  const partialNames = await localizedPartialNames(partialsRoot);
+
+  const files = [];
+  const templates = sourceTypes.map((type) => ({
+    key: makeTemplateKey(type, languageTag),
+    dir: path.join(root, type, languageTag),
+  }));
+  for (const type of sourceTypes) {
+    const sourceDir = path.join(root, type, from);
+    const targetDir = path.join(root, type, languageTag);
+    for (const entry of await fs.readdir(sourceDir, { withFileTypes: true })) {
+      if (!entry.isFile()) continue;
+      const kind = TEXT_FILES[entry.name];
+      let content = await fs.readFile(path.join(sourceDir, entry.name), kind ? 'utf8' : undefined);
+      if (kind === 'html') content = markUntranslated(setDocumentLanguage(content, languageTag), { html: true });
+      if (kind === 'text') content = markUntranslated(content);
+      files.push({ file: path.join(targetDir, entry.name), content });
+    }
+  }
+
+  const partialsDir = partialNames.length ? path.join(partialsRoot, languageTag) : null;
+  if (partialsDir) {
+    for (const name of partialNames) {
+      const localized = path.join(partialsRoot, from, name);
+      const source = (await pathExists(localized)) ? localized : path.join(partialsRoot, name);
+      if (!(await pathExists(source))) continue;
+      const content = markUntranslated(await fs.readFile(source, 'utf8'), { html: true });
+      files.push({ file: path.join(partialsDir, name), content });
+    }
+  }
+
+  await refuseExisting([...templates.map((t) => t.dir), ...(partialsDir ? [partialsDir] : [])], root);
+  await writeFiles(files);
+  return {
+    languageTag,
+    from,
+    templates,
+    partialsDir,
+    files: files.map((f) => f.file),
+    skippedTypes,
+    warning: tagProblem?.message || null,
+  };
+}
+
+function starterContent(templateType, subject, { layout }) {
+  const spec = TEMPLATE_TYPES[templateType];
+  // `requiredOneOf`: the first name (e.g. a code rather than a link)
+  const names = [...(spec.required || []), ...(spec.requiredOneOf || []).slice(0, 1)];
+  const body = [`<h1>${subject}</h1>`];
+  for (const name of names) {
+    if (name === 'link') {
+      body.push('<p>', '  Click the link below to continue.', '</p>');
+      body.push('<div class="invitation-link">', `  <a href="{{link}}">{{link}}</a>`, '</div>');
+    } else {
+      body.push('<p>', '  Enter the code below in the page you opened to continue.', '</p>');
+      body.push(`<div class="verification-code">{{${name}}}</div>`);
+    }
+  }
+  body.push('<p style="color: #747778;">', '  If you did not request this email, please ignore it.', '</p>');
+
+  if (layout) {
+    return [`{% layout "${layout}" %}`, `{% block title %}${subject}{% endblock %}`, '', ...body, ''].join('\n');
+  }
+  return [
+    '<!doctype html>',
+    '<html lang="{% languageTag %}" dir="{% dir %}">',
+    '<head>',
+    '  <meta charset="UTF-8" />',
+    `  <title>${subject}</title>`,
+    '</head>',
+    '<body>',
+    ...body.map((line) => `  ${line}`),
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Add a template type: a starter `subject.txt` and `content.html` (with the type's required
+ * placeholders, in the `base` layout when there is one) for every language the other types use.
+ * The starter copy is English; other languages get it marked as untranslated.
+ * @param {string} templatesDir
+ * @param {string} templateType - A Logto template type (see `TEMPLATE_TYPES`)
+ * @param {Object} [options]
+ * @param {string[]|null} [options.languages] - Default: every language folder in use, or `en`
+ * @returns {Promise<{templateType: string, languages: string[], templates: Array<{key: string, dir: string}>,
+ *   files: string[]}>}
+ */
+export async function createTemplateType(templatesDir, templateType, { languages = null } = {}) {
+  const root = path.resolve(templatesDir);
+  if (!TEMPLATE_TYPES[templateType]) {
+    const suggestion = closestMatch(templateType, Object.keys(TEMPLATE_TYPES));
+    throw new ConfigError(
+      `Unknown template type "${templateType}"` +
+        (suggestion ? ` (did you mean "${suggestion}"?)` : '') +
+        `. Known types: ${Object.keys(TEMPLATE_TYPES).join(', ')}`
+    );
+  }
+
+  let tags = languages;
+  if (!tags?.length) {
+    const inUse = new Set();
+    for (const type of (await listDirs(root)).filter((name) => !/^[_.]/.test(name))) {
+      for (const lang of await listDirs(path.join(root, type))) inUse.add(lang);
+    }
+    tags = inUse.size ? [...inUse].sort() : ['en'];
+  }
+  for (const tag of tags) {
+    const tagProblem = checkLanguageTag(tag);
+    if (tagProblem?.severity === 'error') throw new ConfigError(tagProblem.message);
+  }
+
+  const layout = (await pathExists(path.join(root, LAYOUTS_DIR, 'base.html'))) ? 'base' : null;
+  const typeDir = path.join(root, templateType);
+  await refuseExisting([typeDir], root);
+
+  const subject = STARTER_SUBJECTS[templateType];
+  const files = [];
+  for (const tag of tags) {
+    const english = tag.split('-')[0].toLowerCase() === 'en';
+    const content = starterContent(templateType, subject, { layout });
+    files.push(
+      { file: path.join(typeDir, tag, 'subject.txt'), content: `${english ? subject : markUntranslated(subject)}\n` },
+      { file: path.join(typeDir, tag, 'content.html'), content: english ? content : markUntranslated(content, { html: true }) }
+    );
+  }
+
+  await writeFiles(files);
+  return {
+    templateType,
+    languages: tags,
+    templates: tags.map((tag) => ({ key: makeTemplateKey(templateType, tag), dir: path.join(typeDir, tag) })),
+    files: files.map((f) => f.file),
+  };
+}
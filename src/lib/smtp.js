@@ -0,0 +1,175 @@
+import net from 'node:net';
+import os from 'node:os';
+import tls from 'node:tls';
+
+import { parseAddress } from './mime.js';
+
+/**
+ * Minimal SMTP client (dependency-free).
+ * - EHLO, STARTTLS (when offered), AUTH PLAIN/LOGIN, one message per connection
+ * - Works with local catchers like MailHog/Mailpit (no TLS, no auth)
+ */
+
+class SmtpConnection {
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.buffer = '';
+    this.lines = [];
+    this.waiters = [];
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    if (this.socket) this.socket.removeAllListeners('data');
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP connection timed out')));
+    socket.on('data', (chunk) => {
+      this.buffer += chunk;
+      let newline;
+      while ((newline = this.buffer.indexOf('\n')) !== -1) {
+        this.lines.push(this.buffer.slice(0, newline).replace(/\r$/, ''));
+        this.buffer = this.buffer.slice(newline + 1);
+      }
+      this.drain();
+    });
+    socket.on('error', (error) => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed unexpectedly')));
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    for (const waiter of this.waiters.splice(0)) waiter.reject(this.error);
+  }
+
+  drain() {
+    while (this.waiters.length) {
+      // A reply ends with a line `NNN text` (continuation lines use `NNN-text`)
+      const endIndex = this.lines.findIndex((line) => /^\d{3}(?: |$)/.test(line));
+      if (endIndex === -1) return;
+      const reply = this.lines.splice(0, endIndex + 1);
+      this.waiters.shift().resolve({
+        code: Number(reply[reply.length - 1].slice(0, 3)),
+        lines: reply.map((line) => line.slice(4)),
+      });
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      if (this.error) {
+        reject(this.error);
+        return;
+      }
+      this.waiters.push({ resolve, reject });
+      this.drain();
+    });
+  }
+
+  async command(line, expected, { label = line } = {}) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${label ?? 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  close() {
+    this.socket.removeAllListeners('close');
+    this.socket.end();
+  }
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once('error', reject);
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`Timed out connecting to ${host}:${port}`)));
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+    secureSocket.once('error', reject);
+  });
+}
+
+function capabilities(reply) {
+  return reply.lines.slice(1).map((line) => line.toUpperCase());
+}
+
+/**
+ * Send one raw MIME message over SMTP.
+ * @param {Object} params
+ * @param {string} params.host - SMTP host
+ * @param {number} [params.port] - SMTP port (default: 465 when `secure`, else 587)
+ * @param {boolean} [params.secure] - Use implicit TLS (SMTPS)
+ * @param {boolean} [params.starttls] - Upgrade with STARTTLS when offered (default: true)
+ * @param {string} [params.user] - Username for AUTH
+ * @param {string} [params.pass] - Password for AUTH
+ * @param {string} params.from - Envelope sender (`Name <addr>` accepted)
+ * @param {string[]} params.to - Envelope recipients
+ * @param {string} params.raw - Message from `buildMimeMessage`
+ * @param {number} [params.timeoutMs] - Socket timeout (default: 30000)
+ * @returns {Promise<{response: string}>} Server reply to the message data
+ */
+export async function sendMail({
+  host,
+  port,
+  secure = false,
+  starttls = true,
+  user,
+  pass,
+  from,
+  to,
+  raw,
+  timeoutMs = 30000,
+}) {
+  const resolvedPort = port || (secure ? 465 : 587);
+  const socket = await connect({ host, port: resolvedPort, secure, timeoutMs });
+  const smtp = new SmtpConnection(socket, timeoutMs);
+
+  try {
+    await smtp.command(null, [220]);
+    let ehlo = await smtp.command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+
+    if (!secure && starttls && capabilities(ehlo).includes('STARTTLS')) {
+      await smtp.command('STARTTLS', [220]);
+      smtp.attach(await upgrade(smtp.socket, host));
+      ehlo = await smtp.command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+    }
+
+    if (user) {
+      const auth = capabilities(ehlo).find((line) => line.startsWith('AUTH')) || '';
+      if (auth.includes('PLAIN') || !auth.includes('LOGIN')) {
+        const token = Buffer.from(`\0${user}\0${pass || ''}`).toString('base64');
+        await smtp.command(`AUTH PLAIN ${token}`, [235], { label: 'AUTH PLAIN' });
+      } else {
+        await smtp.command('AUTH LOGIN', [334]);
+        await smtp.command(Buffer.from(user).toString('base64'), [334], { label: 'AUTH LOGIN username' });
+        await smtp.command(Buffer.from(pass || '').toString('base64'), [235], { label: 'AUTH LOGIN password' });
+      }
+    }
+
+    await smtp.command(`MAIL FROM:<${parseAddress(from).address}>`, [250]);
+    for (const recipient of to) {
+      await smtp.command(`RCPT TO:<${parseAddress(recipient).address}>`, [250, 251]);
+    }
+    await smtp.command('DATA', [354]);
+
+    // Dot-stuffing: lines starting with "." get an extra "."
+    const data = raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    const reply = await smtp.command(`${data}${data.endsWith('\r\n') ? '' : '\r\n'}.`, [250], {
+      label: 'message data',
+    });
+
+    await smtp.command('QUIT', [221]).catch(() => {});
+    return { response: reply.lines.join(' ') };
+  } finally {
+    smtp.close();
+  }
+}
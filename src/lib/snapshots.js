@@ -0,0 +1,128 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { ConfigError } from './errors.js';
+import { writeLocalEmailTemplates } from './templatesFs.js';
+
+/**
+ * Remote snapshots taken before a sync writes to Logto.
+ *
+ * Layout (same as `export`, plus a manifest):
+ * <snapshotsDir>/<id>/
+ *   - snapshot.json ({ id, createdAt, count, ...info })
+ *   - <templateType>/<languageTag>/{subject.txt, content.html|content.txt, meta.json}
+ *
+ * Ids are UTC timestamps (`2024-01-31T12-00-00Z`), so they sort chronologically.
+ */
+
+export const DEFAULT_SNAPSHOTS_DIR = 'snapshots';
+const MANIFEST_FILE = 'snapshot.json';
+
+function timestampId(date) {
+  return date.toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+}
+
+async function createUniqueDir(root, id) {
+  for (let attempt = 1; ; attempt += 1) {
+    const name = attempt === 1 ? id : `${id}-${attempt}`;
+    const dir = path.join(root, name);
+    try {
+      await fs.mkdir(dir);
+      return { id: name, dir };
+    } catch (error) {
+      if (error?.code !== 'EEXIST') throw error;
+    }
+  }
+}
+
+/**
+ * Save remote templates as a new snapshot.
+ * @param {string} snapshotsDir - Root directory of all snapshots
+ * @param {Array} remoteTemplates - Output of `listEmailTemplates`
+ * @param {Object} [info] - Extra manifest fields (e.g. `endpoint`, `profile`, `reason`)
+ * @returns {Promise<{id: string, dir: string, createdAt: string, count: number}>}
+ */
+export async function writeSnapshot(snapshotsDir, remoteTemplates, info = {}) {
+  const root = path.resolve(snapshotsDir);
+  await fs.mkdir(root, { recursive: true });
+
+  const now = new Date();
+  const { id, dir } = await createUniqueDir(root, timestampId(now));
+
+  const { length: count } = await writeLocalEmailTemplates(dir, remoteTemplates);
+
+  const manifest = { id, createdAt: now.toISOString(), count, ...info };
+  await fs.writeFile(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+
+  return { ...manifest, dir };
+}
+
+/**
+ * List snapshots, newest first. Folders without a manifest are ignored.
+ * @param {string} snapshotsDir
+ * @returns {Promise<Array<{id: string, dir: string, createdAt: string, count: number}>>}
+ */
+export async function listSnapshots(snapshotsDir) {
+  const root = path.resolve(snapshotsDir);
+  let entries;
+  try {
+    entries = await fs.readdir(root, { withFileTypes: true });
+  } catch (error) {
+    if (error?.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const snapshots = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const dir = path.join(root, entry.name);
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(path.join(dir, MANIFEST_FILE), 'utf8'));
+    } catch (error) {
+      if (error?.code === 'ENOENT') continue;
+      throw new ConfigError(`Malformed ${MANIFEST_FILE} in snapshot: ${dir}`);
+    }
+    snapshots.push({ ...manifest, id: entry.name, dir });
+  }
+
+  return snapshots.sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Find a snapshot by id (or unique id prefix). Without a name, the newest one is returned.
+ * With `endpoint`, snapshots taken from another tenant are skipped (or rejected when named).
+ * @param {string} snapshotsDir
+ * @param {string|null} [name]
+ * @param {Object} [options]
+ * @param {string} [options.endpoint] - Endpoint the snapshot will be restored to
+ * @returns {Promise<{id: string, dir: string, createdAt: string, count: number}>}
+ */
+export async function findSnapshot(snapshotsDir, name = null, { endpoint } = {}) {
+  const snapshots = await listSnapshots(snapshotsDir);
+  const sameTenant = (s) => !endpoint || !s.endpoint || s.endpoint === endpoint;
+
+  if (!name) {
+    const latest = snapshots.find(sameTenant);
+    if (!latest) {
+      throw new ConfigError(
+        `No snapshots found in ${path.resolve(snapshotsDir)}` + (endpoint ? ` for ${endpoint}` : '')
+      );
+    }
+    return latest;
+  }
+
+  const matches = snapshots.filter((s) => s.id === name || s.id.startsWith(name));
+  const snapshot = matches.find((s) => s.id === name) || (matches.length === 1 ? matches[0] : null);
+  if (!snapshot) {
+    throw new ConfigError(
+      matches.length
+        ? `Snapshot "${name}" is ambiguous: ${matches.map((s) => s.id).join(', ')}`
+        : `Snapshot not found: ${name}`
+    );
+  }
+  if (!sameTenant(snapshot)) {
+    throw new ConfigError(`Snapshot ${snapshot.id} was taken from ${snapshot.endpoint}, not ${endpoint}`);
+  }
+  return snapshot;
+}
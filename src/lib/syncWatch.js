@@ -0,0 +1,220 @@
+import path from 'node:path';
+
+import { syncEmailTemplates } from './emailTemplatesApi.js';
+import { fallbackSourceLanguages } from './languages.js';
+import { META_FILE } from './templatesFs.js';
+import { makeTemplateKey } from './templatesPlan.js';
+import { loadTemplateSource } from './templateSource.js';
+import { validateLocalEmailTemplates } from './templatesValidate.js';
+import { watchTree } from './watchTree.js';
+
+/**
+ * `sync --watch`: push templates to the tenant as their files change.
+ *
+ * A change reloads only the `templateType/languageTag` pairs it can affect:
+ * - a file in `<type>/<lang>/` -> that template (and the languages filled from it by a fallback chain)
+ * - `<type>/meta.json` -> every language of that type; `meta.json` at the root -> everything
+ * - a layout or partial -> the templates built from it (`_source.dependencies`)
+ *
+ * Other shared files (e.g. `_fixtures/`) are ignored. After a failed load nothing is known
+ * about dependencies, so the next change reloads everything.
+ */
+
+function isInside(dir, file) {
+  const relative = path.relative(dir, file);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Templates that changed files can affect.
+ * @param {string[]} files - Absolute paths
+ * @param {Object} params
+ * @param {string} params.templatesRoot - Absolute templates root
+ * @param {Array} params.templates - The last loaded templates (for `_source`)
+ * @returns {{all: boolean, types: Set<string>, keys: Set<string>}} `types` are reloaded
+ *   for every language, `keys` (`Type::lang`) one by one
+ */
+export function templatesAffectedBy(files, { templatesRoot, templates }) {
+  const types = new Set();
+  const keys = new Set();
+  let all = false;
+
+  for (const file of files) {
+    if (!isInside(templatesRoot, file)) continue;
+    const [first, second, third] = path.relative(templatesRoot, file).split(path.sep);
+
+    if (first === META_FILE && !second) all = true;
+    else if (first && !/^[_.]/.test(first)) {
+      // A type folder itself (added or removed), its meta.json, or a file in a language folder
+      if (!second || (second === META_FILE && !third)) types.add(first);
+      else keys.add(makeTemplateKey(first, second));
+    }
+
+    for (const t of templates) {
+      const source = t._source || {};
+      if (
+        (source.dir && isInside(source.dir, file)) ||
+        source.dependencies?.includes(file) ||
+        source.metaPaths?.includes(file)
+      ) {
+        keys.add(makeTemplateKey(t.templateType, t.languageTag));
+      }
+    }
+  }
+
+  return { all, types, keys };
+}
+
+const typeOf = (key) => key.split('::')[0];
+const languageOf = (key) => key.split('::')[1];
+
+/**
+ * Watch a templates directory and sync the affected templates after each change.
+ *
+ * Starts with a full sync of the directory (snapshotted like a normal sync); later pushes
+ * are not snapshotted and never delete remote templates. Changes that arrive during a push
+ * are queued for the next one. A failed load, validation or push is reported through
+ * `onEvent` and watching goes on.
+ * @param {Object} params
+ * @param {string} params.templatesDir - Templates root directory (not a bundle)
+ * @param {any} params.apiClient
+ * @param {string} params.emailTemplatesPath
+ * @param {Object} [params.load] - `loadTemplateSource` options (`onlyTypes`, `onlyLanguages`,
+ *   `fallbacks`, `contentType`, `build`, `inlineCss`, `minify`)
+ * @param {boolean} [params.validate] - Validate the affected templates before each push (default: true)
+ * @param {Object} [params.snapshot] - Snapshot options for the first sync (`snapshotsDir`, `snapshotInfo`,
+ *   `onSnapshot`; see `syncEmailTemplates`)
+ * @param {number|null} [params.batchSize]
+ * @param {boolean} [params.dryRun] - Plan only
+ * @param {number} [params.debounceMs] - See `watchTree` (default: 300)
+ * @param {(event: Object) => void} [params.onEvent] - Called with `{ stage, ... }`: `change`
+ *   ({ files, all, types, keys }), `invalid` ({ problems }), `result` ({ entry }), `removed` ({ key }),
+ *   `error` ({ error }), `idle` ({ count }) after each round
+ * @returns {Promise<{close: () => void}>} Resolves once the first sync is done
+ */
+export async function watchSyncEmailTemplates({
+  templatesDir,
+  apiClient,
+  emailTemplatesPath,
+  load = {},
+  validate = true,
+  snapshot = {},
+  batchSize = null,
+  dryRun = false,
+  debounceMs = 300,
+  onEvent = () => {},
+}) {
+  const templatesRoot = path.resolve(templatesDir);
+  const { onlyTypes = null, onlyLanguages = null, fallbacks = null } = load;
+  // Last loaded template per key, for `_source` and to notice removed folders
+  const known = new Map();
+  let stale = true;
+
+  // Drop what `onlyTypes` / `onlyLanguages` leave out
+  function narrow({ all, types, keys }) {
+    return {
+      all,
+      types: new Set([...types].filter((t) => !onlyTypes || onlyTypes.has(t))),
+      keys: new Set(
+        [...keys].filter(
+          (k) => (!onlyTypes || onlyTypes.has(typeOf(k))) && (!onlyLanguages || onlyLanguages.has(languageOf(k)))
+        )
+      ),
+    };
+  }
+
+  async function push({ all, types, keys }, snapshotOptions = {}) {
+    const scopeTypes = all ? onlyTypes : new Set([...types, ...[...keys].map(typeOf)]);
+    // A type-wide change needs every language; otherwise only the changed ones (and their fallback sources)
+    const scopeLanguages = all || types.size ? onlyLanguages : new Set([...keys].map(languageOf));
+    const inScope = (key, templateType) => all || types.has(templateType) || keys.has(key);
+
+    if (validate) {
+      const validationLanguages = scopeLanguages && new Set([...scopeLanguages, ...fallbackSourceLanguages(fallbacks)]);
+      const { problems } = await validateLocalEmailTemplates(templatesRoot, {
+        onlyTypes: scopeTypes,
+        onlyLanguages: validationLanguages,
+        fallbacks,
+      });
+      const errors = problems.filter((p) => p.severity === 'error' && (!p.key || inScope(p.key, typeOf(p.key))));
+      if (errors.length) {
+        onEvent({ stage: 'invalid', problems: errors });
+        return 0;
+      }
+    }
+
+    const loaded = await loadTemplateSource(templatesRoot, {
+      ...load,
+      onlyTypes: scopeTypes,
+      onlyLanguages: scopeLanguages,
+    });
+    const templates = loaded.filter((t) => inScope(makeTemplateKey(t.templateType, t.languageTag), t.templateType));
+    const loadedKeys = new Set(templates.map((t) => makeTemplateKey(t.templateType, t.languageTag)));
+
+    for (const [key, t] of known) {
+      if (!loadedKeys.has(key) && inScope(key, t.templateType)) {
+        known.delete(key);
+        onEvent({ stage: 'removed', key });
+      }
+    }
+    for (const t of templates) known.set(makeTemplateKey(t.templateType, t.languageTag), t);
+    stale = false;
+    if (!templates.length) return 0;
+
+    const results = await syncEmailTemplates({
+      apiClient,
+      emailTemplatesPath,
+      localTemplates: templates,
+      onlyTypes: scopeTypes,
+      onlyLanguages: scopeLanguages,
+      ...snapshotOptions,
+      batchSize,
+      dryRun,
+    });
+    for (const entry of results) {
+      if (loadedKeys.has(entry.key)) onEvent({ stage: 'result', entry });
+    }
+    return loadedKeys.size;
+  }
+
+  async function run(scope, snapshotOptions) {
+    try {
+      onEvent({ stage: 'idle', count: await push(scope, snapshotOptions) });
+    } catch (error) {
+      stale = true;
+      onEvent({ stage: 'error', error });
+    }
+  }
+
+  await run({ all: true, types: new Set(), keys: new Set() }, snapshot);
+
+  // One round at a time; files that change meanwhile wait for the next round
+  const queued = new Set();
+  let running = null;
+
+  const drain = async () => {
+    while (queued.size) {
+      const files = [...queued];
+      queued.clear();
+      const affected = narrow(templatesAffectedBy(files, { templatesRoot, templates: [...known.values()] }));
+      if (stale) affected.all = true;
+      if (!affected.all && !affected.types.size && !affected.keys.size) continue;
+
+      onEvent({ stage: 'change', files, all: affected.all, types: [...affected.types], keys: [...affected.keys] });
+      await run(affected);
+    }
+    running = null;
+  };
+
+  const watcher = await watchTree(
+    templatesRoot,
+    (files) => {
+      for (const file of files) queued.add(file);
+      running ??= drain();
+      return running;
+    },
+    { debounceMs }
+  );
+
+  return { close: () => watcher.close() };
+}
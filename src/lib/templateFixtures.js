@@ -0,0 +1,145 @@
+import path from 'node:path';
+
+import { ConfigError } from './errors.js';
+import { readOptional } from './fsUtils.js';
+import { escapeHtml } from './html.js';
+
+export const FIXTURES_DIR = '_fixtures';
+
+/**
+ * Sample values for Logto runtime variables, used to render templates locally
+ * (preview, test emails). Override per project with
+ * `templates/_fixtures/default.json` and `templates/_fixtures/<templateType>.json`.
+ */
+export const SAMPLE_VARIABLES = {
+  code: '123456',
+  link: 'https://example.com/callback?token=sample-token',
+  locale: 'en',
+  uiLocales: 'en',
+  application: {
+    id: 'sample-app-id',
+    name: 'Sample App',
+    displayName: 'Sample App',
+    branding: {
+      logoUrl: 'https://placehold.co/160x40/png?text=Logo',
+      darkLogoUrl: 'https://placehold.co/160x40/png?text=Logo',
+    },
+  },
+  organization: {
+    id: 'sample-org-id',
+    name: 'Acme Inc.',
+    branding: {
+      logoUrl: 'https://placehold.co/160x40/png?text=Acme',
+      darkLogoUrl: 'https://placehold.co/160x40/png?text=Acme',
+    },
+  },
+  user: {
+    id: 'sample-user-id',
+    name: 'Jane Doe',
+    username: 'jane',
+    primaryEmail: 'jane@example.com',
+    primaryPhone: '+15555550100',
+    avatar: 'https://placehold.co/64x64/png?text=JD',
+    profile: {},
+    customData: {},
+  },
+  inviter: {
+    id: 'sample-inviter-id',
+    name: 'John Smith',
+    username: 'john',
+    primaryEmail: 'john@example.com',
+    primaryPhone: '+15555550101',
+    avatar: 'https://placehold.co/64x64/png?text=JS',
+  },
+};
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    out[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+  }
+  return out;
+}
+
+async function readJsonOptional(filePath) {
+  const text = await readOptional(filePath);
+  if (text === null) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError(`Invalid JSON in fixture file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Sample variables for a template type: built-in samples, then
+ * `_fixtures/default.json`, then `_fixtures/<templateType>.json`.
+ * @param {string} templatesDir - Templates root directory
+ * @param {string} templateType
+ * @param {Object} [extra] - Values merged last (e.g. `{ locale: languageTag }`)
+ * @returns {Promise<Object>}
+ */
+export async function loadFixtureVariables(templatesDir, templateType, extra = {}) {
+  const fixturesDir = path.join(path.resolve(templatesDir), FIXTURES_DIR);
+  let variables = SAMPLE_VARIABLES;
+
+  for (const name of ['default', templateType]) {
+    const fixture = await readJsonOptional(path.join(fixturesDir, `${name}.json`));
+    if (fixture !== null) variables = deepMerge(variables, fixture);
+  }
+
+  return deepMerge(variables, extra);
+}
+
+function lookup(variables, name) {
+  let value = variables;
+  for (const part of name.split('.')) {
+    if (!isPlainObject(value) || !(part in value)) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+/**
+ * Replace `{{name}}` placeholders with values from `variables` (dotted paths).
+ * Unknown placeholders are left as-is.
+ * @param {string} text
+ * @param {Object} variables
+ * @param {Object} [options]
+ * @param {(value: string) => string} [options.escape] - Applied to every substituted value
+ * @returns {string}
+ */
+export function fillPlaceholders(text, variables, { escape = (value) => value } = {}) {
+  return String(text || '').replace(/\{\{\s*([^{}]*?)\s*\}\}/g, (raw, name) => {
+    const value = lookup(variables, name);
+    if (value === undefined || value === null || isPlainObject(value)) return raw;
+    return escape(String(value));
+  });
+}
+
+/**
+ * Render a loaded template with sample variables for its type and language.
+ * Values are HTML-escaped in `text/html` content.
+ * @param {string} templatesDir - Templates root directory (for `_fixtures`)
+ * @param {Object} template - One entry of `loadLocalEmailTemplates`
+ * @returns {Promise<{subject: string, content: string, contentType: string, variables: Object}>}
+ */
+export async function renderTemplateSample(templatesDir, template) {
+  const variables = await loadFixtureVariables(templatesDir, template.templateType, {
+    locale: template.languageTag,
+    uiLocales: template.languageTag,
+  });
+  const contentType = template.details.contentType || 'text/html';
+  return {
+    subject: fillPlaceholders(template.details.subject, variables),
+    content: fillPlaceholders(template.details.content, variables, {
+      escape: contentType === 'text/html' ? escapeHtml : undefined,
+    }),
+    contentType,
+    variables,
+  };
+}
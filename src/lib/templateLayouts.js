@@ -0,0 +1,186 @@
+import path from 'node:path';
+
+import { ConfigError } from './errors.js';
+import { readOptional } from './fsUtils.js';
+
+/**
+ * Build-time layouts and partials for template content.
+ *
+ * Directives use `{% ... %}` so they never clash with Logto runtime
+ * placeholders like `{{code}}`, which are passed through untouched.
+ *
+ * - `{% layout "base" %}`       first line of a content file; wraps it in templates/_layouts/base.html
+ * - `{% block name %}…{% endblock %}`  named block; content outside blocks becomes the `body` block.
+ *                                      In a layout it marks a slot (with optional default content).
+ * - `{% include "footer" %}`    inserts templates/_partials/<languageTag>/footer.html,
+ *                               falling back to templates/_partials/footer.html
+ * - `{% languageTag %}`, `{% templateType %}`, `{% dir %}` (`ltr`/`rtl`)
+ */
+
+export const LAYOUTS_DIR = '_layouts';
+export const PARTIALS_DIR = '_partials';
+
+const MAX_INCLUDE_DEPTH = 10;
+const RTL_LANGUAGES = new Set(['ar', 'arc', 'dv', 'fa', 'ha', 'he', 'khw', 'ks', 'ku', 'ps', 'sd', 'ur', 'yi']);
+
+const LAYOUT_RE = /^\s*\{%\s*layout\s+"([^"]+)"\s*%\}[^\S\n]*\n?/;
+const BLOCK_RE = /\{%\s*block\s+([\w-]+)\s*%\}([\s\S]*?)\{%\s*endblock\s*%\}/g;
+const DIRECTIVE_RE = /([^\S\n]*)\{%\s*(\w+)(?:\s+"([^"]*)")?\s*%\}/g;
+
+/**
+ * Text direction for a language tag.
+ * @param {string} languageTag
+ * @returns {'ltr'|'rtl'}
+ */
+export function textDirection(languageTag) {
+  const language = String(languageTag || '').split('-')[0].toLowerCase();
+  return RTL_LANGUAGES.has(language) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Whether a string uses any layout/partial directive.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasDirectives(text) {
+  return /\{%[\s\S]*?%\}/.test(text);
+}
+
+function stripFinalNewline(text) {
+  return text.replace(/\s+$/, '');
+}
+
+function lineNumberAt(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+function indentLines(text, indent) {
+  if (!indent) return text;
+  return text
+    .split('\n')
+    .map((line, index) => (index === 0 || !line ? line : `${indent}${line}`))
+    .join('\n');
+}
+
+function dedent(text) {
+  const lines = text.replace(/^\s*\n/, '').replace(/\s+$/, '').split('\n');
+  const indents = lines.filter((line) => line.trim()).map((line) => line.match(/^[^\S\n]*/)[0].length);
+  const min = indents.length ? Math.min(...indents) : 0;
+  return lines.map((line) => line.slice(min)).join('\n');
+}
+
+function parseBlocks(text) {
+  const blocks = new Map();
+  const rest = text.replace(BLOCK_RE, (_, name, value) => {
+    blocks.set(name, dedent(value));
+    return '';
+  });
+  if (!blocks.has('body')) blocks.set('body', dedent(rest));
+  return blocks;
+}
+
+async function resolvePartial(name, { templatesRoot, languageTag, sourcePath }) {
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new ConfigError(`Invalid partial name "${name}" in: ${sourcePath}`);
+  }
+  const candidates = [
+    path.join(templatesRoot, PARTIALS_DIR, languageTag, `${name}.html`),
+    path.join(templatesRoot, PARTIALS_DIR, `${name}.html`),
+  ];
+  for (const candidate of candidates) {
+    const content = await readOptional(candidate);
+    if (content !== null) return { filePath: candidate, content: stripFinalNewline(content) };
+  }
+  throw new ConfigError(`Partial "${name}" not found (looked in ${candidates.join(', ')}), used in: ${sourcePath}`);
+}
+
+async function expandDirectives(text, context, { sourcePath, blocks = null, depth = 0 }) {
+  if (depth > MAX_INCLUDE_DEPTH) {
+    throw new ConfigError(`Partials nested too deeply (>${MAX_INCLUDE_DEPTH}), check for include cycles: ${sourcePath}`);
+  }
+
+  // Fill layout slots first so block contents are expanded in the same pass
+  const withBlocks = blocks
+    ? text.replace(BLOCK_RE, (_, name, fallback, offset) => {
+        const value = blocks.has(name) ? blocks.get(name) : dedent(fallback);
+        const linePrefix = text.slice(text.lastIndexOf('\n', offset - 1) + 1, offset);
+        return /^[^\S\n]*$/.test(linePrefix) ? indentLines(value, linePrefix) : value;
+      })
+    : text;
+
+  const matches = [...withBlocks.matchAll(DIRECTIVE_RE)];
+  let out = '';
+  let lastIndex = 0;
+
+  for (const match of matches) {
+    const [raw, indent, directive, argument] = match;
+    out += withBlocks.slice(lastIndex, match.index);
+    lastIndex = match.index + raw.length;
+
+    const atLineStart = match.index === 0 || withBlocks[match.index - 1] === '\n';
+    const where = `${sourcePath}:${lineNumberAt(withBlocks, match.index + indent.length)}`;
+
+    if (directive === 'include') {
+      if (!argument) throw new ConfigError(`{% include %} needs a partial name: ${where}`);
+      const partial = await resolvePartial(argument, { ...context, sourcePath: where });
+      context.dependencies.add(partial.filePath);
+      const expanded = await expandDirectives(partial.content, context, {
+        sourcePath: partial.filePath,
+        depth: depth + 1,
+      });
+      out += indent + (atLineStart ? indentLines(expanded, indent) : expanded);
+    } else if (directive === 'languageTag') {
+      out += indent + context.languageTag;
+    } else if (directive === 'templateType') {
+      out += indent + context.templateType;
+    } else if (directive === 'dir') {
+      out += indent + textDirection(context.languageTag);
+    } else {
+      throw new ConfigError(`Unknown directive {% ${directive} %}: ${where}`);
+    }
+  }
+
+  return out + withBlocks.slice(lastIndex);
+}
+
+/**
+ * Resolve `{% layout %}`, blocks and `{% include %}` directives of a content file.
+ * Content without directives is returned unchanged.
+ * @param {string} content - Raw content file text
+ * @param {Object} params
+ * @param {string} params.templatesRoot - Absolute templates root (holds `_layouts`/`_partials`)
+ * @param {string} params.templateType - Template type of the content file
+ * @param {string} params.languageTag - Language tag of the content file
+ * @param {string} params.sourcePath - Content file path (for error messages)
+ * @returns {Promise<{content: string, dependencies: string[]}>} Rendered content and the
+ *   layout/partial files it was built from
+ */
+export async function renderTemplateContent(content, { templatesRoot, templateType, languageTag, sourcePath }) {
+  if (!hasDirectives(content)) return { content, dependencies: [] };
+
+  const context = { templatesRoot, templateType, languageTag, dependencies: new Set() };
+  const layoutMatch = content.match(LAYOUT_RE);
+
+  if (!layoutMatch) {
+    const rendered = await expandDirectives(content, context, { sourcePath });
+    return { content: rendered, dependencies: [...context.dependencies] };
+  }
+
+  const layoutName = layoutMatch[1];
+  if (!/^[\w.-]+$/.test(layoutName)) {
+    throw new ConfigError(`Invalid layout name "${layoutName}" in: ${sourcePath}`);
+  }
+  const layoutPath = path.join(templatesRoot, LAYOUTS_DIR, `${layoutName}.html`);
+  const layout = await readOptional(layoutPath);
+  if (layout === null) {
+    throw new ConfigError(`Layout "${layoutName}" not found: ${layoutPath} (used in: ${sourcePath})`);
+  }
+  context.dependencies.add(layoutPath);
+
+  const blocks = parseBlocks(content.slice(layoutMatch[0].length));
+  const rendered = await expandDirectives(stripFinalNewline(layout), context, {
+    sourcePath: layoutPath,
+    blocks,
+  });
+  return { content: rendered, dependencies: [...context.dependencies] };
+}
@@ -0,0 +1,47 @@
+import { buildEmailTemplates } from './buildTemplates.js';
+import { bundleFormatOf, readBundle } from './bundle.js';
+import { toPlainTextTemplates } from './htmlToText.js';
+import { applyLanguageFallbacks, fallbackSourceLanguages } from './languages.js';
+import { loadLocalEmailTemplates } from './templatesFs.js';
+
+/**
+ * Load templates for sync/diff/pack from a templates directory or a bundle file,
+ * fill missing languages from their fallback chains, then apply the optional plain-text
+ * conversion and build step.
+ * @param {string} source - Templates directory, or a `.json`/`.yaml`/`.yml` bundle
+ * @param {Object} [options]
+ * @param {Set<string>|null} [options.onlyTypes]
+ * @param {Set<string>|null} [options.onlyLanguages]
+ * @param {Record<string, string[]>|null} [options.fallbacks] - Fallback chains (see `applyLanguageFallbacks`)
+ * @param {'text/html'|'text/plain'|null} [options.contentType] - `text/plain` prefers
+ *   `content.txt` and converts HTML templates to text
+ * @param {boolean} [options.build] - Run `buildEmailTemplates` (adds `_build` sizes)
+ * @param {boolean} [options.inlineCss] - Build option (default: true)
+ * @param {boolean} [options.minify] - Build option (default: true)
+ * @returns {Promise<Array>}
+ */
+export async function loadTemplateSource(
+  source,
+  {
+    onlyTypes = null,
+    onlyLanguages = null,
+    fallbacks = null,
+    contentType = null,
+    build = false,
+    inlineCss = true,
+    minify = true,
+  } = {}
+) {
+  const plainText = contentType === 'text/plain';
+  // Fallback sources are loaded even when --languages leaves them out
+  const loadLanguages = onlyLanguages && new Set([...onlyLanguages, ...fallbackSourceLanguages(fallbacks)]);
+  const read = bundleFormatOf(source)
+    ? await readBundle(source, { onlyTypes, onlyLanguages: loadLanguages })
+    : await loadLocalEmailTemplates(source, { onlyTypes, onlyLanguages: loadLanguages, preferPlainText: plainText });
+  const loaded = (await applyLanguageFallbacks(read, fallbacks)).filter(
+    (t) => !onlyLanguages || onlyLanguages.has(t.languageTag)
+  );
+
+  const templates = plainText ? toPlainTextTemplates(loaded) : loaded;
+  return build ? buildEmailTemplates(templates, { inlineCss, minify }) : templates;
+}
@@ -0,0 +1,133 @@
+/**
+ * Logto email template variables per template type.
+ * See: https://docs.logto.io/connectors/email-connectors/email-templates
+ *
+ * - `required`       every name must appear in the content
+ * - `requiredOneOf`  at least one of the names must appear in the content
+ * - `allowed`        type-specific names on top of COMMON_VARIABLES
+ */
+
+export const COMMON_VARIABLES = [
+  'application.id',
+  'application.name',
+  'application.displayName',
+  'application.branding.logoUrl',
+  'application.branding.darkLogoUrl',
+  'organization.id',
+  'organization.name',
+  'organization.branding.logoUrl',
+  'organization.branding.darkLogoUrl',
+  'user.id',
+  'user.name',
+  'user.username',
+  'user.primaryEmail',
+  'user.primaryPhone',
+  'user.avatar',
+  'locale',
+  'uiLocales',
+];
+
+// Any nested key below these prefixes is accepted (free-form objects)
+export const COMMON_VARIABLE_PREFIXES = ['user.profile.', 'user.customData.'];
+
+const INVITER_VARIABLES = [
+  'inviter.id',
+  'inviter.name',
+  'inviter.username',
+  'inviter.primaryEmail',
+  'inviter.primaryPhone',
+  'inviter.avatar',
+];
+
+export const TEMPLATE_TYPES = {
+  SignIn: { requiredOneOf: ['code', 'link'], allowed: ['code', 'link'] },
+  Register: { requiredOneOf: ['code', 'link'], allowed: ['code', 'link'] },
+  ForgotPassword: { requiredOneOf: ['code', 'link'], allowed: ['code', 'link'] },
+  OrganizationInvitation: { required: ['link'], allowed: ['link', ...INVITER_VARIABLES] },
+  Generic: { required: ['code'], allowed: ['code'] },
+  UserPermissionValidation: { required: ['code'], allowed: ['code'] },
+  BindNewIdentifier: { required: ['code'], allowed: ['code'] },
+  MfaVerification: { required: ['code'], allowed: ['code'] },
+  BindMfa: { required: ['code'], allowed: ['code'] },
+};
+
+const PLACEHOLDER_RE = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+/**
+ * Find `{{…}}` placeholders in a text.
+ * @param {string} text
+ * @returns {Array<{name: string, raw: string, index: number}>}
+ */
+export function findPlaceholders(text) {
+  return [...String(text || '').matchAll(PLACEHOLDER_RE)].map((match) => ({
+    name: match[1],
+    raw: match[0],
+    index: match.index,
+  }));
+}
+
+/**
+ * Variables a template type accepts.
+ * @param {string} templateType
+ * @returns {string[]|null} null for unknown template types
+ */
+export function allowedVariables(templateType) {
+  const spec = TEMPLATE_TYPES[templateType];
+  if (!spec) return null;
+  return [...COMMON_VARIABLES, ...spec.allowed];
+}
+
+/**
+ * Whether a variable name is accepted for a template type.
+ * @param {string} templateType
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isAllowedVariable(templateType, name) {
+  const allowed = allowedVariables(templateType);
+  if (!allowed) return false;
+  return allowed.includes(name) || COMMON_VARIABLE_PREFIXES.some((prefix) => name.startsWith(prefix));
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Closest candidate for a misspelled name (case-insensitive), or null when nothing is close.
+ * @param {string} name
+ * @param {string[]} candidates
+ * @returns {string|null}
+ */
+export function closestMatch(name, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(name.length / 4)) ? best : null;
+}
+
+/**
+ * Closest allowed variable for a misspelled one.
+ * @param {string} templateType
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function suggestVariable(templateType, name) {
+  return closestMatch(name, allowedVariables(templateType) || []);
+}
@@ -1,14 +1,9 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 
-async function pathExists(filePath) {
-  try {
-    await fs.access(filePath);
-    return true;
-  } catch {
-    return false;
-  }
-}
+import { ConfigError } from './errors.js';
+import { pathExists } from './fsUtils.js';
+import { renderTemplateContent } from './templateLayouts.js';
 
 async function readText(filePath) {
   const content = await fs.readFile(filePath, 'utf8');
@@ -18,7 +13,29 @@ async function readText(filePath) {
 
 async function readJson(filePath) {
   const text = await fs.readFile(filePath, 'utf8');
-  return JSON.parse(text);
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError(`${filePath}: invalid JSON: ${error.message}`, { cause: error });
+  }
+}
+
+export const META_FILE = 'meta.json';
+
+// Keys that root/type `meta.json` files pass down (contentType follows the content file)
+export const INHERITED_META_KEYS = ['replyTo', 'sendFrom'];
+
+/**
+ * The part of a root/type `meta.json` that language folders inherit.
+ * @param {Object|null} meta
+ * @returns {Object}
+ */
+export function inheritedMetaOf(meta) {
+  return Object.fromEntries(INHERITED_META_KEYS.filter((key) => meta && key in meta).map((key) => [key, meta[key]]));
+}
+
+async function readMeta(filePath) {
+  return (await pathExists(filePath)) ? readJson(filePath) : null;
 }
 
 function inferContentTypeByFilename(filename) {
@@ -31,25 +48,36 @@ function inferContentTypeByFilename(filename) {
  * Folder layout:
  * templates/<templateType>/<languageTag>/
  *   - subject.txt
- *   - content.html OR content.txt
+ *   - content.html OR content.txt (both allowed; see `preferPlainText`)
  *   - meta.json (optional: { contentType, replyTo, sendFrom })
+ *
+ * `templates/meta.json` and `templates/<templateType>/meta.json` are optional `replyTo`/`sendFrom`
+ * defaults, merged root -> type -> language (an empty string clears an inherited value).
+ *
+ * Folders starting with `_` or `.` are not template types; `_layouts/` and
+ * `_partials/` hold shared markup resolved into content (see templateLayouts.js).
  */
 export async function loadLocalEmailTemplates(
   templatesDir,
-  { onlyTypes = null, onlyLanguages = null } = {}
+  { onlyTypes = null, onlyLanguages = null, preferPlainText = false } = {}
 ) {
   const root = path.resolve(templatesDir);
   const typeEntries = await fs.readdir(root, { withFileTypes: true });
+  const rootMetaPath = path.join(root, META_FILE);
+  const rootMeta = await readMeta(rootMetaPath);
 
   const templates = [];
 
   for (const typeEntry of typeEntries) {
     if (!typeEntry.isDirectory()) continue;
+    if (/^[_.]/.test(typeEntry.name)) continue;
     const templateType = typeEntry.name;
     if (onlyTypes && !onlyTypes.has(templateType)) continue;
 
     const templateTypeDir = path.join(root, templateType);
     const langEntries = await fs.readdir(templateTypeDir, { withFileTypes: true });
+    const typeMetaPath = path.join(templateTypeDir, META_FILE);
+    const typeMeta = await readMeta(typeMetaPath);
 
     for (const langEntry of langEntries) {
       if (!langEntry.isDirectory()) continue;
@@ -60,29 +88,38 @@ export async function loadLocalEmailTemplates(
       const subjectPath = path.join(templateDir, 'subject.txt');
       const contentHtmlPath = path.join(templateDir, 'content.html');
       const contentTxtPath = path.join(templateDir, 'content.txt');
-      const metaPath = path.join(templateDir, 'meta.json');
+      const metaPath = path.join(templateDir, META_FILE);
 
       if (!(await pathExists(subjectPath))) {
-        throw new Error(`Missing subject.txt: ${subjectPath}`);
+        throw new ConfigError(`Missing subject.txt: ${subjectPath}`);
       }
 
       const hasHtml = await pathExists(contentHtmlPath);
       const hasTxt = await pathExists(contentTxtPath);
       if (!hasHtml && !hasTxt) {
-        throw new Error(`Missing content.html or content.txt in: ${templateDir}`);
+        throw new ConfigError(`Missing content.html or content.txt in: ${templateDir}`);
       }
 
-      const contentPath = hasHtml ? contentHtmlPath : contentTxtPath;
+      // content.html wins unless plain text was asked for and content.txt exists
+      const contentPath = hasHtml && !(preferPlainText && hasTxt) ? contentHtmlPath : contentTxtPath;
       const subject = await readText(subjectPath);
-      const content = await readText(contentPath);
+      const rendered = await renderTemplateContent(await readText(contentPath), {
+        templatesRoot: root,
+        templateType,
+        languageTag,
+        sourcePath: contentPath,
+      });
+      const content = rendered.content;
 
-      const meta = (await pathExists(metaPath)) ? await readJson(metaPath) : {};
+      const ownMeta = await readMeta(metaPath);
+      const meta = { ...inheritedMetaOf(rootMeta), ...inheritedMetaOf(typeMeta), ...ownMeta };
       const inferredContentType = inferContentTypeByFilename(contentPath);
 
       const details = {
         subject,
         content,
-        contentType: meta.contentType || inferredContentType,
+        // With both files present, meta.json describes content.html
+        contentType: hasHtml && contentPath === contentTxtPath ? inferredContentType : meta.contentType || inferredContentType,
         ...(meta.replyTo ? { replyTo: meta.replyTo } : {}),
         ...(meta.sendFrom ? { sendFrom: meta.sendFrom } : {}),
       };
@@ -95,7 +132,14 @@ export async function loadLocalEmailTemplates(
           dir: templateDir,
           subjectPath,
           contentPath,
-          metaPath: (await pathExists(metaPath)) ? metaPath : null,
+          metaPath: ownMeta ? metaPath : null,
+          // Every meta.json that contributed, root first
+          metaPaths: [
+            ...(rootMeta ? [rootMetaPath] : []),
+            ...(typeMeta ? [typeMetaPath] : []),
+            ...(ownMeta ? [metaPath] : []),
+          ],
+          dependencies: rendered.dependencies,
         },
       });
     }
@@ -104,4 +148,112 @@ export async function loadLocalEmailTemplates(
   return templates;
 }
 
+/**
+ * Write one template into the folder layout read by `loadLocalEmailTemplates`.
+ * `meta.json` only holds values that differ from `inheritedMeta` (and a contentType
+ * that differs from the content file extension); it is removed when empty.
+ * @param {string} rootDir - Templates root directory
+ * @param {{templateType: string, languageTag: string, details: Object}} template
+ * @param {Object} [options]
+ * @param {Object} [options.inheritedMeta] - Merged root/type `meta.json` of the destination
+ * @returns {Promise<string>} The template folder
+ */
+export async function writeLocalEmailTemplate(
+  rootDir,
+  { templateType, languageTag, details },
+  { inheritedMeta = {} } = {}
+) {
+  const dir = path.join(path.resolve(rootDir), templateType, languageTag);
+  await fs.mkdir(dir, { recursive: true });
+
+  const subject = typeof details.subject === 'string' ? details.subject : '';
+  const content = typeof details.content === 'string' ? details.content : '';
+  const contentType = details.contentType || undefined;
+
+  await fs.writeFile(path.join(dir, 'subject.txt'), `${subject.trimEnd()}\n`, 'utf8');
 
+  const contentFile = contentType === 'text/plain' ? 'content.txt' : 'content.html';
+  await fs.writeFile(path.join(dir, contentFile), `${content.trimEnd()}\n`, 'utf8');
+
+  const meta = {};
+  for (const key of INHERITED_META_KEYS) {
+    const value = details[key] || '';
+    if (value !== (inheritedMeta[key] || '')) meta[key] = value;
+  }
+  const actualContentType = contentType || 'text/html';
+  if (actualContentType !== inferContentTypeByFilename(contentFile)) {
+    meta.contentType = actualContentType;
+  }
+
+  const metaPath = path.join(dir, META_FILE);
+  if (Object.keys(meta).length > 0) {
+    await fs.writeFile(metaPath, JSON.stringify(meta, null, 2) + '\n', 'utf8');
+  } else {
+    await fs.rm(metaPath, { force: true });
+  }
+
+  return dir;
+}
+
+// Values used by more than half of the templates become the default; the others override it
+function sharedMetaValues(templates, inheritedMeta) {
+  const shared = {};
+  for (const key of INHERITED_META_KEYS) {
+    const counts = new Map();
+    for (const t of templates) {
+      const value = t.details[key] || '';
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    const [value, count] = [...counts].sort((a, b) => b[1] - a[1])[0] || [];
+    if (value && count * 2 > templates.length && value !== (inheritedMeta[key] || '')) shared[key] = value;
+  }
+  return shared;
+}
+
+async function defaultsFor(dir, templates, inheritedMeta) {
+  const metaPath = path.join(dir, META_FILE);
+  const existing = await readMeta(metaPath);
+  if (existing) return existing;
+
+  const shared = sharedMetaValues(templates, inheritedMeta);
+  if (Object.keys(shared).length) {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(metaPath, JSON.stringify(shared, null, 2) + '\n', 'utf8');
+  }
+  return shared;
+}
+
+/**
+ * Write many templates (export, unpack, build, snapshots). Existing root/type `meta.json`
+ * files in `rootDir` are kept as defaults; where there are none, the value most templates
+ * (of a type) share is written there once, and only the exceptions get their own `meta.json`.
+ * @param {string} rootDir - Templates root directory
+ * @param {Array<{templateType: string, languageTag: string, details: Object}>} templates
+ * @param {Object} [options]
+ * @param {(template: Object, dir: string) => void} [options.onWritten] - Called per template
+ * @returns {Promise<string[]>} The template folders
+ */
+export async function writeLocalEmailTemplates(rootDir, templates, { onWritten } = {}) {
+  const root = path.resolve(rootDir);
+  const valid = templates.filter((t) => t?.templateType && t?.languageTag && t?.details);
+  await fs.mkdir(root, { recursive: true });
+
+  const rootMeta = await defaultsFor(root, valid, {});
+  const byType = new Map();
+  for (const t of valid) {
+    if (!byType.has(t.templateType)) byType.set(t.templateType, []);
+    byType.get(t.templateType).push(t);
+  }
+
+  const dirs = [];
+  for (const [templateType, items] of byType) {
+    const typeMeta = await defaultsFor(path.join(root, templateType), items, rootMeta);
+    const inheritedMeta = { ...inheritedMetaOf(rootMeta), ...inheritedMetaOf(typeMeta) };
+    for (const t of items) {
+      const dir = await writeLocalEmailTemplate(root, t, { inheritedMeta });
+      dirs.push(dir);
+      if (onWritten) onWritten(t, dir);
+    }
+  }
+  return dirs;
+}
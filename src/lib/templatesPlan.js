@@ -0,0 +1,147 @@
+import { createUnifiedDiff } from './textDiff.js';
+
+/**
+ * Fields of `details` compared between local and remote templates.
+ */
+export const COMPARED_FIELDS = ['subject', 'content', 'contentType', 'replyTo', 'sendFrom'];
+
+export function makeTemplateKey(templateType, languageTag) {
+  return `${templateType}::${languageTag}`;
+}
+
+function normalizeField(field, value) {
+  if (field === 'contentType') return value || 'text/html';
+  if (field === 'subject' || field === 'content') {
+    // Local files are read with trailing whitespace trimmed; export adds a final newline
+    return typeof value === 'string' ? value.trimEnd() : '';
+  }
+  return value || undefined;
+}
+
+function compareDetails(localDetails, remoteDetails) {
+  const changes = [];
+  for (const field of COMPARED_FIELDS) {
+    const local = normalizeField(field, localDetails?.[field]);
+    const remote = normalizeField(field, remoteDetails?.[field]);
+    if (local !== remote) changes.push({ field, local, remote });
+  }
+  return changes;
+}
+
+function byKey(a, b) {
+  return a.key.localeCompare(b.key);
+}
+
+/**
+ * Compare local templates with the remote set and classify every
+ * `templateType::languageTag` key.
+ *
+ * Actions:
+ * - `create`      only local
+ * - `update`      both, details differ
+ * - `unchanged`   both, details equal
+ * - `remote-only` only remote (never touched by sync)
+ *
+ * @param {Object} params
+ * @param {Array} params.localTemplates - Output of `loadLocalEmailTemplates`
+ * @param {Array} params.remoteTemplates - Output of `listEmailTemplates`
+ * @param {Set<string>|null} [params.onlyTypes] - Restrict remote templates to these types
+ * @param {Set<string>|null} [params.onlyLanguages] - Restrict remote templates to these languages
+ * @returns {Array<{action: string, key: string, templateType: string, languageTag: string, local: any, remote: any, changes: Array}>}
+ */
+export function planEmailTemplateSync({
+  localTemplates,
+  remoteTemplates,
+  onlyTypes = null,
+  onlyLanguages = null,
+}) {
+  const remoteIndex = new Map();
+  for (const remote of remoteTemplates || []) {
+    if (!remote?.templateType || !remote?.languageTag) continue;
+    if (onlyTypes && !onlyTypes.has(remote.templateType)) continue;
+    if (onlyLanguages && !onlyLanguages.has(remote.languageTag)) continue;
+    remoteIndex.set(makeTemplateKey(remote.templateType, remote.languageTag), remote);
+  }
+
+  const plan = [];
+  const seen = new Set();
+
+  for (const local of localTemplates) {
+    const key = makeTemplateKey(local.templateType, local.languageTag);
+    const remote = remoteIndex.get(key) || null;
+    seen.add(key);
+
+    const changes = compareDetails(local.details, remote?.details);
+    let action = 'unchanged';
+    if (!remote) action = 'create';
+    else if (changes.length) action = 'update';
+
+    plan.push({
+      action,
+      key,
+      templateType: local.templateType,
+      languageTag: local.languageTag,
+      local,
+      remote,
+      changes: action === 'unchanged' ? [] : changes,
+    });
+  }
+
+  for (const [key, remote] of remoteIndex) {
+    if (seen.has(key)) continue;
+    plan.push({
+      action: 'remote-only',
+      key,
+      templateType: remote.templateType,
+      languageTag: remote.languageTag,
+      local: null,
+      remote,
+      changes: compareDetails(undefined, remote.details),
+    });
+  }
+
+  return plan.sort(byKey);
+}
+
+/**
+ * Count plan entries per action.
+ * @param {Array} plan - Output of `planEmailTemplateSync`
+ * @returns {Record<string, number>}
+ */
+export function summarizePlan(plan) {
+  const counts = { create: 0, update: 0, unchanged: 0, 'remote-only': 0 };
+  for (const entry of plan) {
+    counts[entry.action] = (counts[entry.action] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Whether local and remote have drifted apart (anything but `unchanged`).
+ * @param {Array} plan - Output of `planEmailTemplateSync`
+ * @returns {boolean}
+ */
+export function hasDrift(plan) {
+  return plan.some((entry) => entry.action !== 'unchanged');
+}
+
+/**
+ * Render unified diffs (remote -> local) for every changed field of a plan entry.
+ * @param {Object} entry - One entry of `planEmailTemplateSync`
+ * @param {Object} [options]
+ * @param {number} [options.context] - Lines of context (default: 3)
+ * @returns {string}
+ */
+export function formatPlanEntryDiff(entry, { context = 3 } = {}) {
+  const base = `${entry.templateType}/${entry.languageTag}`;
+  return entry.changes
+    .map(({ field, local, remote }) =>
+      createUnifiedDiff(remote ?? '', local ?? '', {
+        fromLabel: entry.remote ? `remote/${base}/${field}` : '/dev/null',
+        toLabel: entry.local ? `local/${base}/${field}` : '/dev/null',
+        context,
+      })
+    )
+    .filter(Boolean)
+    .join('\n');
+}
@@ -0,0 +1,326 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { readOptional } from './fsUtils.js';
+import { findUnbalancedTags, lineAt } from './html.js';
+import { checkLanguageTag } from './languages.js';
+import { UNTRANSLATED_MARKER } from './scaffold.js';
+import { renderTemplateContent } from './templateLayouts.js';
+import { META_FILE, inheritedMetaOf } from './templatesFs.js';
+import {
+  TEMPLATE_TYPES,
+  findPlaceholders,
+  isAllowedVariable,
+  suggestVariable,
+} from './templateVariables.js';
+
+const META_KEYS = new Set(['contentType', 'replyTo', 'sendFrom']);
+const CONTENT_TYPES = new Set(['text/html', 'text/plain']);
+
+function jsonErrorLine(text, error) {
+  const message = String(error?.message || '');
+  const lineMatch = message.match(/line (\d+)/);
+  if (lineMatch) return Number(lineMatch[1]);
+  const positionMatch = message.match(/position (\d+)/);
+  if (positionMatch) return lineAt(text, Number(positionMatch[1]));
+  return 1;
+}
+
+// Keep character offsets (and therefore line numbers) while hiding `{% … %}` directives
+function maskDirectives(text) {
+  return text.replace(/\{%[\s\S]*?%\}/g, (raw) => raw.replace(/[^\n]/g, ' '));
+}
+
+function closestType(templateType) {
+  const lower = templateType.toLowerCase();
+  return Object.keys(TEMPLATE_TYPES).find((type) => type.toLowerCase() === lower) || null;
+}
+
+/**
+ * Validate local templates without touching the Logto API.
+ *
+ * Checks per `templates/<templateType>/<languageTag>/` folder:
+ * - known template type, non-empty single-line subject
+ * - language folder names are BCP 47 tags Logto supports (once per tag)
+ * - `meta.json` (root, type and language level) is valid JSON with known keys and string values
+ * - `contentType` matches the content file extension
+ * - layouts/partials resolve
+ * - `{{…}}` placeholders are known for the type, required ones are present
+ * - HTML tags are balanced (each layout/partial/content file on its own)
+ * - no copy is still marked as untranslated (warning; see scaffold.js)
+ *
+ * Across folders, a language that exists for some template types but not others is
+ * reported, unless its fallback chain fills the gap.
+ *
+ * @param {string} templatesDir - Templates root directory
+ * @param {Object} [options]
+ * @param {Set<string>|null} [options.onlyTypes] - Only validate these template types
+ * @param {Set<string>|null} [options.onlyLanguages] - Only validate these languages
+ * @param {Record<string, string[]>|null} [options.fallbacks] - Fallback chains used by sync
+ * @returns {Promise<{templates: number, problems: Array<{severity: 'error'|'warning', key: string|null, file: string, line: number|null, message: string}>}>}
+ */
+export async function validateLocalEmailTemplates(
+  templatesDir,
+  { onlyTypes = null, onlyLanguages = null, fallbacks = null } = {}
+) {
+  const root = path.resolve(templatesDir);
+  const problems = [];
+  const seenProblems = new Set();
+  const checkedHtmlFiles = new Set();
+  const checkedLanguages = new Set();
+  const invalidLanguages = new Set();
+  // templateType -> language tags it has
+  const coverage = new Map();
+  let templates = 0;
+
+  const report = (severity, key, file, line, message) => {
+    const id = `${file}:${line}:${message}`;
+    if (seenProblems.has(id)) return;
+    seenProblems.add(id);
+    problems.push({ severity, key, file, line, message });
+  };
+
+  const checkPlaceholders = (templateType, key, file, text) => {
+    for (const placeholder of findPlaceholders(text)) {
+      if (isAllowedVariable(templateType, placeholder.name)) continue;
+      const suggestion = suggestVariable(templateType, placeholder.name);
+      report(
+        'error',
+        key,
+        file,
+        lineAt(text, placeholder.index),
+        `Unknown placeholder ${placeholder.raw} for ${templateType}` +
+          (suggestion ? ` (did you mean {{${suggestion}}}?)` : '')
+      );
+    }
+
+    // `{{` without a matching `}}` (or the other way round)
+    const stripped = text.replace(/\{\{[^{}]*?\}\}/g, (raw) => ' '.repeat(raw.length));
+    for (const match of stripped.matchAll(/\{\{|\}\}/g)) {
+      report('error', key, file, lineAt(text, match.index), `Malformed placeholder near "${match[0]}"`);
+    }
+  };
+
+  // Copy that `add-language` / `new-type` marked and nobody translated yet (reported once per file)
+  const checkUntranslated = (key, file, text) => {
+    const count = text.split(UNTRANSLATED_MARKER).length - 1;
+    if (!count) return;
+    report(
+      'warning',
+      key,
+      file,
+      lineAt(text, text.indexOf(UNTRANSLATED_MARKER)),
+      `${count} untranslated string(s) marked ${UNTRANSLATED_MARKER}`
+    );
+  };
+
+  // `shared`: a root/type meta.json, which only passes down replyTo/sendFrom
+  const checkMeta = async (key, metaPath, { shared = false } = {}) => {
+    const metaText = await readOptional(metaPath);
+    if (metaText === null) return { meta: {}, metaText: null };
+
+    let meta;
+    try {
+      meta = JSON.parse(metaText);
+    } catch (error) {
+      report('error', key, metaPath, jsonErrorLine(metaText, error), `Malformed meta.json: ${error.message}`);
+      return { meta: {}, metaText };
+    }
+    if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+      report('error', key, metaPath, 1, 'meta.json must contain a JSON object');
+      return { meta: {}, metaText };
+    }
+
+    for (const [metaKey, value] of Object.entries(meta)) {
+      const line = lineAt(metaText, Math.max(0, metaText.indexOf(`"${metaKey}"`)));
+      if (!META_KEYS.has(metaKey)) {
+        report('error', key, metaPath, line, `Unknown meta.json key "${metaKey}" (allowed: ${[...META_KEYS].join(', ')})`);
+      } else if (typeof value !== 'string') {
+        report('error', key, metaPath, line, `meta.json "${metaKey}" must be a string`);
+      } else if (metaKey === 'contentType' && !CONTENT_TYPES.has(value)) {
+        report('error', key, metaPath, line, `Unsupported contentType "${value}" (use text/html or text/plain)`);
+      } else if (metaKey === 'contentType' && shared) {
+        report('warning', key, metaPath, line, "contentType is not inherited; set it in a language folder's meta.json");
+      }
+    }
+    return { meta, metaText };
+  };
+
+  const checkHtml = (key, file, text) => {
+    if (checkedHtmlFiles.has(file)) return;
+    checkedHtmlFiles.add(file);
+    for (const problem of findUnbalancedTags(maskDirectives(text))) {
+      report('error', key, file, lineAt(text, problem.index), problem.message);
+    }
+  };
+
+  const typeEntries = await fs.readdir(root, { withFileTypes: true });
+  const rootMeta = await checkMeta(null, path.join(root, META_FILE), { shared: true });
+
+  for (const typeEntry of typeEntries) {
+    if (!typeEntry.isDirectory()) continue;
+    if (/^[_.]/.test(typeEntry.name)) continue;
+    const templateType = typeEntry.name;
+    if (onlyTypes && !onlyTypes.has(templateType)) continue;
+
+    const templateTypeDir = path.join(root, templateType);
+    const knownType = Boolean(TEMPLATE_TYPES[templateType]);
+    if (!knownType) {
+      const suggestion = closestType(templateType);
+      report(
+        'error',
+        null,
+        templateTypeDir,
+        null,
+        `Unknown template type "${templateType}"` +
+          (suggestion ? ` (did you mean "${suggestion}"?)` : '') +
+          `. Known types: ${Object.keys(TEMPLATE_TYPES).join(', ')}`
+      );
+    }
+
+    const langEntries = await fs.readdir(templateTypeDir, { withFileTypes: true });
+    const typeMeta = await checkMeta(null, path.join(templateTypeDir, META_FILE), { shared: true });
+    const languages = new Set();
+    coverage.set(templateType, languages);
+
+    for (const langEntry of langEntries) {
+      if (!langEntry.isDirectory()) continue;
+      const languageTag = langEntry.name;
+      languages.add(languageTag);
+      if (onlyLanguages && !onlyLanguages.has(languageTag)) continue;
+
+      templates += 1;
+      const key = `${templateType}::${languageTag}`;
+      const templateDir = path.join(templateTypeDir, languageTag);
+
+      if (!checkedLanguages.has(languageTag)) {
+        checkedLanguages.add(languageTag);
+        const tagProblem = checkLanguageTag(languageTag);
+        if (tagProblem) report(tagProblem.severity, key, templateDir, null, tagProblem.message);
+        if (tagProblem?.severity === 'error') invalidLanguages.add(languageTag);
+      }
+      const subjectPath = path.join(templateDir, 'subject.txt');
+      const contentHtmlPath = path.join(templateDir, 'content.html');
+      const contentTxtPath = path.join(templateDir, 'content.txt');
+      const metaPath = path.join(templateDir, META_FILE);
+
+      // subject.txt
+      const subject = await readOptional(subjectPath);
+      if (subject === null) {
+        report('error', key, subjectPath, null, 'Missing subject.txt');
+      } else if (!subject.trim()) {
+        report('error', key, subjectPath, 1, 'Subject is empty');
+      } else {
+        if (subject.trim().includes('\n')) {
+          report('error', key, subjectPath, 2, 'Subject must be a single line');
+        }
+        if (knownType) checkPlaceholders(templateType, key, subjectPath, subject);
+        checkUntranslated(key, subjectPath, subject);
+      }
+
+      // meta.json (merged root -> type -> language; contentType is never inherited)
+      const own = await checkMeta(key, metaPath);
+      const meta = { ...inheritedMetaOf(rootMeta.meta), ...inheritedMetaOf(typeMeta.meta), ...own.meta };
+
+      // content.html / content.txt
+      const html = await readOptional(contentHtmlPath);
+      const txt = html === null ? await readOptional(contentTxtPath) : null;
+      if (html === null && txt === null) {
+        report('error', key, templateDir, null, 'Missing content.html or content.txt');
+        continue;
+      }
+      // A content.txt next to content.html is the plain-text variant (sync --content-type text/plain)
+      const plainVariant = html !== null ? await readOptional(contentTxtPath) : null;
+      if (plainVariant !== null && knownType) {
+        checkPlaceholders(templateType, key, contentTxtPath, plainVariant);
+      }
+      if (plainVariant !== null) checkUntranslated(key, contentTxtPath, plainVariant);
+
+      const contentPath = html !== null ? contentHtmlPath : contentTxtPath;
+      const source = html !== null ? html : txt;
+      const inferredContentType = html !== null ? 'text/html' : 'text/plain';
+
+      if (typeof meta.contentType === 'string' && CONTENT_TYPES.has(meta.contentType) && meta.contentType !== inferredContentType) {
+        report(
+          'error',
+          key,
+          metaPath,
+          lineAt(own.metaText, own.metaText.indexOf('"contentType"')),
+          `contentType "${meta.contentType}" does not match ${path.basename(contentPath)} (expected ${inferredContentType})`
+        );
+      }
+
+      let rendered;
+      try {
+        rendered = await renderTemplateContent(source, {
+          templatesRoot: root,
+          templateType,
+          languageTag,
+          sourcePath: contentPath,
+        });
+      } catch (error) {
+        report('error', key, contentPath, null, error.message);
+        continue;
+      }
+
+      checkUntranslated(key, contentPath, source);
+      for (const dependency of rendered.dependencies) {
+        checkUntranslated(key, dependency, await fs.readFile(dependency, 'utf8'));
+      }
+
+      if (knownType) {
+        checkPlaceholders(templateType, key, contentPath, source);
+        for (const dependency of rendered.dependencies) {
+          checkPlaceholders(templateType, key, dependency, await fs.readFile(dependency, 'utf8'));
+        }
+
+        const spec = TEMPLATE_TYPES[templateType];
+        const used = new Set(findPlaceholders(rendered.content).map((p) => p.name));
+        for (const name of spec.required || []) {
+          if (!used.has(name)) {
+            report('error', key, contentPath, null, `Missing required placeholder {{${name}}} for ${templateType}`);
+          }
+        }
+        if (spec.requiredOneOf && !spec.requiredOneOf.some((name) => used.has(name))) {
+          report(
+            'error',
+            key,
+            contentPath,
+            null,
+            `Missing placeholder: ${templateType} needs one of ${spec.requiredOneOf.map((n) => `{{${n}}}`).join(', ')}`
+          );
+        }
+      }
+
+      if (html !== null) {
+        checkHtml(key, contentPath, source);
+        for (const dependency of rendered.dependencies) {
+          checkHtml(key, dependency, await fs.readFile(dependency, 'utf8'));
+        }
+      }
+    }
+  }
+
+  // Languages missing for some types, and fallback targets nothing can fill
+  const allLanguages = new Set([...checkedLanguages, ...Object.keys(fallbacks || {})]);
+  for (const [templateType, languages] of coverage) {
+    if (!languages.size) continue;
+    for (const languageTag of allLanguages) {
+      if (languages.has(languageTag) || invalidLanguages.has(languageTag)) continue;
+      if (onlyLanguages && !onlyLanguages.has(languageTag)) continue;
+      const chain = fallbacks?.[languageTag];
+      if (chain?.some((tag) => languages.has(tag))) continue;
+      report(
+        'warning',
+        `${templateType}::${languageTag}`,
+        path.join(root, templateType),
+        null,
+        chain
+          ? `No ${languageTag} template for ${templateType}, and none of its fallbacks (${chain.join(', ')}) exist`
+          : `No ${languageTag} template for ${templateType} (add the folder or a fallback chain for ${languageTag})`
+      );
+    }
+  }
+
+  return { templates, problems };
+}
@@ -0,0 +1,72 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { ConfigError } from './errors.js';
+import { htmlToText } from './htmlToText.js';
+import { buildMimeMessage, parseAddress } from './mime.js';
+import { sendMail } from './smtp.js';
+import { renderTemplateSample } from './templateFixtures.js';
+
+// `.eml` files are not delivered, so they do not need a real recipient
+const PLACEHOLDER_RECIPIENT = 'test@example.com';
+
+function resolveSender(sendFrom, fromAddress) {
+  // Logto's `sendFrom` is usually a display name; accept a full address too
+  if (!sendFrom) return fromAddress;
+  if (sendFrom.includes('@')) return sendFrom;
+  return `${sendFrom} <${parseAddress(fromAddress).address}>`;
+}
+
+/**
+ * Render local templates with fixture variables and deliver them as test emails.
+ * With an SMTP host the messages are sent, otherwise they are written as `.eml` files.
+ * A failure for one template does not stop the others.
+ * @param {Object} params
+ * @param {string} params.templatesDir - Templates root directory (for `_fixtures`)
+ * @param {Array} params.templates - Output of `loadLocalEmailTemplates`
+ * @param {string[]} [params.to] - Recipients; without an SMTP host they may be left out (`test@example.com`)
+ * @param {string} params.from - Sender address, used with `meta.json` `sendFrom` as display name
+ * @param {Object|null} params.smtp - `sendMail` connection options (`host`, `port`, `secure`, `user`, `pass`)
+ * @param {string} params.outDir - Directory for `.eml` files when `smtp` is not set
+ * @returns {Promise<Array<{key: string, file?: string, response?: string, error?: string}>>}
+ */
+export async function sendTestEmails({ templatesDir, templates, to = [], from, smtp = null, outDir }) {
+  if (!to.length && smtp) throw new ConfigError('No recipients given for test emails (use --to or SMTP_TO)');
+  const recipients = to.length ? to : [PLACEHOLDER_RECIPIENT];
+
+  const outputRoot = path.resolve(outDir);
+  if (!smtp) await fs.mkdir(outputRoot, { recursive: true });
+
+  const results = [];
+  for (const template of templates) {
+    const key = `${template.templateType}::${template.languageTag}`;
+    try {
+      const rendered = await renderTemplateSample(templatesDir, template);
+      const sender = resolveSender(template.details.sendFrom, from);
+      const raw = buildMimeMessage({
+        from: sender,
+        to: recipients,
+        replyTo: template.details.replyTo,
+        subject: rendered.subject,
+        // HTML templates also get a generated plain-text alternative
+        ...(rendered.contentType === 'text/html'
+          ? { html: rendered.content, text: htmlToText(rendered.content) }
+          : { text: rendered.content }),
+        headers: { 'X-Logto-Template': `${template.templateType}/${template.languageTag}` },
+      });
+
+      if (smtp) {
+        const { response } = await sendMail({ ...smtp, from: sender, to: recipients, raw });
+        results.push({ key, response });
+      } else {
+        const file = path.join(outputRoot, `${template.templateType}.${template.languageTag}.eml`);
+        await fs.writeFile(file, raw, 'utf8');
+        results.push({ key, file });
+      }
+    } catch (error) {
+      results.push({ key, error: error?.message || String(error) });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,109 @@
+/**
+ * Minimal line-based unified diff (dependency-free).
+ * - LCS over lines, good enough for template-sized inputs
+ * - Output mimics `diff -u` (---/+++ headers, @@ hunks)
+ */
+
+function splitLines(text) {
+  const value = String(text ?? '');
+  if (!value) return [];
+  return value.replace(/\r\n/g, '\n').split('\n');
+}
+
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i], aIndex: i, bIndex: j });
+      i += 1;
+      j += 1;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: '-', line: a[i], aIndex: i, bIndex: j });
+      i += 1;
+    } else {
+      ops.push({ type: '+', line: b[j], aIndex: i, bIndex: j });
+      j += 1;
+    }
+  }
+  while (i < n) {
+    ops.push({ type: '-', line: a[i], aIndex: i, bIndex: j });
+    i += 1;
+  }
+  while (j < m) {
+    ops.push({ type: '+', line: b[j], aIndex: i, bIndex: j });
+    j += 1;
+  }
+  return ops;
+}
+
+function formatRange(start, count) {
+  // `diff -u` uses the line before the hunk when the range is empty
+  if (count === 0) return `${start},0`;
+  if (count === 1) return `${start + 1}`;
+  return `${start + 1},${count}`;
+}
+
+/**
+ * Create a unified diff between two texts.
+ * @param {string} oldText - Original text (shown with `-`)
+ * @param {string} newText - New text (shown with `+`)
+ * @param {Object} [options]
+ * @param {string} [options.fromLabel] - Label for the `---` header
+ * @param {string} [options.toLabel] - Label for the `+++` header
+ * @param {number} [options.context] - Lines of context around each change (default: 3)
+ * @returns {string} Unified diff, or '' when texts are equal
+ */
+export function createUnifiedDiff(
+  oldText,
+  newText,
+  { fromLabel = 'a', toLabel = 'b', context = 3 } = {}
+) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const ops = diffLines(a, b);
+  if (!ops.some((op) => op.type !== ' ')) return '';
+
+  // Group changes into hunks with `context` lines around them
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    if (current && index - lastChange <= context * 2) {
+      current.end = index;
+    } else {
+      current = { start: index, end: index };
+      hunks.push(current);
+    }
+    lastChange = index;
+  });
+
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(ops.length - 1, hunk.end + context);
+    const slice = ops.slice(from, to + 1);
+    const aCount = slice.filter((op) => op.type !== '+').length;
+    const bCount = slice.filter((op) => op.type !== '-').length;
+    const aStart = ops[from].aIndex;
+    const bStart = ops[from].bIndex;
+    lines.push(`@@ -${formatRange(aStart, aCount)} +${formatRange(bStart, bCount)} @@`);
+    for (const op of slice) {
+      lines.push(`${op.type}${op.line}`);
+    }
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,622 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { AbortedError, ConfigError } from './errors.js';
+import { listDirs, localizedPartialNames, readOptional } from './fsUtils.js';
+import { decodeEntities, lineAt, tokenizeHtml } from './html.js';
+import { checkLanguageTag } from './languages.js';
+import { parsePo, stringifyPo } from './po.js';
+import { UNTRANSLATED_MARKER } from './scaffold.js';
+import { PARTIALS_DIR } from './templateLayouts.js';
+import { parseXliff, stringifyXliff } from './xliff.js';
+
+/**
+ * Translation round-trip (`i18n extract` / `i18n apply` / `i18n status`).
+ *
+ * The source language's templates are cut into units: the subject, every run of text in
+ * `content.html` between block-level tags (a title, heading, paragraph, cell, …, with its
+ * inline markup and `{{…}}` placeholders as protected codes), every paragraph of `content.txt`
+ * and the localized partials. A unit's ID is its place in the template, so it stays the same
+ * while the text changes:
+ *
+ *   SignIn.subject, SignIn.content.title, SignIn.content.h1, SignIn.content.p.2,
+ *   SignIn.plain.1 (content.txt), _partials.tagline.text
+ *
+ * `extract` writes one XLIFF 2.0 or PO file per target language (`<i18nDir>/<lang>.xlf|.po`)
+ * with the current translations, found at the same IDs in `<Type>/<lang>/`. `apply` writes
+ * the translations back into those files, replacing only the unit's text.
+ *
+ * The previous exchange file is the baseline for a unit's state:
+ * - `translated`    the language folder has it
+ * - `untranslated`  missing, or still marked `[untranslated]` (see `add-language`)
+ * - `stale`         the source changed since it was translated (and the translation did not),
+ *                   or a translator flagged it (PO `fuzzy`, XLIFF `state="initial"`)
+ * - `unapplied`     the exchange file has a translation the templates do not have yet
+ */
+
+export const TRANSLATION_FORMATS = ['xliff', 'po'];
+export const TRANSLATION_STATES = ['translated', 'untranslated', 'stale', 'unapplied'];
+
+const EXTENSIONS = { xliff: '.xlf', po: '.po' };
+
+// Tags that stay inside a unit (as codes); any other tag ends it
+const INLINE_ELEMENTS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'cite', 'code', 'del', 'dfn', 'em', 'font', 'i', 'img',
+  'ins', 'kbd', 'mark', 'q', 's', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'wbr',
+]);
+
+// `{% … %}` directives that print a value, so they stay inside a unit
+const VALUE_DIRECTIVES = new Set(['languageTag', 'templateType', 'dir']);
+
+const PLACEHOLDER_RE = /(\{\{[^{}]*?\}\})/;
+const HTML_CODE_RE = /(<\/?[a-zA-Z][^<>]*>|\{\{[^{}]*?\}\}|\{%[\s\S]*?%\})/;
+
+const toPosix = (filePath) => filePath.split(path.sep).join('/');
+const hasWords = (text) => /\p{L}/u.test(text);
+
+/** Parts (`{ text }` / `{ code }`) as one string, codes inline. */
+function joinParts(parts) {
+  return parts.map((p) => p.text ?? p.code).join('');
+}
+
+function splitParts(text, { html }) {
+  return String(text)
+    .split(html ? HTML_CODE_RE : PLACEHOLDER_RE)
+    .map((value, index) => (index % 2 ? { code: value } : { text: value }))
+    .filter((p) => p.code !== undefined || p.text);
+}
+
+const codesOf = (parts) => parts.filter((p) => p.code !== undefined).map((p) => p.code);
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00a0/g, '&nbsp;');
+}
+
+// A unit's translation as file content
+function renderParts(parts, { html }) {
+  return parts.map((p) => (p.code !== undefined ? p.code : html ? escapeText(p.text) : p.text)).join('');
+}
+
+/**
+ * Units of an HTML file (content or partial).
+ * @returns {Array<{container: string, start: number, end: number, parts: Array}>}
+ */
+function htmlUnits(html) {
+  // Flat pieces: `text`, `code` (stays in a unit) or `break` (ends one)
+  const pieces = [];
+  const stack = [];
+  let block = null;
+  let rawText = false;
+
+  const container = () => (stack.length > (block?.depth ?? -1) ? stack[stack.length - 1] : block?.name) || 'text';
+  const push = (kind, start, end) => pieces.push({ kind, start, end, container: container() });
+
+  for (const token of tokenizeHtml(html)) {
+    if (token.type === 'text') {
+      if (rawText) continue;
+      const re = /\{%\s*(\w+)([^%]*?)%\}|\{\{[^{}]*?\}\}/g;
+      let last = token.index;
+      for (const match of token.raw.matchAll(re)) {
+        const start = token.index + match.index;
+        const end = start + match[0].length;
+        if (start > last) push('text', last, start);
+        const [, directive, args] = match;
+        if (!directive || VALUE_DIRECTIVES.has(directive)) push('code', start, end);
+        else {
+          push('break', start, end);
+          if (directive === 'block') block = { name: args.trim(), depth: stack.length };
+          if (directive === 'endblock') block = null;
+        }
+        last = end;
+      }
+      if (token.end > last) push('text', last, token.end);
+      continue;
+    }
+
+    if ((token.type === 'open' || token.type === 'close') && INLINE_ELEMENTS.has(token.name)) {
+      push('code', token.index, token.end);
+      continue;
+    }
+    push('break', token.index, token.end);
+    if (token.type === 'open' && !token.selfClosing) {
+      stack.push(token.name);
+      rawText = token.name === 'style' || token.name === 'script';
+    }
+    if (token.type === 'close') {
+      const index = stack.lastIndexOf(token.name);
+      if (index !== -1) stack.length = index;
+      rawText = false;
+    }
+  }
+
+  const units = [];
+  let run = [];
+  const flush = () => {
+    const content = run.filter((p) => p.kind === 'code' || html.slice(p.start, p.end).trim());
+    run = [];
+    if (!content.some((p) => p.kind === 'text' && hasWords(html.slice(p.start, p.end)))) return;
+
+    // From the first to the last piece with content, without the surrounding whitespace
+    const first = content[0];
+    const last = content[content.length - 1];
+    const start = first.kind === 'text' ? first.start + html.slice(first.start, first.end).search(/\S/) : first.start;
+    const end = last.kind === 'text' ? last.start + html.slice(last.start, last.end).trimEnd().length : last.end;
+    units.push({ container: first.container, start, end, parts: htmlParts(html, start, end) });
+  };
+  for (const piece of pieces) {
+    if (piece.kind === 'break') flush();
+    else run.push(piece);
+  }
+  flush();
+  return units;
+}
+
+// Parts of `html[start, end)`: codes as they are, text with collapsed whitespace and decoded entities
+function htmlParts(html, start, end) {
+  return splitParts(html.slice(start, end), { html: true }).map((p) =>
+    p.code !== undefined ? p : { text: decodeEntities(p.text.replace(/\s+/g, ' ')) }
+  );
+}
+
+/**
+ * Units of a plain-text file: the whole (trimmed) text, or each paragraph.
+ * @returns {Array<{container: string, start: number, end: number, parts: Array}>}
+ */
+function textUnits(text, { paragraphs }) {
+  const units = [];
+  const re = paragraphs ? /[^\S\n]*\S[^\n]*(?:\n[^\S\n]*\S[^\n]*)*/g : /\S[\s\S]*\S|\S/g;
+  for (const match of text.matchAll(re)) {
+    const value = match[0].trim();
+    if (!hasWords(value.replace(/\{\{[^{}]*?\}\}/g, ''))) continue;
+    const start = match.index + match[0].search(/\S/);
+    units.push({ container: 'text', start, end: start + value.length, parts: splitParts(value, { html: false }) });
+  }
+  return units;
+}
+
+/**
+ * Translatable units of a file, with IDs (`<prefix>.<container>[.<n>]`).
+ * @param {string} text
+ * @param {{kind: 'subject'|'html'|'text', prefix: string}} doc
+ * @returns {Array<{id: string, start: number, end: number, parts: Array}>}
+ */
+function unitsOf(text, doc) {
+  if (doc.kind === 'subject') {
+    return textUnits(text, { paragraphs: false })
+      .slice(0, 1)
+      .map((unit) => ({ ...unit, id: doc.prefix }));
+  }
+  if (doc.kind === 'text') {
+    return textUnits(text, { paragraphs: true }).map((unit, index) => ({ ...unit, id: `${doc.prefix}.${index + 1}` }));
+  }
+  const counts = new Map();
+  return htmlUnits(text).map((unit) => {
+    const n = (counts.get(unit.container) || 0) + 1;
+    counts.set(unit.container, n);
+    return { ...unit, id: `${doc.prefix}.${unit.container}${n > 1 ? `.${n}` : ''}` };
+  });
+}
+
+// Source-language files with their units; `targetPath(lang)` is the same file in another language
+async function sourceDocuments(root, { from, onlyTypes }) {
+  const docs = [];
+  for (const type of (await listDirs(root)).filter((name) => !/^[_.]/.test(name))) {
+    if (onlyTypes && !onlyTypes.has(type)) continue;
+    for (const [name, kind, prefix] of [
+      ['subject.txt', 'subject', `${type}.subject`],
+      ['content.html', 'html', `${type}.content`],
+      ['content.txt', 'text', `${type}.plain`],
+    ]) {
+      const sourcePath = path.join(root, type, from, name);
+      const text = await readOptional(sourcePath);
+      if (text === null) continue;
+      docs.push({ scope: type, kind, prefix, sourcePath, text, targetPath: (lang) => path.join(root, type, lang, name) });
+    }
+  }
+
+  // Partials some language localizes (the shared version is the source when `from` has none)
+  const partialsRoot = path.join(root, PARTIALS_DIR);
+  for (const name of onlyTypes ? [] : await localizedPartialNames(partialsRoot)) {
+    let sourcePath = path.join(partialsRoot, from, name);
+    let text = await readOptional(sourcePath);
+    if (text === null) {
+      sourcePath = path.join(partialsRoot, name);
+      text = await readOptional(sourcePath);
+    }
+    if (text === null) continue;
+    const prefix = `${PARTIALS_DIR}.${name.replace(/\.html$/, '')}`;
+    docs.push({ scope: prefix, kind: 'html', prefix, sourcePath, text, targetPath: (lang) => path.join(partialsRoot, lang, name) });
+  }
+
+  return docs.map((doc) => ({ ...doc, units: unitsOf(doc.text, doc) }));
+}
+
+async function targetLanguages(root, { from, onlyTypes, onlyLanguages }) {
+  if (onlyLanguages) {
+    for (const tag of onlyLanguages) {
+      const problem = checkLanguageTag(tag);
+      if (problem?.severity === 'error') throw new ConfigError(problem.message);
+    }
+    return [...onlyLanguages].filter((tag) => tag !== from).sort();
+  }
+  const tags = new Set();
+  for (const type of (await listDirs(root)).filter((name) => !/^[_.]/.test(name))) {
+    if (onlyTypes && !onlyTypes.has(type)) continue;
+    for (const tag of await listDirs(path.join(root, type))) tags.add(tag);
+  }
+  tags.delete(from);
+  return [...tags].sort();
+}
+
+// The parsers throw plain errors (with the file and line); surface them as a ConfigError
+function parseOrThrow(parse, text, file) {
+  try {
+    return parse(text, file);
+  } catch (error) {
+    throw new ConfigError(error.message, { cause: error });
+  }
+}
+
+/**
+ * Read an exchange file (`.po`, or XLIFF 2.0 for anything else).
+ * @param {string} file
+ * @returns {Promise<{format: 'xliff'|'po', sourceLanguage: string|null, targetLanguage: string|null,
+ *   units: Map<string, {source: string, target: string|null, targetParts: Array|null, needsReview: boolean,
+ *   previousSource: string|null}>}>} `needsReview`: PO `fuzzy`, XLIFF `state="initial"`
+ */
+export async function readTranslationFile(file) {
+  const text = await fs.readFile(file, 'utf8');
+  const units = new Map();
+
+  if (/\.pot?$/i.test(file)) {
+    const { headers, entries } = parseOrThrow(parsePo, text, file);
+    for (const entry of entries) {
+      if (!entry.context) continue;
+      units.set(entry.context, {
+        source: entry.id,
+        target: entry.str || null,
+        targetParts: null,
+        needsReview: entry.fuzzy,
+        previousSource: entry.previousId,
+      });
+    }
+    return { format: 'po', sourceLanguage: headers['X-Source-Language'] || null, targetLanguage: headers.Language || null, units };
+  }
+
+  const { sourceLanguage, targetLanguage, units: xliffUnits } = parseOrThrow(parseXliff, text, file);
+  for (const unit of xliffUnits) {
+    const target = unit.target && joinParts(unit.target);
+    units.set(unit.id, {
+      source: joinParts(unit.source),
+      target: target || null,
+      targetParts: unit.target,
+      needsReview: unit.state === 'initial',
+      previousSource: unit.notes.find((n) => n.category === 'previous-source')?.text ?? null,
+    });
+  }
+  return { format: 'xliff', sourceLanguage, targetLanguage, units };
+}
+
+async function findTranslationFile(dir, languageTag, format) {
+  for (const candidate of [format, ...TRANSLATION_FORMATS.filter((f) => f !== format)]) {
+    const file = path.join(dir, `${languageTag}${EXTENSIONS[candidate]}`);
+    if ((await readOptional(file)) !== null) return file;
+  }
+  return null;
+}
+
+function unitState(source, target, previous) {
+  if (previous?.target && previous.target !== target) return 'unapplied';
+  if (target === null) return 'untranslated';
+  if (previous?.target === target && (previous.needsReview || previous.source !== source)) return 'stale';
+  return 'translated';
+}
+
+// Every unit of the source templates for one language, with its translation and state
+async function buildCatalog(root, docs, languageTag, baseline) {
+  const entries = [];
+  for (const doc of docs) {
+    const targetPath = doc.targetPath(languageTag);
+    const targetText = await readOptional(targetPath);
+    const targets = new Map(targetText === null ? [] : unitsOf(targetText, doc).map((u) => [u.id, u]));
+
+    for (const unit of doc.units) {
+      const source = joinParts(unit.parts);
+      const found = targets.get(unit.id);
+      const text = found && joinParts(found.parts);
+      const target = text && !text.includes(UNTRANSLATED_MARKER) ? text : null;
+      const previous = baseline?.units.get(unit.id);
+      const state = unitState(source, target, previous);
+      entries.push({
+        id: unit.id,
+        scope: doc.scope,
+        location: `${toPosix(path.relative(root, doc.sourcePath))}:${lineAt(doc.text, unit.start)}`,
+        targetFile: targetPath,
+        source,
+        sourceParts: unit.parts,
+        target,
+        targetParts: target === null ? null : found.parts,
+        state,
+        previousSource: state === 'stale' && previous.source !== source ? previous.source : (previous?.previousSource ?? null),
+      });
+    }
+  }
+  return entries;
+}
+
+async function collectCatalogs(templatesDir, { from, i18nDir, format, onlyTypes, onlyLanguages }) {
+  const root = path.resolve(templatesDir);
+  const dir = path.resolve(i18nDir);
+  const docs = await sourceDocuments(root, { from, onlyTypes });
+  if (!docs.length) throw new ConfigError(`No template has a "${from}" folder in: ${root}`);
+
+  const catalogs = [];
+  for (const languageTag of await targetLanguages(root, { from, onlyTypes, onlyLanguages })) {
+    const baselineFile = await findTranslationFile(dir, languageTag, format);
+    const baseline = baselineFile ? await readTranslationFile(baselineFile) : null;
+    catalogs.push({ languageTag, baselineFile, entries: await buildCatalog(root, docs, languageTag, baseline) });
+  }
+  return { root, dir, catalogs };
+}
+
+function countStates(entries) {
+  const counts = { units: entries.length };
+  for (const state of TRANSLATION_STATES) counts[state] = entries.filter((e) => e.state === state).length;
+  return counts;
+}
+
+function toXliff({ languageTag, entries }, from) {
+  const files = new Map();
+  for (const entry of entries) {
+    if (!files.has(entry.scope)) files.set(entry.scope, { id: entry.scope, units: [] });
+    const notes = [{ category: 'location', text: entry.location }];
+    if (entry.state === 'stale' && entry.previousSource) notes.push({ category: 'previous-source', text: entry.previousSource });
+    files.get(entry.scope).units.push({
+      id: entry.id,
+      notes,
+      source: entry.sourceParts,
+      target: entry.targetParts,
+      state: entry.state === 'translated' ? 'translated' : 'initial',
+    });
+  }
+  return stringifyXliff({ sourceLanguage: from, targetLanguage: languageTag, files: [...files.values()] });
+}
+
+function toPo({ languageTag, entries }, from) {
+  return stringifyPo({
+    headerComments: [
+      `${languageTag} translations of the email templates (source language: ${from}).`,
+      'Fill in msgstr (keep the <tags> and {{placeholders}}), remove "fuzzy" once a',
+      'translation is checked, then run: i18n apply',
+    ],
+    headers: {
+      Language: languageTag,
+      'MIME-Version': '1.0',
+      'Content-Type': 'text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding': '8bit',
+      'X-Source-Language': from,
+    },
+    entries: entries.map((entry) => ({
+      context: entry.id,
+      id: entry.source,
+      str: entry.target || '',
+      references: [entry.location],
+      fuzzy: entry.state === 'stale',
+      previousId: entry.state === 'stale' ? entry.previousSource : null,
+    })),
+  });
+}
+
+/**
+ * Write one exchange file per target language with every unit of the source templates.
+ * Refuses (before writing anything) when an existing file has translations that were
+ * not applied yet, since they would be lost.
+ * @param {string} templatesDir
+ * @param {Object} [options]
+ * @param {string} [options.from] - Source language (default: en)
+ * @param {string} [options.i18nDir] - Where the exchange files live (default: i18n)
+ * @param {'xliff'|'po'} [options.format] - Default: xliff
+ * @param {Set<string>|null} [options.onlyTypes] - Partials are left out when set
+ * @param {Set<string>|null} [options.onlyLanguages] - Target languages (default: every language folder)
+ * @returns {Promise<{format: string, sourceLanguage: string, dir: string, files: Array<{languageTag: string,
+ *   file: string, units: number, translated: number, untranslated: number, stale: number, unapplied: number}>}>}
+ */
+export async function extractTranslations(
+  templatesDir,
+  { from = 'en', i18nDir = 'i18n', format = 'xliff', onlyTypes = null, onlyLanguages = null } = {}
+) {
+  if (!TRANSLATION_FORMATS.includes(format)) {
+    throw new ConfigError(`Invalid translation format: ${format} (use ${TRANSLATION_FORMATS.join(', ')})`);
+  }
+  const { dir, catalogs } = await collectCatalogs(templatesDir, { from, i18nDir, format, onlyTypes, onlyLanguages });
+
+  const unapplied = catalogs.filter((c) => c.entries.some((e) => e.state === 'unapplied'));
+  if (unapplied.length) {
+    const files = unapplied.map((c) => path.relative(process.cwd(), c.baselineFile)).join(', ');
+    throw new AbortedError(
+      `${files} ha${unapplied.length === 1 ? 's' : 've'} translations that are not in the templates yet; ` +
+        'run i18n apply first (or remove them from the file) so extracting does not overwrite them'
+    );
+  }
+
+  await fs.mkdir(dir, { recursive: true });
+  const files = [];
+  for (const catalog of catalogs) {
+    const file = path.join(dir, `${catalog.languageTag}${EXTENSIONS[format]}`);
+    await fs.writeFile(file, format === 'po' ? toPo(catalog, from) : toXliff(catalog, from));
+    files.push({ languageTag: catalog.languageTag, file, ...countStates(catalog.entries) });
+  }
+  return { format, sourceLanguage: from, dir, files };
+}
+
+/**
+ * Translation state per language, against the exchange files in `i18nDir` (no files are written).
+ * @param {string} templatesDir
+ * @param {Object} [options] - `from`, `i18nDir`, `format` (which file wins when both exist),
+ *   `onlyTypes`, `onlyLanguages` (see `extractTranslations`)
+ * @returns {Promise<{sourceLanguage: string, languages: Array<{languageTag: string, file: string|null, units: number,
+ *   translated: number, untranslated: number, stale: number, unapplied: number}>,
+ *   units: Array<{languageTag: string, id: string, state: string, file: string, source: string}>}>}
+ *   `units` lists every unit that is not `translated`
+ */
+export async function translationStatus(
+  templatesDir,
+  { from = 'en', i18nDir = 'i18n', format = 'xliff', onlyTypes = null, onlyLanguages = null } = {}
+) {
+  const { catalogs } = await collectCatalogs(templatesDir, { from, i18nDir, format, onlyTypes, onlyLanguages });
+  return {
+    sourceLanguage: from,
+    languages: catalogs.map((c) => ({ languageTag: c.languageTag, file: c.baselineFile, ...countStates(c.entries) })),
+    units: catalogs.flatMap((c) =>
+      c.entries
+        .filter((e) => e.state !== 'translated')
+        .map((e) => ({ languageTag: c.languageTag, id: e.id, state: e.state, file: e.targetFile, source: e.source }))
+    ),
+  };
+}
+
+// Codes one side has and the other has not (as multisets)
+function codeDifference(expected, actual) {
+  const rest = [...actual];
+  const missing = [];
+  for (const code of expected) {
+    const index = rest.indexOf(code);
+    if (index === -1) missing.push(code);
+    else rest.splice(index, 1);
+  }
+  return { missing, unexpected: rest };
+}
+
+async function listTranslationFiles(dir) {
+  try {
+    const entries = await fs.readdir(dir);
+    return entries.filter((name) => /\.(xlf|xliff|po)$/i.test(name)).sort().map((name) => path.join(dir, name));
+  } catch (error) {
+    if (error && typeof error === 'object' && error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Write translations from exchange files into the language folders. Only a unit's text is
+ * replaced; a translation is skipped (and reported) when its markup or placeholders differ
+ * from the source, when the source changed since it was extracted, or when the language
+ * folder's structure differs. Empty and flagged (`fuzzy`, `state="initial"`) ones are skipped.
+ * @param {string} templatesDir
+ * @param {Object} [options]
+ * @param {string} [options.from] - Source language (default: en)
+ * @param {string} [options.i18nDir] - Default: i18n
+ * @param {string[]|null} [options.files] - Exchange files (default: every .xlf/.xliff/.po in `i18nDir`)
+ * @param {Set<string>|null} [options.onlyTypes]
+ * @param {Set<string>|null} [options.onlyLanguages]
+ * @param {boolean} [options.dryRun] - Report only
+ * @returns {Promise<{dryRun: boolean, applied: number, unchanged: number, untranslated: number, review: number,
+ *   files: Array<{languageTag: string, file: string, units: number}>,
+ *   problems: Array<{severity: 'error'|'warning', file: string, id: string|null, message: string}>}>}
+ */
+export async function applyTranslations(
+  templatesDir,
+  { from = 'en', i18nDir = 'i18n', files = null, onlyTypes = null, onlyLanguages = null, dryRun = false } = {}
+) {
+  const root = path.resolve(templatesDir);
+  const docs = await sourceDocuments(root, { from, onlyTypes });
+  const sources = new Map(docs.flatMap((doc) => doc.units.map((unit) => [unit.id, { doc, unit }])));
+  const inputs = files?.length ? files.map((f) => path.resolve(f)) : await listTranslationFiles(path.resolve(i18nDir));
+  if (!inputs.length) throw new ConfigError(`No translation files (.xlf, .po) in: ${path.resolve(i18nDir)}`);
+
+  const result = { dryRun, applied: 0, unchanged: 0, untranslated: 0, review: 0, files: [], problems: [] };
+  const report = (severity, file, id, message) => result.problems.push({ severity, file, id, message });
+  const relative = (file) => toPosix(path.relative(root, file));
+
+  for (const file of inputs) {
+    const translation = await readTranslationFile(file);
+    const languageTag = translation.targetLanguage || path.basename(file).replace(/\.[^.]+$/, '');
+    if (onlyLanguages && !onlyLanguages.has(languageTag)) continue;
+    if (translation.sourceLanguage && translation.sourceLanguage !== from) {
+      report('error', file, null, `Translated from ${translation.sourceLanguage}, not ${from} (use --from ${translation.sourceLanguage})`);
+      continue;
+    }
+    if (languageTag === from) {
+      report('error', file, null, `Target language ${languageTag} is the source language`);
+      continue;
+    }
+
+    // Target file -> its text, units and the replacements for it
+    const targets = new Map();
+    for (const [id, t] of translation.units) {
+      const source = sources.get(id);
+      if (!source) {
+        // --only leaves other types (and the partials) out on purpose
+        if (!onlyTypes) report('warning', file, id, 'No such unit in the source templates (removed or moved?)');
+        continue;
+      }
+      if (!t.target) {
+        result.untranslated += 1;
+        continue;
+      }
+      if (t.needsReview) {
+        result.review += 1;
+        continue;
+      }
+      if (t.source !== joinParts(source.unit.parts)) {
+        report('error', file, id, 'The source text changed since it was extracted; run i18n extract and translate it again');
+        continue;
+      }
+
+      const html = source.doc.kind === 'html';
+      const parts = (t.targetParts || splitParts(t.target, { html })).map((p) =>
+        html && p.code === undefined ? { text: p.text.replace(/\s+/g, ' ') } : p
+      );
+      const { missing, unexpected } = codeDifference(codesOf(source.unit.parts), codesOf(parts));
+      if (missing.length || unexpected.length) {
+        report(
+          'error',
+          file,
+          id,
+          'Markup and placeholders must match the source' +
+            (missing.length ? `; missing ${missing.join(' ')}` : '') +
+            (unexpected.length ? `; unexpected ${unexpected.join(' ')}` : '')
+        );
+        continue;
+      }
+      if (source.doc.kind === 'subject' && joinParts(parts).includes('\n')) {
+        report('error', file, id, 'A subject must be a single line');
+        continue;
+      }
+
+      const targetPath = source.doc.targetPath(languageTag);
+      if (!targets.has(targetPath)) {
+        const text = await readOptional(targetPath);
+        if (text === null) {
+          report('error', file, null, `Missing ${relative(targetPath)}; create the language first (add-language ${languageTag})`);
+        }
+        const units = text === null ? [] : unitsOf(text, source.doc);
+        targets.set(targetPath, { text, units: new Map(units.map((u) => [u.id, u])), replacements: [] });
+      }
+      const target = targets.get(targetPath);
+      if (target.text === null) continue;
+      const unit = target.units.get(id);
+      if (!unit) {
+        report('error', file, id, `${relative(targetPath)} has no ${id} (its structure differs from the ${from} template)`);
+        continue;
+      }
+      if (joinParts(unit.parts) === joinParts(parts)) {
+        result.unchanged += 1;
+        continue;
+      }
+      target.replacements.push({ start: unit.start, end: unit.end, text: renderParts(parts, { html }) });
+      result.applied += 1;
+    }
+
+    for (const [targetPath, { text, replacements }] of targets) {
+      if (!replacements.length) continue;
+      let updated = text;
+      for (const r of replacements.sort((a, b) => b.start - a.start)) {
+        updated = updated.slice(0, r.start) + r.text + updated.slice(r.end);
+      }
+      if (!dryRun) await fs.writeFile(targetPath, updated);
+      result.files.push({ languageTag, file: targetPath, units: replacements.length });
+    }
+  }
+  return result;
+}
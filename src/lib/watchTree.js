@@ -0,0 +1,87 @@
+import fsSync from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+async function listDirectories(root) {
+  const dirs = [root];
+  for (const entry of await fs.readdir(root, { withFileTypes: true })) {
+    if (entry.isDirectory() && !entry.name.startsWith('.')) {
+      dirs.push(...(await listDirectories(path.join(root, entry.name))));
+    }
+  }
+  return dirs;
+}
+
+/**
+ * Watch a directory tree and call `onChange` with the changed file paths,
+ * debounced so an editor's save burst becomes one call.
+ *
+ * Uses recursive `fs.watch` where the platform supports it and falls back to
+ * one watcher per directory (re-scanned after each change) otherwise.
+ * @param {string} rootDir - Directory to watch
+ * @param {(files: string[]) => void|Promise<void>} onChange - Called with absolute paths
+ * @param {Object} [options]
+ * @param {number} [options.debounceMs] - Quiet period before `onChange` fires (default: 200)
+ * @returns {Promise<{close: () => void}>}
+ */
+export async function watchTree(rootDir, onChange, { debounceMs = 200 } = {}) {
+  const root = path.resolve(rootDir);
+  const pending = new Set();
+  const watchers = new Map();
+  let timer = null;
+  let closed = false;
+
+  const flush = async () => {
+    timer = null;
+    const files = [...pending];
+    pending.clear();
+    if (!watchers.has('*')) await rescan();
+    if (!closed && files.length) await onChange(files);
+  };
+
+  const record = (dir, filename) => {
+    if (closed || !filename) return;
+    pending.add(path.join(dir, filename.toString()));
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  };
+
+  const rescan = async () => {
+    let dirs;
+    try {
+      dirs = new Set(await listDirectories(root));
+    } catch {
+      return;
+    }
+    for (const [dir, watcher] of watchers) {
+      if (!dirs.has(dir)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+    for (const dir of dirs) {
+      if (watchers.has(dir)) continue;
+      try {
+        watchers.set(dir, fsSync.watch(dir, (_, filename) => record(dir, filename)));
+      } catch {
+        // Directory vanished between scan and watch
+      }
+    }
+  };
+
+  try {
+    watchers.set('*', fsSync.watch(root, { recursive: true }, (_, filename) => record(root, filename)));
+  } catch (error) {
+    if (error?.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+    await rescan();
+  }
+
+  return {
+    close() {
+      closed = true;
+      if (timer) clearTimeout(timer);
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+    },
+  };
+}
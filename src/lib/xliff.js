@@ -0,0 +1,189 @@
+import { decodeEntities, escapeHtml } from './html.js';
+
+/**
+ * Minimal XLIFF 2.0 files for translation exchange (dependency-free).
+ *
+ * Text is split into parts: `{ text }` for translatable text and `{ code }` for markup
+ * that must come back unchanged (tags, placeholders). Codes are written as `<ph/>`
+ * elements whose original markup lives in the unit's `<originalData>`, so translation
+ * tools protect them:
+ *
+ *   <unit id="SignIn.content.p">
+ *     <originalData><data id="d1">&lt;strong&gt;</data></originalData>
+ *     <segment state="translated">
+ *       <source>Hello <ph id="1" dataRef="d1" disp="&lt;strong&gt;"/>…</source>
+ *
+ * Reading also understands `<pc>`, `<sc>`/`<ec>` and `<cp>`, and joins a unit's segments.
+ */
+
+export const XLIFF_NAMESPACE = 'urn:oasis:names:tc:xliff:document:2.0';
+
+const STATES = ['initial', 'translated', 'reviewed', 'final'];
+const ATTR_RE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function parseAttrs(source) {
+  const attrs = {};
+  for (const match of String(source || '').matchAll(ATTR_RE)) {
+    attrs[match[1]] = decodeEntities(match[2] ?? match[3]);
+  }
+  return attrs;
+}
+
+function attrs(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escapeHtml(value)}"`)
+    .join('');
+}
+
+function writeUnit(unit, indent) {
+  // One <data> per distinct code; <ph> ids follow the source, and the target reuses them
+  const dataIds = new Map();
+  for (const part of [...unit.source, ...(unit.target || [])]) {
+    if (part.code !== undefined && !dataIds.has(part.code)) dataIds.set(part.code, `d${dataIds.size + 1}`);
+  }
+  const sourceIds = [];
+  let nextId = 1;
+  const writeParts = (parts, isTarget) => {
+    const unused = [...sourceIds];
+    return parts
+      .map((part) => {
+        if (part.code === undefined) return escapeHtml(part.text);
+        const reused = isTarget ? unused.findIndex((entry) => entry.code === part.code) : -1;
+        let id;
+        if (reused !== -1) id = unused.splice(reused, 1)[0].id;
+        else {
+          id = String(nextId);
+          nextId += 1;
+          if (!isTarget) sourceIds.push({ id, code: part.code });
+        }
+        return `<ph${attrs({ id, dataRef: dataIds.get(part.code), disp: part.code })}/>`;
+      })
+      .join('');
+  };
+
+  const lines = [`${indent}<unit${attrs({ id: unit.id })}>`];
+  if (unit.notes?.length) {
+    lines.push(`${indent}  <notes>`);
+    for (const note of unit.notes) {
+      lines.push(`${indent}    <note${attrs({ category: note.category })}>${escapeHtml(note.text)}</note>`);
+    }
+    lines.push(`${indent}  </notes>`);
+  }
+  if (dataIds.size) {
+    lines.push(`${indent}  <originalData>`);
+    for (const [code, id] of dataIds) lines.push(`${indent}    <data${attrs({ id })}>${escapeHtml(code)}</data>`);
+    lines.push(`${indent}  </originalData>`);
+  }
+  lines.push(`${indent}  <segment${attrs({ state: unit.state })}>`);
+  lines.push(`${indent}    <source>${writeParts(unit.source, false)}</source>`);
+  if (unit.target) lines.push(`${indent}    <target>${writeParts(unit.target, true)}</target>`);
+  lines.push(`${indent}  </segment>`, `${indent}</unit>`);
+  return lines.join('\n');
+}
+
+/**
+ * Write an XLIFF 2.0 document.
+ * @param {Object} params
+ * @param {string} params.sourceLanguage
+ * @param {string} params.targetLanguage
+ * @param {Array<{id: string, original?: string, units: Array<{id: string, source: Array<{text?: string, code?: string}>,
+ *   target?: Array<{text?: string, code?: string}>|null, state?: 'initial'|'translated'|'reviewed'|'final',
+ *   notes?: Array<{category?: string, text: string}>}>}>} params.files - Unit ids must be NMTOKENs
+ * @returns {string}
+ */
+export function stringifyXliff({ sourceLanguage, targetLanguage, files }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff${attrs({ xmlns: XLIFF_NAMESPACE, version: '2.0', srcLang: sourceLanguage, trgLang: targetLanguage })}>`,
+  ];
+  for (const file of files) {
+    lines.push(`  <file${attrs({ id: file.id, original: file.original })}>`);
+    for (const unit of file.units) lines.push(writeUnit(unit, '    '));
+    lines.push('  </file>');
+  }
+  lines.push('</xliff>', '');
+  return lines.join('\n');
+}
+
+const INLINE_RE = /<(\/?)([\w:-]+)\b((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+// Inline content of <source>/<target> -> parts
+function readParts(xml, data) {
+  const parts = [];
+  const push = (part) => {
+    const last = parts[parts.length - 1];
+    if (part.text !== undefined && last?.text !== undefined) last.text += part.text;
+    else if (part.text === undefined || part.text) parts.push(part);
+  };
+  const code = (ref, fallback) => push({ code: data.get(ref) ?? fallback ?? '' });
+  // dataRefEnd of the open <pc> elements
+  const pcEnds = [];
+
+  for (const [, slash, name, attrSource, selfClose, text] of xml.matchAll(INLINE_RE)) {
+    if (text !== undefined) {
+      push({ text: decodeEntities(text) });
+      continue;
+    }
+    const a = parseAttrs(attrSource);
+    if (name === 'ph' || name === 'sc' || name === 'ec') code(a.dataRef, a.disp);
+    else if (name === 'cp') push({ text: String.fromCodePoint(parseInt(a.hex, 16)) });
+    else if (name === 'pc' && !slash) {
+      code(a.dataRefStart, a.dispStart);
+      if (selfClose) code(a.dataRefEnd, a.dispEnd);
+      else pcEnds.push([a.dataRefEnd, a.dispEnd]);
+    } else if (name === 'pc' && slash) code(...(pcEnds.pop() || []));
+    // Annotations (<mrk>, <sm>, <em>) only wrap text
+  }
+  return parts;
+}
+
+/**
+ * Parse an XLIFF 2.0 document.
+ * @param {string} text
+ * @param {string} [file] - For error messages
+ * @returns {{sourceLanguage: string|null, targetLanguage: string|null, units: Array<{id: string, fileId: string|null,
+ *   source: Array<{text?: string, code?: string}>, target: Array<{text?: string, code?: string}>|null,
+ *   state: string, notes: Array<{category: string|null, text: string}>}>}}
+ */
+export function parseXliff(text, file = 'messages.xlf') {
+  const xml = String(text).replace(/<!--[\s\S]*?-->/g, '');
+  const root = xml.match(/<xliff\b([^>]*)>/);
+  if (!root) throw new Error(`${file}: not an XLIFF document (no <xliff> element)`);
+  const rootAttrs = parseAttrs(root[1]);
+  if (rootAttrs.version && !rootAttrs.version.startsWith('2.')) {
+    throw new Error(`${file}: XLIFF ${rootAttrs.version} is not supported (use XLIFF 2.0)`);
+  }
+
+  const units = [];
+  for (const [, fileAttrSource, fileBody] of xml.matchAll(/<file\b([^>]*)>([\s\S]*?)<\/file>/g)) {
+    const fileId = parseAttrs(fileAttrSource).id ?? null;
+    for (const [, unitAttrSource, body] of fileBody.matchAll(/<unit\b([^>]*)>([\s\S]*?)<\/unit>/g)) {
+      const data = new Map();
+      for (const [, dataAttrs, content = ''] of body.matchAll(/<data\b([^>]*?)(?:\/>|>([\s\S]*?)<\/data>)/g)) {
+        data.set(parseAttrs(dataAttrs).id, decodeEntities(content));
+      }
+      const notes = [...body.matchAll(/<note\b([^>]*)>([\s\S]*?)<\/note>/g)].map(([, noteAttrs, note]) => ({
+        category: parseAttrs(noteAttrs).category ?? null,
+        text: decodeEntities(note),
+      }));
+
+      const source = [];
+      let target = null;
+      let state = 'final';
+      for (const [, kind, segmentAttrs, segment] of body.matchAll(/<(segment|ignorable)\b([^>]*)>([\s\S]*?)<\/\1>/g)) {
+        if (kind === 'segment') {
+          // Missing state means `initial`; the unit is as far as its least advanced segment
+          const segmentState = parseAttrs(segmentAttrs).state || 'initial';
+          if (STATES.indexOf(segmentState) < STATES.indexOf(state)) state = segmentState;
+        }
+        source.push(...readParts(segment.match(/<source\b[^>]*>([\s\S]*?)<\/source>/)?.[1] || '', data));
+        const targetXml = segment.match(/<target\b[^>]*?(?:\/>|>([\s\S]*?)<\/target>)/);
+        if (targetXml) (target ||= []).push(...readParts(targetXml[1] || '', data));
+      }
+      units.push({ id: parseAttrs(unitAttrSource).id, fileId, source, target, state, notes });
+    }
+  }
+
+  return { sourceLanguage: rootAttrs.srcLang ?? null, targetLanguage: rootAttrs.trgLang ?? null, units };
+}
@@ -0,0 +1,276 @@
+/**
+ * Minimal YAML for template bundles (dependency-free).
+ *
+ * Supported: block mappings and sequences, plain/single-quoted/double-quoted scalars,
+ * literal block scalars (`|`, `|-`, `|+`, with an optional indentation indicator),
+ * `[]`/`{}`, `null`/`true`/`false`/numbers and full-line comments.
+ * Not supported: flow collections with content, anchors/aliases, tags, multi-document streams.
+ */
+
+const RESERVED_PLAIN = /^(?:~|null|Null|NULL|true|True|TRUE|false|False|FALSE|yes|no|on|off|Yes|No|On|Off|[-+]?(?:\d[\d_]*(?:\.\d*)?|\.\d+)(?:[eE][-+]?\d+)?|0x[0-9a-fA-F]+|0o[0-7]+|[-+]?\.(?:inf|Inf|INF)|\.(?:nan|NaN|NAN))$/;
+
+function isPlainSafe(value) {
+  if (!value || value !== value.trim()) return false;
+  if (RESERVED_PLAIN.test(value)) return false;
+  if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(value)) return false;
+  if (/: |:$| #|[\u0000-\u001f\u007f]/.test(value)) return false;
+  return true;
+}
+
+function stringifyScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+  const text = String(value);
+  return isPlainSafe(text) ? text : JSON.stringify(text);
+}
+
+function stringifyBlockString(text, indent) {
+  const trailing = text.match(/\n*$/)[0].length;
+  const chomp = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+  // An indentation indicator is needed when the first line starts with a space
+  const indicator = /^[ \n]/.test(text) ? '2' : '';
+  const body = (trailing ? text.slice(0, -1) : text)
+    .split('\n')
+    .map((line) => (line ? `${indent}${line}` : ''))
+    .join('\n');
+  return `|${indicator}${chomp}\n${body}`;
+}
+
+function canUseBlock(text) {
+  // Literal blocks cannot carry carriage returns or other control characters
+  return text.includes('\n') && !/[\r\u0000-\u0008\u000b-\u001f\u007f]/.test(text);
+}
+
+function stringifyValue(value, indent) {
+  if (Array.isArray(value)) {
+    if (!value.length) return ' []';
+    return `\n${value
+      .map((item) => {
+        const rendered = stringifyValue(item, `${indent}  `);
+        // "- key: value" keeps the first mapping key on the dash line
+        if (rendered.startsWith('\n')) return `${indent}- ${rendered.slice(1).trimStart()}`;
+        return `${indent}-${rendered}`;
+      })
+      .join('\n')}`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    if (!entries.length) return ' {}';
+    return `\n${entries
+      .map(([key, v]) => `${indent}${stringifyScalar(key)}:${stringifyValue(v, `${indent}  `)}`)
+      .join('\n')}`;
+  }
+  if (typeof value === 'string' && canUseBlock(value)) return ` ${stringifyBlockString(value, indent)}`;
+  return ` ${stringifyScalar(value)}`;
+}
+
+/**
+ * Serialize plain data (objects, arrays, strings, numbers, booleans, null) as YAML.
+ * Multi-line strings are written as literal blocks so diffs stay readable.
+ * @param {any} value
+ * @returns {string}
+ */
+export function stringifyYaml(value) {
+  const rendered = stringifyValue(value, '');
+  return `${rendered.startsWith('\n') ? rendered.slice(1) : rendered.trimStart()}\n`;
+}
+
+function parseDoubleQuoted(raw, lineNo) {
+  const match = raw.match(/^"(?:[^"\\]|\\.)*"/);
+  if (!match || !/^\s*(?:#.*)?$/.test(raw.slice(match[0].length))) {
+    throw new Error(`YAML line ${lineNo}: invalid double-quoted string`);
+  }
+  try {
+    return JSON.parse(match[0].replace(/\t/g, '\\t'));
+  } catch {
+    throw new Error(`YAML line ${lineNo}: unsupported escape in double-quoted string`);
+  }
+}
+
+function parseScalar(raw, lineNo) {
+  const text = raw.trim();
+  if (text.startsWith('"')) return parseDoubleQuoted(text, lineNo);
+  if (text.startsWith("'")) {
+    if (!text.endsWith("'") || text.length < 2) throw new Error(`YAML line ${lineNo}: unterminated single-quoted string`);
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text === '[]') return [];
+  if (text === '{}') return {};
+  if (/^[[{]/.test(text)) throw new Error(`YAML line ${lineNo}: flow collections are not supported`);
+  if (/^[&*!]/.test(text)) throw new Error(`YAML line ${lineNo}: anchors, aliases and tags are not supported`);
+
+  const value = text.replace(/\s+#.*$/, '');
+  if (value === '' || value === '~' || /^null$/i.test(value)) return null;
+  if (/^true$/i.test(value)) return true;
+  if (/^false$/i.test(value)) return false;
+  if (/^[-+]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][-+]?\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+function splitKey(text, lineNo) {
+  let key;
+  let rest;
+  if (text.startsWith('"') || text.startsWith("'")) {
+    const quote = text[0];
+    let end = 1;
+    while (end < text.length && text[end] !== quote) end += text[end] === '\\' && quote === '"' ? 2 : 1;
+    key = parseScalar(text.slice(0, end + 1), lineNo);
+    rest = text.slice(end + 1);
+    if (!rest.startsWith(':')) return null;
+    rest = rest.slice(1);
+  } else {
+    const match = text.match(/^([^#]*?):(?:\s|$)/);
+    if (!match) return null;
+    key = match[1];
+    rest = text.slice(match[0].length - (/\s$/.test(match[0]) ? 1 : 0));
+  }
+  if (rest && !/^\s/.test(rest)) return null;
+  return { key: String(key), rest: rest.trim() };
+}
+
+/**
+ * Parse the YAML subset written by `stringifyYaml`.
+ * @param {string} text
+ * @returns {any}
+ */
+export function parseYaml(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+  // The final line break ends the last line; it is not an empty line of a `|+` block
+  if (lines[lines.length - 1] === '') lines.pop();
+  let index = 0;
+
+  const isBlank = (line) => /^\s*(?:#.*)?$/.test(line);
+  const indentOf = (line) => line.match(/^ */)[0].length;
+  const skipBlank = () => {
+    while (index < lines.length && isBlank(lines[index])) index += 1;
+  };
+
+  function parseBlockScalar(header, parentIndent, lineNo) {
+    const match = header.match(/^\|([1-9])?([-+])?([1-9])?\s*(?:#.*)?$/);
+    if (!match) throw new Error(`YAML line ${lineNo}: only literal block scalars (|) are supported`);
+    const explicit = Number(match[1] || match[3] || 0);
+    const chomp = match[2] || '';
+
+    const body = [];
+    let blockIndent = explicit ? parentIndent + explicit : null;
+    while (index < lines.length) {
+      const line = lines[index];
+      if (!line.trim()) {
+        // Whitespace-only lines keep the spaces beyond the block indentation
+        body.push(blockIndent !== null && line.length > blockIndent ? line.slice(blockIndent) : '');
+        index += 1;
+        continue;
+      }
+      const indent = indentOf(line);
+      if (blockIndent === null) {
+        if (indent <= parentIndent) break;
+        blockIndent = indent;
+      }
+      if (indent < blockIndent) break;
+      body.push(line.slice(blockIndent));
+      index += 1;
+    }
+
+    let trailing = 0;
+    while (body.length && body[body.length - 1] === '') {
+      body.pop();
+      trailing += 1;
+    }
+    const content = body.join('\n');
+    if (!content) return '';
+    if (chomp === '-') return content;
+    if (chomp === '+') return `${content}\n${'\n'.repeat(trailing)}`;
+    return `${content}\n`;
+  }
+
+  function parseInlineValue(rest, parentIndent, lineNo) {
+    if (rest.startsWith('|')) return parseBlockScalar(rest, parentIndent, lineNo);
+    if (rest.startsWith('>')) throw new Error(`YAML line ${lineNo}: folded block scalars (>) are not supported`);
+    if (rest && !rest.startsWith('#')) return parseScalar(rest, lineNo);
+    // Nested block on the following lines (or null)
+    skipBlank();
+    if (index < lines.length && indentOf(lines[index]) > parentIndent) return parseNode(indentOf(lines[index]));
+    if (index < lines.length && indentOf(lines[index]) === parentIndent && /^\s*-(?:\s|$)/.test(lines[index])) {
+      return parseNode(parentIndent);
+    }
+    return null;
+  }
+
+  function parseMapping(indent, first = null) {
+    const out = {};
+    let pending = first;
+    while (true) {
+      let text;
+      let lineNo;
+      if (pending) {
+        ({ text, lineNo } = pending);
+        pending = null;
+      } else {
+        skipBlank();
+        if (index >= lines.length) break;
+        const line = lines[index];
+        const lineIndent = indentOf(line);
+        if (lineIndent < indent) break;
+        if (lineIndent > indent) throw new Error(`YAML line ${index + 1}: unexpected indentation`);
+        if (/^\s*-(?:\s|$)/.test(line)) break;
+        text = line.slice(indent);
+        lineNo = index + 1;
+        index += 1;
+      }
+      const pair = splitKey(text, lineNo);
+      if (!pair) throw new Error(`YAML line ${lineNo}: expected "key: value"`);
+      if (Object.prototype.hasOwnProperty.call(out, pair.key)) {
+        throw new Error(`YAML line ${lineNo}: duplicate key "${pair.key}"`);
+      }
+      out[pair.key] = parseInlineValue(pair.rest, indent, lineNo);
+    }
+    return out;
+  }
+
+  function parseSequence(indent) {
+    const out = [];
+    while (true) {
+      skipBlank();
+      if (index >= lines.length) break;
+      const line = lines[index];
+      const lineIndent = indentOf(line);
+      if (lineIndent < indent) break;
+      if (lineIndent > indent) throw new Error(`YAML line ${index + 1}: unexpected indentation`);
+      const match = line.slice(indent).match(/^-(?:\s+|$)(.*)$/);
+      if (!match) break;
+      const lineNo = index + 1;
+      index += 1;
+      const rest = match[1];
+      const itemIndent = indent + line.slice(indent).length - rest.length;
+
+      if (!rest || rest.startsWith('#')) out.push(parseInlineValue('', indent, lineNo));
+      else if (rest.startsWith('|')) out.push(parseBlockScalar(rest, indent, lineNo));
+      else if (/^-(?:\s|$)/.test(rest)) {
+        throw new Error(`YAML line ${lineNo}: nested sequences on one line are not supported`);
+      } else if (splitKey(rest, lineNo)) {
+        out.push(parseMapping(itemIndent, { text: rest, lineNo }));
+      } else out.push(parseScalar(rest, lineNo));
+    }
+    return out;
+  }
+
+  function parseNode(indent) {
+    skipBlank();
+    if (index >= lines.length) return null;
+    if (/^\s*-(?:\s|$)/.test(lines[index])) return parseSequence(indent);
+    const line = lines[index];
+    if (!splitKey(line.slice(indent), index + 1)) {
+      index += 1;
+      const rest = line.trim();
+      return rest.startsWith('|') ? parseBlockScalar(rest, indent - 1, index) : parseScalar(rest, index);
+    }
+    return parseMapping(indent);
+  }
+
+  skipBlank();
+  if (index >= lines.length) return null;
+  const result = parseNode(indentOf(lines[index]));
+  skipBlank();
+  if (index < lines.length) throw new Error(`YAML line ${index + 1}: unexpected content`);
+  return result;
+}
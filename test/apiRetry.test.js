@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { backoffDelay, retryAfterMs, withRetries } from '../src/lib/apiRetry.js';
+import { syncEmailTemplates } from '../src/lib/emailTemplatesApi.js';
+
+// A fake client that answers each call with the next queued response (or the last one)
+function fakeClient(...responses) {
+  const calls = [];
+  const answer = (method) => async (requestPath, options) => {
+    calls.push({ method, path: requestPath, options });
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  return { calls, GET: answer('GET'), POST: answer('POST'), PUT: answer('PUT'), PATCH: answer('PATCH'), DELETE: answer('DELETE') };
+}
+
+const reply = (status, data, headers = {}) =>
+  status < 400 ? { data, response: { status, headers } } : { error: data, response: { status, headers } };
+
+describe('withRetries', () => {
+  const options = { sleep: async () => {} };
+
+  it('retries 429, 5xx and network errors, then returns the response', async () => {
+    const network = Object.assign(new Error('fetch failed'), { cause: { code: 'ECONNRESET' } });
+    const client = fakeClient(reply(429, {}), reply(503, {}), network, reply(200, []));
+    const seen = [];
+    const response = await withRetries(client, { ...options, onRetry: (info) => seen.push([info.attempt, info.status]) }).GET('/api/x');
+    assert.deepEqual(response.data, []);
+    assert.deepEqual(seen, [
+      [1, 429],
+      [2, 503],
+      [3, undefined],
+    ]);
+  });
+
+  it('returns the last error response once the retries are used up', async () => {
+    const client = fakeClient(reply(500, { message: 'boom' }));
+    const response = await withRetries(client, { ...options, retries: 2 }).PUT('/api/x', { body: {} });
+    assert.equal(response.response.status, 500);
+    assert.equal(client.calls.length, 3);
+  });
+
+  it('does not retry client errors, POST or PATCH', async () => {
+    const client = fakeClient(reply(400, {}));
+    const wrapped = withRetries(client, options);
+    await wrapped.DELETE('/api/x');
+    assert.equal(client.calls.length, 1);
+
+    const failing = fakeClient(reply(503, {}));
+    const retried = withRetries(failing, options);
+    await retried.POST('/api/x', { body: {} });
+    await retried.PATCH('/api/x', { body: {} });
+    assert.deepEqual(
+      failing.calls.map((c) => c.method),
+      ['POST', 'PATCH']
+    );
+  });
+
+  it('leaves the client alone with retries: 0 and wraps it only once', () => {
+    const client = fakeClient(reply(200, []));
+    assert.equal(withRetries(client, { retries: 0 }), client);
+    const wrapped = withRetries(client, options);
+    assert.equal(withRetries(wrapped, options), wrapped);
+  });
+
+  it('waits for Retry-After instead of the backoff', async () => {
+    const client = fakeClient(reply(429, {}, { 'retry-after': '2' }), reply(200, []));
+    const waits = [];
+    await withRetries(client, { sleep: async (ms) => waits.push(ms) }).GET('/api/x');
+    assert.deepEqual(waits, [2000]);
+  });
+});
+
+describe('retryAfterMs', () => {
+  it('reads seconds or an HTTP date from a response or an error', () => {
+    const now = Date.parse('2024-01-31T12:00:00Z');
+    assert.equal(retryAfterMs({ response: { headers: new Headers({ 'Retry-After': '3' }) } }, now), 3000);
+    assert.equal(retryAfterMs({ headers: { 'retry-after': 'Wed, 31 Jan 2024 12:00:10 GMT' } }, now), 10_000);
+    assert.equal(retryAfterMs({ headers: { 'retry-after': 'Wed, 31 Jan 2024 11:00:00 GMT' } }, now), 0);
+    assert.equal(retryAfterMs({ headers: { 'retry-after': 'soon' } }, now), null);
+    assert.equal(retryAfterMs({ response: { headers: {} } }, now), null);
+  });
+});
+
+describe('backoffDelay', () => {
+  it('stays between half the first step and the doubling ceiling', () => {
+    for (let i = 0; i < 50; i += 1) {
+      const first = backoffDelay(0, { minDelayMs: 100 });
+      assert.ok(first >= 50 && first <= 100, String(first));
+      const third = backoffDelay(2, { minDelayMs: 100 });
+      assert.ok(third >= 50 && third <= 400, String(third));
+      const capped = backoffDelay(20, { minDelayMs: 100, maxDelayMs: 1000 });
+      assert.ok(capped >= 50 && capped <= 1000, String(capped));
+    }
+  });
+});
+
+describe('syncEmailTemplates batches', () => {
+  const template = (languageTag) => ({
+    templateType: 'SignIn',
+    languageTag,
+    details: { subject: languageTag, content: '<p>{{code}}</p>', contentType: 'text/html' },
+  });
+
+  // PUT rejects a batch with `status` whenever it holds a `bad` template
+  function batchClient(bad, status) {
+    const batches = [];
+    return {
+      batches,
+      GET: async () => reply(200, []),
+      PUT: async (requestPath, { body }) => {
+        const tags = body.templates.map((t) => t.languageTag);
+        batches.push(tags);
+        return tags.includes(bad) ? reply(status, { code: 'guard.invalid_input', message: 'Invalid' }) : reply(200, body.templates);
+      },
+    };
+  }
+
+  it('bisects a batch rejected with 400 down to the failing template', async () => {
+    const client = batchClient('fr', 400);
+    const results = await syncEmailTemplates({
+      apiClient: client,
+      emailTemplatesPath: 'email-templates',
+      localTemplates: ['de', 'en', 'fr', 'ja'].map(template),
+    });
+    assert.deepEqual(
+      results.filter((r) => r.error).map((r) => [r.key, r.error.message]),
+      [['SignIn::fr', '400 Invalid (guard.invalid_input)']]
+    );
+    assert.deepEqual(client.batches, [['de', 'en', 'fr', 'ja'], ['de', 'en'], ['fr', 'ja'], ['fr'], ['ja']]);
+  });
+
+  it('fails the whole batch on 401 without splitting it', async () => {
+    const client = batchClient('fr', 401);
+    const results = await syncEmailTemplates({
+      apiClient: client,
+      emailTemplatesPath: 'email-templates',
+      localTemplates: ['de', 'fr'].map(template),
+      batchSize: 2,
+    });
+    assert.deepEqual(
+      results.map((r) => r.error?.status),
+      [401, 401]
+    );
+    assert.equal(client.batches.length, 1);
+  });
+});
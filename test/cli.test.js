@@ -0,0 +1,301 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+import { startMockLogtoServer } from '../src/lib/mockLogtoServer.js';
+
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+// Runs the CLI (by default without a config file or .env), and resolves even when it exits with an error
+function runCli(args, { cwd = fileURLToPath(new URL('.', import.meta.url)) } = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], { cwd, timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+describe('cli usage errors', () => {
+  it('reports argument errors in the requested output format', async () => {
+    for (const args of [['sync', '--bogus', '--json'], ['sync', '--batch-size', '--json'], ['sync', '--json', '--retries', 'x']]) {
+      const { code, stdout, stderr } = await runCli(args);
+      assert.equal(code, 1);
+      const result = JSON.parse(stdout);
+      assert.equal(result.ok, false);
+      assert.equal(result.command, 'sync');
+      assert.equal(result.error.code, 'CONFIG_ERROR');
+      assert.equal(stderr, `${result.error.message}\n`);
+    }
+  });
+
+  it('prints one line without a stack trace in text mode', async () => {
+    for (const [args, message] of [
+      [['sync', '--bogus'], 'Unknown argument: --bogus'],
+      [['lint-email', '--fail-on', 'bad'], 'Invalid severity: bad (use error, warning, info)'],
+      [['unpack'], 'unpack needs a bundle file: unpack <bundle> [--out <dir>]'],
+    ]) {
+      const { code, stdout, stderr } = await runCli(args);
+      assert.equal(code, 1);
+      assert.equal(stdout, '');
+      assert.equal(stderr, `${message}\n`);
+    }
+  });
+
+  it('streams the error as an ndjson line', async () => {
+    const { stdout } = await runCli(['diff', '--output', 'ndjson', '--fail-on', 'never']);
+    const lines = stdout.trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(
+      lines.map((line) => [line.type, line.error.code]),
+      [['error', 'CONFIG_ERROR']]
+    );
+  });
+});
+
+describe('cli flags over the project config', () => {
+  const CONTENT = '<html>\n  <body>\n    <p>{{code}}</p>\n  </body>\n</html>';
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-test-'));
+    for (const folder of ['SignIn/en', 'SignIn/fr', 'Register/en']) {
+      await fs.mkdir(path.join(dir, 'templates', folder), { recursive: true });
+      await fs.writeFile(path.join(dir, 'templates', folder, 'subject.txt'), 'Your code\n');
+      await fs.writeFile(path.join(dir, 'templates', folder, 'content.html'), `${CONTENT}\n`);
+    }
+    await fs.writeFile(
+      path.join(dir, 'logto-templates.config.json'),
+      JSON.stringify({ onlyTypes: ['SignIn'], onlyLanguages: ['en'], build: { enabled: true } })
+    );
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const pack = async (...args) => {
+    const { code, stdout } = await runCli(['pack', '--out', 'bundle.json', '--json', ...args], { cwd: dir });
+    assert.equal(code, 0);
+    assert.equal(JSON.parse(stdout).ok, true);
+    const { templates } = JSON.parse(await fs.readFile(path.join(dir, 'bundle.json'), 'utf8'));
+    return templates;
+  };
+
+  it('uses the config scope and build step by default', async () => {
+    const templates = await pack();
+    assert.deepEqual(
+      templates.map((t) => `${t.templateType}::${t.languageTag}`),
+      ['SignIn::en']
+    );
+    assert.equal(templates[0].details.content, '<html><body><p>{{code}}</p></body></html>');
+  });
+
+  it('widens the scope with "all" and skips the build with --no-build', async () => {
+    const templates = await pack('--only', 'all', '--languages', 'all', '--no-build');
+    assert.deepEqual(
+      templates.map((t) => `${t.templateType}::${t.languageTag}`),
+      ['Register::en', 'SignIn::en', 'SignIn::fr']
+    );
+    assert.equal(templates[0].details.content, CONTENT);
+    assert.equal((await pack('--languages', 'all')).length, 2);
+  });
+});
+
+describe('cli diff against the local backend', () => {
+  let dir;
+  const write = async (file, text) => {
+    await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await fs.writeFile(path.join(dir, file), text);
+  };
+  const diff = async () => {
+    const { code, stdout } = await runCli(['diff', '--json'], { cwd: dir });
+    return { code, result: JSON.parse(stdout) };
+  };
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-diff-test-'));
+    await write('.env', 'LOGTO_BACKEND=local\n');
+    await write('templates/SignIn/en/subject.txt', 'Your code\n');
+    await write('templates/SignIn/en/content.html', '<p>{{code}}</p>\n');
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('exits with 2 on drift and 0 once the remote matches', async () => {
+    const drifted = await diff();
+    assert.equal(drifted.code, 2);
+    assert.equal(drifted.result.ok, true);
+    assert.equal(drifted.result.drift, true);
+    assert.deepEqual(
+      drifted.result.results.map((r) => [r.key, r.action]),
+      [['SignIn::en', 'create']]
+    );
+
+    assert.equal((await runCli(['sync', '--json'], { cwd: dir })).code, 0);
+    const synced = await diff();
+    assert.equal(synced.code, 0);
+    assert.equal(synced.result.drift, false);
+
+    await write('templates/SignIn/en/subject.txt', 'Sign in\n');
+    const { code, stdout } = await runCli(['diff'], { cwd: dir });
+    assert.equal(code, 2);
+    assert.match(stdout, /^-Your code\n\+Sign in$/m);
+    assert.match(stdout, /Drift found\./);
+  });
+});
+
+describe('cli status', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-status-test-'));
+    await fs.writeFile(path.join(dir, '.env'), 'LOGTO_BACKEND=local\n');
+    await fs.mkdir(path.join(dir, 'templates', 'SignIn', 'en'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'templates', 'SignIn', 'en', 'subject.txt'), 'Your code\n');
+    await fs.writeFile(path.join(dir, 'templates', 'SignIn', 'en', 'content.html'), '<p>{{code}}</p>\n');
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('exits with 2 on gaps only with --exit-code, and writes the grid with --out', async () => {
+    const gaps = await runCli(['status', '--only', 'SignIn', '--exit-code'], { cwd: dir });
+    assert.equal(gaps.code, 2);
+    assert.match(gaps.stdout, /^SignIn\s+L$/m);
+    assert.equal((await runCli(['status', '--only', 'SignIn'], { cwd: dir })).code, 0);
+
+    assert.equal((await runCli(['sync'], { cwd: dir })).code, 0);
+    const file = path.join(dir, 'out', 'coverage.md');
+    const synced = await runCli(['status', '--only', 'SignIn', '--exit-code', '--format', 'markdown', '--out', file], { cwd: dir });
+    assert.equal(synced.code, 0);
+    assert.match(synced.stdout, /Wrote the markdown grid \(1 types × 1 languages\)/);
+    assert.match(await fs.readFile(file, 'utf8'), /^\| SignIn \| ✓ \|$/m);
+  });
+});
+
+describe('cli sync --prune', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-prune-test-'));
+    await fs.writeFile(path.join(dir, '.env'), 'LOGTO_BACKEND=local\n');
+    for (const lang of ['en', 'fr']) {
+      await fs.mkdir(path.join(dir, 'templates', 'SignIn', lang), { recursive: true });
+      await fs.writeFile(path.join(dir, 'templates', 'SignIn', lang, 'subject.txt'), 'Your code\n');
+      await fs.writeFile(path.join(dir, 'templates', 'SignIn', lang, 'content.html'), '<p>{{code}}</p>\n');
+    }
+    assert.equal((await runCli(['sync'], { cwd: dir })).code, 0);
+    await fs.rm(path.join(dir, 'templates', 'SignIn', 'fr'), { recursive: true });
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('refuses to delete without a terminal or --yes, then deletes with --yes', async () => {
+    const refused = await runCli(['sync', '--prune', '--json'], { cwd: dir });
+    assert.equal(refused.code, 1);
+    assert.equal(JSON.parse(refused.stdout).error.code, 'ABORTED');
+    assert.match(refused.stderr, /Re-run with --yes/);
+
+    const dryRun = await runCli(['sync', '--prune', '--dry-run'], { cwd: dir });
+    assert.equal(dryRun.code, 0);
+    assert.match(dryRun.stdout, /delete\s+SignIn::fr/);
+
+    const { code, stdout } = await runCli(['sync', '--prune', '--yes', '--json'], { cwd: dir });
+    assert.equal(code, 0);
+    assert.deepEqual(
+      JSON.parse(stdout).results.map((r) => [r.key, r.action]),
+      [
+        ['SignIn::en', 'unchanged'],
+        ['SignIn::fr', 'delete'],
+      ]
+    );
+    assert.equal((await runCli(['diff'], { cwd: dir })).code, 0);
+  });
+});
+
+describe('cli rollback', () => {
+  let dir;
+  const writeTemplate = async (folder, subject) => {
+    await fs.mkdir(path.join(dir, 'templates', folder), { recursive: true });
+    await fs.writeFile(path.join(dir, 'templates', folder, 'subject.txt'), `${subject}\n`);
+    await fs.writeFile(path.join(dir, 'templates', folder, 'content.html'), '<p>{{code}}</p>\n');
+  };
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-rollback-test-'));
+    await fs.writeFile(path.join(dir, '.env'), 'LOGTO_BACKEND=local\n');
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('restores the snapshot taken by the last sync', async () => {
+    await writeTemplate('SignIn/en', 'Version 1');
+    assert.equal((await runCli(['sync'], { cwd: dir })).code, 0);
+
+    await writeTemplate('SignIn/en', 'Version 2');
+    await writeTemplate('Register/en', 'New');
+    const synced = JSON.parse((await runCli(['sync', '--json'], { cwd: dir })).stdout);
+    assert.equal(synced.snapshot.count, 1);
+
+    const dryRun = await runCli(['rollback', '--dry-run', '--exit-code', '--json'], { cwd: dir });
+    assert.equal(dryRun.code, 2);
+    assert.deepEqual(
+      JSON.parse(dryRun.stdout).results.map((r) => [r.key, r.action]),
+      [
+        ['Register::en', 'delete'],
+        ['SignIn::en', 'update'],
+      ]
+    );
+
+    const { code, stdout } = await runCli(['rollback', synced.snapshot.id, '--yes', '--json'], { cwd: dir });
+    assert.equal(code, 0);
+    assert.equal(JSON.parse(stdout).rolledBackTo, synced.snapshot.id);
+
+    await fs.rm(path.join(dir, 'templates', 'Register'), { recursive: true });
+    await writeTemplate('SignIn/en', 'Version 1');
+    assert.equal((await runCli(['diff'], { cwd: dir })).code, 0);
+  });
+});
+
+describe('cli whoami', () => {
+  let dir;
+  let mock;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-whoami-test-'));
+    mock = await startMockLogtoServer({ clientId: 'app', clientSecret: 'secret' });
+  });
+
+  after(async () => {
+    await mock.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const whoami = async (secret) => {
+    await fs.writeFile(
+      path.join(dir, '.env'),
+      `LOGTO_ENDPOINT=${mock.url}\nLOGTO_M2M_CLIENT_ID=app\nLOGTO_M2M_CLIENT_SECRET=${secret}\n`
+    );
+    const { code, stdout } = await runCli(['whoami', '--json'], { cwd: dir });
+    return { code, result: JSON.parse(stdout) };
+  };
+
+  it('checks a self-hosted endpoint without changing anything', async () => {
+    const { code, result } = await whoami('secret');
+    assert.equal(code, 0);
+    assert.equal(result.tenantId, 'default');
+    assert.equal(result.tokenEndpoint, `${mock.url.replace(/\/$/, '')}/oidc/token`);
+    assert.deepEqual(
+      result.checks.map((c) => c.status),
+      ['ok', 'ok', 'ok', 'ok']
+    );
+    assert.ok(mock.requests.every((r) => r.method !== 'PUT' && r.method !== 'DELETE'));
+  });
+
+  it('exits with 1 when a check fails', async () => {
+    const { code, result } = await whoami('wrong');
+    assert.equal(code, 1);
+    assert.equal(result.ok, false);
+    assert.equal(result.checks[1].status, 'failed');
+  });
+});
@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+
+import { createHttpApiClient, requestAccessToken, resolveAuthTarget } from '../src/lib/clientCredentials.js';
+import { checkConnection } from '../src/lib/connectionCheck.js';
+import { ApiError } from '../src/lib/errors.js';
+import { startMockLogtoServer } from '../src/lib/mockLogtoServer.js';
+
+const CLIENT_ID = 'm2m app';
+const CLIENT_SECRET = 'secret:with+chars';
+const API_RESOURCE = 'https://default.logto.app/api';
+
+describe('custom token endpoints', () => {
+  it('defaults the token endpoint and resource from the endpoint and tenant', () => {
+    assert.deepEqual(resolveAuthTarget({ endpoint: 'https://auth.example.com', tenantId: 'default' }), {
+      tokenEndpoint: 'https://auth.example.com/oidc/token',
+      apiResource: 'https://default.logto.app/api',
+      customTokenEndpoint: false,
+    });
+    const custom = resolveAuthTarget({
+      endpoint: 'https://auth.example.com',
+      tenantId: 'default',
+      tokenEndpoint: 'https://sso.example.com/token',
+      apiResource: 'https://api.example.com',
+    });
+    assert.equal(custom.customTokenEndpoint, true);
+    assert.equal(custom.apiResource, 'https://api.example.com');
+  });
+
+  it('asks the custom token endpoint with Basic auth and the resource indicator', async () => {
+    const calls = [];
+    const fetch = async (url, init) => {
+      calls.push({ url, init });
+      return new Response(JSON.stringify({ access_token: 'token', expires_in: 60, scope: 'all' }), { status: 200 });
+    };
+    const token = await requestAccessToken(
+      { endpoint: 'https://auth.example.com', tenantId: 'default', clientId: CLIENT_ID, clientSecret: CLIENT_SECRET, tokenEndpoint: 'https://sso.example.com/token' },
+      { fetch }
+    );
+    assert.deepEqual(token, { accessToken: 'token', expiresIn: 60, scope: 'all', tokenEndpoint: 'https://sso.example.com/token' });
+    assert.equal(calls[0].url, 'https://sso.example.com/token');
+    assert.equal(calls[0].init.headers.Authorization, `Basic ${Buffer.from('m2m+app:secret%3Awith%2Bchars').toString('base64')}`);
+    assert.deepEqual(Object.fromEntries(new URLSearchParams(calls[0].init.body)), {
+      grant_type: 'client_credentials',
+      resource: 'https://default.logto.app/api',
+      scope: 'all',
+    });
+  });
+
+  it('reports the OAuth error of a rejected token request', async () => {
+    const fetch = async () => new Response(JSON.stringify({ error: 'invalid_client', error_description: 'bad secret' }), { status: 401 });
+    await assert.rejects(
+      requestAccessToken({ endpoint: 'https://auth.example.com', tenantId: 'default', clientId: 'a', clientSecret: 'b' }, { fetch }),
+      (error) =>
+        error instanceof ApiError &&
+        error.status === 401 &&
+        error.message === 'Token request to https://auth.example.com/oidc/token failed (401): invalid_client: bad secret'
+    );
+  });
+});
+
+describe('checkConnection against the mock server', () => {
+  let mock;
+  const config = (overrides = {}) => ({
+    endpoint: mock.url.replace(/\/$/, ''),
+    tenantId: 'default',
+    clientId: CLIENT_ID,
+    clientSecret: CLIENT_SECRET,
+    emailTemplatesPath: 'email-templates',
+    ...overrides,
+  });
+  const statusesOf = (result) => result.checks.map((c) => [c.name, c.status]);
+
+  before(async () => {
+    mock = await startMockLogtoServer({ clientId: CLIENT_ID, clientSecret: CLIENT_SECRET, apiResource: API_RESOURCE });
+  });
+
+  after(() => mock.close());
+
+  it('passes every check with valid credentials', async () => {
+    const result = await checkConnection(config());
+    assert.equal(result.ok, true);
+    assert.deepEqual(statusesOf(result), [
+      ['endpoint', 'ok'],
+      ['credentials', 'ok'],
+      ['scopes', 'ok'],
+      ['email-templates', 'ok'],
+    ]);
+    assert.match(result.checks[3].message, /^GET \/api\/email-templates: 0 template\(s\)$/);
+  });
+
+  it('explains a wrong secret or resource, and skips what needs a token', async () => {
+    const wrongSecret = await checkConnection(config({ clientSecret: 'wrong' }));
+    assert.equal(wrongSecret.ok, false);
+    assert.deepEqual(statusesOf(wrongSecret), [
+      ['endpoint', 'ok'],
+      ['credentials', 'failed'],
+      ['scopes', 'skipped'],
+      ['email-templates', 'skipped'],
+    ]);
+    assert.match(wrongSecret.checks[1].message, /invalid_client.*\(the client ID or secret is wrong/);
+
+    const wrongResource = await checkConnection(config({ apiResource: 'https://other.logto.app/api' }));
+    assert.match(wrongResource.checks[1].message, /invalid_target.*Logto OSS uses https:\/\/default\.logto\.app\/api/);
+  });
+
+  it('points at the templates path when the API answers 404', async () => {
+    const result = await checkConnection(config({ emailTemplatesPath: 'mail-templates' }));
+    assert.deepEqual(result.checks[3], {
+      name: 'email-templates',
+      status: 'failed',
+      message: 'GET /api/mail-templates: 404 not found; check the email templates path',
+      durationMs: result.checks[3].durationMs,
+    });
+  });
+
+  it('syncs through a token endpoint on another host name', async () => {
+    const tokenEndpoint = `${mock.url.replace('127.0.0.1', 'localhost').replace(/\/$/, '')}/oidc/token`;
+    assert.equal(resolveAuthTarget(config({ tokenEndpoint })).customTokenEndpoint, true);
+    const apiClient = createHttpApiClient(config({ tokenEndpoint }));
+    const { data } = await apiClient.GET('/api/email-templates');
+    assert.deepEqual(data, []);
+    assert.ok(mock.requests.some((r) => r.method === 'POST' && r.path === '/oidc/token'));
+  });
+});
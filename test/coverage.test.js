@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildCoverageMatrix, formatCoverageMatrix, hasCoverageGaps } from '../src/lib/coverage.js';
+import { planEmailTemplateSync } from '../src/lib/templatesPlan.js';
+
+function template(templateType, languageTag, details = {}) {
+  return { templateType, languageTag, details: { subject: 'Your code', content: '<p>{{code}}</p>', ...details } };
+}
+
+const filled = { ...template('SignIn', 'ar'), _source: { fallbackFrom: 'en' } };
+const plan = planEmailTemplateSync({
+  localTemplates: [template('SignIn', 'en'), template('SignIn', 'fr', { subject: 'Votre code' }), filled, template('Custom', 'en')],
+  remoteTemplates: [template('SignIn', 'en'), template('SignIn', 'fr'), template('Register', 'fr')],
+});
+const options = { templateTypes: ['SignIn', 'Register'] };
+
+describe('buildCoverageMatrix', () => {
+  it('gives every type × language cell a state and keeps the fallback language', () => {
+    const matrix = buildCoverageMatrix(plan, { ...options, languages: ['de'] });
+    assert.deepEqual(matrix.templateTypes, ['SignIn', 'Register', 'Custom']);
+    assert.deepEqual(matrix.languages, ['ar', 'de', 'en', 'fr']);
+    assert.deepEqual(matrix.rows[0].cells, {
+      ar: { state: 'local-only', fallbackFrom: 'en' },
+      de: { state: 'missing' },
+      en: { state: 'identical' },
+      fr: { state: 'differs' },
+    });
+    assert.equal(matrix.rows[1].cells.fr.state, 'remote-only');
+    assert.equal(matrix.rows[2].cells.en.state, 'local-only');
+    assert.deepEqual(matrix.counts, { identical: 1, differs: 1, 'local-only': 2, 'remote-only': 1, missing: 7 });
+  });
+
+  it('has gaps unless every cell is identical', () => {
+    assert.equal(hasCoverageGaps(buildCoverageMatrix(plan, options)), true);
+    const synced = planEmailTemplateSync({ localTemplates: [template('SignIn', 'en')], remoteTemplates: [template('SignIn', 'en')] });
+    assert.equal(hasCoverageGaps(buildCoverageMatrix(synced, { templateTypes: ['SignIn'] })), false);
+  });
+});
+
+describe('formatCoverageMatrix', () => {
+  const matrix = buildCoverageMatrix(plan, options);
+
+  it('aligns the text grid and marks filled cells', () => {
+    const lines = formatCoverageMatrix(matrix).split('\n');
+    assert.deepEqual(lines.slice(0, 4), [
+      'Type      ar  en  fr',
+      'SignIn    L*  ✓   ≠',
+      'Register  ·   ·   R',
+      'Custom    ·   L   ·',
+    ]);
+    assert.equal(lines[4], '');
+    assert.match(lines[5], /^✓ identical \(1\)   ≠ differs \(1\)   L local only \(not synced\) \(2\)/);
+    assert.match(lines[5], /\* filled from a fallback language$/);
+  });
+
+  it('renders a Markdown table', () => {
+    const lines = formatCoverageMatrix(matrix, 'markdown').split('\n');
+    assert.deepEqual(lines.slice(0, 3), ['| Type | ar | en | fr |', '| --- | :-: | :-: | :-: |', '| SignIn | L* | ✓ | ≠ |']);
+    assert.match(lines.at(-1), /^✓ identical \(1\), ≠ differs \(1\), /);
+  });
+
+  it('renders an HTML table with a state class and a title per cell', () => {
+    const html = formatCoverageMatrix(matrix, 'html');
+    assert.match(html, /<tr><th>Type<\/th><th>ar<\/th><th>en<\/th><th>fr<\/th><\/tr>/);
+    assert.match(html, /<td class="local-only" title="SignIn::ar: local only \(not synced\) \(from en\)">L\*<\/td>/);
+    assert.match(html, /<td class="remote-only" title="Register::fr: remote only \(not in git\)">R<\/td>/);
+    assert.match(html, /<p>✓ identical \(1\), .*, \* filled from a fallback language<\/p>$/);
+  });
+});
@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { inlineCss, parseCss, parseDeclarations } from '../src/lib/cssInline.js';
+
+const page = (css, body) => `<html><head><style>${css}</style></head><body>${body}</body></html>`;
+
+describe('parseCss', () => {
+  it('reads rules, at-rules, comments and strings with braces', () => {
+    const rules = parseCss(`
+      @charset "utf-8";
+      /* p { color: red } */
+      p, .note { color: #333; font-family: "A {b}", serif }
+      @media (max-width: 600px) { p { font-size: 14px } }
+      a[href='x;y'] { color: blue !important }
+    `);
+    assert.deepEqual(
+      rules.map((r) => (r.type === 'at' ? r.raw.slice(0, 8) : r.selectors)),
+      ['@charset', ['p', '.note'], '@media (', ["a[href='x;y']"]]
+    );
+    assert.deepEqual(rules[1].declarations, [
+      { property: 'color', value: '#333', important: false },
+      { property: 'font-family', value: '"A {b}", serif', important: false },
+    ]);
+    assert.equal(rules[3].declarations[0].important, true);
+  });
+
+  it('parses declarations with URLs, !important and missing values', () => {
+    assert.deepEqual(parseDeclarations('Background: url("a;b.png")  no-repeat ;COLOR:red ! important; broken; :x'), [
+      { property: 'background', value: 'url("a;b.png") no-repeat', important: false },
+      { property: 'color', value: 'red', important: true },
+    ]);
+  });
+});
+
+describe('inlineCss', () => {
+  it('inlines by specificity and source order, with existing styles winning unless !important', () => {
+    const html = page(
+      '.box p { color: green } p { color: red; margin: 0 } #main { color: blue } div > p.x { padding: 4px !important }',
+      '<div class="box"><p id="main" class="x" style="padding: 1px; margin: 2px">Hi</p><p>{{code}}</p></div>'
+    );
+    assert.equal(
+      inlineCss(html),
+      '<html><head></head><body><div class="box">' +
+        '<p id="main" class="x" style="padding: 4px !important; color: blue; margin: 2px">Hi</p>' +
+        '<p style="margin: 0; color: green">{{code}}</p></div></body></html>'
+    );
+  });
+
+  it('keeps what it cannot inline in the <style> block', () => {
+    const html = page('a:hover { color: red } a, p::first-line { color: blue } @media (max-width: 600px) { a { color: green } }', '<a href="#">x</a>');
+    assert.equal(
+      inlineCss(html),
+      '<html><head><style>\na:hover { color: red }\np::first-line { color: blue }\n@media (max-width: 600px) { a { color: green } }\n</style></head>' +
+        '<body><a href="#" style="color: blue">x</a></body></html>'
+    );
+  });
+
+  it('matches attribute selectors, * and self-closing tags, and escapes quotes', () => {
+    const html = page('[data-x="1"] { font-family: "Open Sans" } * img { border: 0 }', '<td data-x="1"><img src="a.png"/></td><td data-x="2"></td>');
+    assert.equal(
+      inlineCss(html),
+      '<html><head></head><body><td data-x="1" style="font-family: &quot;Open Sans&quot;"><img src="a.png" style="border: 0" /></td>' +
+        '<td data-x="2"></td></body></html>'
+    );
+  });
+
+  it('leaves HTML without inlinable rules as it is, and is stable on its own output', () => {
+    const plain = '<p>{% if x %}<b>hi</b>{% endif %}</p>';
+    assert.equal(inlineCss(plain), plain);
+    const once = inlineCss(page('p { color: red } a:hover { color: blue }', '<p>x</p>'));
+    assert.equal(inlineCss(once), once);
+  });
+});
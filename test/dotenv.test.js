@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import { expandDotenvValue, loadDotenv, parseDotenv } from '../src/lib/dotenv.js';
+import { ConfigError } from '../src/lib/errors.js';
+
+const values = (content) => Object.fromEntries(parseDotenv(content).map((e) => [e.key, e.value]));
+
+describe('parseDotenv', () => {
+  it('reads assignments, export, comments and blank lines', () => {
+    const content = '\uFEFF# comment\n\nA=1\nexport B = two words  \nC=value # trailing\nD=no#comment\nE=\nnot an assignment\n';
+    assert.deepEqual(values(content), { A: '1', B: 'two words', C: 'value', D: 'no#comment', E: '' });
+  });
+
+  it('keeps quoted values as written, across lines and CRLF', () => {
+    const content = 'S=\'single $HOME # kept\'\r\nD="line 1\r\nline 2"\r\nT=`back"tick\'`\r\nE="say \\"hi\\""\n';
+    assert.deepEqual(values(content), {
+      S: 'single $HOME # kept',
+      D: 'line 1\nline 2',
+      T: 'back"tick\'',
+      E: 'say \\"hi\\"',
+    });
+    const entries = parseDotenv(content);
+    assert.deepEqual(
+      entries.map((e) => [e.key, e.quote, e.expand, e.line]),
+      [
+        ['S', "'", false, 1],
+        ['D', '"', true, 2],
+        ['T', '`', false, 4],
+        ['E', '"', true, 5],
+      ]
+    );
+  });
+
+  it('rejects an unterminated quote with the file and line', () => {
+    assert.throws(
+      () => parseDotenv('A=1\nKEY="never closed\nB=2\n', '.env.prod'),
+      (error) => error instanceof ConfigError && error.message === '.env.prod:2: KEY has an opening " but no closing one'
+    );
+  });
+});
+
+describe('expandDotenvValue', () => {
+  const env = { HOST: 'example.com', EMPTY: '', PORT: '443' };
+  const lookup = (name) => env[name];
+
+  it('expands $VAR, ${VAR} and defaults', () => {
+    assert.equal(expandDotenvValue('https://$HOST:${PORT}/x', lookup), 'https://example.com:443/x');
+    // `:-` also replaces an empty value, `-` only an unset one
+    assert.equal(expandDotenvValue('${MISSING:-a}|${EMPTY:-b}|${EMPTY-c}|${MISSING-d}', lookup), 'a|b||d');
+    assert.equal(expandDotenvValue('${MISSING:-${HOST}}', lookup), 'example.com');
+    assert.equal(expandDotenvValue('$MISSING|', lookup), '|');
+  });
+
+  it('leaves what is not a reference alone', () => {
+    assert.equal(expandDotenvValue('cost: 5$ ${1bad} ${open', lookup), 'cost: 5$ ${1bad} ${open');
+    assert.equal(expandDotenvValue('\\$HOST \\n', lookup), '$HOST \\n');
+  });
+
+  it('unescapes double-quoted values, but not substituted ones', () => {
+    assert.equal(expandDotenvValue('a\\nb\\t\\"c\\" \\$HOST', lookup, { unescape: true }), 'a\nb\t"c" $HOST');
+    assert.equal(expandDotenvValue('$V', () => 'x\\ny', { unescape: true }), 'x\\ny');
+  });
+});
+
+describe('loadDotenv', () => {
+  let dir;
+  const keys = ['DOTENV_TEST_BASE', 'DOTENV_TEST_URL', 'DOTENV_TEST_LAYER', 'DOTENV_TEST_REAL', 'DOTENV_TEST_SELF', 'LOGTO_PROFILE'];
+  let saved;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dotenv-test-'));
+    saved = Object.fromEntries(keys.map((key) => [key, process.env[key]]));
+    for (const key of keys) delete process.env[key];
+  });
+
+  afterEach(async () => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('layers .env < .env.<profile> < .env.local < real environment, and expands across files', async () => {
+    await fs.writeFile(
+      path.join(dir, '.env'),
+      'DOTENV_TEST_BASE=base\nDOTENV_TEST_LAYER=base\nDOTENV_TEST_URL=https://${DOTENV_TEST_LAYER}/$DOTENV_TEST_REAL\nDOTENV_TEST_REAL=file\n'
+    );
+    await fs.writeFile(path.join(dir, '.env.staging'), 'DOTENV_TEST_LAYER=staging\n');
+    await fs.writeFile(path.join(dir, '.env.local'), 'LOGTO_PROFILE=staging\nDOTENV_TEST_SELF=${DOTENV_TEST_SELF:-self}\n');
+    process.env.DOTENV_TEST_REAL = 'real';
+
+    const result = await loadDotenv({ cwd: dir });
+    assert.deepEqual(
+      result.files.map((f) => path.basename(f)),
+      ['.env', '.env.staging', '.env.local']
+    );
+    assert.equal(process.env.DOTENV_TEST_BASE, 'base');
+    assert.equal(process.env.DOTENV_TEST_LAYER, 'staging');
+    assert.equal(process.env.DOTENV_TEST_REAL, 'real');
+    assert.equal(process.env.DOTENV_TEST_URL, 'https://staging/real');
+    // A self-reference sees the environment (unset here), so the default applies
+    assert.equal(process.env.DOTENV_TEST_SELF, 'self');
+  });
+
+  it('reports missing files and rejects unsafe profile names', async () => {
+    const result = await loadDotenv({ cwd: dir });
+    assert.equal(result.loaded, false);
+    await assert.rejects(loadDotenv({ cwd: dir, profiles: ['../secrets'] }), ConfigError);
+  });
+});
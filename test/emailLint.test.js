@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { GMAIL_CLIP_BYTES, countFailures, lintEmailTemplates } from '../src/lib/emailLint.js';
+
+const CLEAN = [
+  '<!DOCTYPE html>',
+  '<html lang="{{locale}}" dir="ltr">',
+  '<head><meta charset="utf-8"></head>',
+  '<body>',
+  '  <div style="padding: 16px">',
+  '    <img src="cid:logo" alt="" width="160" height="40">',
+  '    <p>Your code: {{code}}</p>',
+  '    <a href="https://example.com/help">Help</a>',
+  '  </div>',
+  '</body>',
+  '</html>',
+].join('\n');
+
+function template(languageTag, details) {
+  return { templateType: 'SignIn', languageTag, details: { subject: 'Your code', content: CLEAN, contentType: 'text/html', ...details } };
+}
+
+const rulesOf = (problems) => problems.map((p) => [p.severity, p.rule, p.message]);
+
+describe('lintEmailTemplates', () => {
+  it('passes a template that follows the email-client rules', () => {
+    assert.deepEqual(lintEmailTemplates([template('en')]), { templates: 1, problems: [] });
+  });
+
+  it('reports client compatibility problems, most severe first', () => {
+    const content = [
+      '<html lang="en"><body style="margin: 0">',
+      '<style>a:hover { color: red } .box { display: flex; border-radius: 4px }</style>',
+      '<script>track()</script>',
+      '<img src="http://cdn.example.com/logo.png">',
+      '<a href="javascript:void(0)">x</a> <a href="">y</a>',
+      '</body></html>',
+    ].join('\n');
+    assert.deepEqual(rulesOf(lintEmailTemplates([template('en', { content })]).problems), [
+      ['error', 'html-elements', '<script> is removed by every email client'],
+      ['error', 'links', '<a href="javascript:void(0)"> uses a javascript: URL, which email clients block'],
+      ['warning', 'body-style', 'style on <body> is dropped by Gmail and Outlook.com; put it on a wrapper element'],
+      ['warning', 'css-support', ':hover selectors (a:hover) are ignored by the Gmail apps and Outlook'],
+      ['warning', 'css-support', 'display: flex (in <style>) is not supported by Outlook for Windows and some Gmail apps'],
+      ['warning', 'img-alt', '<img src="http://cdn.example.com/logo.png"> has no alt text (shown while images are blocked; alt="" if decorative)'],
+      [
+        'warning',
+        'img-size',
+        '<img src="http://cdn.example.com/logo.png"> needs numeric width and height attributes (Outlook for Windows shows images at their file size otherwise)',
+      ],
+      ['warning', 'links', '<img src="http://cdn.example.com/logo.png"> is not HTTPS; clients may block the image'],
+      ['warning', 'links', '<a> has an empty link'],
+      ['info', 'css-support', 'border-radius (in <style>) is not supported by Outlook for Windows'],
+      ['info', 'img-remote', '<img src="http://cdn.example.com/logo.png"> is remote; many clients block it until the reader allows images'],
+      [
+        'info',
+        'css-support',
+        'Styles in <style> are not inlined; Gmail (for non-Google accounts) and older Outlook.com drop them (run with --build to inline CSS)',
+      ],
+    ]);
+  });
+
+  it('checks lang and dir against the template language', () => {
+    const problems = (languageTag, content) => rulesOf(lintEmailTemplates([template(languageTag, { content })]).problems);
+    assert.deepEqual(problems('ar', '<html lang="ar"><body>{{code}}</body></html>'), [
+      ['error', 'lang-dir', '<html> needs dir="rtl" for ar'],
+    ]);
+    assert.deepEqual(problems('fr', '<html lang="en" dir="rtl"><body>{{code}}</body></html>'), [
+      ['error', 'lang-dir', '<html dir="rtl"> on a left-to-right language (fr)'],
+      ['warning', 'lang-dir', '<html lang="en"> does not match the template language fr'],
+    ]);
+    assert.deepEqual(problems('en', '<p>{{code}}</p>'), [
+      ['warning', 'lang-dir', 'the content (no <html> element) has no lang attribute (expected lang="en"); screen readers have to guess'],
+    ]);
+  });
+
+  it('checks subjects, encoding, size and plain-text links', () => {
+    const problems = lintEmailTemplates([
+      template('en', { subject: ' Votre cafÃ© est prêt\n' }),
+      template('de', { content: `<html lang="de"><body>${'x'.repeat(GMAIL_CLIP_BYTES)}</body></html>` }),
+      template('fr', { content: 'Code {{code}}: http://example.com/help', contentType: 'text/plain' }),
+    ]).problems;
+    assert.deepEqual(
+      problems.map((p) => [p.key, p.severity, p.rule]),
+      [
+        ['SignIn::en', 'error', 'subject-encoding'],
+        ['SignIn::en', 'error', 'subject-encoding'],
+        ['SignIn::en', 'info', 'subject-length'],
+        ['SignIn::de', 'error', 'size'],
+        ['SignIn::fr', 'warning', 'links'],
+      ]
+    );
+    assert.match(problems[3].message, /^Content is 102\.\d KB; Gmail clips messages over 102 KB \(run with --build to minify\)$/);
+  });
+
+  it('overrides or turns off rules, and counts failures at a severity', () => {
+    const content = '<html lang="en"><body><img src="https://example.com/a.png" alt="a"></body></html>';
+    const { problems } = lintEmailTemplates([template('en', { content })], { rules: { 'img-size': 'error', 'img-remote': 'off' } });
+    assert.deepEqual(
+      problems.map((p) => [p.severity, p.rule]),
+      [['error', 'img-size']]
+    );
+    const mixed = [{ severity: 'error' }, { severity: 'warning' }, { severity: 'info' }];
+    assert.deepEqual(
+      ['error', 'warning', 'info'].map((failOn) => countFailures(mixed, failOn)),
+      [1, 2, 3]
+    );
+  });
+});
@@ -0,0 +1,136 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+
+import { promoteEmailTemplates, syncEmailTemplates } from '../src/lib/emailTemplatesApi.js';
+import { AbortedError, ApiError } from '../src/lib/errors.js';
+import { createLocalApiClient } from '../src/lib/localBackend.js';
+
+function template(templateType, languageTag) {
+  return { templateType, languageTag, details: { subject: `${templateType} ${languageTag}`, content: '<p>{{code}}</p>' } };
+}
+
+const keysOf = (rows) => rows.map((row) => `${row.templateType}::${row.languageTag}`).sort();
+
+describe('syncEmailTemplates with prune', () => {
+  let apiClient;
+  const local = [template('SignIn', 'en')];
+  const sync = (options = {}) =>
+    syncEmailTemplates({ apiClient, emailTemplatesPath: 'email-templates', localTemplates: local, prune: true, ...options });
+
+  beforeEach(async () => {
+    apiClient = createLocalApiClient({ emailTemplatesPath: 'email-templates' });
+    await apiClient.PUT('/api/email-templates', {
+      body: { templates: [template('SignIn', 'en'), template('SignIn', 'fr'), template('Register', 'en')] },
+    });
+  });
+
+  it('lists the deletions in a dry run without deleting', async () => {
+    const results = await sync({ dryRun: true });
+    assert.deepEqual(
+      results.map((r) => [r.key, r.action]),
+      [
+        ['Register::en', 'delete'],
+        ['SignIn::en', 'unchanged'],
+        ['SignIn::fr', 'delete'],
+      ]
+    );
+    assert.equal((await apiClient.store.read()).length, 3);
+  });
+
+  it('only deletes within --only and --languages', async () => {
+    const results = await sync({ onlyTypes: new Set(['SignIn']) });
+    assert.deepEqual(
+      results.filter((r) => r.action === 'delete').map((r) => r.key),
+      ['SignIn::fr']
+    );
+    assert.deepEqual(keysOf(await apiClient.store.read()), ['Register::en', 'SignIn::en']);
+
+    await sync({ onlyLanguages: new Set(['fr']), localTemplates: [] });
+    assert.deepEqual(keysOf(await apiClient.store.read()), ['Register::en', 'SignIn::en']);
+  });
+
+  it('asks for confirmation with the deletions before writing anything', async () => {
+    let asked = null;
+    await assert.rejects(
+      sync({
+        localTemplates: [{ ...template('SignIn', 'en'), details: { subject: 'Changed', content: 'x' } }],
+        confirmPrune: async (entries) => {
+          asked = entries.map((entry) => entry.key);
+          return false;
+        },
+      }),
+      AbortedError
+    );
+    assert.deepEqual(asked, ['Register::en', 'SignIn::fr']);
+    const rows = await apiClient.store.read();
+    assert.equal(rows.length, 3);
+    assert.equal(rows.find((row) => row.languageTag === 'en' && row.templateType === 'SignIn').details.subject, 'SignIn en');
+
+    const results = await sync({ confirmPrune: async () => true });
+    assert.deepEqual(
+      results.filter((r) => r.action === 'delete').map((r) => [r.key, r.request.method, r.error]),
+      [
+        ['Register::en', 'DELETE', undefined],
+        ['SignIn::fr', 'DELETE', undefined],
+      ]
+    );
+    assert.deepEqual(keysOf(await apiClient.store.read()), ['SignIn::en']);
+  });
+
+  it('refuses to prune without the list endpoint', async () => {
+    const noList = { ...apiClient, GET: async () => ({ error: { message: 'Not found' }, response: { status: 404 } }) };
+    await assert.rejects(
+      syncEmailTemplates({ apiClient: noList, emailTemplatesPath: 'email-templates', localTemplates: local, prune: true }),
+      (error) => error instanceof ApiError && /Cannot prune/.test(error.message)
+    );
+  });
+});
+
+describe('promoteEmailTemplates', () => {
+  let source;
+  let target;
+  const promote = (options = {}) =>
+    promoteEmailTemplates({
+      sourceApiClient: source,
+      sourceEmailTemplatesPath: 'email-templates',
+      apiClient: target,
+      emailTemplatesPath: 'email-templates',
+      ...options,
+    });
+
+  beforeEach(async () => {
+    source = createLocalApiClient({ emailTemplatesPath: 'email-templates', tenantId: 'staging' });
+    target = createLocalApiClient({ emailTemplatesPath: 'email-templates', tenantId: 'prod' });
+    await source.PUT('/api/email-templates', {
+      body: { templates: [template('SignIn', 'en'), template('SignIn', 'fr'), template('Register', 'en')] },
+    });
+    await target.PUT('/api/email-templates', { body: { templates: [template('Generic', 'en')] } });
+  });
+
+  it('plans the source tenant as if it were local templates', async () => {
+    const results = await promote({ dryRun: true, onlyLanguages: new Set(['en']) });
+    assert.deepEqual(
+      results.map((r) => [r.key, r.action]),
+      [
+        ['Generic::en', 'remote-only'],
+        ['Register::en', 'create'],
+        ['SignIn::en', 'create'],
+      ]
+    );
+    assert.deepEqual(keysOf(await target.store.read()), ['Generic::en']);
+  });
+
+  it('copies the details without the source ids, and prunes the target', async () => {
+    const results = await promote({ prune: true, confirmPrune: async () => true });
+    assert.equal(results.filter((r) => r.error).length, 0);
+
+    const [sourceRows, targetRows] = [await source.store.read(), await target.store.read()];
+    assert.deepEqual(keysOf(targetRows), keysOf(sourceRows));
+    const sourceIds = new Set(sourceRows.map((row) => row.id));
+    assert.ok(targetRows.every((row) => !sourceIds.has(row.id) && row.tenantId === 'prod'));
+    assert.deepEqual(
+      (await promote({ dryRun: true })).map((r) => r.action),
+      ['unchanged', 'unchanged', 'unchanged']
+    );
+  });
+});
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import { loadConfigFromEnv } from '../src/lib/env.js';
+import { ConfigError } from '../src/lib/errors.js';
+
+describe('loadConfigFromEnv', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(Object.entries(process.env).filter(([key]) => key.startsWith('LOGTO_')));
+    for (const key of Object.keys(saved)) delete process.env[key];
+  });
+
+  afterEach(() => {
+    for (const key of Object.keys(process.env)) {
+      if (key.startsWith('LOGTO_')) delete process.env[key];
+    }
+    Object.assign(process.env, saved);
+  });
+
+  const setEnv = (vars) => Object.assign(process.env, vars);
+
+  it('reads the plain LOGTO_* vars without a profile', () => {
+    setEnv({ LOGTO_ENDPOINT: 'https://abc123.logto.app/', LOGTO_M2M_CLIENT_ID: 'id', LOGTO_M2M_CLIENT_SECRET: 'secret' });
+    assert.deepEqual(loadConfigFromEnv(), {
+      profile: null,
+      backend: 'logto',
+      tenantId: 'abc123',
+      endpoint: 'https://abc123.logto.app',
+      tokenEndpoint: 'https://abc123.logto.app/oidc/token',
+      apiResource: 'https://abc123.logto.app/api',
+      emailTemplatesPath: 'email-templates',
+      clientId: 'id',
+      clientSecret: 'secret',
+    });
+  });
+
+  it('defaults a self-hosted endpoint to the OSS tenant, and takes a custom token endpoint', () => {
+    setEnv({
+      LOGTO_ENDPOINT: 'https://auth.example.com/api',
+      LOGTO_M2M_CLIENT_ID: 'id',
+      LOGTO_M2M_CLIENT_SECRET: 'secret',
+      LOGTO_TOKEN_ENDPOINT: 'https://sso.example.com/token/',
+    });
+    const config = loadConfigFromEnv();
+    assert.deepEqual(
+      [config.endpoint, config.tenantId, config.tokenEndpoint, config.apiResource],
+      ['https://auth.example.com', 'default', 'https://sso.example.com/token', 'https://default.logto.app/api']
+    );
+
+    setEnv({ LOGTO_TOKEN_ENDPOINT: 'sso.example.com/token' });
+    assert.throws(() => loadConfigFromEnv(), (error) => error instanceof ConfigError && /LOGTO_TOKEN_ENDPOINT must be an http\(s\) URL/.test(error.message));
+  });
+
+  it('reads LOGTO_<PROFILE>_* vars, sharing only the templates path and backend', () => {
+    setEnv({
+      LOGTO_M2M_CLIENT_ID: 'default-id',
+      LOGTO_M2M_CLIENT_SECRET: 'default-secret',
+      LOGTO_EMAIL_TEMPLATES_PATH: '/custom-templates/',
+      LOGTO_EU_PROD_ENDPOINT: 'https://eu.logto.app',
+      LOGTO_EU_PROD_M2M_CLIENT_ID: 'eu-id',
+      LOGTO_EU_PROD_M2M_CLIENT_SECRET: 'eu-secret',
+    });
+    const config = loadConfigFromEnv({ profile: 'eu-prod' });
+    assert.equal(config.profile, 'eu-prod');
+    assert.equal(config.tenantId, 'eu');
+    assert.equal(config.clientId, 'eu-id');
+    assert.equal(config.emailTemplatesPath, 'custom-templates');
+
+    setEnv({ LOGTO_PROFILE: 'staging', LOGTO_STAGING_ENDPOINT: 'https://staging.logto.app' });
+    assert.throws(
+      () => loadConfigFromEnv(),
+      (error) => error instanceof ConfigError && error.message === 'Missing required env var: LOGTO_STAGING_M2M_CLIENT_ID'
+    );
+  });
+
+  it('keeps a local store per profile', () => {
+    setEnv({ LOGTO_BACKEND: 'local', LOGTO_DEV_BACKEND: 'memory' });
+    assert.equal(loadConfigFromEnv({ profile: 'staging' }).localDir, path.resolve('.logto-local', 'staging'));
+    assert.deepEqual(
+      [loadConfigFromEnv({ profile: 'dev' }).backend, loadConfigFromEnv({ profile: 'dev' }).endpoint],
+      ['memory', 'memory:dev']
+    );
+  });
+
+  it('rejects a blank profile name', () => {
+    assert.throws(() => loadConfigFromEnv({ profile: ' ' }), (error) => error instanceof ConfigError && /Invalid profile name/.test(error.message));
+  });
+});
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { htmlToText, toPlainTextTemplates } from '../src/lib/htmlToText.js';
+
+describe('htmlToText', () => {
+  it('turns an email body into readable text', () => {
+    const html = `<!DOCTYPE html>
+<html><head><title>Sign in</title><style>p { color: red }</style></head>
+<body>
+  <!-- layout: default -->
+  <h1>Welcome to {{application.name}}</h1>
+  <p>Hello <strong>{{user.name}}</strong>,<br>use this
+     code &amp; sign in:</p>
+  <div class="verification-code">{{code}}</div>
+  <table><tr><td>Cell A</td><td>Cell B</td></tr></table>
+  <ul><li>One</li><li>Two <a href="https://example.com/help">help</a></li></ul>
+  <hr>
+  <h2>Questions?</h2>
+  <h3>Write to us</h3>
+</body></html>`;
+    assert.equal(
+      htmlToText(html),
+      [
+        'Welcome to {{application.name}}',
+        '===============================',
+        '',
+        'Hello {{user.name}},',
+        'use this code & sign in:',
+        '',
+        '    {{code}}',
+        '',
+        'Cell A Cell B',
+        '',
+        '- One',
+        '',
+        '- Two help (https://example.com/help)',
+        '',
+        '----',
+        '',
+        'Questions?',
+        '----------',
+        '',
+        'Write to us',
+      ].join('\n')
+    );
+  });
+
+  it('writes a link once when its text is its URL, and drops anchors and empty links', () => {
+    const html =
+      '<p><a href="https://example.com">https://example.com</a> <a href="mailto:a@example.com">a@example.com</a> ' +
+      '<a href="#top">top</a> <a href="https://example.com/x"><img src="logo.png"></a>end</p>';
+    assert.equal(htmlToText(html), 'https://example.com a@example.com top end');
+  });
+
+  it('wraps paragraphs but not boxes', () => {
+    assert.equal(htmlToText(`<p>${'word '.repeat(10)}</p>`, { wrap: 20 }), 'word word word word\nword word word word\nword word');
+    assert.equal(htmlToText('<p>Code:</p><div class="box">a line longer than five</div>', { boxClasses: ['box'], wrap: 5 }), 'Code:\n\n    a line longer than five');
+    assert.equal(htmlToText(`<p>${'word '.repeat(30)}</p>`, { wrap: 0 }).includes('\n'), false);
+  });
+
+  it('returns an empty string when there is no text', () => {
+    assert.equal(htmlToText('<html><head><title>x</title></head><body><img src="a.png"><br></body></html>'), '');
+    assert.equal(htmlToText(''), '');
+  });
+});
+
+describe('toPlainTextTemplates', () => {
+  it('converts HTML templates and passes the others through', () => {
+    const html = { templateType: 'SignIn', languageTag: 'en', details: { subject: 'Hi', content: '<p>{{code}}</p>' } };
+    const text = { templateType: 'Generic', languageTag: 'en', details: { subject: 'Hi', content: 'x', contentType: 'text/plain' } };
+    const [converted, untouched] = toPlainTextTemplates([html, text]);
+    assert.deepEqual(converted.details, { subject: 'Hi', content: '{{code}}', contentType: 'text/plain' });
+    assert.equal(untouched, text);
+    assert.equal(html.details.contentType, undefined);
+  });
+});
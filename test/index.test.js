@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { ApiError, ConfigError, LogtoEmailTemplatesClient } from '../src/index.js';
+
+const templates = [
+  { templateType: 'SignIn', languageTag: 'en', details: { subject: 'Your code', content: '<p>{{code}}</p>', contentType: 'text/html' } },
+];
+
+describe('LogtoEmailTemplatesClient', () => {
+  it('keeps the class of typed errors thrown while connecting', async () => {
+    const client = new LogtoEmailTemplatesClient({ tenantId: 't', clientId: 'c', clientSecret: 's', backend: 'bogus' });
+    await assert.rejects(
+      client.connect(),
+      (error) => error instanceof ConfigError && !(error instanceof ApiError) && /Invalid backend: "bogus"/.test(error.message)
+    );
+    await assert.rejects(new LogtoEmailTemplatesClient({ tenantId: 't' }).connect(), ConfigError);
+  });
+
+  it('syncs and diffs against the in-memory backend with progress events', async () => {
+    const client = new LogtoEmailTemplatesClient({ tenantId: 'index-test', backend: 'memory' });
+    const stages = [];
+    client.on('progress', (event) => stages.push(event.stage));
+
+    const { summary } = await client.sync({ templates });
+    assert.equal(summary.create, 1);
+    assert.deepEqual(stages.slice(0, 2), ['connected', 'plan']);
+    assert.equal((await client.diff({ templates })).drift, false);
+
+    const changed = [{ ...templates[0], details: { ...templates[0].details, subject: 'Sign in' } }];
+    const { plan, drift } = await client.diff({ templates: changed });
+    assert.equal(drift, true);
+    assert.deepEqual(
+      plan.map((entry) => [entry.key, entry.action]),
+      [['SignIn::en', 'update']]
+    );
+  });
+});
@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { ConfigError } from '../src/lib/errors.js';
+import { checkLanguageTag, parseLanguageFallbacks } from '../src/lib/languages.js';
+import { loadTemplateSource } from '../src/lib/templateSource.js';
+
+describe('language tags', () => {
+  it('checks BCP 47 form and the languages Logto knows', () => {
+    assert.equal(checkLanguageTag('zh-TW'), null);
+    assert.equal(checkLanguageTag('zh_TW').severity, 'error');
+    assert.match(checkLanguageTag('zh_TW').message, /did you mean "zh-TW"/);
+    assert.match(checkLanguageTag('zh-tw').message, /use "zh-TW"/);
+    assert.match(checkLanguageTag('tlh').message, /not one of the languages Logto supports/);
+  });
+
+  it('parses --fallback chains and rejects invalid ones with a ConfigError', () => {
+    assert.deepEqual(parseLanguageFallbacks(['zh-HK:zh-TW, en', 'pt-BR:pt']), { 'zh-HK': ['zh-TW', 'en'], 'pt-BR': ['pt'] });
+    for (const value of ['zh-HK', 'zh-HK:zh-HK', 'zh_HK:en']) {
+      assert.throws(() => parseLanguageFallbacks([value]), ConfigError);
+    }
+  });
+});
+
+describe('loadTemplateSource with fallbacks', () => {
+  let dir;
+  const write = async (file, text) => {
+    await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await fs.writeFile(path.join(dir, file), text);
+  };
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fallbacks-test-'));
+    await write('_layouts/base.html', '<html lang="{% languageTag %}" dir="{% dir %}">{% block body %}{% endblock %}</html>\n');
+    await write('_partials/footer.html', '<footer>Thanks</footer>\n');
+    await write('_partials/ar/footer.html', '<footer>شكرا</footer>\n');
+    await write('SignIn/en/subject.txt', 'Your code\n');
+    await write('SignIn/en/content.html', '{% layout "base" %}\n<p>{{code}}</p>{% include "footer" %}\n');
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('renders a filled language as the language it is stored under', async () => {
+    const templates = await loadTemplateSource(dir, { fallbacks: { ar: ['en'], 'de-CH': ['de', 'en'] } });
+    const byLanguage = Object.fromEntries(templates.map((t) => [t.languageTag, t]));
+
+    assert.equal(byLanguage.en.details.content, '<html lang="en" dir="ltr"><p>{{code}}</p><footer>Thanks</footer></html>');
+    assert.equal(byLanguage.ar.details.content, '<html lang="ar" dir="rtl"><p>{{code}}</p><footer>شكرا</footer></html>');
+    assert.equal(byLanguage.ar.details.subject, 'Your code');
+    assert.equal(byLanguage.ar._source.fallbackFrom, 'en');
+    assert.ok(byLanguage.ar._source.dependencies.includes(path.join(dir, '_partials', 'ar', 'footer.html')));
+    assert.equal(byLanguage['de-CH'].details.content, '<html lang="de-CH" dir="ltr"><p>{{code}}</p><footer>Thanks</footer></html>');
+  });
+
+  it('loads fallback sources that --languages leaves out, without returning them', async () => {
+    const templates = await loadTemplateSource(dir, { onlyLanguages: new Set(['ar']), fallbacks: { ar: ['en'] } });
+    assert.deepEqual(
+      templates.map((t) => t.languageTag),
+      ['ar']
+    );
+  });
+});
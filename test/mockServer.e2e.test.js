@@ -0,0 +1,176 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+
+import { withRetries } from '../src/lib/apiRetry.js';
+import { createHttpApiClient } from '../src/lib/clientCredentials.js';
+import { diffEmailTemplates, syncEmailTemplates } from '../src/lib/emailTemplatesApi.js';
+import { ApiError } from '../src/lib/errors.js';
+import { startMockLogtoServer } from '../src/lib/mockLogtoServer.js';
+
+// The real client path: mock server -> token request -> fetch client -> retries -> sync
+const CLIENT_ID = 'm2m-app';
+const CLIENT_SECRET = 'm2m-secret';
+
+function template(templateType, languageTag, details = {}) {
+  return {
+    templateType,
+    languageTag,
+    details: { subject: `${templateType} ${languageTag}`, content: '<p>{{code}}</p>', contentType: 'text/html', ...details },
+  };
+}
+
+describe('mock server end to end', () => {
+  let mock;
+  let retries;
+
+  const connect = ({ clientSecret = CLIENT_SECRET } = {}) =>
+    withRetries(createHttpApiClient({ endpoint: mock.url, tenantId: 'mock', clientId: CLIENT_ID, clientSecret }), {
+      retries: 3,
+      sleep: async () => {},
+      onRetry: (info) => retries.push(info),
+    });
+
+  const sync = (localTemplates, options = {}) =>
+    syncEmailTemplates({ apiClient: connect(), emailTemplatesPath: 'email-templates', localTemplates, ...options });
+
+  before(async () => {
+    mock = await startMockLogtoServer({ clientId: CLIENT_ID, clientSecret: CLIENT_SECRET });
+  });
+
+  after(() => mock.close());
+
+  beforeEach(async () => {
+    await mock.store.write([]);
+    mock.requests.length = 0;
+    retries = [];
+  });
+
+  it('creates, then leaves unchanged templates alone', async () => {
+    const local = [template('SignIn', 'en'), template('SignIn', 'fr')];
+    const first = await sync(local);
+    assert.deepEqual(
+      first.map((r) => [r.key, r.action, Boolean(r.error)]),
+      [
+        ['SignIn::en', 'create', false],
+        ['SignIn::fr', 'create', false],
+      ]
+    );
+    assert.equal((await mock.store.read()).length, 2);
+
+    const second = await sync(local);
+    assert.deepEqual(
+      second.map((r) => r.action),
+      ['unchanged', 'unchanged']
+    );
+    assert.equal(mock.requests.filter((r) => r.method === 'PUT').length, 1);
+  });
+
+  it('rejects a wrong client secret at the token endpoint', async () => {
+    await assert.rejects(
+      syncEmailTemplates({
+        apiClient: connect({ clientSecret: 'wrong' }),
+        emailTemplatesPath: 'email-templates',
+        localTemplates: [template('SignIn', 'en')],
+      }),
+      (error) => error instanceof ApiError && error.status === 401 && /invalid_client/.test(error.message)
+    );
+    assert.ok(mock.requests.every((r) => !r.path.startsWith('/api/')));
+    assert.deepEqual(await mock.store.read(), []);
+  });
+
+  it('fails the diff on a list error other than 404/405', async () => {
+    const diff = () =>
+      diffEmailTemplates({ apiClient: connect(), emailTemplatesPath: 'email-templates', localTemplates: [template('SignIn', 'en')] });
+
+    mock.failNext({ status: 401, method: 'GET' });
+    await assert.rejects(diff(), (error) => error instanceof ApiError && error.status === 401 && /Injected 401/.test(error.message));
+    assert.deepEqual(retries, []);
+
+    mock.failNext({ status: 500, method: 'GET', count: 4 });
+    await assert.rejects(diff(), (error) => error instanceof ApiError && error.status === 500);
+    assert.equal(retries.length, 3);
+
+    mock.failNext({ status: 404, method: 'GET' });
+    await assert.rejects(diff(), (error) => error instanceof ApiError && /not available \(got 404\/405\)/.test(error.message));
+  });
+
+  it('retries injected 503 and 429 responses', async () => {
+    mock.failNext({ status: 503, method: 'GET' });
+    mock.failNext({ status: 429, method: 'PUT', count: 2, retryAfter: 0 });
+
+    const results = await sync([template('Register', 'en')]);
+    assert.equal(results[0].error, undefined);
+    assert.deepEqual(
+      retries.map((r) => [r.method, r.status]),
+      [
+        ['GET', 503],
+        ['PUT', 429],
+        ['PUT', 429],
+      ]
+    );
+    // Retry-After: 0 wins over the backoff
+    assert.equal(retries[1].delayMs, 0);
+    assert.equal((await mock.store.read()).length, 1);
+  });
+
+  it('reports the failure once the retries are used up', async () => {
+    mock.failNext({ status: 503, method: 'PUT', count: 4 });
+    const [result] = await sync([template('Register', 'en')]);
+    assert.equal(result.error.status, 503);
+    assert.equal(retries.length, 3);
+  });
+
+  it('fails the sync on a list error instead of writing blindly', async () => {
+    mock.failNext({ status: 500, method: 'GET', count: 4 });
+    await assert.rejects(sync([template('SignIn', 'en')]), (error) => error instanceof ApiError && error.status === 500);
+    assert.deepEqual(
+      retries.map((r) => [r.method, r.status]),
+      [
+        ['GET', 500],
+        ['GET', 500],
+        ['GET', 500],
+      ]
+    );
+
+    mock.failNext({ status: 403, method: 'GET' });
+    await assert.rejects(sync([template('SignIn', 'en')]), (error) => error instanceof ApiError && error.status === 403);
+    assert.equal(mock.requests.filter((r) => r.method === 'PUT').length, 0);
+    assert.deepEqual(await mock.store.read(), []);
+  });
+
+  it('upserts every template when the list endpoint answers 404', async () => {
+    mock.failNext({ status: 404, method: 'GET' });
+    const results = await sync([template('SignIn', 'en')]);
+    assert.deepEqual(
+      results.map((r) => [r.action, Boolean(r.error)]),
+      [['upsert', false]]
+    );
+    assert.equal((await mock.store.read()).length, 1);
+  });
+
+  it('bisects a batch rejected with 400 down to the invalid template', async () => {
+    const local = [
+      template('SignIn', 'en'),
+      template('SignIn', 'de'),
+      template('SignIn', 'fr', { contentType: 'text/markdown' }),
+      template('SignIn', 'ja'),
+    ];
+    const batches = [];
+    const results = await sync(local, {
+      onProgress: (event) => event.stage === 'batch' && batches.push(event.count),
+    });
+
+    const failed = results.filter((r) => r.error);
+    assert.deepEqual(
+      failed.map((r) => r.key),
+      ['SignIn::fr']
+    );
+    assert.equal(failed[0].error.status, 400);
+    assert.match(failed[0].error.message, /guard\.invalid_input/);
+    // Sorted by key (de, en, fr, ja): 4 -> 2 + 2, and only the half with fr is split again
+    assert.deepEqual(batches, [4, 2, 2, 1, 1]);
+    assert.deepEqual((await mock.store.read()).map((row) => row.languageTag).sort(), ['de', 'en', 'ja']);
+    // A 400 is not retried
+    assert.deepEqual(retries, []);
+  });
+});
@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { parsePo, stringifyPo } from '../src/lib/po.js';
+
+describe('po', () => {
+  it('round-trips headers and entries', () => {
+    const headers = { Language: 'fr', 'Content-Type': 'text/plain; charset=UTF-8', 'X-Source-Language': 'en' };
+    const entries = [
+      { context: 'SignIn.subject', id: 'Sign in', str: 'Connexion', references: ['SignIn/en/subject.txt:1'], fuzzy: false, previousId: null },
+      {
+        context: 'SignIn.content.p',
+        id: 'Say "hi" to <strong>{{user.name}}</strong>\\ now',
+        str: 'Dites « bonjour » à <strong>{{user.name}}</strong>',
+        references: ['SignIn/en/content.html:4', 'SignIn/en/content.html:9'],
+        fuzzy: true,
+        previousId: 'Say hi',
+      },
+      { context: 'SignIn.plain.1', id: 'Line 1\nLine 2\n\tindented', str: '', references: [], fuzzy: false, previousId: null },
+    ];
+
+    const text = stringifyPo({ headers, entries, headerComments: ['French'] });
+    const parsed = parsePo(text);
+    assert.deepEqual(parsed.headers, headers);
+    assert.deepEqual(
+      parsed.entries.map(({ line, ...entry }) => entry),
+      entries
+    );
+    assert.ok(parsed.entries.every((entry) => entry.line > 0));
+  });
+
+  it('writes multi-line strings one line per \\n', () => {
+    const text = stringifyPo({ headers: {}, entries: [{ id: 'a\nb', str: 'one line\n' }] });
+    assert.match(text, /msgid ""\n"a\\n"\n"b"\n/);
+    assert.match(text, /msgstr "one line\\n"/);
+  });
+
+  it('reads files written by other tools', () => {
+    const text = [
+      '\uFEFF# translator comment',
+      'msgid ""',
+      'msgstr ""',
+      '"Language: de\\n"',
+      '"Plural-Forms: nplurals=2; plural=(n != 1);\\n"',
+      '',
+      '#. extracted comment',
+      '#: a.html:1',
+      '#, fuzzy, c-format',
+      '#| msgid "Old"',
+      'msgid "New"',
+      'msgstr "Neu"',
+      '',
+      '# no context',
+      'msgid "Item"',
+      'msgid_plural "Items"',
+      'msgstr[0] "Eintrag"',
+      'msgstr[1] "Einträge"',
+      '',
+      'msgid "No blank line before the next entry"',
+      'msgstr ""',
+      '"continued"',
+      'msgid "Last"',
+      'msgstr "Letzte"',
+    ].join('\r\n');
+
+    const { headers, entries } = parsePo(text);
+    assert.equal(headers.Language, 'de');
+    assert.deepEqual(
+      entries.map((e) => [e.context, e.id, e.str, e.fuzzy, e.previousId, e.references]),
+      [
+        [null, 'New', 'Neu', true, 'Old', ['a.html:1']],
+        [null, 'Item', 'Eintrag', false, null, []],
+        [null, 'No blank line before the next entry', 'continued', false, null, []],
+        [null, 'Last', 'Letzte', false, null, []],
+      ]
+    );
+  });
+
+  it('rejects lines it cannot read, with the file and line', () => {
+    assert.throws(() => parsePo('msgid "a"\nmsgstr "b"\nnonsense\n', 'fr.po'), /^Error: fr\.po:3: unexpected line: nonsense$/);
+  });
+});
@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { startPreviewServer } from '../src/lib/previewServer.js';
+import { fillPlaceholders } from '../src/lib/templateFixtures.js';
+
+describe('fillPlaceholders', () => {
+  it('fills dotted paths, escapes values and leaves unknown placeholders', () => {
+    const variables = { code: '<123>', user: { name: 'Jane' } };
+    assert.equal(fillPlaceholders('{{ code }} {{user.name}} {{user}} {{link}}', variables), '<123> Jane {{user}} {{link}}');
+    assert.equal(fillPlaceholders('{{code}}', variables, { escape: (value) => value.replace(/</g, '&lt;') }), '&lt;123>');
+  });
+});
+
+describe('startPreviewServer', () => {
+  let dir;
+  let server;
+  const get = async (pathname) => {
+    const response = await fetch(new URL(pathname, server.url));
+    return { status: response.status, text: await response.text() };
+  };
+  const write = async (file, text) => {
+    await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await fs.writeFile(path.join(dir, file), text);
+  };
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'preview-test-'));
+    await write('SignIn/en/subject.txt', 'Sign in to {{application.name}}\n');
+    await write('SignIn/en/content.html', '<p>{{user.name}}: {{code}}</p>\n');
+    await write('SignIn/ar/subject.txt', 'رمزك {{code}}\n');
+    await write('SignIn/ar/content.txt', '{{code}} <b>\n');
+    await write('_fixtures/SignIn.json', JSON.stringify({ code: '424242' }));
+    server = await startPreviewServer({ templatesDir: dir, port: 0 });
+  });
+
+  after(async () => {
+    await server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('lists every type × language on the index page', async () => {
+    const { status, text } = await get('/');
+    assert.equal(status, 200);
+    assert.match(text, /<title>2 templates<\/title>/);
+    assert.match(text, /<tr><th>SignIn<\/th><td><a href="\/view\/SignIn\/ar"[^>]*>view<\/a><\/td><td><a href="\/view\/SignIn\/en"/);
+  });
+
+  it('renders a template with the sample data and fixtures', async () => {
+    assert.equal((await get('/render/SignIn/en')).text, '<p>Jane Doe: 424242</p>');
+    // Plain text is shown escaped
+    assert.match((await get('/render/SignIn/ar')).text, /<pre [^>]*>424242 &lt;b&gt;<\/pre>/);
+  });
+
+  it('shows two languages side by side with a language switcher', async () => {
+    const { status, text } = await get('/view/SignIn/en?compare=ar');
+    assert.equal(status, 200);
+    assert.match(text, /<strong>Sign in to Sample App<\/strong>/);
+    assert.match(text, /<div class="subject" dir="rtl" lang="ar">.*<strong>رمزك 424242<\/strong>/);
+    assert.match(text, /<a class="active" href="\/view\/SignIn\/en\?compare=ar">en<\/a>/);
+    assert.match(text, /<iframe src="\/render\/SignIn\/ar"/);
+  });
+
+  it('answers 404 for templates that do not exist', async () => {
+    assert.equal((await get('/view/SignIn/fr')).status, 404);
+    assert.equal((await get('/render/Register/en')).status, 404);
+    assert.equal((await get('/nope')).status, 404);
+  });
+});
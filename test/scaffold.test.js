@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import { AbortedError, ConfigError } from '../src/lib/errors.js';
+import { addLanguage, createTemplateType, markUntranslated, setDocumentLanguage } from '../src/lib/scaffold.js';
+import { validateLocalEmailTemplates } from '../src/lib/templatesValidate.js';
+
+describe('markUntranslated', () => {
+  it('marks HTML text nodes once, leaving markup, styles, directives and placeholders alone', () => {
+    const html = '<style>p { color: red }</style><p>Your code</p>\n<div>{{code}}</div>{% include "footer" %}<p>[untranslated] Done</p>';
+    assert.equal(
+      markUntranslated(html, { html: true }),
+      '<style>p { color: red }</style><p>[untranslated] Your code</p>\n<div>{{code}}</div>{% include "footer" %}<p>[untranslated] Done</p>'
+    );
+  });
+
+  it('marks every paragraph of plain text', () => {
+    assert.equal(markUntranslated('Hello {{user.name}},\n\n  {{code}}\n\nThanks'), '[untranslated] Hello {{user.name}},\n\n  {{code}}\n\n[untranslated] Thanks');
+  });
+
+  it('sets lang and dir on a literal <html> tag only', () => {
+    assert.equal(setDocumentLanguage('<html lang="en">', 'ar'), '<html lang="ar" dir="rtl">');
+    assert.equal(setDocumentLanguage('<html lang="{% languageTag %}">', 'ar'), '<html lang="{% languageTag %}" dir="rtl">');
+    assert.equal(setDocumentLanguage('<p>x</p>', 'ar'), '<p>x</p>');
+  });
+});
+
+describe('scaffolding', () => {
+  let dir;
+  const write = async (file, text) => {
+    await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await fs.writeFile(path.join(dir, file), text);
+  };
+  const read = (file) => fs.readFile(path.join(dir, file), 'utf8');
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scaffold-test-'));
+    await write('SignIn/en/subject.txt', 'Your code\n');
+    await write('SignIn/en/content.html', '<html lang="en"><body><p>Code: {{code}}</p>{% include "footer" %}</body></html>\n');
+    await write('SignIn/en/meta.json', '{ "sendFrom": "Acme" }\n');
+    await write('Register/fr/subject.txt', 'Votre code\n');
+    await write('Register/fr/content.txt', '{{code}}\n');
+    await write('_partials/footer.html', '<footer>Thanks</footer>\n');
+    await write('_partials/fr/footer.html', '<footer>Merci</footer>\n');
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('adds a language from another one, marked as untranslated', async () => {
+    const result = await addLanguage(dir, 'ar');
+    assert.deepEqual(result.templates.map((t) => t.key), ['SignIn::ar']);
+    assert.deepEqual(result.skippedTypes, ['Register']);
+    assert.equal(result.partialsDir, path.join(dir, '_partials', 'ar'));
+    assert.equal(result.warning, null);
+
+    assert.equal(await read('SignIn/ar/subject.txt'), '[untranslated] Your code\n');
+    assert.equal(
+      await read('SignIn/ar/content.html'),
+      '<html lang="ar" dir="rtl"><body><p>[untranslated] Code: {{code}}</p>{% include "footer" %}</body></html>\n'
+    );
+    assert.equal(await read('SignIn/ar/meta.json'), '{ "sendFrom": "Acme" }\n');
+    assert.equal(await read('_partials/ar/footer.html'), '<footer>[untranslated] Thanks</footer>\n');
+
+    const { problems } = await validateLocalEmailTemplates(dir, { onlyLanguages: new Set(['ar']) });
+    assert.ok(problems.some((p) => p.key === 'SignIn::ar' && /untranslated string/.test(p.message)));
+  });
+
+  it('copies the localized partials of the source language', async () => {
+    await addLanguage(dir, 'fr-CA', { from: 'fr' });
+    assert.equal(await read('_partials/fr-CA/footer.html'), '<footer>[untranslated] Merci</footer>\n');
+    assert.equal(await read('Register/fr-CA/content.txt'), '{{code}}\n');
+  });
+
+  it('refuses invalid tags and existing folders without writing anything', async () => {
+    await assert.rejects(addLanguage(dir, 'pt_BR'), (error) => error instanceof ConfigError && /did you mean "pt-BR"/.test(error.message));
+    await assert.rejects(addLanguage(dir, 'de', { from: 'ja' }), ConfigError);
+
+    await write('_partials/de/footer.html', '<footer>Danke</footer>\n');
+    await assert.rejects(addLanguage(dir, 'de'), (error) => error instanceof AbortedError && /_partials[/\\]de/.test(error.message));
+    await assert.rejects(fs.access(path.join(dir, 'SignIn', 'de')));
+  });
+
+  it('creates a template type for every language in use, with its required placeholders', async () => {
+    const result = await createTemplateType(dir, 'OrganizationInvitation');
+    assert.deepEqual(result.languages, ['en', 'fr']);
+    assert.equal(await read('OrganizationInvitation/en/subject.txt'), 'Organization invitation\n');
+    assert.equal(await read('OrganizationInvitation/fr/subject.txt'), '[untranslated] Organization invitation\n');
+    assert.match(await read('OrganizationInvitation/en/content.html'), /<a href="\{\{link\}\}">\{\{link\}\}<\/a>/);
+
+    const { problems } = await validateLocalEmailTemplates(dir, { onlyTypes: new Set(['OrganizationInvitation']) });
+    assert.deepEqual(
+      problems.filter((p) => p.severity === 'error'),
+      []
+    );
+
+    await assert.rejects(createTemplateType(dir, 'OrganizationInvitation'), AbortedError);
+    await assert.rejects(createTemplateType(dir, 'Signin'), (error) => error instanceof ConfigError && /did you mean "SignIn"/.test(error.message));
+  });
+
+  it('uses the base layout when there is one', async () => {
+    await write('_layouts/base.html', '<html lang="{% languageTag %}"><body>{% block body %}{% endblock %}</body></html>\n');
+    await createTemplateType(dir, 'Generic', { languages: ['en'] });
+    assert.match(await read('Generic/en/content.html'), /^\{% layout "base" %\}\n\{% block title %\}Verification code\{% endblock %\}\n/);
+  });
+});
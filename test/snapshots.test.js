@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import { syncEmailTemplates } from '../src/lib/emailTemplatesApi.js';
+import { ConfigError } from '../src/lib/errors.js';
+import { createLocalApiClient } from '../src/lib/localBackend.js';
+import { findSnapshot, listSnapshots, writeSnapshot } from '../src/lib/snapshots.js';
+import { loadLocalEmailTemplates } from '../src/lib/templatesFs.js';
+
+function template(templateType, languageTag, subject = `${templateType} ${languageTag}`) {
+  return { templateType, languageTag, details: { subject, content: '<p>{{code}}</p>', contentType: 'text/html' } };
+}
+
+const stateOf = async (apiClient) =>
+  (await apiClient.store.read())
+    .map((row) => `${row.templateType}::${row.languageTag}=${row.details.subject}`)
+    .sort();
+
+describe('snapshots', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'snapshots-test-'));
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('lists snapshots newest first and finds them by id prefix and tenant', async () => {
+    const first = await writeSnapshot(dir, [template('SignIn', 'en')], { endpoint: 'https://a.logto.app' });
+    const second = await writeSnapshot(dir, [], { endpoint: 'https://b.logto.app' });
+    assert.equal(second.id, `${first.id}-2`);
+    assert.equal(first.count, 1);
+    assert.deepEqual(
+      (await listSnapshots(dir)).map((s) => s.id),
+      [second.id, first.id]
+    );
+
+    assert.equal((await findSnapshot(dir)).id, second.id);
+    assert.equal((await findSnapshot(dir, null, { endpoint: 'https://a.logto.app' })).id, first.id);
+    assert.equal((await findSnapshot(dir, second.id)).id, second.id);
+    await assert.rejects(findSnapshot(dir, first.id.slice(0, 10)), (error) => error instanceof ConfigError && /ambiguous/.test(error.message));
+    await assert.rejects(
+      findSnapshot(dir, second.id, { endpoint: 'https://a.logto.app' }),
+      (error) => error instanceof ConfigError && /was taken from https:\/\/b\.logto\.app/.test(error.message)
+    );
+  });
+
+  it('snapshots the remote state before a sync, and restores it', async () => {
+    const apiClient = createLocalApiClient({ emailTemplatesPath: 'email-templates' });
+    const sync = (localTemplates, options = {}) =>
+      syncEmailTemplates({ apiClient, emailTemplatesPath: 'email-templates', localTemplates, snapshotsDir: dir, ...options });
+
+    await sync([template('SignIn', 'en'), template('SignIn', 'fr')]);
+    const before = await stateOf(apiClient);
+    const snapshots = [];
+    await sync([template('SignIn', 'en', 'Changed'), template('Register', 'en')], { onSnapshot: (s) => snapshots.push(s) });
+    assert.equal(snapshots.length, 1);
+    assert.equal(snapshots[0].count, 2);
+
+    // Nothing to write: no snapshot
+    await sync([template('SignIn', 'en', 'Changed')], { onSnapshot: (s) => snapshots.push(s) });
+    assert.equal(snapshots.length, 1);
+
+    const snapshot = await findSnapshot(dir, snapshots[0].id);
+    await sync(await loadLocalEmailTemplates(snapshot.dir), { prune: true, snapshotsDir: null });
+    assert.deepEqual(await stateOf(apiClient), before);
+  });
+});
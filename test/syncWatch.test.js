@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { templatesAffectedBy } from '../src/lib/syncWatch.js';
+import { loadTemplateSource } from '../src/lib/templateSource.js';
+
+describe('templatesAffectedBy', () => {
+  let root;
+  let templates;
+  const file = (...parts) => path.join(root, ...parts);
+  const affected = (...files) => {
+    const { all, types, keys } = templatesAffectedBy(files, { templatesRoot: root, templates });
+    return { all, types: [...types].sort(), keys: [...keys].sort() };
+  };
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'watch-test-'));
+    const write = async (relative, text) => {
+      await fs.mkdir(path.dirname(file(relative)), { recursive: true });
+      await fs.writeFile(file(relative), text);
+    };
+    await write('_partials/footer.html', '<footer>Thanks</footer>\n');
+    for (const [type, lang, content] of [
+      ['SignIn', 'en', '<p>{{code}}</p>{% include "footer" %}'],
+      ['SignIn', 'de', '<p>{{code}}</p>'],
+      ['Register', 'en', '<p>{{code}}</p>'],
+    ]) {
+      await write(`${type}/${lang}/subject.txt`, 'Your code\n');
+      await write(`${type}/${lang}/content.html`, `${content}\n`);
+    }
+    await write('Register/meta.json', '{ "sendFrom": "Acme" }\n');
+    templates = await loadTemplateSource(root, { fallbacks: { 'en-GB': ['en'] } });
+  });
+
+  after(() => fs.rm(root, { recursive: true, force: true }));
+
+  it('maps a file in a language folder to its template and the languages filled from it', () => {
+    assert.deepEqual(affected(file('SignIn', 'en', 'content.html')), {
+      all: false,
+      types: [],
+      keys: ['SignIn::en', 'SignIn::en-GB'],
+    });
+    assert.deepEqual(affected(file('SignIn', 'de', 'subject.txt')).keys, ['SignIn::de']);
+  });
+
+  it('maps a partial to the templates built from it', () => {
+    assert.deepEqual(affected(file('_partials', 'footer.html')), {
+      all: false,
+      types: [],
+      keys: ['SignIn::en', 'SignIn::en-GB'],
+    });
+  });
+
+  it('reloads a whole type for its folder or meta.json, and everything for the root meta.json', () => {
+    const typeMeta = affected(file('Register', 'meta.json'));
+    assert.deepEqual(typeMeta.types, ['Register']);
+    assert.deepEqual(typeMeta.keys, ['Register::en', 'Register::en-GB']);
+    assert.deepEqual(affected(file('ForgotPassword')).types, ['ForgotPassword']);
+    assert.deepEqual(affected(file('Register', 'fr', 'content.html')).keys, ['Register::fr']);
+    assert.equal(affected(file('meta.json')).all, true);
+  });
+
+  it('ignores shared folders nothing is built from and files outside the root', () => {
+    assert.deepEqual(affected(file('_fixtures', 'SignIn.json'), path.join(os.tmpdir(), 'elsewhere.html'), file('.git', 'HEAD')), {
+      all: false,
+      types: [],
+      keys: [],
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { ConfigError } from '../src/lib/errors.js';
+import { renderTemplateContent, textDirection } from '../src/lib/templateLayouts.js';
+
+describe('renderTemplateContent', () => {
+  let dir;
+  const write = async (file, text) => {
+    await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await fs.writeFile(path.join(dir, file), text);
+  };
+  const render = (content, languageTag = 'en') =>
+    renderTemplateContent(content, { templatesRoot: dir, templateType: 'SignIn', languageTag, sourcePath: 'content.html' });
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'layouts-test-'));
+    await write(
+      '_layouts/base.html',
+      [
+        '<html lang="{% languageTag %}" dir="{% dir %}">',
+        '  <body>',
+        '    {% block header %}<h1>Default</h1>{% endblock %}',
+        '    {% block body %}{% endblock %}',
+        '    {% include "footer" %}',
+        '  </body>',
+        '</html>',
+        '',
+      ].join('\n')
+    );
+    await write('_partials/footer.html', '<footer>\n  <p>Thanks</p>\n</footer>\n');
+    await write('_partials/fr/footer.html', '<footer>Merci</footer>\n');
+    await write('_partials/loop.html', '{% include "loop" %}');
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('wraps the content in its layout and keeps the indentation', async () => {
+    const { content, dependencies } = await render('{% layout "base" %}\n<p>{{code}}</p>\n<p>{% templateType %}</p>\n');
+    assert.equal(
+      content,
+      [
+        '<html lang="en" dir="ltr">',
+        '  <body>',
+        '    <h1>Default</h1>',
+        '    <p>{{code}}</p>',
+        '    <p>SignIn</p>',
+        '    <footer>',
+        '      <p>Thanks</p>',
+        '    </footer>',
+        '  </body>',
+        '</html>',
+      ].join('\n')
+    );
+    assert.deepEqual(dependencies, [path.join(dir, '_layouts', 'base.html'), path.join(dir, '_partials', 'footer.html')]);
+  });
+
+  it('fills named blocks and prefers the language partial', async () => {
+    const { content, dependencies } = await render('{% layout "base" %}\n{% block header %}<h1>Bonjour</h1>{% endblock %}\n<p>x</p>', 'fr');
+    assert.match(content, /^<html lang="fr" dir="ltr">/);
+    assert.match(content, /^ {4}<h1>Bonjour<\/h1>\n {4}<p>x<\/p>\n {4}<footer>Merci<\/footer>$/m);
+    assert.ok(dependencies.includes(path.join(dir, '_partials', 'fr', 'footer.html')));
+  });
+
+  it('sets dir="rtl" for right-to-left languages', async () => {
+    assert.match((await render('{% layout "base" %}\n<p>x</p>', 'ar')).content, /^<html lang="ar" dir="rtl">/);
+    assert.equal(textDirection('he-IL'), 'rtl');
+    assert.equal(textDirection('zh-HK'), 'ltr');
+  });
+
+  it('passes content without directives and Logto placeholders through', async () => {
+    const content = '<p>{{code}} {{ application.name }}</p>';
+    assert.deepEqual(await render(content), { content, dependencies: [] });
+  });
+
+  it('rejects missing partials, unknown names and include cycles with a ConfigError', async () => {
+    for (const [content, message] of [
+      ['{% include "header" %}', /Partial "header" not found/],
+      ['{% include "../secret" %}', /Invalid partial name/],
+      ['{% layout "nope" %}\n<p>x</p>', /Layout "nope" not found/],
+      ['<p>\n{% include %}</p>', /needs a partial name: content\.html:2/],
+      ['{% include "loop" %}', /nested too deeply/],
+    ]) {
+      await assert.rejects(render(content), (error) => error instanceof ConfigError && message.test(error.message));
+    }
+  });
+});
@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import { readBundle, readBundleTemplates } from '../src/lib/bundle.js';
+import { ConfigError } from '../src/lib/errors.js';
+import { findSnapshot } from '../src/lib/snapshots.js';
+import { loadLocalEmailTemplates, writeLocalEmailTemplates } from '../src/lib/templatesFs.js';
+import { validateLocalEmailTemplates } from '../src/lib/templatesValidate.js';
+
+describe('loadLocalEmailTemplates', () => {
+  let dir;
+  const write = async (file, text) => {
+    await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await fs.writeFile(path.join(dir, file), text);
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'templates-fs-test-'));
+    await write('SignIn/en/subject.txt', 'Sign in\n');
+    await write('SignIn/en/content.html', '<p>{{code}}</p>\n');
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('rejects templates, meta.json files, partials and layouts it cannot read with a ConfigError', async () => {
+    const cases = [
+      ['SignIn/fr/content.html', '<p>{{code}}</p>', /Missing subject\.txt/],
+      ['SignIn/fr/subject.txt', 'Connexion', /Missing content\.html or content\.txt/],
+      ['SignIn/meta.json', '{ "replyTo": ', /SignIn[/\\]meta\.json: invalid JSON/],
+      ['SignIn/en/content.html', '{% include "missing" %}', /Partial "missing" not found/],
+      ['SignIn/en/content.html', '{% layout "missing" %}\n<p>x</p>', /Layout "missing" not found/],
+      ['SignIn/en/content.html', '{% unknown %}', /Unknown directive \{% unknown %\}/],
+    ];
+    for (const [file, text, message] of cases) {
+      const saved = await fs.readFile(path.join(dir, file), 'utf8').catch(() => null);
+      await write(file, text);
+      await assert.rejects(loadLocalEmailTemplates(dir), (error) => error instanceof ConfigError && message.test(error.message));
+      if (saved === null) await fs.rm(path.join(dir, file));
+      else await write(file, saved);
+    }
+  });
+
+  it('inherits only replyTo and sendFrom from root and type meta.json', async () => {
+    await write('meta.json', JSON.stringify({ contentType: 'text/plain', sendFrom: 'Acme', replyTo: 'help@acme.test' }));
+    await write('SignIn/meta.json', JSON.stringify({ replyTo: 'signin@acme.test' }));
+    await write('SignIn/fr/subject.txt', 'Connexion\n');
+    await write('SignIn/fr/content.txt', '{{code}}\n');
+    await write('SignIn/fr/meta.json', JSON.stringify({ replyTo: '' }));
+
+    const templates = await loadLocalEmailTemplates(dir);
+    assert.deepEqual(
+      templates.map((t) => [t.languageTag, t.details.contentType, t.details.replyTo, t.details.sendFrom]),
+      [
+        ['en', 'text/html', 'signin@acme.test', 'Acme'],
+        ['fr', 'text/plain', undefined, 'Acme'],
+      ]
+    );
+
+    const { problems } = await validateLocalEmailTemplates(dir);
+    assert.deepEqual(
+      problems.filter((p) => /contentType/.test(p.message)).map((p) => [p.severity, path.basename(p.file)]),
+      [['warning', 'meta.json']]
+    );
+  });
+
+  it('loads what it exported, also next to a root meta.json with a contentType', async () => {
+    await write('export/meta.json', JSON.stringify({ contentType: 'text/plain' }));
+    const templates = [
+      { templateType: 'SignIn', languageTag: 'en', details: { subject: 'a', content: '<p>a</p>', contentType: 'text/html', sendFrom: 'Acme' } },
+      { templateType: 'SignIn', languageTag: 'de', details: { subject: 'b', content: 'b', contentType: 'text/plain', sendFrom: 'Acme' } },
+      { templateType: 'SignIn', languageTag: 'fr', details: { subject: 'c', content: '<p>c</p>', contentType: 'text/plain', replyTo: 'x@acme.test' } },
+      { templateType: 'Register', languageTag: 'en', details: { subject: 'd', content: '<p>d</p>', contentType: 'text/html' } },
+    ];
+    const out = path.join(dir, 'export');
+    await writeLocalEmailTemplates(out, templates);
+
+    const loaded = await loadLocalEmailTemplates(out);
+    const byKey = (list) => Object.fromEntries(list.map((t) => [`${t.templateType}::${t.languageTag}`, t.details]));
+    assert.deepEqual(byKey(loaded), byKey(templates));
+  });
+});
+
+describe('bundles and snapshots', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bundle-test-'));
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('rejects invalid bundles with a ConfigError', async () => {
+    const template = { templateType: 'SignIn', languageTag: 'en', hash: 'sha256:0', details: { subject: 'x', content: 'y' } };
+    assert.throws(
+      () => readBundleTemplates({ format: 'logto-email-templates-bundle', version: 1, templates: [template] }),
+      (error) => error instanceof ConfigError && /hash mismatch for SignIn::en/.test(error.message)
+    );
+    assert.throws(() => readBundleTemplates({ version: 1 }), ConfigError);
+
+    const file = path.join(dir, 'bundle.yaml');
+    await fs.writeFile(file, 'format: [flow]\n');
+    await assert.rejects(readBundle(file), (error) => error instanceof ConfigError && /line 1: flow collections/.test(error.message));
+    await assert.rejects(readBundle(path.join(dir, 'bundle.txt')), ConfigError);
+  });
+
+  it('rejects missing or malformed snapshots with a ConfigError', async () => {
+    await assert.rejects(findSnapshot(dir), (error) => error instanceof ConfigError && /No snapshots found/.test(error.message));
+    await fs.mkdir(path.join(dir, '2024-01-31T12-00-00Z'));
+    await fs.writeFile(path.join(dir, '2024-01-31T12-00-00Z', 'snapshot.json'), '{');
+    await assert.rejects(findSnapshot(dir), (error) => error instanceof ConfigError && /Malformed snapshot\.json/.test(error.message));
+  });
+});
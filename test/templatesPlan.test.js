@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { formatPlanEntryDiff, hasDrift, planEmailTemplateSync, summarizePlan } from '../src/lib/templatesPlan.js';
+
+function template(templateType, languageTag, details = {}) {
+  return { templateType, languageTag, details: { subject: 'Your code', content: '<p>{{code}}</p>', ...details } };
+}
+
+describe('planEmailTemplateSync', () => {
+  const local = [
+    template('SignIn', 'en', { subject: 'Your code\n' }),
+    template('SignIn', 'fr', { subject: 'Votre code' }),
+    template('Register', 'en'),
+  ];
+  const remote = [
+    template('SignIn', 'en', { contentType: 'text/html', replyTo: '' }),
+    template('SignIn', 'fr', { subject: 'Code' }),
+    template('SignIn', 'de'),
+    template('Generic', 'en'),
+  ];
+
+  it('sorts every key into create, update, unchanged and remote-only', () => {
+    const plan = planEmailTemplateSync({ localTemplates: local, remoteTemplates: remote });
+    assert.deepEqual(
+      plan.map((entry) => [entry.key, entry.action]),
+      [
+        ['Generic::en', 'remote-only'],
+        ['Register::en', 'create'],
+        ['SignIn::de', 'remote-only'],
+        ['SignIn::en', 'unchanged'],
+        ['SignIn::fr', 'update'],
+      ]
+    );
+    assert.deepEqual(plan.find((entry) => entry.key === 'SignIn::fr').changes, [
+      { field: 'subject', local: 'Votre code', remote: 'Code' },
+    ]);
+    assert.deepEqual(summarizePlan(plan), { create: 1, update: 1, unchanged: 1, 'remote-only': 2 });
+  });
+
+  it('leaves remote templates outside --only and --languages out of the plan', () => {
+    const plan = planEmailTemplateSync({
+      localTemplates: local.filter((t) => t.templateType === 'SignIn' && t.languageTag === 'en'),
+      remoteTemplates: remote,
+      onlyTypes: new Set(['SignIn']),
+      onlyLanguages: new Set(['en']),
+    });
+    assert.deepEqual(
+      plan.map((entry) => [entry.key, entry.action]),
+      [['SignIn::en', 'unchanged']]
+    );
+    assert.equal(hasDrift(plan), false);
+  });
+});
+
+describe('formatPlanEntryDiff', () => {
+  it('renders a unified diff from remote to local per changed field', () => {
+    const [entry] = planEmailTemplateSync({
+      localTemplates: [template('SignIn', 'en', { content: 'a\nb\nc' })],
+      remoteTemplates: [template('SignIn', 'en', { content: 'a\nB\nc' })],
+    });
+    assert.equal(
+      formatPlanEntryDiff(entry),
+      ['--- remote/SignIn/en/content', '+++ local/SignIn/en/content', '@@ -1,3 +1,3 @@', ' a', '-B', '+b', ' c'].join('\n')
+    );
+  });
+
+  it('diffs a created template against /dev/null', () => {
+    const [entry] = planEmailTemplateSync({ localTemplates: [template('SignIn', 'en')], remoteTemplates: [] });
+    assert.equal(hasDrift([entry]), true);
+    assert.match(formatPlanEntryDiff(entry), /^--- \/dev\/null\n\+\+\+ local\/SignIn\/en\/subject\n@@ -0,0 \+1 @@\n\+Your code/);
+  });
+});
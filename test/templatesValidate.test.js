@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import { isAllowedVariable, suggestVariable } from '../src/lib/templateVariables.js';
+import { validateLocalEmailTemplates } from '../src/lib/templatesValidate.js';
+
+describe('template variables', () => {
+  it('accepts the common, type-specific and free-form variables of a type', () => {
+    assert.equal(isAllowedVariable('SignIn', 'code'), true);
+    assert.equal(isAllowedVariable('SignIn', 'application.name'), true);
+    assert.equal(isAllowedVariable('SignIn', 'user.customData.plan'), true);
+    assert.equal(isAllowedVariable('SignIn', 'inviter.name'), false);
+    assert.equal(isAllowedVariable('OrganizationInvitation', 'inviter.name'), true);
+    assert.equal(isAllowedVariable('Unknown', 'code'), false);
+  });
+
+  it('suggests the closest variable for a typo', () => {
+    assert.equal(suggestVariable('SignIn', 'cod'), 'code');
+    assert.equal(suggestVariable('SignIn', 'aplication.name'), 'application.name');
+    assert.equal(suggestVariable('SignIn', 'something.else'), null);
+  });
+});
+
+describe('validateLocalEmailTemplates', () => {
+  let dir;
+  const write = async (file, text) => {
+    await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await fs.writeFile(path.join(dir, file), text);
+  };
+  const addTemplate = async (folder, content, subject = 'Your code') => {
+    await write(`${folder}/subject.txt`, `${subject}\n`);
+    await write(`${folder}/content.html`, `${content}\n`);
+  };
+  const problemsOf = async () => {
+    const { problems } = await validateLocalEmailTemplates(dir);
+    return problems.map((p) => [p.severity, p.key, path.relative(dir, p.file), p.line, p.message]);
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'validate-test-'));
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('passes templates that use the variables of their type', async () => {
+    await addTemplate('SignIn/en', '<p>Hi {{user.name}}, {{ code }}</p>', 'Sign in to {{application.name}}');
+    await addTemplate('OrganizationInvitation/en', '<p>{{inviter.name}} invited you: <a href="{{link}}">join</a></p>');
+    assert.deepEqual(await problemsOf(), []);
+  });
+
+  it('reports unknown, malformed and missing placeholders with their line', async () => {
+    await addTemplate('SignIn/en', '<p>\n  {{cod}}\n</p>');
+    await addTemplate('Generic/en', '<p>{{link}} {{code</p>', 'Code for {{user.nmae}}');
+    assert.deepEqual(await problemsOf(), [
+      ['error', 'Generic::en', 'Generic/en/subject.txt', 1, 'Unknown placeholder {{user.nmae}} for Generic (did you mean {{user.name}}?)'],
+      ['error', 'Generic::en', 'Generic/en/content.html', 1, 'Unknown placeholder {{link}} for Generic'],
+      ['error', 'Generic::en', 'Generic/en/content.html', 1, 'Malformed placeholder near "{{"'],
+      ['error', 'Generic::en', 'Generic/en/content.html', null, 'Missing required placeholder {{code}} for Generic'],
+      ['error', 'SignIn::en', 'SignIn/en/content.html', 2, 'Unknown placeholder {{cod}} for SignIn (did you mean {{code}}?)'],
+      ['error', 'SignIn::en', 'SignIn/en/content.html', null, 'Missing placeholder: SignIn needs one of {{code}}, {{link}}'],
+    ]);
+  });
+
+  it('checks placeholders in partials and counts them towards the required ones', async () => {
+    await write('_partials/code.html', '<div>{{code}}</div>\n<p>{{inviter.name}}</p>\n');
+    await addTemplate('Generic/en', '<p>Your code:</p>\n{% include "code" %}');
+    assert.deepEqual(await problemsOf(), [
+      ['error', 'Generic::en', '_partials/code.html', 2, 'Unknown placeholder {{inviter.name}} for Generic'],
+    ]);
+  });
+
+  it('reports unknown template types with a suggestion', async () => {
+    await addTemplate('Signin/en', '<p>{{code}}</p>');
+    const [problem] = await problemsOf();
+    assert.equal(problem[0], 'error');
+    assert.match(problem[4], /^Unknown template type "Signin" \(did you mean "SignIn"\?\)\. Known types: SignIn, /);
+  });
+});
@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import { ConfigError } from '../src/lib/errors.js';
+import { sendTestEmails } from '../src/lib/testEmails.js';
+
+describe('sendTestEmails', () => {
+  let dir;
+  const templates = [
+    {
+      templateType: 'SignIn',
+      languageTag: 'en',
+      details: { subject: 'Your code', content: '<p>{{code}}</p>', contentType: 'text/html', sendFrom: 'Acme' },
+    },
+  ];
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'test-emails-'));
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('writes .eml files, addressed to a placeholder when there are no recipients', async () => {
+    const outDir = path.join(dir, 'out');
+    const [result] = await sendTestEmails({ templatesDir: dir, templates, to: [], from: 'no-reply@acme.test', outDir });
+    assert.equal(result.error, undefined);
+    assert.equal(result.file, path.join(outDir, 'SignIn.en.eml'));
+
+    const raw = await fs.readFile(result.file, 'utf8');
+    assert.match(raw, /^To: test@example\.com\r$/m);
+    assert.match(raw, /^From: "Acme" <no-reply@acme\.test>\r$/m);
+    assert.match(raw, /^Subject: Your code\r$/m);
+  });
+
+  it('needs recipients to send over SMTP', async () => {
+    await assert.rejects(
+      sendTestEmails({ templatesDir: dir, templates, to: [], from: 'a@acme.test', smtp: { host: 'localhost' }, outDir: dir }),
+      (error) => error instanceof ConfigError && /No recipients/.test(error.message)
+    );
+  });
+});
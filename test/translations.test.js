@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import { AbortedError } from '../src/lib/errors.js';
+import { parsePo, stringifyPo } from '../src/lib/po.js';
+import { applyTranslations, extractTranslations, translationStatus } from '../src/lib/translations.js';
+import { parseXliff, stringifyXliff } from '../src/lib/xliff.js';
+
+const EN_CONTENT = '<html>\n<body>\n  <p>Hello <strong>{{user.name}}</strong>,</p>\n  <p>Your code is {{code}}.</p>\n</body>\n</html>\n';
+const FR_CONTENT = EN_CONTENT.replace(/<p>/g, '<p>[untranslated] ');
+
+const FRENCH = {
+  'SignIn.subject': [{ text: 'Votre code de connexion' }],
+  'SignIn.content.p': [{ text: 'Bonjour ' }, { code: '<strong>' }, { code: '{{user.name}}' }, { code: '</strong>' }, { text: ',' }],
+  'SignIn.content.p.2': [{ text: 'Votre code est ' }, { code: '{{code}}' }, { text: ' & il expire bientôt.' }],
+};
+
+describe('translations', () => {
+  let dir;
+  let i18nDir;
+  const write = async (file, text) => {
+    await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await fs.writeFile(path.join(dir, file), text);
+  };
+  const read = (file) => fs.readFile(path.join(dir, file), 'utf8');
+
+  // Fill in every target of the extracted XLIFF file, as a translation tool would
+  async function translateXliff(targets) {
+    const file = path.join(i18nDir, 'fr.xlf');
+    const { sourceLanguage, targetLanguage, units } = parseXliff(await fs.readFile(file, 'utf8'));
+    const translated = units.map((unit) => ({ ...unit, target: targets[unit.id] ?? unit.target, state: 'translated' }));
+    await fs.writeFile(file, stringifyXliff({ sourceLanguage, targetLanguage, files: [{ id: 'SignIn', units: translated }] }));
+  }
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'translations-test-'));
+    i18nDir = path.join(dir, 'i18n');
+    await write('templates/SignIn/en/subject.txt', 'Your sign-in code\n');
+    await write('templates/SignIn/en/content.html', EN_CONTENT);
+    await write('templates/SignIn/fr/subject.txt', '[untranslated] Your sign-in code\n');
+    await write('templates/SignIn/fr/content.html', FR_CONTENT);
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const templates = () => path.join(dir, 'templates');
+
+  it('extracts XLIFF, applies the translations and reports them as translated', async () => {
+    const extracted = await extractTranslations(templates(), { i18nDir });
+    assert.deepEqual(
+      extracted.files.map(({ file, ...counts }) => counts),
+      [{ languageTag: 'fr', units: 3, translated: 0, untranslated: 3, stale: 0, unapplied: 0 }]
+    );
+    const { units } = parseXliff(await fs.readFile(path.join(i18nDir, 'fr.xlf'), 'utf8'));
+    assert.deepEqual(
+      units.map((u) => u.id),
+      Object.keys(FRENCH)
+    );
+
+    await translateXliff(FRENCH);
+    const status = await translationStatus(templates(), { i18nDir });
+    assert.equal(status.languages[0].unapplied, 3);
+
+    const applied = await applyTranslations(templates(), { i18nDir });
+    assert.deepEqual(applied.problems, []);
+    assert.equal(applied.applied, 3);
+    assert.equal(await read('templates/SignIn/fr/subject.txt'), 'Votre code de connexion\n');
+    assert.equal(
+      await read('templates/SignIn/fr/content.html'),
+      EN_CONTENT.replace('Hello', 'Bonjour').replace('Your code is {{code}}.', 'Votre code est {{code}} &amp; il expire bientôt.')
+    );
+
+    const after = await translationStatus(templates(), { i18nDir });
+    assert.deepEqual(after.units, []);
+    assert.equal(after.languages[0].translated, 3);
+    // Applying again changes nothing
+    assert.equal((await applyTranslations(templates(), { i18nDir })).unchanged, 3);
+  });
+
+  it('marks a translation stale when its source changes, in PO as fuzzy with the previous msgid', async () => {
+    await extractTranslations(templates(), { i18nDir, format: 'po' });
+    const file = path.join(i18nDir, 'fr.po');
+    const po = parsePo(await fs.readFile(file, 'utf8'));
+    const subject = po.entries.find((e) => e.context === 'SignIn.subject');
+    subject.str = 'Votre code de connexion';
+    await fs.writeFile(file, stringifyPo(po));
+    await applyTranslations(templates(), { i18nDir });
+    await extractTranslations(templates(), { i18nDir, format: 'po' });
+
+    await write('templates/SignIn/en/subject.txt', 'Your new sign-in code\n');
+    const status = await translationStatus(templates(), { i18nDir, format: 'po' });
+    assert.deepEqual(
+      status.units.map((u) => [u.id, u.state]),
+      [
+        ['SignIn.subject', 'stale'],
+        ['SignIn.content.p', 'untranslated'],
+        ['SignIn.content.p.2', 'untranslated'],
+      ]
+    );
+
+    await extractTranslations(templates(), { i18nDir, format: 'po' });
+    const entry = parsePo(await fs.readFile(file, 'utf8')).entries.find((e) => e.context === 'SignIn.subject');
+    assert.deepEqual([entry.id, entry.str, entry.fuzzy, entry.previousId], [
+      'Your new sign-in code',
+      'Votre code de connexion',
+      true,
+      'Your sign-in code',
+    ]);
+  });
+
+  it('skips translations whose markup or placeholders differ from the source', async () => {
+    await extractTranslations(templates(), { i18nDir });
+    await translateXliff({ 'SignIn.content.p.2': [{ text: 'Votre code est {{kode}}.' }] });
+
+    const result = await applyTranslations(templates(), { i18nDir });
+    assert.deepEqual(
+      result.problems.map((p) => [p.severity, p.id, p.message]),
+      [['error', 'SignIn.content.p.2', 'Markup and placeholders must match the source; missing {{code}}']]
+    );
+    assert.equal(result.applied, 0);
+    assert.equal(await read('templates/SignIn/fr/content.html'), FR_CONTENT);
+  });
+
+  it('refuses to extract over translations that were not applied', async () => {
+    await extractTranslations(templates(), { i18nDir });
+    await translateXliff(FRENCH);
+    await assert.rejects(extractTranslations(templates(), { i18nDir }), AbortedError);
+    // Nothing was overwritten
+    assert.equal(parseXliff(await fs.readFile(path.join(i18nDir, 'fr.xlf'), 'utf8')).units[0].state, 'translated');
+  });
+});
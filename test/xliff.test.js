@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { parseXliff, stringifyXliff } from '../src/lib/xliff.js';
+
+describe('xliff', () => {
+  it('round-trips units with codes, notes and states', () => {
+    const units = [
+      {
+        id: 'OrganizationInvitation.content.p',
+        notes: [
+          { category: 'location', text: 'OrganizationInvitation/en/content.html:6' },
+          { category: 'previous-source', text: 'Join <b>' },
+        ],
+        source: [{ text: 'Join ' }, { code: '<strong>' }, { code: '{{organization.name}}' }, { code: '</strong>' }, { text: ' & "win" <today>' }],
+        // Codes may move and repeat in the target
+        target: [{ code: '<strong>' }, { code: '{{organization.name}}' }, { code: '</strong>' }, { text: ' rejoindre' }],
+        state: 'translated',
+      },
+      { id: 'SignIn.subject', notes: [], source: [{ text: 'Sign in' }], target: null, state: 'initial' },
+    ];
+    const text = stringifyXliff({ sourceLanguage: 'en', targetLanguage: 'fr', files: [{ id: 'SignIn', units }] });
+    const parsed = parseXliff(text);
+
+    assert.equal(parsed.sourceLanguage, 'en');
+    assert.equal(parsed.targetLanguage, 'fr');
+    assert.deepEqual(
+      parsed.units,
+      units.map((unit) => ({ ...unit, fileId: 'SignIn' }))
+    );
+  });
+
+  it('stores each distinct code once and reuses source ids in the target', () => {
+    const text = stringifyXliff({
+      sourceLanguage: 'en',
+      targetLanguage: 'de',
+      files: [
+        {
+          id: 'f',
+          units: [
+            {
+              id: 'u',
+              source: [{ code: '<b>' }, { text: 'a' }, { code: '</b>' }, { code: '<b>' }, { text: 'b' }, { code: '</b>' }],
+              target: [{ code: '<b>' }, { text: 'x' }, { code: '</b>' }],
+              state: 'translated',
+            },
+          ],
+        },
+      ],
+    });
+    assert.equal((text.match(/<data /g) || []).length, 2);
+    assert.match(text, /<source><ph id="1" dataRef="d1" disp="&lt;b&gt;"\/>a<ph id="2" dataRef="d2"/);
+    assert.match(text, /<target><ph id="1" dataRef="d1" disp="&lt;b&gt;"\/>x<ph id="2" dataRef="d2"/);
+  });
+
+  it('reads <pc>, <sc>/<ec>, <cp>, annotations and several segments', () => {
+    const text = `<?xml version="1.0"?>
+<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.1" srcLang="en" trgLang="ja">
+  <file id="f">
+    <!-- <unit id="commented-out"> -->
+    <unit id="u1">
+      <originalData>
+        <data id="s">&lt;a href="{{link}}"&gt;</data>
+        <data id="e">&lt;/a&gt;</data>
+      </originalData>
+      <segment state="reviewed">
+        <source><pc id="1" dataRefStart="s" dataRefEnd="e">Accept</pc> now.</source>
+        <target><pc id="1" dataRefStart="s" dataRefEnd="e">承諾</pc><mrk id="m" translate="no">する</mrk></target>
+      </segment>
+      <ignorable><source> </source></ignorable>
+      <segment>
+        <source>Tab<cp hex="0009"/><sc id="2" dataRef="s"/>x<ec startRef="2" dataRef="e"/></source>
+        <target/>
+      </segment>
+    </unit>
+  </file>
+</xliff>`;
+    const [unit] = parseXliff(text).units;
+    assert.deepEqual(unit.source, [
+      { code: '<a href="{{link}}">' },
+      { text: 'Accept' },
+      { code: '</a>' },
+      { text: ' now.' },
+      { text: ' ' },
+      { text: 'Tab\t' },
+      { code: '<a href="{{link}}">' },
+      { text: 'x' },
+      { code: '</a>' },
+    ]);
+    assert.deepEqual(unit.target, [{ code: '<a href="{{link}}">' }, { text: '承諾' }, { code: '</a>' }, { text: 'する' }]);
+    // A segment without state is `initial`, and the unit is as far as its least advanced segment
+    assert.equal(unit.state, 'initial');
+  });
+
+  it('rejects documents that are not XLIFF 2', () => {
+    assert.throws(() => parseXliff('<html></html>', 'fr.xlf'), /^Error: fr\.xlf: not an XLIFF document/);
+    assert.throws(() => parseXliff('<xliff version="1.2"></xliff>', 'fr.xlf'), /XLIFF 1\.2 is not supported/);
+  });
+});
@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { parseYaml, stringifyYaml } from '../src/lib/yaml.js';
+
+const roundTrip = (value) => parseYaml(stringifyYaml(value));
+
+describe('yaml', () => {
+  it('round-trips a bundle', () => {
+    const bundle = {
+      version: 1,
+      templates: [
+        {
+          templateType: 'SignIn',
+          languageTag: 'zh-CN',
+          details: {
+            subject: '登录验证码',
+            content: '<html>\n  <body>\n    <p>{{code}}</p>\n  </body>\n</html>\n',
+            contentType: 'text/html',
+          },
+        },
+        { templateType: 'Generic', languageTag: 'en', details: { subject: 'Hi', content: 'No newline', replyTo: null } },
+      ],
+      empty: { list: [], map: {} },
+    };
+    assert.deepEqual(roundTrip(bundle), bundle);
+  });
+
+  it('quotes strings that would read as something else', () => {
+    const values = ['true', 'no', 'null', '~', '42', '1e3', '0x1f', '.inf', '- item', 'a: b', 'a #b', ' padded ', '', '#x', '{{code}}', "it's", '"quoted"'];
+    for (const value of values) assert.equal(roundTrip({ value }).value, value, value);
+  });
+
+  it('keeps the trailing newlines of block strings (|-, |, |+)', () => {
+    for (const text of ['one\ntwo', 'one\ntwo\n', 'one\ntwo\n\n\n', '  indented first\nline\n', '\nleading blank\n', 'a\n\n  b\n']) {
+      assert.equal(roundTrip({ text }).text, text, JSON.stringify(text));
+      assert.deepEqual(roundTrip([text]), [text]);
+    }
+  });
+
+  it('writes strings with carriage returns or control characters as quoted scalars', () => {
+    for (const text of ['a\r\nb', 'vtab\u000bhere\nnext', 'bell\u0007\nx']) {
+      assert.ok(!stringifyYaml({ text }).includes('|'));
+      assert.equal(roundTrip({ text }).text, text);
+    }
+  });
+
+  it('reads hand-written YAML: comments, quotes, scalars and a BOM', () => {
+    const text = [
+      '\uFEFF# bundle',
+      'version: 1   # trailing comment',
+      "name: 'it''s'",
+      'escaped: "tab\\there"',
+      'flag: TRUE',
+      'nothing: ~',
+      'list:',
+      '- a',
+      '- key: value',
+      '  other: 2',
+      'block: |2-',
+      '    indented',
+      '  body',
+      '',
+    ].join('\n');
+    assert.deepEqual(parseYaml(text), {
+      version: 1,
+      name: "it's",
+      escaped: 'tab\there',
+      flag: true,
+      nothing: null,
+      list: ['a', { key: 'value', other: 2 }],
+      block: '  indented\nbody',
+    });
+  });
+
+  it('reads CRLF line endings', () => {
+    assert.deepEqual(parseYaml('a: 1\r\nb:\r\n  c: x\r\n'), { a: 1, b: { c: 'x' } });
+  });
+
+  it('returns null for an empty document', () => {
+    assert.equal(parseYaml(''), null);
+    assert.equal(parseYaml('# only a comment\n'), null);
+  });
+
+  it('rejects what it does not support, with the line number', () => {
+    const cases = [
+      ['a: 1\na: 2\n', /line 2: duplicate key "a"/],
+      ['a: [1, 2]\n', /line 1: flow collections/],
+      ['a: &anchor 1\n', /line 1: anchors/],
+      ['a: >\n  folded\n', /line 1: folded block scalars/],
+      ['a: "open\n', /line 1: invalid double-quoted/],
+      ["a: 'open\n", /line 1: unterminated single-quoted/],
+      ['a:\n  b: 1\n   c: 2\n', /line 3: unexpected indentation/],
+      ['a: 1\n- b\n', /line 2: unexpected content/],
+    ];
+    for (const [text, message] of cases) assert.throws(() => parseYaml(text), message, text);
+  });
+});